@@ -0,0 +1,191 @@
+// apiKeys.js
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+/**
+ * API keys de los clientes de la API interna (n8n prod, n8n staging, CRM...).
+ *
+ * Formato de la key: "tyc_<keyId>_<secreto>"
+ *  - keyId:   12 hex, público (sirve para buscarla, listarla y revocarla)
+ *  - secreto: 24 bytes aleatorios en base64url
+ *
+ * En BD solo se guarda el sha256 de la key completa; la key en claro se regresa
+ * una sola vez, al crearla.
+ *
+ * Tabla tyc_api_keys:
+ *  - key_id (text, pk), cliente (text), descripcion (text)
+ *  - key_hash (text)
+ *  - scopes (text[])                  ver SCOPES
+ *  - expires_at (timestamptz)         opcional
+ *  - revoked_at, revoked_by
+ *  - last_used_at, last_used_ip       se actualizan a lo más una vez por minuto
+ *  - created_by, created_at
+ */
+
+const SCOPES = {
+  SOLICITUDES_CREATE: 'solicitudes:create',   // crear y reemitir solicitudes
+  SOLICITUDES_READ: 'solicitudes:read',       // consultar solicitudes, auditoría y constancias
+  SOLICITUDES_CANCEL: 'solicitudes:cancel',   // cancelar enlaces
+  DOCUMENTOS_READ: 'documentos:read',
+  DOCUMENTOS_WRITE: 'documentos:write',       // publicar versiones y traducciones
+  WEBHOOKS_READ: 'webhooks:read',
+  WEBHOOKS_WRITE: 'webhooks:write',           // reintentar eventos del outbox
+  CRON_RUN: 'cron:run',
+  DATOS_PERSONALES: 'datos:admin',            // derechos ARCO: exportar, revocar y anonimizar datos de un precliente
+  API_KEYS_ADMIN: 'apikeys:admin'             // administrar API keys
+};
+
+const TODOS_LOS_SCOPES = Object.values(SCOPES);
+
+const KEY_RE = /^tyc_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+/**
+ * Formato de API (nunca incluye key_hash).
+ */
+function rowToApiKey(row) {
+  const expiresAt = toIso(row.expires_at);
+  const revokedAt = toIso(row.revoked_at);
+
+  return {
+    keyId: row.key_id,
+    cliente: row.cliente,
+    descripcion: row.descripcion || null,
+    scopes: row.scopes || [],
+    expiresAt,
+    revokedAt,
+    revokedBy: row.revoked_by || null,
+    lastUsedAt: toIso(row.last_used_at),
+    lastUsedIp: row.last_used_ip || null,
+    createdBy: row.created_by || null,
+    createdAt: toIso(row.created_at),
+    activa: !revokedAt && (!expiresAt || new Date(expiresAt) > new Date())
+  };
+}
+
+const API_KEY_COLUMNS = `
+  key_id, cliente, descripcion, scopes, expires_at, revoked_at, revoked_by,
+  last_used_at, last_used_ip, created_by, created_at`;
+
+/**
+ * Crea una API key. Regresa { apiKey, key } donde key es la key en claro
+ * (única vez que existe).
+ */
+async function crearApiKey({ cliente, descripcion, scopes, expiresAt, creadoPor }, db = pool) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `tyc_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const r = await db.query(
+    `INSERT INTO tyc_api_keys (
+       key_id, cliente, descripcion, key_hash, scopes, expires_at, created_by, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     RETURNING ${API_KEY_COLUMNS}`,
+    [keyId, cliente, descripcion || null, hashKey(key), scopes, expiresAt || null, creadoPor || null]
+  );
+
+  return { apiKey: rowToApiKey(r.rows[0]), key };
+}
+
+async function listarApiKeys({ cliente, incluirInactivas = false } = {}, db = pool) {
+  const where = [];
+  const params = [];
+
+  if (cliente) {
+    params.push(cliente);
+    where.push(`cliente = $${params.length}`);
+  }
+
+  if (!incluirInactivas) {
+    where.push('revoked_at IS NULL');
+    where.push('(expires_at IS NULL OR expires_at > NOW())');
+  }
+
+  const r = await db.query(
+    `SELECT ${API_KEY_COLUMNS}
+     FROM tyc_api_keys
+     ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY cliente, created_at DESC`,
+    params
+  );
+
+  return r.rows.map(rowToApiKey);
+}
+
+async function getApiKey(keyId, db = pool) {
+  const r = await db.query(
+    `SELECT ${API_KEY_COLUMNS} FROM tyc_api_keys WHERE key_id = $1`,
+    [keyId]
+  );
+  return r.rowCount > 0 ? rowToApiKey(r.rows[0]) : null;
+}
+
+/**
+ * Revoca una key (no se puede deshacer). Regresa null si no existe;
+ * si ya estaba revocada la regresa sin cambios.
+ */
+async function revocarApiKey(keyId, { revocadoPor }, db = pool) {
+  const r = await db.query(
+    `UPDATE tyc_api_keys
+     SET revoked_at = COALESCE(revoked_at, NOW()),
+         revoked_by = COALESCE(revoked_by, $2)
+     WHERE key_id = $1
+     RETURNING ${API_KEY_COLUMNS}`,
+    [keyId, revocadoPor || null]
+  );
+  return r.rowCount > 0 ? rowToApiKey(r.rows[0]) : null;
+}
+
+/**
+ * Valida una key recibida en una petición. Regresa la API key (activa) o null.
+ * Registra el último uso (fecha e IP) si no se registró en el último minuto.
+ */
+async function autenticarApiKey(key, { ip } = {}, db = pool) {
+  const match = KEY_RE.exec(String(key || ''));
+  if (!match) return null;
+
+  const r = await db.query(
+    `SELECT ${API_KEY_COLUMNS}, key_hash
+     FROM tyc_api_keys
+     WHERE key_id = $1`,
+    [match[1]]
+  );
+  if (r.rowCount === 0) return null;
+
+  const row = r.rows[0];
+  const esperado = Buffer.from(row.key_hash, 'hex');
+  const recibido = Buffer.from(hashKey(key), 'hex');
+  if (esperado.length !== recibido.length || !crypto.timingSafeEqual(esperado, recibido)) {
+    return null;
+  }
+
+  const apiKey = rowToApiKey(row);
+  if (!apiKey.activa) return null;
+
+  db.query(
+    `UPDATE tyc_api_keys
+     SET last_used_at = NOW(), last_used_ip = $2
+     WHERE key_id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [apiKey.keyId, ip || null]
+  ).catch((err) => console.error('[ApiKeys] Error registrando último uso:', err.message));
+
+  return apiKey;
+}
+
+module.exports = {
+  SCOPES,
+  TODOS_LOS_SCOPES,
+  crearApiKey,
+  listarApiKeys,
+  getApiKey,
+  revocarApiKey,
+  autenticarApiKey
+};
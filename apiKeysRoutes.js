@@ -0,0 +1,139 @@
+// apiKeysRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const {
+  SCOPES,
+  TODOS_LOS_SCOPES,
+  crearApiKey,
+  listarApiKeys,
+  getApiKey,
+  revocarApiKey
+} = require('./apiKeys');
+
+const router = express.Router();
+
+/**
+ * GET /api/tyc/api-keys
+ *
+ * Lista las API keys (sin el secreto).
+ * Query:
+ *  - cliente (opcional)
+ *  - incluirInactivas (opcional, "true" para ver también revocadas y vencidas)
+ */
+router.get('/api/tyc/api-keys', requireScope(SCOPES.API_KEYS_ADMIN), async (req, res) => {
+  try {
+    const apiKeys = await listarApiKeys({
+      cliente: req.query.cliente ? String(req.query.cliente) : null,
+      incluirInactivas: req.query.incluirInactivas === 'true'
+    });
+    return res.json({ ok: true, apiKeys });
+  } catch (err) {
+    console.error('[ApiKeys] Error listando API keys:', err);
+    return res.status(500).json({ ok: false, error: 'Error listando API keys' });
+  }
+});
+
+/**
+ * GET /api/tyc/api-keys/:keyId
+ */
+router.get('/api/tyc/api-keys/:keyId', requireScope(SCOPES.API_KEYS_ADMIN), async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key no encontrada' });
+    }
+
+    return res.json({ ok: true, apiKey });
+  } catch (err) {
+    console.error('[ApiKeys] Error obteniendo API key:', err);
+    return res.status(500).json({ ok: false, error: 'Error obteniendo la API key' });
+  }
+});
+
+/**
+ * POST /api/tyc/api-keys
+ *
+ * Crea una API key para un cliente.
+ * Recibe:
+ *  - cliente (string, obligatorio) ej. "n8n-prod", "n8n-staging", "crm"
+ *  - scopes (array, obligatorio) ej. ["solicitudes:create", "solicitudes:read"]
+ *  - descripcion (string, opcional)
+ *  - expiresAt (ISO string, opcional) sin expiración si no viene
+ *
+ * Responde con la key en claro: es la única vez que se puede ver.
+ */
+router.post('/api/tyc/api-keys', requireScope(SCOPES.API_KEYS_ADMIN), async (req, res) => {
+  const { cliente, scopes, descripcion, expiresAt } = req.body || {};
+
+  if (!cliente || typeof cliente !== 'string' || cliente.length > 100) {
+    return res.status(400).json({ ok: false, error: 'cliente es obligatorio (máx. 100 caracteres)' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ ok: false, error: 'scopes es obligatorio (arreglo con al menos un permiso)' });
+  }
+
+  const invalidos = scopes.filter((s) => !TODOS_LOS_SCOPES.includes(s));
+  if (invalidos.length > 0) {
+    return res.status(400).json({
+      ok: false,
+      error: `Scopes desconocidos: ${invalidos.join(', ')}. Válidos: ${TODOS_LOS_SCOPES.join(', ')}`
+    });
+  }
+
+  if (descripcion != null && typeof descripcion !== 'string') {
+    return res.status(400).json({ ok: false, error: 'descripcion debe ser texto' });
+  }
+
+  if (expiresAt != null) {
+    const fecha = new Date(expiresAt);
+    if (Number.isNaN(fecha.getTime()) || fecha <= new Date()) {
+      return res.status(400).json({ ok: false, error: 'expiresAt debe ser una fecha futura válida' });
+    }
+  }
+
+  try {
+    const { apiKey, key } = await crearApiKey({
+      cliente,
+      descripcion,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      creadoPor: req.apiCliente.cliente
+    });
+
+    console.log(`🔑 API key ${apiKey.keyId} creada para ${cliente} por ${req.apiCliente.cliente} (${apiKey.scopes.join(', ')})`);
+
+    return res.status(201).json({ ok: true, apiKey, key });
+  } catch (err) {
+    console.error('[ApiKeys] Error creando API key:', err);
+    return res.status(500).json({ ok: false, error: 'Error creando la API key' });
+  }
+});
+
+/**
+ * POST /api/tyc/api-keys/:keyId/revocar
+ *
+ * Revoca una API key. Deja de funcionar de inmediato y no se puede reactivar
+ * (se crea una nueva).
+ */
+router.post('/api/tyc/api-keys/:keyId/revocar', requireScope(SCOPES.API_KEYS_ADMIN), async (req, res) => {
+  try {
+    const apiKey = await revocarApiKey(req.params.keyId, { revocadoPor: req.apiCliente.cliente });
+
+    if (!apiKey) {
+      return res.status(404).json({ ok: false, error: 'API key no encontrada' });
+    }
+
+    console.log(`🔒 API key ${apiKey.keyId} (${apiKey.cliente}) revocada por ${req.apiCliente.cliente}`);
+
+    return res.json({ ok: true, apiKey });
+  } catch (err) {
+    console.error('[ApiKeys] Error revocando API key:', err);
+    return res.status(500).json({ ok: false, error: 'Error revocando la API key' });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,542 @@
+// arco.js
+const { pool, withTransaction } = require('./db');
+const {
+  STATES,
+  SOLICITUD_COLUMNS,
+  notificarCambio,
+  rowToSolicitud,
+  solicitudParaApi,
+  getSolicitudPorId
+} = require('./tycSolicitudes');
+const { TIPOS_EVENTO, ACTORES, registrarEvento, getLineaDeTiempo, eventoParaApi } = require('./tycAuditoria');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { listarCodigos, enmascararTelefono } = require('./otp');
+const { getFirma, firmaParaApi } = require('./firma');
+const { codigoVerificacion } = require('./constancia');
+
+/**
+ * Derechos ARCO del precliente (LFPDPPP; la cláusula 5 del contrato remite al aviso de privacidad).
+ *
+ *  - ACCESO: exportarDatos junta todo lo que guardamos de un preclienteId (solicitudes con su
+ *    metadata, IPs, user agents, evidencia de la aceptación, bitácora, códigos OTP enviados y
+ *    firma) en JSON, o un renglón por solicitud en CSV (exportacionCsv). Las solicitudes que la
+ *    retención ya archivó (tyc_solicitudes_archivo, ver retencion.js) van en "archivadas" con
+ *    todo lo que se guardó de ellas; solo en el JSON.
+ *  - REVOCACION: revocarConsentimiento revoca algunos consentimientos (códigos de
+ *    consentimientos.js) o todo el consentimiento, en las solicitudes aceptadas, y avisa a n8n
+ *    con TYC_CONSENTIMIENTO_REVOCADO.
+ *  - CANCELACION: anonimizarPrecliente borra los datos personales y deja la prueba de la
+ *    aceptación que no es personal.
+ *
+ * Al anonimizar:
+ *  - metadata: se quitan los campos personales (TYC_ARCO_CAMPOS_PERSONALES, separados por
+ *    coma; default CAMPOS_PERSONALES_DEFAULT)
+ *  - solicitud: IPs, cadena de IPs, user agents, comentario del rechazo, teléfono verificado y
+ *    nombre de la firma a NULL
+ *  - bitácora: ip, user_agent, datos_personales (nombre de la firma, comentario del rechazo) y
+ *    sal_datos a NULL (lo único que permite el trigger; la cadena de hashes sigue siendo válida).
+ *    El detalle de los eventos no se toca: lo cubre el hash (ahí solo quedan hashes con sal).
+ *    Excepción: los eventos escritos antes de la migración 019 guardan el nombre de la firma
+ *    (ACEPTADA, detalle.firma.nombre) y el comentario del rechazo (RECHAZADA, detalle.comentario)
+ *    en claro dentro de detalle; esos no se pueden anonimizar sin romper la cadena. Se cuentan
+ *    en eventosNoAnonimizables (también los del archivo) y la única forma de quitarlos es borrar
+ *    la cadena completa de la solicitud, como hace la retención, o su renglón del archivo
+ *    (ver migraciones/019_auditoria_datos_personales.sql)
+ *  - códigos OTP: el teléfono queda enmascarado ("•••1234")
+ *  - firma: se borra la imagen (tyc_firmas); en la solicitud queda su hash
+ *  - outbox de webhooks: se quitan otp.telefono, firma.nombre, rechazo.comentario y el teléfono
+ *    de los recordatorios (TYC_POR_EXPIRAR) de los payloads
+ *  - archivo (tyc_solicitudes_archivo): lo mismo dentro de datos (solicitud, bitácora, códigos
+ *    OTP, firma y webhooks) y datos.solicitud.anonymized_at queda puesto. La bitácora archivada ya
+ *    no recibe el evento ANONIMIZADA (su cadena quedó cerrada al archivarla)
+ * Se conservan fechas, documentos con sus hashes, consentimientos, hash de la firma y el código
+ * de verificación de la constancia (se guarda en codigo_constancia antes de borrar la IP).
+ * No se anonimiza mientras el precliente tenga una liga vigente (hay que cancelarla antes).
+ *
+ * Cada derecho atendido queda en tyc_derechos_arco (precliente_id, tipo, actor, cliente, detalle).
+ */
+
+const TIPOS_DERECHO = {
+  ACCESO: 'ACCESO',
+  REVOCACION: 'REVOCACION',
+  CANCELACION: 'CANCELACION'
+};
+
+const CAMPOS_PERSONALES_DEFAULT = ['whatsappNumero', 'telefono', 'nombre', 'email', 'correo', 'direccion'];
+
+function parseLista(valor) {
+  return String(valor || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+const configurados = parseLista(process.env.TYC_ARCO_CAMPOS_PERSONALES);
+const CAMPOS_PERSONALES = configurados.length > 0 ? configurados : CAMPOS_PERSONALES_DEFAULT;
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+/**
+ * Solicitudes de un precliente, de la más antigua a la más reciente.
+ * Con bloquear (dentro de una transacción) las toma con FOR UPDATE.
+ */
+async function solicitudesDePrecliente(preclienteId, db = pool, { bloquear = false } = {}) {
+  const r = await db.query(
+    `SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     WHERE precliente_id = $1
+     ORDER BY created_at ASC, tyc_solicitud_id ASC
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [preclienteId]
+  );
+
+  return r.rows.map(rowToSolicitud);
+}
+
+/**
+ * Solicitudes del precliente que la retención pasó a tyc_solicitudes_archivo.
+ * Con bloquear (dentro de una transacción) las toma con FOR UPDATE.
+ */
+async function archivadasDePrecliente(preclienteId, db = pool, { bloquear = false } = {}) {
+  const r = await db.query(
+    `SELECT tyc_solicitud_id, estado, created_at, archivada_at, datos
+     FROM tyc_solicitudes_archivo
+     WHERE precliente_id = $1
+     ORDER BY created_at ASC, tyc_solicitud_id ASC
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [preclienteId]
+  );
+
+  return r.rows.map((row) => ({
+    tycSolicitudId: row.tyc_solicitud_id,
+    estado: row.estado,
+    createdAt: toIso(row.created_at),
+    archivadaAt: toIso(row.archivada_at),
+    datos: row.datos
+  }));
+}
+
+async function registrarDerecho(db, { preclienteId, tipo, actor, cliente, detalle }) {
+  await db.query(
+    `INSERT INTO tyc_derechos_arco (precliente_id, tipo, actor, cliente, detalle, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [preclienteId, tipo, actor || ACTORES.API, cliente || null, detalle || {}]
+  );
+}
+
+/**
+ * Derechos ARCO atendidos para un precliente, en orden.
+ */
+async function listarDerechos(preclienteId, db = pool) {
+  const r = await db.query(
+    `SELECT id, tipo, actor, cliente, detalle, created_at
+     FROM tyc_derechos_arco
+     WHERE precliente_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [preclienteId]
+  );
+
+  return r.rows.map((row) => ({
+    id: Number(row.id),
+    tipo: row.tipo,
+    actor: row.actor,
+    cliente: row.cliente,
+    detalle: row.detalle,
+    createdAt: toIso(row.created_at)
+  }));
+}
+
+/**
+ * ACCESO: todo lo que tenemos de un precliente. Regresa null si no tiene solicitudes
+ * (ni vivas ni archivadas). Queda registrado en tyc_derechos_arco.
+ */
+async function exportarDatos(preclienteId, { actor, cliente } = {}) {
+  const [solicitudes, archivadas] = await Promise.all([
+    solicitudesDePrecliente(preclienteId),
+    archivadasDePrecliente(preclienteId)
+  ]);
+  if (solicitudes.length === 0 && archivadas.length === 0) return null;
+
+  const detalle = [];
+  for (const solicitud of solicitudes) {
+    const [eventos, codigosOtp, firma] = await Promise.all([
+      getLineaDeTiempo(solicitud.tycSolicitudId),
+      listarCodigos(solicitud.tycSolicitudId),
+      solicitud.firmaHash ? getFirma(solicitud.tycSolicitudId) : null
+    ]);
+
+    detalle.push({
+      ...solicitudParaApi(solicitud),
+      codigoConstancia: solicitud.acceptedAt ? codigoVerificacion(solicitud) : null,
+      firma: firma ? { ...firmaParaApi(firma), imagen: `data:${firma.mime};base64,${firma.imagen.toString('base64')}` } : null,
+      codigosOtp,
+      auditoria: eventos.map(eventoParaApi)
+    });
+  }
+
+  await registrarDerecho(pool, {
+    preclienteId,
+    tipo: TIPOS_DERECHO.ACCESO,
+    actor,
+    cliente,
+    detalle: { solicitudes: solicitudes.length, archivadas: archivadas.length }
+  });
+
+  return {
+    preclienteId,
+    generadaAt: new Date().toISOString(),
+    solicitudes: detalle,
+    archivadas,
+    derechosArco: await listarDerechos(preclienteId)
+  };
+}
+
+const COLUMNAS_CSV = [
+  ['tycSolicitudId', (s) => s.tycSolicitudId],
+  ['estado', (s) => s.estado],
+  ['canal', (s) => s.canal],
+  ['producto', (s) => s.producto],
+  ['createdAt', (s) => s.createdAt],
+  ['openedAt', (s) => s.openedAt],
+  ['documento', (s) => (s.documentoId ? `${s.documentoId} v${s.documentoVersion}` : null)],
+  ['documentoHash', (s) => s.acceptedDocumentoHash || s.documentoHash],
+  ['documentosAdicionales', (s) => s.documentosAdicionales.map((d) => `${d.documentoId} v${d.version}`).join('; ')],
+  ['acceptedAt', (s) => s.acceptedAt],
+  ['acceptedIp', (s) => s.acceptedIp],
+  ['acceptedIpCadena', (s) => (s.acceptedIpCadena || []).join(' ')],
+  ['acceptedUserAgent', (s) => s.acceptedUserAgent],
+  ['acceptedIdioma', (s) => s.acceptedIdioma],
+  ['otpTelefono', (s) => s.otpTelefono],
+  ['otpVerifiedAt', (s) => s.otpVerifiedAt],
+  ['firmaNombre', (s) => s.firmaNombre],
+  ['firmaHash', (s) => s.firmaHash],
+  ['consentimientos', (s) => s.consentimientos
+    .map((c) => `${c.codigo}=${c.revocadoAt ? 'revocado' : c.otorgado === null ? 'sin respuesta' : c.otorgado ? 'otorgado' : 'no otorgado'}`)
+    .join('; ')],
+  ['rejectedAt', (s) => s.rejectedAt],
+  ['rejectedIp', (s) => s.rejectedIp],
+  ['rejectionReason', (s) => s.rejectionReason],
+  ['rejectionComment', (s) => s.rejectionComment],
+  ['cancelledAt', (s) => s.cancelledAt],
+  ['revokedAt', (s) => s.revokedAt],
+  ['anonymizedAt', (s) => s.anonymizedAt],
+  ['codigoConstancia', (s) => s.codigoConstancia],
+  ['metadata', (s) => JSON.stringify(s.metadata || {})]
+];
+
+/**
+ * Valor para una celda de CSV. Lo que empieza con = + - @ se antepone con ' para que
+ * una hoja de cálculo no lo tome como fórmula (metadata y comentarios los escribe alguien).
+ */
+function celdaCsv(valor) {
+  if (valor == null) return '';
+  let texto = String(valor);
+  if (/^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * CSV (un renglón por solicitud) de lo que regresó exportarDatos. Las archivadas no
+ * tienen la forma de una solicitud viva y solo van en el JSON.
+ */
+function exportacionCsv(exportacion) {
+  const renglones = [COLUMNAS_CSV.map(([nombre]) => nombre).join(',')];
+  for (const solicitud of exportacion.solicitudes) {
+    renglones.push(COLUMNAS_CSV.map(([, valor]) => celdaCsv(valor(solicitud))).join(','));
+  }
+  return `${renglones.join('\r\n')}\r\n`;
+}
+
+/**
+ * REVOCACION: revoca consentimientos en las solicitudes aceptadas del precliente.
+ *
+ * datos:
+ *  - consentimientos: códigos a revocar; sin ellos es revocación total (todos los
+ *    consentimientos otorgados y la solicitud queda con revoked_at)
+ *  - motivo, actor, cliente
+ *
+ * Por cada solicitud afectada: evento CONSENTIMIENTO_REVOCADO en la bitácora y
+ * TYC_CONSENTIMIENTO_REVOCADO en el outbox, en la misma transacción.
+ * Regresa null si el precliente no tiene solicitudes, si no { solicitudes } con las que
+ * cambiaron (vacío si no había nada que revocar).
+ */
+async function revocarConsentimiento(preclienteId, { consentimientos, motivo, actor, cliente } = {}) {
+  return withTransaction(async (client) => {
+    const todas = await solicitudesDePrecliente(preclienteId, client, { bloquear: true });
+    if (todas.length === 0) return null;
+
+    const total = !consentimientos;
+    const revocadas = [];
+
+    for (const solicitud of todas.filter((s) => s.acceptedAt)) {
+      const codigos = solicitud.consentimientos
+        .filter((c) => c.otorgado && !c.revocadoAt && (total || consentimientos.includes(c.codigo)))
+        .map((c) => c.codigo);
+
+      if (codigos.length === 0 && (!total || solicitud.revokedAt)) continue;
+
+      if (codigos.length > 0) {
+        await client.query(
+          `UPDATE tyc_solicitud_consentimientos
+           SET revocado_at = NOW()
+           WHERE tyc_solicitud_id = $1
+             AND codigo = ANY($2::text[])`,
+          [solicitud.tycSolicitudId, codigos]
+        );
+      }
+
+      if (total) {
+        await client.query(
+          `UPDATE tyc_solicitudes
+           SET revoked_at = COALESCE(revoked_at, NOW()),
+               revocation_reason = COALESCE(revocation_reason, $2)
+           WHERE tyc_solicitud_id = $1`,
+          [solicitud.tycSolicitudId, motivo || null]
+        );
+      }
+
+      const actualizada = await getSolicitudPorId(solicitud.tycSolicitudId, client);
+
+      await registrarEvento(client, {
+        tycSolicitudId: actualizada.tycSolicitudId,
+        tipo: TIPOS_EVENTO.CONSENTIMIENTO_REVOCADO,
+        estado: actualizada.estado,
+        actor: actor || ACTORES.API,
+        detalle: { total, consentimientos: codigos, motivo: motivo || null }
+      });
+      await notificarCambio(client, actualizada.tycSolicitudId);
+      await enqueueWebhook(client, actualizada, 'TYC_CONSENTIMIENTO_REVOCADO');
+
+      revocadas.push(actualizada);
+    }
+
+    if (revocadas.length > 0) {
+      await registrarDerecho(client, {
+        preclienteId,
+        tipo: TIPOS_DERECHO.REVOCACION,
+        actor,
+        cliente,
+        detalle: {
+          total,
+          consentimientos: consentimientos || null,
+          motivo: motivo || null,
+          solicitudes: revocadas.map((s) => s.tycSolicitudId)
+        }
+      });
+    }
+
+    return { solicitudes: revocadas };
+  });
+}
+
+/**
+ * Liga que el cliente todavía puede usar (no se anonimiza con una de estas abierta).
+ */
+function ligaVigente(solicitud) {
+  return (solicitud.estado === STATES.CREADA || solicitud.estado === STATES.ABIERTA) &&
+    !solicitud.supersededBy &&
+    new Date(solicitud.expiresAt) > new Date();
+}
+
+// Igual que lo que se quita de los payloads del outbox en anonimizarPrecliente
+const RUTAS_PAYLOAD_PERSONALES = [
+  ['otp', 'telefono'],
+  ['firma', 'nombre'],
+  ['rechazo', 'comentario'],
+  ['recordatorio', 'telefono'],
+  ['recordatorio', 'telefonoDigits']
+];
+
+function sinRutasPersonales(payload) {
+  const copia = structuredClone(payload || {});
+  for (const [grupo, campo] of RUTAS_PAYLOAD_PERSONALES) {
+    if (copia[grupo] && typeof copia[grupo] === 'object') delete copia[grupo][campo];
+  }
+  return copia;
+}
+
+/**
+ * datos de tyc_solicitudes_archivo (ver retencion.js) sin lo personal: lo mismo que
+ * anonimizarPrecliente borra de las tablas vivas.
+ */
+function anonimizarArchivada(datos) {
+  const s = datos.solicitud;
+  // to_jsonb deja las fechas como texto; el código se calcula con la fecha como la lee pg
+  const codigoConstancia = s.codigo_constancia ||
+    (s.accepted_at ? codigoVerificacion(rowToSolicitud({ ...s, accepted_at: new Date(s.accepted_at) })) : null);
+
+  return {
+    ...datos,
+    solicitud: {
+      ...s,
+      metadata: Object.fromEntries(Object.entries(s.metadata || {}).filter(([campo]) => !CAMPOS_PERSONALES.includes(campo))),
+      accepted_ip: null,
+      accepted_ip_cadena: null,
+      accepted_user_agent: null,
+      rejected_ip: null,
+      rejected_user_agent: null,
+      rejection_comment: null,
+      otp_telefono: null,
+      firma_nombre: null,
+      codigo_constancia: codigoConstancia,
+      anonymized_at: new Date().toISOString()
+    },
+    auditoria: (datos.auditoria || []).map((evento) => ({
+      ...evento,
+      ip: null,
+      user_agent: null,
+      datos_personales: null,
+      sal_datos: null
+    })),
+    otpCodigos: (datos.otpCodigos || []).map((codigo) => ({
+      ...codigo,
+      telefono: codigo.telefono && !codigo.telefono.startsWith('•••') ? enmascararTelefono(codigo.telefono) : codigo.telefono
+    })),
+    firma: null,
+    webhooks: (datos.webhooks || []).map((webhook) => ({ ...webhook, payload: sinRutasPersonales(webhook.payload) }))
+  };
+}
+
+/**
+ * CANCELACION: anonimiza los datos personales del precliente (ver arriba qué se borra),
+ * también en las solicitudes que ya se archivaron.
+ *
+ * Regresa null si no tiene solicitudes (ni vivas ni archivadas); { vigentes } (ids) si tiene
+ * ligas vigentes y no se hizo nada; si no { solicitudes (ids anonimizadas), archivadas (ids
+ * anonimizadas en el archivo), eventosAuditoria (renglones limpiados), eventosNoAnonimizables
+ * (eventos anteriores a la migración 019 con datos personales en detalle, ver arriba) }.
+ * Las que ya estaban anonimizadas no se vuelven a tocar.
+ */
+async function anonimizarPrecliente(preclienteId, { motivo, actor, cliente } = {}) {
+  return withTransaction(async (client) => {
+    const todas = await solicitudesDePrecliente(preclienteId, client, { bloquear: true });
+    const archivadas = await archivadasDePrecliente(preclienteId, client, { bloquear: true });
+    if (todas.length === 0 && archivadas.length === 0) return null;
+
+    const vigentes = todas.filter(ligaVigente).map((s) => s.tycSolicitudId);
+    if (vigentes.length > 0) return { vigentes };
+
+    const anonimizadas = [];
+    let eventosAuditoria = 0;
+
+    for (const solicitud of todas.filter((s) => !s.anonymizedAt)) {
+      const id = solicitud.tycSolicitudId;
+      const camposMetadata = Object.keys(solicitud.metadata).filter((campo) => CAMPOS_PERSONALES.includes(campo));
+
+      await client.query(
+        `UPDATE tyc_solicitudes
+         SET metadata = metadata - $2::text[],
+             accepted_ip = NULL,
+             accepted_ip_cadena = NULL,
+             accepted_user_agent = NULL,
+             rejected_ip = NULL,
+             rejected_user_agent = NULL,
+             rejection_comment = NULL,
+             otp_telefono = NULL,
+             firma_nombre = NULL,
+             codigo_constancia = COALESCE(codigo_constancia, $3),
+             anonymized_at = NOW()
+         WHERE tyc_solicitud_id = $1`,
+        [id, CAMPOS_PERSONALES, solicitud.acceptedAt ? codigoVerificacion(solicitud) : null]
+      );
+
+      const auditoria = await client.query(
+        `UPDATE tyc_auditoria
+         SET ip = NULL,
+             user_agent = NULL,
+             datos_personales = NULL,
+             sal_datos = NULL
+         WHERE tyc_solicitud_id = $1
+           AND (ip IS NOT NULL OR user_agent IS NOT NULL OR datos_personales IS NOT NULL OR sal_datos IS NOT NULL)`,
+        [id]
+      );
+      eventosAuditoria += auditoria.rowCount;
+
+      // Igual que otp.enmascararTelefono
+      await client.query(
+        `UPDATE tyc_otp_codigos
+         SET telefono = '•••' || RIGHT(telefono, 4)
+         WHERE tyc_solicitud_id = $1
+           AND telefono NOT LIKE '•••%'`,
+        [id]
+      );
+
+      await client.query('DELETE FROM tyc_firmas WHERE tyc_solicitud_id = $1', [id]);
+
+      await client.query(
+        `UPDATE tyc_webhook_outbox
+         SET payload = payload #- '{otp,telefono}' #- '{firma,nombre}' #- '{rechazo,comentario}'
+                               #- '{recordatorio,telefono}' #- '{recordatorio,telefonoDigits}',
+             updated_at = NOW()
+         WHERE tyc_solicitud_id = $1
+           AND (payload #> '{otp,telefono}' IS NOT NULL
+                OR payload #> '{firma,nombre}' IS NOT NULL
+                OR payload #> '{rechazo,comentario}' IS NOT NULL
+                OR payload #> '{recordatorio,telefono}' IS NOT NULL)`,
+        [id]
+      );
+
+      await registrarEvento(client, {
+        tycSolicitudId: id,
+        tipo: TIPOS_EVENTO.ANONIMIZADA,
+        estado: solicitud.estado,
+        actor: actor || ACTORES.API,
+        detalle: { motivo: motivo || null, camposMetadata }
+      });
+      await notificarCambio(client, id);
+
+      anonimizadas.push(id);
+    }
+
+    // Van en detalle y los cubre el hash: no se pueden limpiar (ver arriba)
+    const noAnonimizables = await client.query(
+      `SELECT COUNT(*)::int AS total
+       FROM tyc_auditoria
+       WHERE tyc_solicitud_id = ANY($1::text[])
+         AND (detalle #> '{firma,nombre}' IS NOT NULL
+              OR (tipo = $2 AND detalle ->> 'comentario' IS NOT NULL))`,
+      [todas.map((s) => s.tycSolicitudId), TIPOS_EVENTO.RECHAZADA]
+    );
+    const eventosNoAnonimizables = noAnonimizables.rows[0].total + archivadas
+      .flatMap((a) => a.datos.auditoria || [])
+      .filter((e) => e.detalle?.firma?.nombre != null || (e.tipo === TIPOS_EVENTO.RECHAZADA && e.detalle?.comentario != null))
+      .length;
+    if (eventosNoAnonimizables > 0) {
+      console.warn(`⚠️ [ARCO] Precliente ${preclienteId}: ${eventosNoAnonimizables} evento(s) de la bitácora anteriores a la migración 019 conservan datos personales en detalle`);
+    }
+
+    const archivadasAnonimizadas = [];
+    for (const archivada of archivadas.filter((a) => !a.datos.solicitud?.anonymized_at)) {
+      await client.query(
+        'UPDATE tyc_solicitudes_archivo SET datos = $2 WHERE tyc_solicitud_id = $1',
+        [archivada.tycSolicitudId, anonimizarArchivada(archivada.datos)]
+      );
+      archivadasAnonimizadas.push(archivada.tycSolicitudId);
+    }
+
+    if (anonimizadas.length > 0 || archivadasAnonimizadas.length > 0) {
+      await registrarDerecho(client, {
+        preclienteId,
+        tipo: TIPOS_DERECHO.CANCELACION,
+        actor,
+        cliente,
+        detalle: { motivo: motivo || null, solicitudes: anonimizadas, archivadas: archivadasAnonimizadas }
+      });
+    }
+
+    return { solicitudes: anonimizadas, archivadas: archivadasAnonimizadas, eventosAuditoria, eventosNoAnonimizables };
+  });
+}
+
+module.exports = {
+  TIPOS_DERECHO,
+  CAMPOS_PERSONALES,
+  exportarDatos,
+  exportacionCsv,
+  listarDerechos,
+  revocarConsentimiento,
+  anonimizarPrecliente
+};
@@ -0,0 +1,217 @@
+// arcoRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const {
+  exportarDatos,
+  exportacionCsv,
+  listarDerechos,
+  revocarConsentimiento,
+  anonimizarPrecliente
+} = require('./arco');
+const { solicitudesRepo } = require('./solicitudesRepo');
+
+const router = express.Router();
+
+const MAX_MOTIVO = 500;
+
+/**
+ * actor y motivo del body (opcionales, texto).
+ */
+function actorYMotivo(body) {
+  const { actor, motivo } = body || {};
+
+  if (actor != null && typeof actor !== 'string') return { error: 'actor debe ser texto' };
+  if (motivo != null && (typeof motivo !== 'string' || motivo.length > MAX_MOTIVO)) {
+    return { error: `motivo debe ser texto de máximo ${MAX_MOTIVO} caracteres` };
+  }
+
+  return { actor: actor || null, motivo: motivo ? motivo.trim() : null };
+}
+
+/**
+ * GET /api/tyc/preclientes/:preclienteId/datos
+ *
+ * Derecho de ACCESO: todo lo que guardamos del precliente (ver arco.js).
+ * Con ?formato=csv regresa un renglón por solicitud; si no, JSON con las solicitudes
+ * (metadata, IPs, evidencia de la aceptación, firma, códigos OTP, bitácora) y los
+ * derechos ARCO atendidos. Se manda como archivo y queda registrado.
+ */
+router.get('/api/tyc/preclientes/:preclienteId/datos', requireScope(SCOPES.DATOS_PERSONALES), async (req, res) => {
+  const { preclienteId } = req.params;
+  const csv = req.query.formato === 'csv';
+
+  try {
+    const exportacion = await exportarDatos(preclienteId, {
+      actor: (typeof req.query.actor === 'string' && req.query.actor) || req.apiCliente.cliente,
+      cliente: req.apiCliente.cliente
+    });
+
+    if (!exportacion) {
+      return res.status(404).json({ ok: false, error: 'El precliente no tiene solicitudes' });
+    }
+
+    console.log(`📦 Datos del precliente ${preclienteId} exportados (${exportacion.solicitudes.length} solicitudes) por ${req.apiCliente.cliente}`);
+
+    const archivo = `datos-${preclienteId.replace(/[^\w.-]/g, '_')}.${csv ? 'csv' : 'json'}`;
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Disposition', `attachment; filename="${archivo}"`);
+
+    if (csv) {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(exportacionCsv(exportacion));
+    }
+
+    return res.json({ ok: true, ...exportacion });
+  } catch (err) {
+    console.error('[TyC] Error exportando datos del precliente:', err);
+    return res.status(500).json({ ok: false, error: 'Error exportando los datos del precliente' });
+  }
+});
+
+/**
+ * GET /api/tyc/preclientes/:preclienteId/derechos-arco
+ *
+ * Derechos ARCO atendidos para el precliente (exportaciones, revocaciones, anonimización).
+ */
+router.get('/api/tyc/preclientes/:preclienteId/derechos-arco', requireScope(SCOPES.DATOS_PERSONALES), async (req, res) => {
+  try {
+    const derechos = await listarDerechos(req.params.preclienteId);
+    return res.json({ ok: true, preclienteId: req.params.preclienteId, total: derechos.length, derechos });
+  } catch (err) {
+    console.error('[TyC] Error consultando derechos ARCO:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando los derechos ARCO' });
+  }
+});
+
+/**
+ * POST /api/tyc/preclientes/:preclienteId/revocacion
+ *
+ * Revocación del consentimiento en las solicitudes aceptadas del precliente.
+ * Recibe:
+ *  - consentimientos (array de códigos, opcional) solo esos; sin él se revoca todo
+ *    (todos los consentimientos otorgados y la aceptación queda con revokedAt)
+ *  - motivo (string, opcional), actor (string, opcional)
+ *
+ * Encola TYC_CONSENTIMIENTO_REVOCADO por cada solicitud afectada.
+ * Responde 409 si no había nada que revocar.
+ */
+router.post('/api/tyc/preclientes/:preclienteId/revocacion', requireScope(SCOPES.DATOS_PERSONALES), async (req, res) => {
+  const { preclienteId } = req.params;
+  const { consentimientos } = req.body || {};
+
+  const datos = actorYMotivo(req.body);
+  if (datos.error) {
+    return res.status(400).json({ ok: false, error: datos.error });
+  }
+
+  if (consentimientos != null && (
+    !Array.isArray(consentimientos) ||
+    consentimientos.length === 0 ||
+    consentimientos.some((c) => typeof c !== 'string' || !c)
+  )) {
+    return res.status(400).json({ ok: false, error: 'consentimientos debe ser una lista de códigos' });
+  }
+
+  try {
+    const resultado = await revocarConsentimiento(preclienteId, {
+      consentimientos: consentimientos ? consentimientos.map((c) => c.trim().toUpperCase()) : null,
+      motivo: datos.motivo,
+      actor: datos.actor || req.apiCliente.cliente,
+      cliente: req.apiCliente.cliente
+    });
+
+    if (!resultado) {
+      return res.status(404).json({ ok: false, error: 'El precliente no tiene solicitudes' });
+    }
+
+    if (resultado.solicitudes.length === 0) {
+      return res.status(409).json({ ok: false, error: 'No hay consentimientos otorgados que revocar' });
+    }
+
+    for (const solicitud of resultado.solicitudes) {
+      solicitudesRepo.invalidar(solicitud.tycSolicitudId);
+    }
+
+    console.log(`🚫 Consentimiento revocado para ${preclienteId} en ${resultado.solicitudes.length} solicitud(es)`);
+
+    return res.json({
+      ok: true,
+      preclienteId,
+      solicitudes: resultado.solicitudes.map((s) => ({
+        tycSolicitudId: s.tycSolicitudId,
+        revokedAt: s.revokedAt,
+        consentimientos: s.consentimientos.map((c) => ({
+          codigo: c.codigo,
+          obligatorio: c.obligatorio,
+          otorgado: c.otorgado,
+          revocadoAt: c.revocadoAt
+        }))
+      }))
+    });
+  } catch (err) {
+    console.error('[TyC] Error revocando consentimiento:', err);
+    return res.status(500).json({ ok: false, error: 'Error revocando el consentimiento' });
+  }
+});
+
+/**
+ * POST /api/tyc/preclientes/:preclienteId/anonimizar
+ *
+ * Derecho de CANCELACION: borra los datos personales del precliente (teléfonos y demás
+ * campos personales de metadata, IPs, user agents, firma), también en sus solicitudes
+ * archivadas, y conserva la prueba de la aceptación que no es personal (ver arco.js).
+ * Recibe: motivo (string, opcional), actor (string, opcional)
+ *
+ * Responde 409 si tiene ligas vigentes (hay que cancelarlas antes).
+ */
+router.post('/api/tyc/preclientes/:preclienteId/anonimizar', requireScope(SCOPES.DATOS_PERSONALES), async (req, res) => {
+  const { preclienteId } = req.params;
+
+  const datos = actorYMotivo(req.body);
+  if (datos.error) {
+    return res.status(400).json({ ok: false, error: datos.error });
+  }
+
+  try {
+    const resultado = await anonimizarPrecliente(preclienteId, {
+      motivo: datos.motivo,
+      actor: datos.actor || req.apiCliente.cliente,
+      cliente: req.apiCliente.cliente
+    });
+
+    if (!resultado) {
+      return res.status(404).json({ ok: false, error: 'El precliente no tiene solicitudes' });
+    }
+
+    if (resultado.vigentes) {
+      return res.status(409).json({
+        ok: false,
+        vigentes: resultado.vigentes,
+        error: 'El precliente tiene ligas vigentes; cancélalas antes de anonimizar'
+      });
+    }
+
+    for (const id of resultado.solicitudes) {
+      solicitudesRepo.invalidar(id);
+    }
+
+    console.log(`🧹 Precliente ${preclienteId} anonimizado (${resultado.solicitudes.length} solicitudes, ${resultado.archivadas.length} archivadas)`);
+
+    return res.json({
+      ok: true,
+      preclienteId,
+      solicitudes: resultado.solicitudes,
+      archivadas: resultado.archivadas,
+      eventosAuditoria: resultado.eventosAuditoria,
+      eventosNoAnonimizables: resultado.eventosNoAnonimizables
+    });
+  } catch (err) {
+    console.error('[TyC] Error anonimizando precliente:', err);
+    return res.status(500).json({ ok: false, error: 'Error anonimizando los datos del precliente' });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,154 @@
+// consentimientos.js
+const { parseMotivos } = require('./motivosRechazo');
+const { etiquetaConsentimiento } = require('./i18n');
+
+/**
+ * Consentimientos que se le piden al cliente por separado en la página del contrato
+ * (casillas debajo de los documentos), ej. recibir promociones o compartir la ubicación
+ * con aseguradoras.
+ *
+ * El catálogo se configura con TYC_CONSENTIMIENTOS en el mismo formato que
+ * TYC_MOTIVOS_RECHAZO ("CODIGO:Etiqueta;..."). Si no está definida se usan los de
+ * DEFAULT_CONSENTIMIENTOS. Las etiquetas en otros idiomas van en i18n/ (consentimientos.CODIGO).
+ *
+ * Cada solicitud declara cuáles pide y si son obligatorios (POST /api/tyc/solicitudes):
+ *   consentimientos: ["MARKETING", { codigo: "DATOS_PERSONALES", obligatorio: true }]
+ * Un obligatorio sin marcar impide aceptar; uno opcional sin marcar se registra como no otorgado.
+ *
+ * Tabla tyc_solicitud_consentimientos (uno por consentimiento de la solicitud):
+ *  - tyc_solicitud_id, codigo (pk), orden, obligatorio
+ *  - otorgado (null hasta que acepta), etiqueta e idioma del texto que vio, respondido_at
+ */
+
+const DEFAULT_CONSENTIMIENTOS = [
+  { codigo: 'DATOS_PERSONALES', etiqueta: 'Autorizo el tratamiento de mis datos personales conforme al aviso de privacidad' },
+  { codigo: 'MARKETING', etiqueta: 'Acepto recibir promociones y novedades por WhatsApp, SMS o correo electrónico' },
+  { codigo: 'UBICACION_ASEGURADORAS', etiqueta: 'Autorizo compartir la ubicación de mi vehículo con aseguradoras en caso de siniestro' }
+];
+
+// Máximo de consentimientos por solicitud
+const MAX_CONSENTIMIENTOS = 20;
+
+const configurados = parseMotivos(process.env.TYC_CONSENTIMIENTOS);
+const CONSENTIMIENTOS = configurados.length > 0 ? configurados : DEFAULT_CONSENTIMIENTOS;
+
+/**
+ * Busca un consentimiento del catálogo por código. Regresa null si no está.
+ */
+function getConsentimiento(codigo) {
+  if (!codigo) return null;
+  const buscado = String(codigo).trim().toUpperCase();
+  return CONSENTIMIENTOS.find((c) => c.codigo === buscado) || null;
+}
+
+/**
+ * Agrega a cada consentimiento de la lista su etiqueta en el idioma indicado
+ * (si ya no está en el catálogo se muestra el código).
+ */
+function conEtiquetas(lista, idioma) {
+  return lista.map((c) => ({
+    ...c,
+    etiqueta: etiquetaConsentimiento(idioma, getConsentimiento(c.codigo) || { codigo: c.codigo, etiqueta: c.codigo })
+  }));
+}
+
+/**
+ * Valida los consentimientos que pide una solicitud nueva.
+ * Regresa { ok: true, consentimientos: [{ codigo, obligatorio }] } o { ok: false, error }.
+ */
+function validarConsentimientosSolicitud(valor) {
+  if (valor == null) return { ok: true, consentimientos: [] };
+
+  if (!Array.isArray(valor) || valor.length > MAX_CONSENTIMIENTOS) {
+    return { ok: false, error: `consentimientos debe ser una lista de máximo ${MAX_CONSENTIMIENTOS} elementos` };
+  }
+
+  const consentimientos = [];
+  for (const item of valor) {
+    const codigo = typeof item === 'string' ? item : item?.codigo;
+    const obligatorio = typeof item === 'object' && item !== null ? item.obligatorio ?? false : false;
+
+    const consentimiento = getConsentimiento(codigo);
+    if (!consentimiento) {
+      return {
+        ok: false,
+        error: `consentimiento desconocido "${codigo}"; debe ser uno de: ${CONSENTIMIENTOS.map((c) => c.codigo).join(', ')}`
+      };
+    }
+    if (typeof obligatorio !== 'boolean') {
+      return { ok: false, error: `consentimientos: obligatorio de ${consentimiento.codigo} debe ser true o false` };
+    }
+    if (consentimientos.some((c) => c.codigo === consentimiento.codigo)) {
+      return { ok: false, error: `consentimiento repetido ${consentimiento.codigo}` };
+    }
+
+    consentimientos.push({ codigo: consentimiento.codigo, obligatorio });
+  }
+
+  return { ok: true, consentimientos };
+}
+
+/**
+ * Respuestas del cliente al aceptar. `marcados` es lo que manda la página:
+ * { CODIGO: true/false }. Lo que no venga cuenta como no otorgado.
+ *
+ * Regresa { ok: true, respuestas: [{ codigo, obligatorio, otorgado }] } o
+ * { ok: false, faltante } con el primer obligatorio sin otorgar.
+ */
+function respuestasDeAceptacion(solicitud, marcados) {
+  const valores = marcados && typeof marcados === 'object' && !Array.isArray(marcados) ? marcados : {};
+
+  const respuestas = (solicitud.consentimientos || []).map((c) => ({
+    codigo: c.codigo,
+    obligatorio: c.obligatorio,
+    otorgado: valores[c.codigo] === true
+  }));
+
+  const faltante = respuestas.find((r) => r.obligatorio && !r.otorgado);
+  if (faltante) return { ok: false, faltante };
+
+  return { ok: true, respuestas };
+}
+
+/**
+ * Guarda los consentimientos de una solicitud nueva (con el client de su transacción).
+ */
+async function guardarConsentimientos(db, tycSolicitudId, consentimientos) {
+  for (const [i, c] of consentimientos.entries()) {
+    await db.query(
+      `INSERT INTO tyc_solicitud_consentimientos (tyc_solicitud_id, orden, codigo, obligatorio)
+       VALUES ($1, $2, $3, $4)`,
+      [tycSolicitudId, i + 1, c.codigo, c.obligatorio]
+    );
+  }
+}
+
+/**
+ * Guarda la respuesta a cada consentimiento al aceptar (con el client de la transacción
+ * de la aceptación). `respuestas` trae además la etiqueta que se mostró.
+ */
+async function registrarRespuestas(db, tycSolicitudId, respuestas, idioma) {
+  for (const r of respuestas) {
+    await db.query(
+      `UPDATE tyc_solicitud_consentimientos
+       SET otorgado = $3,
+           etiqueta = $4,
+           idioma = $5,
+           respondido_at = NOW()
+       WHERE tyc_solicitud_id = $1
+         AND codigo = $2`,
+      [tycSolicitudId, r.codigo, r.otorgado, r.etiqueta, idioma]
+    );
+  }
+}
+
+module.exports = {
+  CONSENTIMIENTOS,
+  MAX_CONSENTIMIENTOS,
+  getConsentimiento,
+  conEtiquetas,
+  validarConsentimientosSolicitud,
+  respuestasDeAceptacion,
+  guardarConsentimientos,
+  registrarRespuestas
+};
@@ -0,0 +1,223 @@
+// constancia.js
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { getMarca } = require('./marcas');
+const { getFirma } = require('./firma');
+const { getDocumentosAdicionales } = require('./tycDocumentos');
+
+/**
+ * Constancia de aceptación (PDF) para una solicitud ACEPTADA.
+ *
+ * Incluye el texto completo de los documentos aceptados, los datos de la aceptación
+ * (precliente, solicitud, fecha, IP, user agent, hash de cada documento, respuesta a
+ * cada consentimiento) y un código
+ * de verificación: HMAC-SHA256 de esos datos con CONSTANCIA_SECRET, así cualquiera
+ * con acceso interno puede comprobar que una constancia impresa no fue alterada.
+ *
+ * En producción CONSTANCIA_SECRET es obligatorio (assertConstanciaConfig, al arrancar);
+ * en desarrollo, sin él, se usa INTERNAL_API_SECRET o un secreto de desarrollo.
+ */
+
+const DEV_SECRET = 'dev_constancia_secret_no_usar_en_produccion';
+
+function getConstanciaSecret(env = process.env) {
+  return env.CONSTANCIA_SECRET || env.INTERNAL_API_SECRET || DEV_SECRET;
+}
+
+/**
+ * Se llama al arrancar. En producción no se permite arrancar sin un secreto real.
+ */
+function assertConstanciaConfig(env = process.env) {
+  const isProd = env.NODE_ENV === 'production';
+
+  if (!env.CONSTANCIA_SECRET) {
+    if (isProd) {
+      throw new Error('CONSTANCIA_SECRET es obligatorio en producción (firma las constancias y los expedientes de evidencia)');
+    }
+    console.warn('⚠️ CONSTANCIA_SECRET no está configurada, las constancias y los expedientes de evidencia se firman con INTERNAL_API_SECRET (o un secreto de desarrollo).');
+    return;
+  }
+
+  if (isProd && env.CONSTANCIA_SECRET.length < 32) {
+    throw new Error('CONSTANCIA_SECRET es demasiado corto (mínimo 32 caracteres en producción)');
+  }
+}
+
+/**
+ * Código de verificación de la constancia (ej. "3F9A-0C12-7B44-E1D0").
+ * Depende solo de datos que ya no cambian después de la aceptación; al anonimizar
+ * (se borra la IP) se guarda antes en codigo_constancia para que siga valiendo.
+ */
+function codigoVerificacion(solicitud) {
+  if (solicitud.codigoConstancia) return solicitud.codigoConstancia;
+
+  const base = [
+    solicitud.tycSolicitudId,
+    solicitud.preclienteId,
+    solicitud.acceptedAt,
+    solicitud.acceptedIp || '',
+    solicitud.acceptedDocumentoHash || solicitud.documentoHash || ''
+  ].join('|');
+
+  const hex = crypto
+    .createHmac('sha256', getConstanciaSecret())
+    .update(base)
+    .digest('hex')
+    .slice(0, 16)
+    .toUpperCase();
+
+  return hex.match(/.{4}/g).join('-');
+}
+
+/**
+ * Compara (en tiempo constante) un código contra el que corresponde a la solicitud.
+ */
+function verificarCodigo(solicitud, codigo) {
+  const esperado = Buffer.from(codigoVerificacion(solicitud));
+  const recibido = Buffer.from(String(codigo || '').trim().toUpperCase());
+  return esperado.length === recibido.length && crypto.timingSafeEqual(esperado, recibido);
+}
+
+/**
+ * Convierte el HTML del documento a texto plano para el PDF.
+ */
+function htmlATexto(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<\/(li|h[1-6]|div)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Genera el PDF de la constancia. Resuelve con un Buffer.
+ *
+ * @param {object} solicitud - solicitud ACEPTADA (formato de tycSolicitudes.rowToSolicitud)
+ * @param {object} documento - versión (o traducción) del documento aceptado (tycDocumentos.getDocumentoDeSolicitud)
+ * @param {object} [firma] - firma del cliente (firma.getFirma), si la solicitud la pidió
+ * @param {object[]} [adicionales] - documentos adicionales aceptados (tycDocumentos.getDocumentosAdicionales)
+ */
+function generarConstanciaPdf(solicitud, documento, firma = null, adicionales = []) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 56,
+      info: {
+        Title: `Constancia de aceptación ${solicitud.tycSolicitudId}`,
+        Author: getMarca(solicitud.producto).nombre,
+        Subject: documento.titulo
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const codigo = codigoVerificacion(solicitud);
+    const documentoHash = solicitud.acceptedDocumentoHash || documento.hash;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Constancia de aceptación de términos y condiciones');
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10).fillColor('#666666').text(documento.titulo);
+    doc.moveDown();
+
+    const datos = [
+      ['ID de precliente', solicitud.preclienteId],
+      ['ID de solicitud', solicitud.tycSolicitudId],
+      ['Canal', solicitud.canal || '-'],
+      ['Documento', `${documento.documentoId} v${documento.version}`],
+      ['Idioma del documento', documento.idioma || '-'],
+      ['Hash del documento (SHA-256)', documentoHash],
+      ...adicionales.flatMap((d) => [
+        ['Documento adicional', `${d.documentoId} v${d.version} (${d.idioma || '-'})`],
+        ['Hash del documento (SHA-256)', d.hash]
+      ]),
+      ...(solicitud.consentimientos || []).map((c) => [
+        `${c.etiqueta || c.codigo}${c.obligatorio ? ' (obligatorio)' : ''}`,
+        c.otorgado ? 'Otorgado' : 'No otorgado'
+      ]),
+      ['Aceptado el (UTC)', solicitud.acceptedAt],
+      ['IP de aceptación', solicitud.acceptedIp || '-'],
+      ['User agent', solicitud.acceptedUserAgent || '-'],
+      ...(solicitud.otpVerifiedAt ? [
+        ['Teléfono verificado (código OTP)', solicitud.otpTelefono],
+        ['Verificado el (UTC)', solicitud.otpVerifiedAt]
+      ] : []),
+      ...(firma ? [
+        ['Firmado por', firma.nombre],
+        ['Hash de la firma (SHA-256)', firma.hash]
+      ] : [])
+    ];
+
+    doc.fillColor('#000000');
+    for (const [etiqueta, valor] of datos) {
+      doc.font('Helvetica-Bold').fontSize(9).text(`${etiqueta}: `, { continued: true });
+      doc.font('Helvetica').text(String(valor));
+    }
+
+    if (firma) {
+      doc.moveDown(0.5);
+      doc.image(firma.imagen, { fit: [200, 80] });
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text(`Código de verificación: ${codigo}`);
+    doc.moveDown(1.5);
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Texto del documento aceptado');
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10).text(htmlATexto(documento.contenido), { align: 'justify' });
+
+    for (const adicional of adicionales) {
+      doc.moveDown(1.5);
+      doc.font('Helvetica-Bold').fontSize(12).text(adicional.titulo);
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10).text(htmlATexto(adicional.contenido), { align: 'justify' });
+    }
+
+    doc.moveDown(2);
+    doc
+      .fontSize(8)
+      .fillColor('#999999')
+      .text(`Constancia generada el ${new Date().toISOString()} por ama-tyc-service.`, { align: 'center' });
+
+    doc.end();
+  });
+}
+
+/**
+ * Responde con el PDF como descarga.
+ */
+async function enviarConstanciaPdf(res, solicitud, documento) {
+  const firma = solicitud.firmaHash ? await getFirma(solicitud.tycSolicitudId) : null;
+  const adicionales = await getDocumentosAdicionales(solicitud, { idioma: solicitud.acceptedIdioma });
+  const pdf = await generarConstanciaPdf(solicitud, documento, firma, adicionales.filter(Boolean));
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="constancia-${solicitud.tycSolicitudId}.pdf"`
+  );
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(pdf);
+}
+
+module.exports = {
+  getConstanciaSecret,
+  assertConstanciaConfig,
+  codigoVerificacion,
+  verificarCodigo,
+  htmlATexto,
+  generarConstanciaPdf,
+  enviarConstanciaPdf
+};
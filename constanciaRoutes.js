@@ -0,0 +1,87 @@
+// constanciaRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const { getSolicitudPorId } = require('./tycSolicitudes');
+const { getDocumentoDeSolicitud } = require('./tycDocumentos');
+const { verificarCodigo, enviarConstanciaPdf } = require('./constancia');
+
+const router = express.Router();
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/constancia.pdf
+ *
+ * Lo llama n8n para obtener la constancia de aceptación en PDF
+ * (por ejemplo, para mandarla por WhatsApp o adjuntarla al expediente).
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/constancia.pdf', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const solicitud = await getSolicitudPorId(req.params.tycSolicitudId);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    if (!solicitud.acceptedAt) {
+      return res.status(409).json({
+        ok: false,
+        error: 'La solicitud no ha sido aceptada',
+        estado: solicitud.estado
+      });
+    }
+
+    // El texto en el idioma en que se aceptó
+    const documento = await getDocumentoDeSolicitud(solicitud, { idioma: solicitud.acceptedIdioma });
+    return await enviarConstanciaPdf(res, solicitud, documento);
+  } catch (err) {
+    console.error('[TyC] Error generando constancia interna:', err);
+    return res.status(500).json({ ok: false, error: 'Error generando la constancia' });
+  }
+});
+
+/**
+ * POST /api/tyc/constancias/verificar
+ *
+ * Verifica el código impreso en una constancia.
+ * Recibe:
+ *  - tycSolicitudId (string, obligatorio)
+ *  - codigo (string, obligatorio) ej. "3F9A-0C12-7B44-E1D0"
+ */
+router.post('/api/tyc/constancias/verificar', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  const { tycSolicitudId, codigo } = req.body || {};
+
+  if (!tycSolicitudId || !codigo) {
+    return res.status(400).json({ ok: false, error: 'tycSolicitudId y codigo son obligatorios' });
+  }
+
+  try {
+    const solicitud = await getSolicitudPorId(tycSolicitudId);
+
+    if (!solicitud || !solicitud.acceptedAt) {
+      return res.json({ ok: true, valido: false });
+    }
+
+    const valido = verificarCodigo(solicitud, codigo);
+
+    return res.json({
+      ok: true,
+      valido,
+      ...(valido && {
+        preclienteId: solicitud.preclienteId,
+        acceptedAt: solicitud.acceptedAt,
+        documento: {
+          id: solicitud.documentoId,
+          version: solicitud.documentoVersion,
+          hash: solicitud.acceptedDocumentoHash || solicitud.documentoHash
+        }
+      })
+    });
+  } catch (err) {
+    console.error('[TyC] Error verificando constancia:', err);
+    return res.status(500).json({ ok: false, error: 'Error verificando la constancia' });
+  }
+});
+
+module.exports = {
+  router
+};
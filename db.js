@@ -31,6 +31,40 @@ pool
     console.error('[DB] No se pudo conectar a Postgres:', err.message);
   });
 
+/**
+ * Ejecuta fn(client) dentro de una transacción (BEGIN/COMMIT).
+ * Si fn lanza error se hace ROLLBACK y el error se propaga.
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Uso del pool en este momento (para las métricas): conexiones abiertas,
+ * libres, peticiones esperando una conexión y el máximo configurado.
+ */
+function estadoPool() {
+  return {
+    total: pool.totalCount,
+    libres: pool.idleCount,
+    esperando: pool.waitingCount,
+    max: pool.options.max,
+  };
+}
+
 module.exports = {
   pool,
+  withTransaction,
+  estadoPool,
 };
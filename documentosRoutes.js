@@ -0,0 +1,229 @@
+// documentosRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const {
+  getVersion,
+  getTraduccion,
+  listarDocumentos,
+  listarVersiones,
+  listarTraducciones,
+  publicarVersion,
+  publicarTraduccion
+} = require('./tycDocumentos');
+const { IDIOMA_DEFAULT, IDIOMAS, normalizarIdioma } = require('./i18n');
+
+const router = express.Router();
+
+/**
+ * GET /api/tyc/documentos
+ *
+ * Lista los documentos del catálogo con su versión vigente y la última publicada.
+ */
+router.get('/api/tyc/documentos', requireScope(SCOPES.DOCUMENTOS_READ), async (req, res) => {
+  try {
+    const documentos = await listarDocumentos();
+    return res.json({ ok: true, documentos });
+  } catch (err) {
+    console.error('[TyC] Error listando documentos:', err);
+    return res.status(500).json({ ok: false, error: 'Error listando documentos' });
+  }
+});
+
+/**
+ * GET /api/tyc/documentos/:documentoId/versiones
+ *
+ * Historial de versiones (sin contenido) de un documento.
+ */
+router.get('/api/tyc/documentos/:documentoId/versiones', requireScope(SCOPES.DOCUMENTOS_READ), async (req, res) => {
+  try {
+    const versiones = await listarVersiones(req.params.documentoId);
+
+    if (versiones.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Documento no encontrado' });
+    }
+
+    return res.json({ ok: true, documentoId: req.params.documentoId, versiones });
+  } catch (err) {
+    console.error('[TyC] Error listando versiones de documento:', err);
+    return res.status(500).json({ ok: false, error: 'Error listando versiones' });
+  }
+});
+
+/**
+ * GET /api/tyc/documentos/:documentoId/versiones/:version
+ *
+ * Una versión completa (con contenido y hash) y la lista de sus traducciones.
+ */
+router.get('/api/tyc/documentos/:documentoId/versiones/:version', requireScope(SCOPES.DOCUMENTOS_READ), async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ ok: false, error: 'version debe ser un entero positivo' });
+  }
+
+  try {
+    const documento = await getVersion(req.params.documentoId, version);
+
+    if (!documento) {
+      return res.status(404).json({ ok: false, error: 'Versión no encontrada' });
+    }
+
+    const traducciones = await listarTraducciones(documento.documentoId, documento.version);
+
+    return res.json({ ok: true, documento, traducciones });
+  } catch (err) {
+    console.error('[TyC] Error obteniendo versión de documento:', err);
+    return res.status(500).json({ ok: false, error: 'Error obteniendo la versión' });
+  }
+});
+
+/**
+ * POST /api/tyc/documentos/:documentoId/versiones
+ *
+ * Publica una nueva versión del documento.
+ * Recibe:
+ *  - titulo (string, obligatorio)
+ *  - contenido (string HTML, obligatorio); se guarda solo con las etiquetas y atributos
+ *    permitidos (ver htmlSeguro.js) y la respuesta trae el que quedó
+ *  - vigenteDesde (ISO string, opcional, default ahora)
+ *  - publicadoPor (string, opcional)
+ *
+ * Las solicitudes creadas antes de vigenteDesde siguen amarradas a su versión.
+ */
+router.post('/api/tyc/documentos/:documentoId/versiones', requireScope(SCOPES.DOCUMENTOS_WRITE), async (req, res) => {
+  const { titulo, contenido, vigenteDesde, publicadoPor } = req.body || {};
+
+  if (!titulo || typeof titulo !== 'string') {
+    return res.status(400).json({ ok: false, error: 'titulo es obligatorio' });
+  }
+
+  if (!contenido || typeof contenido !== 'string') {
+    return res.status(400).json({ ok: false, error: 'contenido es obligatorio' });
+  }
+
+  if (vigenteDesde && Number.isNaN(new Date(vigenteDesde).getTime())) {
+    return res.status(400).json({ ok: false, error: 'vigenteDesde no es una fecha válida' });
+  }
+
+  try {
+    const documento = await publicarVersion({
+      documentoId: req.params.documentoId,
+      titulo,
+      contenido,
+      vigenteDesde: vigenteDesde ? new Date(vigenteDesde).toISOString() : null,
+      publicadoPor
+    });
+
+    console.log(`📄 Documento ${documento.documentoId} v${documento.version} publicado (${documento.hash})`);
+
+    return res.status(201).json({ ok: true, documento });
+  } catch (err) {
+    // 23505 = unique_violation: otra publicación tomó el mismo número de versión
+    if (err.code === '23505') {
+      return res.status(409).json({
+        ok: false,
+        error: 'Se publicó otra versión al mismo tiempo, intenta de nuevo'
+      });
+    }
+
+    console.error('[TyC] Error publicando versión de documento:', err);
+    return res.status(500).json({ ok: false, error: 'Error publicando la versión' });
+  }
+});
+
+/**
+ * GET /api/tyc/documentos/:documentoId/versiones/:version/traducciones/:idioma
+ *
+ * Traducción completa (con contenido y hash) de una versión.
+ */
+router.get('/api/tyc/documentos/:documentoId/versiones/:version/traducciones/:idioma', requireScope(SCOPES.DOCUMENTOS_READ), async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ ok: false, error: 'version debe ser un entero positivo' });
+  }
+
+  try {
+    const traduccion = await getTraduccion(req.params.documentoId, version, req.params.idioma);
+
+    if (!traduccion) {
+      return res.status(404).json({ ok: false, error: 'Traducción no encontrada' });
+    }
+
+    return res.json({ ok: true, traduccion });
+  } catch (err) {
+    console.error('[TyC] Error obteniendo traducción de documento:', err);
+    return res.status(500).json({ ok: false, error: 'Error obteniendo la traducción' });
+  }
+});
+
+/**
+ * POST /api/tyc/documentos/:documentoId/versiones/:version/traducciones
+ *
+ * Publica la traducción de una versión ya publicada.
+ * Recibe:
+ *  - idioma (string, obligatorio) uno de los idiomas de la página, distinto al original
+ *  - titulo (string, obligatorio)
+ *  - contenido (string HTML, obligatorio); se guarda solo con las etiquetas y atributos
+ *    permitidos (ver htmlSeguro.js) y la respuesta trae el que quedó
+ *  - publicadoPor (string, opcional)
+ *
+ * Las traducciones son inmutables: para corregir una se publica una nueva versión del documento.
+ */
+router.post('/api/tyc/documentos/:documentoId/versiones/:version/traducciones', requireScope(SCOPES.DOCUMENTOS_WRITE), async (req, res) => {
+  const { idioma, titulo, contenido, publicadoPor } = req.body || {};
+  const version = Number(req.params.version);
+
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ ok: false, error: 'version debe ser un entero positivo' });
+  }
+
+  const idiomaNormalizado = normalizarIdioma(idioma);
+  if (!idiomaNormalizado || idiomaNormalizado === IDIOMA_DEFAULT) {
+    return res.status(400).json({
+      ok: false,
+      error: `idioma debe ser uno de: ${IDIOMAS.filter((i) => i !== IDIOMA_DEFAULT).join(', ')}`
+    });
+  }
+
+  if (!titulo || typeof titulo !== 'string') {
+    return res.status(400).json({ ok: false, error: 'titulo es obligatorio' });
+  }
+
+  if (!contenido || typeof contenido !== 'string') {
+    return res.status(400).json({ ok: false, error: 'contenido es obligatorio' });
+  }
+
+  try {
+    const traduccion = await publicarTraduccion({
+      documentoId: req.params.documentoId,
+      version,
+      idioma: idiomaNormalizado,
+      titulo,
+      contenido,
+      publicadoPor
+    });
+
+    console.log(`📄 Traducción ${traduccion.idioma} de ${traduccion.documentoId} v${traduccion.version} publicada (${traduccion.hash})`);
+
+    return res.status(201).json({ ok: true, traduccion });
+  } catch (err) {
+    // 23505 = unique_violation, 23503 = foreign_key_violation
+    if (err.code === '23505') {
+      return res.status(409).json({
+        ok: false,
+        error: `Ya existe la traducción ${idiomaNormalizado} de esta versión (son inmutables)`
+      });
+    }
+
+    if (err.code === '23503') {
+      return res.status(404).json({ ok: false, error: 'Versión no encontrada' });
+    }
+
+    console.error('[TyC] Error publicando traducción de documento:', err);
+    return res.status(500).json({ ok: false, error: 'Error publicando la traducción' });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,196 @@
+// evidencia.js
+const crypto = require('crypto');
+const { getDocumentoDeSolicitud } = require('./tycDocumentos');
+const { jsonCanonico, getLineaDeTiempo, verificarCadena, eventoParaApi } = require('./tycAuditoria');
+const { getConstanciaSecret, codigoVerificacion } = require('./constancia');
+const { getFirma, firmaParaApi } = require('./firma');
+
+/**
+ * Expediente de evidencia de una solicitud (para disputas o para el expediente del cliente).
+ *
+ * Junta en un solo JSON lo que prueba la aceptación:
+ *  - la solicitud (quién la creó, cuándo, para qué producto)
+ *  - el documento aceptado: versión, idioma, hash del original y del texto mostrado
+ *    (y lo mismo de cada documento adicional)
+ *  - la aceptación: fecha, IP, cadena de IPs (X-Forwarded-For + la conexión), user agent,
+ *    Accept-Language, idioma de la página, telemetría de lectura, teléfono verificado (OTP)
+ *    y firma (nombre, hash y tamaño de la imagen; la imagen se descarga aparte)
+ *  - la respuesta a cada consentimiento, con el texto que vio el cliente
+ *  - el código de verificación de la constancia
+ *  - la bitácora de auditoría completa con el resultado de verificar su cadena de hashes
+ *
+ * El expediente va firmado: HMAC-SHA256 (CONSTANCIA_SECRET, el mismo de las constancias)
+ * sobre el JSON canónico (llaves ordenadas) del expediente. Con verificarFirmaEvidencia
+ * se comprueba después que nadie lo modificó. Sin un secreto real la firma no prueba nada,
+ * por eso en producción el servicio no arranca sin él (constancia.assertConstanciaConfig).
+ *
+ * Telemetría de lectura (la manda la página al aceptar, ver plantillas/tyc-cliente.js):
+ *  - tiempoEnPaginaMs     desde que cargó la página hasta el clic en "Acepto"
+ *  - scrollCompletoMs     en qué momento (desde la carga) llegó al final del texto; null si nunca
+ *  - scrollCompletoAt     la misma marca con el reloj del navegador
+ *  - viewport             { ancho, alto, pixelRatio }
+ *  - cajaTexto            { alto, altoTotal } de la caja del contrato
+ *  - zonaHoraria, idiomaNavegador
+ *  - recibidaAt           hora del servidor al recibirla
+ */
+
+const VERSION_EVIDENCIA = 1;
+const ALGORITMO_FIRMA = 'HMAC-SHA256';
+const MAX_MS = 24 * 60 * 60 * 1000;
+const MAX_PX = 100000;
+
+function numero(valor, max) {
+  const n = Number(valor);
+  if (valor == null || valor === '' || !Number.isFinite(n) || n < 0 || n > max) return null;
+  return Math.round(n * 100) / 100;
+}
+
+function texto(valor, max) {
+  return typeof valor === 'string' && valor ? valor.slice(0, max) : null;
+}
+
+function fechaIso(valor) {
+  if (typeof valor !== 'string') return null;
+  const fecha = new Date(valor);
+  return Number.isNaN(fecha.getTime()) ? null : fecha.toISOString();
+}
+
+/**
+ * Deja solo los campos conocidos de la telemetría que manda el navegador, con tipos y
+ * rangos razonables (viene del cliente: no se confía en nada). null si no mandó nada.
+ */
+function normalizarTelemetria(valor) {
+  if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return null;
+
+  const viewport = valor.viewport || {};
+  const cajaTexto = valor.cajaTexto || {};
+
+  return {
+    tiempoEnPaginaMs: numero(valor.tiempoEnPaginaMs, MAX_MS),
+    scrollCompletoMs: numero(valor.scrollCompletoMs, MAX_MS),
+    scrollCompletoAt: fechaIso(valor.scrollCompletoAt),
+    viewport: {
+      ancho: numero(viewport.ancho, MAX_PX),
+      alto: numero(viewport.alto, MAX_PX),
+      pixelRatio: numero(viewport.pixelRatio, 10)
+    },
+    cajaTexto: {
+      alto: numero(cajaTexto.alto, MAX_PX),
+      altoTotal: numero(cajaTexto.altoTotal, MAX_PX * 10)
+    },
+    zonaHoraria: texto(valor.zonaHoraria, 64),
+    idiomaNavegador: texto(valor.idiomaNavegador, 35),
+    recibidaAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Cadena de IPs por las que pasó la petición: las de X-Forwarded-For (cliente primero)
+ * y al final la de la conexión (nuestro proxy, o el cliente si no hay proxy).
+ */
+function cadenaDeIps(req) {
+  const xf = req.headers['x-forwarded-for'];
+  const reenviadas = (Array.isArray(xf) ? xf.join(',') : String(xf || ''))
+    .split(',')
+    .map((ip) => ip.trim())
+    .filter(Boolean);
+
+  const conexion = req.socket?.remoteAddress || null;
+  return [...reenviadas, conexion]
+    .filter(Boolean)
+    .map((ip) => ip.replace(/^::ffff:/, ''))
+    .slice(0, 20);
+}
+
+function firmar(evidencia) {
+  return crypto.createHmac('sha256', getConstanciaSecret()).update(jsonCanonico(evidencia)).digest('hex');
+}
+
+/**
+ * Arma el expediente de una solicitud (aceptada o no; sin aceptación, `aceptacion` es null)
+ * y lo firma. Regresa { evidencia, firma: { algoritmo, valor } }.
+ */
+async function armarEvidencia(solicitud) {
+  const eventos = await getLineaDeTiempo(solicitud.tycSolicitudId);
+  const integridad = verificarCadena(eventos, { estadoActual: solicitud.estado });
+
+  const aceptada = Boolean(solicitud.acceptedAt);
+  const firma = solicitud.firmaHash ? await getFirma(solicitud.tycSolicitudId) : null;
+  const documento = await getDocumentoDeSolicitud(
+    solicitud,
+    aceptada ? { idioma: solicitud.acceptedIdioma } : {}
+  );
+
+  const evidencia = {
+    version: VERSION_EVIDENCIA,
+    generadaAt: new Date().toISOString(),
+    solicitud: {
+      tycSolicitudId: solicitud.tycSolicitudId,
+      preclienteId: solicitud.preclienteId,
+      canal: solicitud.canal,
+      producto: solicitud.producto,
+      estado: solicitud.estado,
+      createdAt: solicitud.createdAt,
+      expiresAt: solicitud.expiresAt,
+      openedAt: solicitud.openedAt,
+      createdByClient: solicitud.createdByClient,
+      parentTycSolicitudId: solicitud.parentTycSolicitudId
+    },
+    documento: documento ? {
+      id: documento.documentoId,
+      version: documento.version,
+      titulo: documento.titulo,
+      idioma: documento.idioma,
+      hashOriginal: solicitud.documentoHash,
+      hashMostrado: aceptada ? (solicitud.acceptedDocumentoHash || solicitud.documentoHash) : documento.hash
+    } : null,
+    documentosAdicionales: solicitud.documentosAdicionales.map((d) => ({
+      id: d.documentoId,
+      version: d.version,
+      idioma: d.acceptedIdioma,
+      hashOriginal: d.hash,
+      hashMostrado: d.acceptedDocumentoHash
+    })),
+    aceptacion: aceptada ? {
+      acceptedAt: solicitud.acceptedAt,
+      ip: solicitud.acceptedIp,
+      ipCadena: solicitud.acceptedIpCadena,
+      userAgent: solicitud.acceptedUserAgent,
+      acceptLanguage: solicitud.acceptedAcceptLanguage,
+      idioma: solicitud.acceptedIdioma,
+      telemetria: solicitud.acceptedTelemetria,
+      otp: solicitud.otpVerifiedAt
+        ? { telefono: solicitud.otpTelefono, verifiedAt: solicitud.otpVerifiedAt }
+        : null,
+      firma: firmaParaApi(firma),
+      consentimientos: solicitud.consentimientos,
+      codigoConstancia: codigoVerificacion(solicitud)
+    } : null,
+    auditoria: {
+      integridad,
+      eventos: eventos.map(eventoParaApi)
+    }
+  };
+
+  return {
+    evidencia,
+    firma: { algoritmo: ALGORITMO_FIRMA, valor: firmar(evidencia) }
+  };
+}
+
+/**
+ * Comprueba (en tiempo constante) la firma de un expediente.
+ */
+function verificarFirmaEvidencia(evidencia, firma) {
+  const esperado = Buffer.from(firmar(evidencia), 'hex');
+  const recibido = Buffer.from(String(firma || ''), 'hex');
+  return esperado.length === recibido.length && crypto.timingSafeEqual(esperado, recibido);
+}
+
+module.exports = {
+  VERSION_EVIDENCIA,
+  normalizarTelemetria,
+  cadenaDeIps,
+  armarEvidencia,
+  verificarFirmaEvidencia
+};
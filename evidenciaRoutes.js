@@ -0,0 +1,102 @@
+// evidenciaRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const { getSolicitudPorId } = require('./tycSolicitudes');
+const { armarEvidencia, verificarFirmaEvidencia } = require('./evidencia');
+const { getFirma } = require('./firma');
+
+const router = express.Router();
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/evidencia
+ *
+ * Expediente de evidencia firmado de la solicitud (ver evidencia.js): documento y hash,
+ * datos de la aceptación (IPs, user agent, idioma, telemetría de lectura, OTP, firma) y la
+ * bitácora de auditoría con su verificación. Siempre lee de BD.
+ *
+ * Responde: { ok, evidencia, firma: { algoritmo, valor } }
+ * Con ?descargar=true se manda como archivo evidencia-<id>.json.
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/evidencia', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const solicitud = await getSolicitudPorId(req.params.tycSolicitudId);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    const { evidencia, firma } = await armarEvidencia(solicitud);
+
+    if (!evidencia.auditoria.integridad.ok) {
+      console.warn(`⚠️ Expediente de ${solicitud.tycSolicitudId} con bitácora no íntegra:`, evidencia.auditoria.integridad.errores);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.query.descargar === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="evidencia-${solicitud.tycSolicitudId}.json"`);
+    }
+
+    return res.json({ ok: true, evidencia, firma });
+  } catch (err) {
+    console.error('[TyC] Error armando expediente de evidencia:', err);
+    return res.status(500).json({ ok: false, error: 'Error armando el expediente de evidencia' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/firma.png
+ *
+ * Imagen de la firma que dibujó el cliente al aceptar (solo solicitudes con requiereFirma).
+ * X-Firma-Hash trae el sha256 de la imagen, el mismo que queda en la solicitud (firmaHash).
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/firma.png', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const firma = await getFirma(req.params.tycSolicitudId);
+
+    if (!firma) {
+      return res.status(404).json({ ok: false, error: 'La solicitud no tiene firma' });
+    }
+
+    res.setHeader('Content-Type', firma.mime);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Firma-Hash', firma.hash);
+    res.setHeader('X-Firma-Nombre', encodeURIComponent(firma.nombre));
+    return res.send(firma.imagen);
+  } catch (err) {
+    console.error('[TyC] Error consultando firma:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando la firma' });
+  }
+});
+
+/**
+ * POST /api/tyc/evidencias/verificar
+ *
+ * Verifica que un expediente no fue modificado.
+ * Recibe:
+ *  - evidencia (objeto, obligatorio) tal como lo regresó GET .../evidencia
+ *  - firma (string u objeto { valor }, obligatorio)
+ */
+router.post('/api/tyc/evidencias/verificar', requireScope(SCOPES.SOLICITUDES_READ), (req, res) => {
+  const { evidencia, firma } = req.body || {};
+  const valorFirma = typeof firma === 'object' && firma !== null ? firma.valor : firma;
+
+  if (!evidencia || typeof evidencia !== 'object' || !valorFirma) {
+    return res.status(400).json({ ok: false, error: 'evidencia y firma son obligatorios' });
+  }
+
+  const valido = verificarFirmaEvidencia(evidencia, valorFirma);
+
+  return res.json({
+    ok: true,
+    valido,
+    ...(valido && {
+      tycSolicitudId: evidencia.solicitud?.tycSolicitudId || null,
+      generadaAt: evidencia.generadaAt || null
+    })
+  });
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,316 @@
+// expiracion.js
+const { pool, withTransaction } = require('./db');
+const {
+  STATES,
+  SOLICITUD_COLUMNS,
+  rowToSolicitud,
+  notificarCambio
+} = require('./tycSolicitudes');
+const { TIPOS_EVENTO, ACTORES, registrarEvento } = require('./tycAuditoria');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { solicitudesRepo } = require('./solicitudesRepo');
+const { metricaExpirada } = require('./metricas');
+
+/**
+ * Barrido de expiración: las solicitudes CREADA/ABIERTA cuyo expires_at ya pasó
+ * quedan EXPIRADA y se encola TYC_EXPIRADA para cada una, en la misma transacción
+ * que el cambio de estado (igual que cuando el cliente abre una liga vencida).
+ *
+ * En la misma pasada salen los recordatorios: a las que siguen vigentes y les quedan
+ * TYC_RECORDATORIOS_MIN minutos o menos se les encola TYC_POR_EXPIRAR, una sola vez
+ * por umbral (tabla tyc_recordatorios). Si le tocan dos umbrales a la vez (ej. nadie
+ * corrió la tarea a tiempo) sale solo el más chico, y ya no sale el más grande.
+ * Un umbral que no cabe en la vigencia de la liga (ttl de 20 min y umbral de 30) se ignora.
+ *
+ * Lo corre el programador de tareas (tareas.js) cada TYC_EXPIRACION_CADA_SEG y también
+ * POST /api/tyc/cron/check-expired como disparo manual (o simulación, sin cambiar nada).
+ *
+ * Configuración:
+ *  - TYC_EXPIRACION_CADA_SEG   intervalo de la tarea (default 60)
+ *  - TYC_EXPIRACION_LOTE       solicitudes por transacción (default 200, máx 1000)
+ *  - TYC_RECORDATORIOS_MIN     minutos antes de expires_at, ej. "30,10" (default: sin recordatorios)
+ *
+ * Tabla tyc_recordatorios:
+ *  - tyc_solicitud_id, umbral_minutos (pk), enviado_at
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const EXPIRACION_CADA_SEG = envInt('TYC_EXPIRACION_CADA_SEG', 60);
+const MAX_LOTE = 1000;
+const LOTE = Math.min(envInt('TYC_EXPIRACION_LOTE', 200), MAX_LOTE);
+// Lotes por corrida programada; lo que falte se expira en la siguiente
+const MAX_LOTES = 10;
+
+/**
+ * "30,10" -> [10, 30] (de menor a mayor, sin repetidos). Lo que no sea entero positivo se ignora.
+ */
+function parseUmbrales(valor) {
+  if (!valor) return [];
+
+  const umbrales = String(valor)
+    .split(',')
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isInteger(n) && n > 0);
+
+  return [...new Set(umbrales)].sort((a, b) => a - b);
+}
+
+const UMBRALES_RECORDATORIO = parseUmbrales(process.env.TYC_RECORDATORIOS_MIN);
+
+/**
+ * Teléfono de la metadata para que n8n le escriba al cliente (como venga y solo dígitos).
+ */
+function contactoDeSolicitud(solicitud) {
+  const metadata = solicitud.metadata || {};
+  const telefono = [metadata.whatsappNumero, metadata.whatsapp, metadata.telefono, metadata.phone]
+    .find((v) => v != null && v !== '') ?? null;
+
+  return {
+    telefono: telefono != null ? String(telefono) : null,
+    telefonoDigits: telefono != null ? String(telefono).replace(/\D/g, '') : null
+  };
+}
+
+/**
+ * Una solicitud recién expirada como la regresa el endpoint del cron.
+ */
+function expiradaParaCron(solicitud) {
+  return {
+    preclienteId: solicitud.preclienteId,
+    tycSolicitudId: solicitud.tycSolicitudId,
+    expiresAt: solicitud.expiresAt,
+    ...contactoDeSolicitud(solicitud),
+    metadata: solicitud.metadata || {},
+    evento: 'TYC_EXPIRADA'
+  };
+}
+
+/**
+ * Una solicitud a la que le toca recordatorio, como la regresa el endpoint del cron.
+ */
+function porExpirarParaCron(solicitud, umbralMinutos) {
+  const restanteMs = new Date(solicitud.expiresAt).getTime() - Date.now();
+
+  return {
+    preclienteId: solicitud.preclienteId,
+    tycSolicitudId: solicitud.tycSolicitudId,
+    expiresAt: solicitud.expiresAt,
+    umbralMinutos,
+    minutosRestantes: Math.max(0, Math.ceil(restanteMs / 60000)),
+    ...contactoDeSolicitud(solicitud),
+    metadata: solicitud.metadata || {},
+    evento: 'TYC_POR_EXPIRAR'
+  };
+}
+
+// Vigentes a las que ya les toca el recordatorio $3 (minutos) y no han recibido ese ni uno más chico
+const WHERE_POR_RECORDAR = `
+  estado IN ($1, $2)
+  AND expires_at > NOW()
+  AND expires_at <= NOW() + make_interval(mins => $3)
+  AND created_at <= expires_at - make_interval(mins => $3)
+  AND NOT EXISTS (
+    SELECT 1
+    FROM tyc_recordatorios r
+    WHERE r.tyc_solicitud_id = tyc_solicitudes.tyc_solicitud_id
+      AND r.umbral_minutos <= $3
+  )`;
+
+/**
+ * Expira un lote (las más viejas primero). Las que otra transacción tiene bloqueadas
+ * (ej. alguien aceptando en ese momento) se saltan y quedan para la siguiente vuelta.
+ * Regresa las solicitudes que quedaron EXPIRADA.
+ */
+async function expirarLote({ limit = LOTE, origen = 'cron' } = {}) {
+  const solicitudes = await withTransaction(async (client) => {
+    const upd = await client.query(
+      `UPDATE tyc_solicitudes
+       SET estado = $3
+       WHERE tyc_solicitud_id IN (
+         SELECT tyc_solicitud_id
+         FROM tyc_solicitudes
+         WHERE expires_at < NOW()
+           AND estado IN ($1, $2)
+         ORDER BY expires_at ASC
+         LIMIT $4
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${SOLICITUD_COLUMNS}`,
+      [STATES.CREADA, STATES.ABIERTA, STATES.EXPIRADA, limit]
+    );
+
+    const expiradas = upd.rows
+      .map(rowToSolicitud)
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+
+    for (const solicitud of expiradas) {
+      await registrarEvento(client, {
+        tycSolicitudId: solicitud.tycSolicitudId,
+        tipo: TIPOS_EVENTO.EXPIRADA,
+        estado: STATES.EXPIRADA,
+        actor: ACTORES.SISTEMA,
+        detalle: { origen }
+      });
+      await notificarCambio(client, solicitud.tycSolicitudId);
+      await enqueueWebhook(client, solicitud, 'TYC_EXPIRADA');
+    }
+
+    return expiradas;
+  });
+
+  for (const solicitud of solicitudes) {
+    solicitudesRepo.invalidar(solicitud.tycSolicitudId);
+    metricaExpirada(solicitud);
+  }
+
+  return solicitudes;
+}
+
+/**
+ * Encola TYC_POR_EXPIRAR para un lote de las que les toca el recordatorio `umbral`.
+ * Regresa [{ solicitud, umbral }] de los que salieron.
+ */
+async function recordarLote({ umbral, limit = LOTE, origen = 'cron' }) {
+  return withTransaction(async (client) => {
+    const r = await client.query(
+      `SELECT ${SOLICITUD_COLUMNS}
+       FROM tyc_solicitudes
+       WHERE ${WHERE_POR_RECORDAR}
+       ORDER BY expires_at ASC
+       LIMIT $4
+       FOR UPDATE SKIP LOCKED`,
+      [STATES.CREADA, STATES.ABIERTA, umbral, limit]
+    );
+
+    const enviados = [];
+    for (const solicitud of r.rows.map(rowToSolicitud)) {
+      const ins = await client.query(
+        `INSERT INTO tyc_recordatorios (tyc_solicitud_id, umbral_minutos)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [solicitud.tycSolicitudId, umbral]
+      );
+      if (ins.rowCount === 0) continue;
+
+      const item = porExpirarParaCron(solicitud, umbral);
+      await registrarEvento(client, {
+        tycSolicitudId: solicitud.tycSolicitudId,
+        tipo: TIPOS_EVENTO.POR_EXPIRAR,
+        estado: solicitud.estado,
+        actor: ACTORES.SISTEMA,
+        detalle: { origen, umbralMinutos: umbral, minutosRestantes: item.minutosRestantes }
+      });
+      await enqueueWebhook(client, solicitud, 'TYC_POR_EXPIRAR', {
+        recordatorio: {
+          umbralMinutos: umbral,
+          minutosRestantes: item.minutosRestantes,
+          telefono: item.telefono,
+          telefonoDigits: item.telefonoDigits
+        }
+      });
+      enviados.push(item);
+    }
+
+    return enviados;
+  });
+}
+
+function loteDe(limit) {
+  return Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_LOTE) : LOTE;
+}
+
+/**
+ * Tarea de expiración y recordatorios. Programada corre lotes hasta que no quede nada
+ * (máx MAX_LOTES); manual (el endpoint) corre un solo lote de `limit` de cada cosa.
+ * Regresa { resumen, expiradas, recordatorios } en formato expiradaParaCron / porExpirarParaCron.
+ */
+async function tareaExpiracion({ manual = false, limit } = {}) {
+  const lote = loteDe(limit);
+  const origen = manual ? 'cron' : 'tarea';
+  const lotes = manual ? 1 : MAX_LOTES;
+  const expiradas = [];
+  const recordatorios = [];
+
+  for (let i = 0; i < lotes; i++) {
+    const solicitudes = await expirarLote({ limit: lote, origen });
+    expiradas.push(...solicitudes.map(expiradaParaCron));
+    if (solicitudes.length < lote) break;
+  }
+
+  // Del umbral más chico al más grande (ver WHERE_POR_RECORDAR)
+  for (const umbral of UMBRALES_RECORDATORIO) {
+    for (let i = 0; i < lotes; i++) {
+      const enviados = await recordarLote({ umbral, limit: lote, origen });
+      recordatorios.push(...enviados);
+      if (enviados.length < lote) break;
+    }
+  }
+
+  if (expiradas.length > 0 || recordatorios.length > 0) {
+    console.log(`⌛ [Expiración] ${expiradas.length} expirada(s), ${recordatorios.length} recordatorio(s) (${origen})`);
+  }
+
+  return {
+    resumen: { expiradas: expiradas.length, recordatorios: recordatorios.length },
+    expiradas,
+    recordatorios
+  };
+}
+
+/**
+ * Lo que haría una corrida manual de la tarea (un lote de `limit`), sin cambiar nada:
+ * ni estados, ni webhooks, ni recordatorios marcados.
+ */
+async function simularExpiracion({ limit } = {}) {
+  const lote = loteDe(limit);
+
+  const exp = await pool.query(
+    `SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     WHERE expires_at < NOW()
+       AND estado IN ($1, $2)
+     ORDER BY expires_at ASC
+     LIMIT $3`,
+    [STATES.CREADA, STATES.ABIERTA, lote]
+  );
+
+  const recordatorios = [];
+  const vistos = new Set();
+  for (const umbral of UMBRALES_RECORDATORIO) {
+    const r = await pool.query(
+      `SELECT ${SOLICITUD_COLUMNS}
+       FROM tyc_solicitudes
+       WHERE ${WHERE_POR_RECORDAR}
+       ORDER BY expires_at ASC
+       LIMIT $4`,
+      [STATES.CREADA, STATES.ABIERTA, umbral, lote]
+    );
+
+    for (const solicitud of r.rows.map(rowToSolicitud)) {
+      // Sin marcar nada, el umbral más grande volvería a traer las del más chico
+      if (vistos.has(solicitud.tycSolicitudId)) continue;
+      vistos.add(solicitud.tycSolicitudId);
+      recordatorios.push(porExpirarParaCron(solicitud, umbral));
+    }
+  }
+
+  return {
+    expiradas: exp.rows.map(rowToSolicitud).map(expiradaParaCron),
+    recordatorios
+  };
+}
+
+module.exports = {
+  EXPIRACION_CADA_SEG,
+  UMBRALES_RECORDATORIO,
+  parseUmbrales,
+  contactoDeSolicitud,
+  expirarLote,
+  recordarLote,
+  tareaExpiracion,
+  simularExpiracion
+};
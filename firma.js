@@ -0,0 +1,202 @@
+// firma.js
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pool } = require('./db');
+
+/**
+ * Firma del cliente en la página del contrato (opcional por solicitud: requiereFirma).
+ *
+ * El cliente escribe su nombre completo y dibuja su firma en un canvas; la página manda
+ * ambos con POST /api/tyc/:token/aceptar como
+ *   firma: { nombre, imagen: "data:image/png;base64,..." }
+ *
+ * Antes de guardarla se valida aquí (no se confía en el navegador):
+ *  - nombre: 3 a 120 caracteres
+ *  - imagen: PNG RGBA de 8 bits (lo que da canvas.toDataURL), máximo TYC_FIRMA_MAX_BYTES
+ *    (default 100 KB) y FIRMA_MAX_ANCHO x FIRMA_MAX_ALTO px
+ *  - que tenga trazo: el canvas es transparente, así que una firma vacía descomprime a puros
+ *    ceros; se piden al menos MIN_BYTES_TRAZO bytes distintos de cero
+ *
+ * Tabla tyc_firmas (una por solicitud aceptada):
+ *  - tyc_solicitud_id (pk), nombre
+ *  - imagen (bytea), mime, bytes, ancho, alto
+ *  - hash (sha256 hex de la imagen), created_at
+ * En tyc_solicitudes quedan firma_nombre y firma_hash junto con la aceptación.
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const MAX_BYTES = envInt('TYC_FIRMA_MAX_BYTES', 100 * 1024);
+const FIRMA_MAX_ANCHO = 2400;
+const FIRMA_MAX_ALTO = 1200;
+const MIN_BYTES_TRAZO = 64;
+const NOMBRE_MIN = 3;
+const NOMBRE_MAX = 120;
+const MIME = 'image/png';
+
+const PNG_FIRMA = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const DATA_URL_RE = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+/**
+ * Lee los chunks del PNG. Regresa { ancho, alto, profundidad, tipoColor, idat } o null si
+ * no es un PNG bien formado.
+ */
+function leerPng(buffer) {
+  if (buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_FIRMA)) return null;
+
+  let pos = 8;
+  let ihdr = null;
+  const idat = [];
+
+  while (pos + 12 <= buffer.length) {
+    const largo = buffer.readUInt32BE(pos);
+    const tipo = buffer.toString('ascii', pos + 4, pos + 8);
+    const datos = buffer.subarray(pos + 8, pos + 8 + largo);
+    if (datos.length !== largo) return null;
+
+    if (tipo === 'IHDR') {
+      ihdr = {
+        ancho: datos.readUInt32BE(0),
+        alto: datos.readUInt32BE(4),
+        profundidad: datos[8],
+        tipoColor: datos[9]
+      };
+    } else if (tipo === 'IDAT') {
+      idat.push(datos);
+    } else if (tipo === 'IEND') {
+      break;
+    }
+
+    pos += 12 + largo;
+  }
+
+  if (!ihdr || idat.length === 0) return null;
+  return { ...ihdr, idat: Buffer.concat(idat) };
+}
+
+/**
+ * Bytes de pixel distintos de cero (sin contar el byte de filtro de cada renglón).
+ */
+function bytesConTrazo(png) {
+  const crudo = zlib.inflateSync(png.idat, { maxOutputLength: png.alto * (png.ancho * 4 + 1) });
+  const porRenglon = png.ancho * 4 + 1;
+  let n = 0;
+
+  for (let i = 0; i < crudo.length; i++) {
+    if (i % porRenglon !== 0 && crudo[i] !== 0) n++;
+  }
+
+  return n;
+}
+
+/**
+ * Valida la firma que manda la página. Regresa
+ * { ok: true, firma: { nombre, imagen (Buffer), mime, bytes, ancho, alto, hash } } o
+ * { ok: false, motivo } con motivo: "nombre", "imagen", "grande" o "vacia".
+ */
+function validarFirma(valor) {
+  if (!valor || typeof valor !== 'object') return { ok: false, motivo: 'imagen' };
+
+  const nombre = typeof valor.nombre === 'string' ? valor.nombre.trim().replace(/\s+/g, ' ') : '';
+  if (nombre.length < NOMBRE_MIN || nombre.length > NOMBRE_MAX) {
+    return { ok: false, motivo: 'nombre' };
+  }
+
+  const match = DATA_URL_RE.exec(typeof valor.imagen === 'string' ? valor.imagen : '');
+  if (!match) return { ok: false, motivo: 'imagen' };
+
+  // Antes de decodificar: el base64 ocupa 4/3 de los bytes
+  if (match[1].length > Math.ceil(MAX_BYTES / 3) * 4) return { ok: false, motivo: 'grande' };
+
+  const imagen = Buffer.from(match[1], 'base64');
+  if (imagen.length > MAX_BYTES) return { ok: false, motivo: 'grande' };
+
+  const png = leerPng(imagen);
+  if (!png || png.profundidad !== 8 || png.tipoColor !== 6) return { ok: false, motivo: 'imagen' };
+  if (png.ancho === 0 || png.alto === 0 || png.ancho > FIRMA_MAX_ANCHO || png.alto > FIRMA_MAX_ALTO) {
+    return { ok: false, motivo: 'imagen' };
+  }
+
+  let trazo;
+  try {
+    trazo = bytesConTrazo(png);
+  } catch (err) {
+    return { ok: false, motivo: 'imagen' };
+  }
+  if (trazo < MIN_BYTES_TRAZO) return { ok: false, motivo: 'vacia' };
+
+  return {
+    ok: true,
+    firma: {
+      nombre,
+      imagen,
+      mime: MIME,
+      bytes: imagen.length,
+      ancho: png.ancho,
+      alto: png.alto,
+      hash: crypto.createHash('sha256').update(imagen).digest('hex')
+    }
+  };
+}
+
+/**
+ * Guarda la firma (llamar con el client de la transacción de la aceptación).
+ */
+async function guardarFirma(db, tycSolicitudId, firma) {
+  await db.query(
+    `INSERT INTO tyc_firmas (
+       tyc_solicitud_id, nombre, imagen, mime, bytes, ancho, alto, hash, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+    [tycSolicitudId, firma.nombre, firma.imagen, firma.mime, firma.bytes, firma.ancho, firma.alto, firma.hash]
+  );
+}
+
+/**
+ * La firma de una solicitud (con la imagen), o null si no tiene.
+ */
+async function getFirma(tycSolicitudId, db = pool) {
+  const r = await db.query(
+    `SELECT nombre, imagen, mime, bytes, ancho, alto, hash, created_at
+     FROM tyc_firmas
+     WHERE tyc_solicitud_id = $1`,
+    [tycSolicitudId]
+  );
+  if (r.rowCount === 0) return null;
+
+  const row = r.rows[0];
+  return {
+    nombre: row.nombre,
+    imagen: row.imagen,
+    mime: row.mime,
+    bytes: row.bytes,
+    ancho: row.ancho,
+    alto: row.alto,
+    hash: row.hash,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+/**
+ * Formato de API (sin la imagen).
+ */
+function firmaParaApi(firma) {
+  if (!firma) return null;
+  const { imagen, ...resto } = firma;
+  return resto;
+}
+
+module.exports = {
+  MAX_BYTES,
+  validarFirma,
+  guardarFirma,
+  getFirma,
+  firmaParaApi
+};
@@ -0,0 +1,166 @@
+// htmlSeguro.js
+
+/**
+ * Limpia el HTML de los documentos (contenido de tyc_documentos y sus traducciones)
+ * antes de publicarlo. Ese HTML va tal cual en /tyc/:token, así que solo se quedan las
+ * etiquetas de texto de ETIQUETAS con los atributos de ATRIBUTOS:
+ *  - script, style, iframe, svg, ... se van con todo su contenido
+ *  - cualquier otra etiqueta se quita y su texto se queda
+ *  - atributos on*, style, id, etc. se quitan; href solo http(s), mailto, tel o relativo
+ *  - comentarios fuera; "<" sueltos se escapan; etiquetas sin cerrar se cierran al final
+ *
+ * Un documento que ya estaba limpio sale igual, así que su hash no cambia.
+ */
+
+const ETIQUETAS = new Set([
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 's', 'small', 'sub', 'sup', 'mark', 'abbr', 'code', 'pre',
+  'blockquote', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'a', 'span', 'div', 'section', 'article', 'header', 'footer'
+]);
+
+// No son texto del documento: se quitan con lo que tengan adentro
+const ETIQUETAS_CON_CONTENIDO = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+  'noscript', 'svg', 'math', 'textarea', 'select', 'title', 'head', 'xmp', 'noembed', 'noframes'
+]);
+
+const VACIAS = new Set(['br', 'hr', 'col']);
+
+// id no: podría tapar los elementos de la página (btnAceptar, tycDatos, ...)
+const ATRIBUTOS = {
+  '*': ['class', 'title', 'lang', 'dir'],
+  a: ['href'],
+  ol: ['start', 'type'],
+  col: ['span'],
+  colgroup: ['span'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope']
+};
+
+const ESQUEMAS_HREF = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const RE_ETIQUETA = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const RE_ATRIBUTO = /([^\s"'<>/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+
+// Un ">" suelto en el texto no abre nada; se deja para que el texto limpio no cambie
+function escaparTexto(texto) {
+  return texto.replace(/</g, '&lt;');
+}
+
+/**
+ * Lo mínimo de entidades para ver el esquema real de un href ("jav&#x61;script:").
+ */
+function decodificarEntidades(valor) {
+  return valor
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16) || 0xfffd))
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(Number(dec) || 0xfffd))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '');
+}
+
+function hrefPermitido(valor) {
+  const limpio = decodificarEntidades(valor).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const esquema = limpio.match(/^([^/?#]*?):/);
+  return !esquema || ESQUEMAS_HREF.includes(`${esquema[1]}:`);
+}
+
+function atributosPermitidos(etiqueta, texto) {
+  const permitidos = [...ATRIBUTOS['*'], ...(ATRIBUTOS[etiqueta] || [])];
+  const salida = [];
+
+  for (const [, nombreCrudo, valorCrudo] of texto.matchAll(RE_ATRIBUTO)) {
+    const nombre = nombreCrudo.toLowerCase();
+    if (!permitidos.includes(nombre)) continue;
+
+    let valor = valorCrudo ?? '';
+    if (/^["']/.test(valor)) valor = valor.slice(1, -1);
+    if (nombre === 'href' && !hrefPermitido(valor)) continue;
+
+    salida.push(` ${nombre}="${valor.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}"`);
+  }
+
+  return salida.join('');
+}
+
+/**
+ * HTML de un documento con solo las etiquetas y atributos permitidos.
+ */
+function sanitizarHtml(html) {
+  const entrada = String(html ?? '');
+  const abiertas = [];
+  let salida = '';
+  let i = 0;
+
+  while (i < entrada.length) {
+    const siguiente = entrada.indexOf('<', i);
+    if (siguiente === -1) {
+      salida += escaparTexto(entrada.slice(i));
+      break;
+    }
+    salida += escaparTexto(entrada.slice(i, siguiente));
+    i = siguiente;
+
+    if (entrada.startsWith('<!--', i)) {
+      const fin = entrada.indexOf('-->', i + 4);
+      i = fin === -1 ? entrada.length : fin + 3;
+      continue;
+    }
+
+    RE_ETIQUETA.lastIndex = i;
+    const m = RE_ETIQUETA.exec(entrada);
+    if (!m) {
+      // <!DOCTYPE, <?xml, "a < b": no es una etiqueta que nos sirva
+      const fin = /^<[!?]/.test(entrada.slice(i, i + 2)) ? entrada.indexOf('>', i) : -1;
+      if (fin !== -1) {
+        i = fin + 1;
+      } else {
+        salida += '&lt;';
+        i += 1;
+      }
+      continue;
+    }
+
+    i = RE_ETIQUETA.lastIndex;
+    const cierre = m[1] === '/';
+    const etiqueta = m[2].toLowerCase();
+
+    if (ETIQUETAS_CON_CONTENIDO.has(etiqueta)) {
+      if (!cierre) {
+        const fin = entrada.slice(i).search(new RegExp(`</${etiqueta}\\s*>`, 'i'));
+        i = fin === -1 ? entrada.length : i + fin + entrada.slice(i + fin).indexOf('>') + 1;
+      }
+      continue;
+    }
+    if (!ETIQUETAS.has(etiqueta)) continue;
+
+    if (VACIAS.has(etiqueta)) {
+      if (!cierre) salida += `<${etiqueta}${atributosPermitidos(etiqueta, m[3])}/>`;
+      continue;
+    }
+
+    if (!cierre) {
+      abiertas.push(etiqueta);
+      salida += `<${etiqueta}${atributosPermitidos(etiqueta, m[3])}>`;
+      continue;
+    }
+
+    // Un cierre sin apertura se ignora; uno que salta etiquetas abiertas las cierra antes
+    const pos = abiertas.lastIndexOf(etiqueta);
+    if (pos === -1) continue;
+    while (abiertas.length > pos) {
+      salida += `</${abiertas.pop()}>`;
+    }
+  }
+
+  while (abiertas.length > 0) {
+    salida += `</${abiertas.pop()}>`;
+  }
+
+  return salida;
+}
+
+module.exports = {
+  sanitizarHtml
+};
@@ -0,0 +1,146 @@
+// i18n.js
+
+/**
+ * Textos de la página del cliente (/tyc/:token) en varios idiomas.
+ *
+ * Cada idioma es un catálogo en i18n/<idioma>.json con las mismas llaves
+ * (pagina, cliente, paginasError, api, motivos, consentimientos) y su "locale" para formatear fechas.
+ * Si a un catálogo le falta una llave se usa la del idioma default.
+ *
+ * El idioma de una solicitud se decide así:
+ *  1. el que se pidió al crearla (idioma)
+ *  2. el Accept-Language del navegador, si es uno de los soportados
+ *  3. IDIOMA_DEFAULT
+ *
+ * La zona horaria (para mostrar la expiración) es la de la solicitud o
+ * TYC_ZONA_HORARIA_DEFAULT (default America/Mexico_City).
+ */
+
+const CATALOGOS = {
+  es: require('./i18n/es.json'),
+  en: require('./i18n/en.json')
+};
+
+// Idioma en el que están escritos los documentos originales y el texto por default
+const IDIOMA_DEFAULT = 'es';
+const IDIOMAS = Object.keys(CATALOGOS);
+
+const ZONA_HORARIA_DEFAULT = process.env.TYC_ZONA_HORARIA_DEFAULT || 'America/Mexico_City';
+
+function buscar(catalogo, clave) {
+  return clave.split('.').reduce((nodo, parte) => (nodo == null ? undefined : nodo[parte]), catalogo);
+}
+
+/**
+ * "en-US" -> "en". Regresa null si no es un idioma soportado.
+ */
+function normalizarIdioma(valor) {
+  if (typeof valor !== 'string' || !valor) return null;
+  const idioma = valor.trim().toLowerCase().split(/[-_]/)[0];
+  return CATALOGOS[idioma] ? idioma : null;
+}
+
+function esZonaHorariaValida(zona) {
+  if (typeof zona !== 'string' || !zona) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zona });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Idioma con el que se le responde a una petición: el preferido (de la solicitud
+ * o el que mandó la página) si es soportado, si no el Accept-Language, si no el default.
+ */
+function idiomaDePeticion(req, preferido) {
+  return normalizarIdioma(preferido) || req.acceptsLanguages(...IDIOMAS) || IDIOMA_DEFAULT;
+}
+
+/**
+ * Texto traducido. vars reemplaza "{nombre}" en el texto.
+ * Si la llave no existe en ningún catálogo regresa la llave (así se nota en la página).
+ */
+function t(idioma, clave, vars = {}) {
+  const catalogo = CATALOGOS[idioma] || CATALOGOS[IDIOMA_DEFAULT];
+  let texto = buscar(catalogo, clave);
+  if (typeof texto !== 'string') texto = buscar(CATALOGOS[IDIOMA_DEFAULT], clave);
+  if (typeof texto !== 'string') return clave;
+
+  return texto.replace(/\{(\w+)\}/g, (m, nombre) => (vars[nombre] != null ? String(vars[nombre]) : m));
+}
+
+function combinar(base, encima) {
+  const resultado = { ...base };
+  for (const [llave, valor] of Object.entries(encima || {})) {
+    resultado[llave] = valor && typeof valor === 'object' && base[llave] && typeof base[llave] === 'object'
+      ? combinar(base[llave], valor)
+      : valor;
+  }
+  return resultado;
+}
+
+/**
+ * Catálogo completo de un idioma (con las llaves faltantes del default), para las plantillas.
+ */
+function catalogo(idioma) {
+  return combinar(CATALOGOS[IDIOMA_DEFAULT], CATALOGOS[idioma]);
+}
+
+/**
+ * Mensajes que usa el JavaScript de la página (se inyectan como JSON).
+ */
+function mensajesCliente(idioma) {
+  return { ...CATALOGOS[IDIOMA_DEFAULT].cliente, ...(CATALOGOS[idioma]?.cliente || {}) };
+}
+
+/**
+ * Etiqueta de un motivo de rechazo. En el idioma default se respeta la etiqueta
+ * configurada (TYC_MOTIVOS_RECHAZO); en los demás se usa la del catálogo si existe.
+ */
+function etiquetaMotivo(idioma, motivo) {
+  if (idioma === IDIOMA_DEFAULT) return motivo.etiqueta;
+  return buscar(CATALOGOS[idioma], `motivos.${motivo.codigo}`) || motivo.etiqueta;
+}
+
+/**
+ * Etiqueta de un consentimiento, igual que etiquetaMotivo (TYC_CONSENTIMIENTOS en el
+ * idioma default, consentimientos.CODIGO del catálogo en los demás).
+ */
+function etiquetaConsentimiento(idioma, consentimiento) {
+  if (idioma === IDIOMA_DEFAULT) return consentimiento.etiqueta;
+  return buscar(CATALOGOS[idioma], `consentimientos.${consentimiento.codigo}`) || consentimiento.etiqueta;
+}
+
+/**
+ * Fecha y hora en el idioma y la zona horaria indicados (ej. "15/01/2025, 03:30:00 p.m. CST").
+ */
+function formatearFecha(fecha, idioma, zonaHoraria) {
+  return new Intl.DateTimeFormat(t(idioma, 'locale'), {
+    timeZone: esZonaHorariaValida(zonaHoraria) ? zonaHoraria : ZONA_HORARIA_DEFAULT,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: true,
+    timeZoneName: 'short'
+  }).format(new Date(fecha));
+}
+
+module.exports = {
+  IDIOMA_DEFAULT,
+  IDIOMAS,
+  ZONA_HORARIA_DEFAULT,
+  normalizarIdioma,
+  esZonaHorariaValida,
+  idiomaDePeticion,
+  t,
+  catalogo,
+  mensajesCliente,
+  etiquetaMotivo,
+  etiquetaConsentimiento,
+  formatearFecha
+};
@@ -1,36 +1,98 @@
 // internalAuth.js
 require('dotenv').config();
+const crypto = require('crypto');
+const { TODOS_LOS_SCOPES, autenticarApiKey } = require('./apiKeys');
 
 /**
- * Middleware para proteger endpoints internos (llamados solo por n8n u otros servicios de confianza)
- * Valida el header: X-Internal-Secret
- * Contra la variable de entorno: INTERNAL_API_SECRET
+ * Autenticación de los endpoints internos (llamados por n8n, el CRM u otros servicios).
+ *
+ * Cada cliente manda su API key (ver apiKeys.js) en:
+ *  - Authorization: Bearer <key>, o
+ *  - X-Api-Key: <key>
+ *
+ * y cada endpoint pide un scope (requireScope). Si la key es válida queda en
+ * req.apiCliente = { keyId, cliente, scopes }.
+ *
+ * Transición: mientras TYC_SECRET_LEGACY no sea "false", el header X-Internal-Secret
+ * con INTERNAL_API_SECRET se sigue aceptando con todos los scopes (cliente "legacy").
+ * Es también la forma de crear la primera API key de administración.
  */
-function requireInternalSecret(req, res, next) {
-  const configuredSecret = process.env.INTERNAL_API_SECRET;
 
-  if (!configuredSecret) {
-    console.error('❌ INTERNAL_API_SECRET no está configurada en las variables de entorno.');
-    return res.status(500).json({
-      ok: false,
-      error: 'INTERNAL_API_SECRET no está configurada en el servidor'
-    });
+const CLIENTE_LEGACY = 'legacy';
+
+function safeEqual(a, b) {
+  // Comparamos los sha256 para no filtrar la longitud del secreto
+  const bufA = crypto.createHash('sha256').update(String(a)).digest();
+  const bufB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function keyDeLaPeticion(req) {
+  const auth = req.headers.authorization;
+  if (auth && /^Bearer\s+/i.test(auth)) {
+    return auth.replace(/^Bearer\s+/i, '').trim();
   }
+  return req.headers['x-api-key'] || null;
+}
 
-  const incoming = req.headers['x-internal-secret'];
+/**
+ * Regresa { keyId, cliente, scopes } del que llama, o null si no se autenticó.
+ */
+async function autenticar(req) {
+  const key = keyDeLaPeticion(req);
+  if (key) {
+    const apiKey = await autenticarApiKey(key, { ip: req.ip });
+    return apiKey ? { keyId: apiKey.keyId, cliente: apiKey.cliente, scopes: apiKey.scopes } : null;
+  }
 
-  if (!incoming || incoming !== configuredSecret) {
-    console.warn('⚠️ Intento de acceso no autorizado a endpoint interno.');
-    return res.status(401).json({
-      ok: false,
-      error: 'No autorizado'
-    });
+  const secret = req.headers['x-internal-secret'];
+  const configuredSecret = process.env.INTERNAL_API_SECRET;
+
+  if (secret && configuredSecret && process.env.TYC_SECRET_LEGACY !== 'false' && safeEqual(secret, configuredSecret)) {
+    return { keyId: null, cliente: CLIENTE_LEGACY, scopes: TODOS_LOS_SCOPES };
   }
 
-  // Autorizado
-  return next();
+  return null;
+}
+
+/**
+ * Middleware: exige una API key válida con el scope indicado.
+ *  - 401 si no hay credenciales o no son válidas (o la key está vencida/revocada)
+ *  - 403 si la key no tiene el scope
+ */
+function requireScope(scope) {
+  return async function (req, res, next) {
+    let apiCliente;
+    try {
+      apiCliente = await autenticar(req);
+    } catch (err) {
+      console.error('[Auth] Error validando API key:', err);
+      return res.status(500).json({ ok: false, error: 'Error validando credenciales' });
+    }
+
+    if (!apiCliente) {
+      console.warn(`⚠️ Intento de acceso no autorizado a ${req.method} ${req.path}.`);
+      return res.status(401).json({
+        ok: false,
+        error: 'No autorizado'
+      });
+    }
+
+    if (!apiCliente.scopes.includes(scope)) {
+      console.warn(`⚠️ ${apiCliente.cliente} (${apiCliente.keyId}) sin permiso ${scope} para ${req.method} ${req.path}.`);
+      return res.status(403).json({
+        ok: false,
+        error: `La API key no tiene el permiso ${scope}`
+      });
+    }
+
+    // Autorizado
+    req.apiCliente = apiCliente;
+    return next();
+  };
 }
 
 module.exports = {
-  requireInternalSecret
+  CLIENTE_LEGACY,
+  requireScope
 };
@@ -0,0 +1,156 @@
+// marcas.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Marca (branding) de cada producto: lo que cambia en las páginas del cliente
+ * según el `producto` de la solicitud.
+ *
+ * Una marca tiene:
+ *  - nombre (string)        nombre comercial, aparece en el título de la página y en la constancia
+ *  - logoUrl (string)       opcional, URL https del logo
+ *  - colores                primario (botón aceptar), secundario, aceptado, rechazado, fondo (hex)
+ *  - textoPie               opcional, texto legal / pie de página
+ *  - soporte                opcional, { telefono, email, whatsapp }
+ *
+ * textoPie puede ser un texto o un objeto por idioma ({ "es": "...", "en": "..." }).
+ *
+ * El diseño de siempre es la marca de PRODUCTO_DEFAULT (TYC_PRODUCTO_DEFAULT, default
+ * "AMA_TRACK_SAFE"). Los demás productos se configuran en un JSON (TYC_MARCAS_ARCHIVO)
+ * con el código del producto como llave; lo que no traigan se toma de la marca default:
+ *
+ *   { "AMA_FLOTILLAS": { "nombre": "AMA Flotillas", "colores": { "primario": "#1D4ED8" } } }
+ */
+
+const PRODUCTO_DEFAULT = process.env.TYC_PRODUCTO_DEFAULT || 'AMA_TRACK_SAFE';
+
+const MARCA_BASE = {
+  nombre: 'AMA Track & Safe',
+  logoUrl: null,
+  colores: {
+    primario: '#E27C39',
+    secundario: '#3C3C3C',
+    aceptado: '#16a34a',
+    rechazado: '#b91c1c',
+    fondo: '#f5f5f5'
+  },
+  textoPie: null,
+  soporte: null
+};
+
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Completa una marca con la base y valida lo que va a terminar en el HTML/CSS.
+ * Lanza error si algo no es válido (se llama al arrancar).
+ */
+function normalizarMarca(producto, datos, base) {
+  if (!datos || typeof datos !== 'object') {
+    throw new Error(`La marca de ${producto} debe ser un objeto`);
+  }
+
+  const marca = {
+    ...base,
+    ...datos,
+    producto,
+    colores: { ...base.colores, ...(datos.colores || {}) }
+  };
+
+  if (!marca.nombre || typeof marca.nombre !== 'string') {
+    throw new Error(`La marca de ${producto} no tiene nombre`);
+  }
+
+  for (const [nombre, color] of Object.entries(marca.colores)) {
+    if (!COLOR_RE.test(String(color))) {
+      throw new Error(`Color ${nombre} inválido en la marca de ${producto}: ${color}`);
+    }
+  }
+
+  if (marca.logoUrl && !/^https:\/\//i.test(marca.logoUrl)) {
+    throw new Error(`logoUrl de la marca de ${producto} debe ser https`);
+  }
+
+  return marca;
+}
+
+/**
+ * Lee TYC_MARCAS_ARCHIVO (si está definida) y arma { producto: marca }.
+ */
+function cargarMarcas(env = process.env) {
+  const marcas = {};
+  let configuradas = {};
+
+  if (env.TYC_MARCAS_ARCHIVO) {
+    const archivo = path.resolve(env.TYC_MARCAS_ARCHIVO);
+    configuradas = JSON.parse(fs.readFileSync(archivo, 'utf8'));
+  }
+
+  const base = normalizarMarca(PRODUCTO_DEFAULT, configuradas[PRODUCTO_DEFAULT] || {}, MARCA_BASE);
+  marcas[PRODUCTO_DEFAULT] = base;
+
+  for (const [producto, datos] of Object.entries(configuradas)) {
+    if (producto === PRODUCTO_DEFAULT) continue;
+    marcas[producto] = normalizarMarca(producto, datos, base);
+  }
+
+  return marcas;
+}
+
+let MARCAS = null;
+
+function getMarcas() {
+  if (!MARCAS) MARCAS = cargarMarcas();
+  return MARCAS;
+}
+
+/**
+ * Códigos de producto configurados.
+ */
+function listarProductos() {
+  return Object.keys(getMarcas());
+}
+
+function esProductoValido(producto) {
+  return typeof producto === 'string' && Object.prototype.hasOwnProperty.call(getMarcas(), producto);
+}
+
+/**
+ * Marca de un producto. Sin producto (solicitudes anteriores) o con uno que ya no
+ * está configurado se usa la default.
+ */
+function getMarca(producto) {
+  const marcas = getMarcas();
+  if (producto && marcas[producto]) return marcas[producto];
+
+  if (producto) {
+    console.warn(`⚠️ [Marcas] El producto ${producto} no tiene marca configurada, se usa ${PRODUCTO_DEFAULT}.`);
+  }
+  return marcas[PRODUCTO_DEFAULT];
+}
+
+/**
+ * Texto de la marca en un idioma (textoPie puede venir por idioma).
+ */
+function textoDeMarca(valor, idioma, idiomaDefault) {
+  if (!valor) return null;
+  if (typeof valor === 'string') return valor;
+  return valor[idioma] || valor[idiomaDefault] || null;
+}
+
+/**
+ * Se llama al arrancar: falla si TYC_MARCAS_ARCHIVO no se puede leer o trae algo inválido.
+ */
+function assertMarcasConfig() {
+  MARCAS = cargarMarcas();
+  const productos = Object.keys(MARCAS);
+  console.log(`[Marcas] ${productos.length} producto(s) configurado(s): ${productos.join(', ')}`);
+}
+
+module.exports = {
+  PRODUCTO_DEFAULT,
+  listarProductos,
+  esProductoValido,
+  getMarca,
+  textoDeMarca,
+  assertMarcasConfig
+};
@@ -0,0 +1,263 @@
+// metricas.js
+const { estadoPool } = require('./db');
+
+/**
+ * Métricas del servicio en formato de texto de Prometheus (GET /metrics, ver metricasRoutes.js).
+ *
+ * Todo vive en memoria de cada instancia (Prometheus junta las instancias); exponerlas no
+ * toca la BD, así que se puede raspar cada 15 s sin problema. Se reinician con el proceso.
+ *
+ *  - tyc_solicitudes_{creadas,abiertas,aceptadas,expiradas}_total{canal}
+ *    canal es uno de METRICS_CANALES (separados por coma, default WHATSAPP,SMS,EMAIL,WEB) u "otro":
+ *    el canal llega libre en POST /api/tyc/solicitudes y cada valor distinto sería una serie más
+ *  - tyc_tiempo_hasta_apertura_seconds{canal}      de created_at a la primera apertura
+ *  - tyc_tiempo_hasta_aceptacion_seconds{canal}    de created_at a la aceptación
+ *  - tyc_http_request_duration_seconds{method,route,status}   route es la ruta de Express
+ *    (ej. /tyc/:token), "desconocida" si ninguna coincidió
+ *  - tyc_webhook_entregas_total{evento,resultado} y tyc_webhook_entrega_duration_seconds{evento,resultado}
+ *    resultado: ok, http_error (n8n respondió no 2xx), error (timeout, red) o bloqueado (destino no permitido)
+ *  - tyc_db_pool_conexiones{estado} (total, libres, esperando) y tyc_db_pool_max
+ */
+
+const metricas = [];
+
+function escaparEtiqueta(valor) {
+  return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function textoEtiquetas(nombres, valores, extra = '') {
+  const partes = nombres.map((n, i) => `${n}="${escaparEtiqueta(valores[i])}"`);
+  if (extra) partes.push(extra);
+  return partes.length > 0 ? `{${partes.join(',')}}` : '';
+}
+
+function valoresDe(nombres, etiquetas = {}) {
+  return nombres.map((n) => (etiquetas[n] == null || etiquetas[n] === '' ? 'desconocido' : etiquetas[n]));
+}
+
+/**
+ * Contador con etiquetas: inc({ canal: 'WHATSAPP' }).
+ */
+function contador(nombre, ayuda, etiquetas = []) {
+  const series = new Map();
+
+  const metrica = {
+    inc(valoresEtiquetas, n = 1) {
+      const valores = valoresDe(etiquetas, valoresEtiquetas);
+      const clave = JSON.stringify(valores);
+      const serie = series.get(clave) || { valores, valor: 0 };
+      serie.valor += n;
+      series.set(clave, serie);
+    },
+    exponer() {
+      const lineas = [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} counter`];
+      for (const serie of series.values()) {
+        lineas.push(`${nombre}${textoEtiquetas(etiquetas, serie.valores)} ${serie.valor}`);
+      }
+      return lineas;
+    }
+  };
+
+  metricas.push(metrica);
+  return metrica;
+}
+
+/**
+ * Histograma con etiquetas (buckets en segundos): observar({ canal }, 12.5).
+ */
+function histograma(nombre, ayuda, etiquetas, buckets) {
+  const series = new Map();
+
+  const metrica = {
+    observar(valoresEtiquetas, segundos) {
+      if (!Number.isFinite(segundos) || segundos < 0) return;
+
+      const valores = valoresDe(etiquetas, valoresEtiquetas);
+      const clave = JSON.stringify(valores);
+      let serie = series.get(clave);
+      if (!serie) {
+        serie = { valores, conteos: buckets.map(() => 0), suma: 0, total: 0 };
+        series.set(clave, serie);
+      }
+
+      const i = buckets.findIndex((b) => segundos <= b);
+      if (i >= 0) serie.conteos[i] += 1;
+      serie.suma += segundos;
+      serie.total += 1;
+    },
+    exponer() {
+      const lineas = [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} histogram`];
+      for (const serie of series.values()) {
+        // Los buckets de Prometheus son acumulados
+        let acumulado = 0;
+        buckets.forEach((b, i) => {
+          acumulado += serie.conteos[i];
+          lineas.push(`${nombre}_bucket${textoEtiquetas(etiquetas, serie.valores, `le="${b}"`)} ${acumulado}`);
+        });
+        lineas.push(`${nombre}_bucket${textoEtiquetas(etiquetas, serie.valores, 'le="+Inf"')} ${serie.total}`);
+        lineas.push(`${nombre}_sum${textoEtiquetas(etiquetas, serie.valores)} ${serie.suma}`);
+        lineas.push(`${nombre}_count${textoEtiquetas(etiquetas, serie.valores)} ${serie.total}`);
+      }
+      return lineas;
+    }
+  };
+
+  metricas.push(metrica);
+  return metrica;
+}
+
+/**
+ * Gauge que se lee al exponer: leer() regresa [{ etiquetas, valor }].
+ */
+function medidor(nombre, ayuda, etiquetas, leer) {
+  const metrica = {
+    exponer() {
+      const lineas = [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} gauge`];
+      for (const { etiquetas: valoresEtiquetas, valor } of leer()) {
+        lineas.push(`${nombre}${textoEtiquetas(etiquetas, valoresDe(etiquetas, valoresEtiquetas))} ${valor}`);
+      }
+      return lineas;
+    }
+  };
+
+  metricas.push(metrica);
+  return metrica;
+}
+
+// Segundos: de minutos a una semana (las ligas duran de minutos a días)
+const BUCKETS_EMBUDO = [30, 60, 300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400, 2 * 86400, 7 * 86400];
+const BUCKETS_HTTP = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const BUCKETS_WEBHOOK = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const creadas = contador('tyc_solicitudes_creadas_total', 'Solicitudes creadas (incluye reemisiones)', ['canal']);
+const abiertas = contador('tyc_solicitudes_abiertas_total', 'Solicitudes abiertas por primera vez', ['canal']);
+const aceptadas = contador('tyc_solicitudes_aceptadas_total', 'Solicitudes aceptadas', ['canal']);
+const expiradas = contador('tyc_solicitudes_expiradas_total', 'Solicitudes expiradas', ['canal']);
+
+const hastaApertura = histograma(
+  'tyc_tiempo_hasta_apertura_seconds',
+  'Tiempo de la creación a la primera apertura de la liga',
+  ['canal'],
+  BUCKETS_EMBUDO
+);
+const hastaAceptacion = histograma(
+  'tyc_tiempo_hasta_aceptacion_seconds',
+  'Tiempo de la creación a la aceptación',
+  ['canal'],
+  BUCKETS_EMBUDO
+);
+
+const http = histograma(
+  'tyc_http_request_duration_seconds',
+  'Duración de las peticiones HTTP por ruta',
+  ['method', 'route', 'status'],
+  BUCKETS_HTTP
+);
+
+const webhookEntregas = contador(
+  'tyc_webhook_entregas_total',
+  'Intentos de entrega de webhooks por resultado',
+  ['evento', 'resultado']
+);
+const webhookDuracion = histograma(
+  'tyc_webhook_entrega_duration_seconds',
+  'Duración de los intentos de entrega de webhooks',
+  ['evento', 'resultado'],
+  BUCKETS_WEBHOOK
+);
+
+medidor('tyc_db_pool_conexiones', 'Conexiones del pool de Postgres', ['estado'], () => {
+  const pool = estadoPool();
+  return [
+    { etiquetas: { estado: 'total' }, valor: pool.total },
+    { etiquetas: { estado: 'libres' }, valor: pool.libres },
+    { etiquetas: { estado: 'esperando' }, valor: pool.esperando }
+  ];
+});
+medidor('tyc_db_pool_max', 'Máximo de conexiones del pool de Postgres', [], () => [
+  { etiquetas: {}, valor: estadoPool().max }
+]);
+
+const CANALES = new Set(
+  (process.env.METRICS_CANALES || 'WHATSAPP,SMS,EMAIL,WEB')
+    .split(',')
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean)
+);
+
+function etiquetaCanal(canal) {
+  const valor = String(canal || '').toUpperCase();
+  return CANALES.has(valor) ? valor : 'otro';
+}
+
+function segundosDesde(desde, hasta) {
+  return (new Date(hasta).getTime() - new Date(desde).getTime()) / 1000;
+}
+
+function metricaCreada(solicitud) {
+  creadas.inc({ canal: etiquetaCanal(solicitud.canal) });
+}
+
+/**
+ * Primera apertura (openedAt ya puesto).
+ */
+function metricaAbierta(solicitud) {
+  const canal = etiquetaCanal(solicitud.canal);
+  abiertas.inc({ canal });
+  if (solicitud.openedAt) {
+    hastaApertura.observar({ canal }, segundosDesde(solicitud.createdAt, solicitud.openedAt));
+  }
+}
+
+function metricaAceptada(solicitud) {
+  const canal = etiquetaCanal(solicitud.canal);
+  aceptadas.inc({ canal });
+  if (solicitud.acceptedAt) {
+    hastaAceptacion.observar({ canal }, segundosDesde(solicitud.createdAt, solicitud.acceptedAt));
+  }
+}
+
+function metricaExpirada(solicitud) {
+  expiradas.inc({ canal: etiquetaCanal(solicitud.canal) });
+}
+
+/**
+ * Un intento de entrega de webhook (lo llama sendWebhook).
+ */
+function metricaWebhook({ evento, resultado, duracionMs }) {
+  webhookEntregas.inc({ evento, resultado });
+  webhookDuracion.observar({ evento, resultado }, duracionMs / 1000);
+}
+
+/**
+ * Middleware: mide cada petición HTTP al terminar de responder.
+ */
+function middlewareMetricas(req, res, next) {
+  const inicio = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+    // La ruta de Express y no la URL, para no tener una serie por token o id
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'desconocida';
+    http.observar({ method: req.method, route, status: res.statusCode }, segundos);
+  });
+
+  next();
+}
+
+/**
+ * Todas las métricas en formato de texto de Prometheus (versión 0.0.4).
+ */
+function exponerMetricas() {
+  return `${metricas.flatMap((m) => m.exponer()).join('\n')}\n`;
+}
+
+module.exports = {
+  metricaCreada,
+  metricaAbierta,
+  metricaAceptada,
+  metricaExpirada,
+  metricaWebhook,
+  middlewareMetricas,
+  exponerMetricas
+};
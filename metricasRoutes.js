@@ -0,0 +1,44 @@
+// metricasRoutes.js
+const crypto = require('crypto');
+const express = require('express');
+const { exponerMetricas } = require('./metricas');
+
+const router = express.Router();
+
+/**
+ * Protección opcional del endpoint de métricas:
+ *  - METRICS_TOKEN   si está definido, se exige Authorization: Bearer <token>
+ *                    (bearer_token / authorization en la configuración del scrape de Prometheus).
+ *                    Sin definir, /metrics queda abierto (para redes internas).
+ */
+function tokenValido(req) {
+  const esperado = process.env.METRICS_TOKEN;
+  if (!esperado) return true;
+
+  const auth = req.headers.authorization || '';
+  if (!/^Bearer\s+/i.test(auth)) return false;
+
+  // Comparamos los sha256 para no filtrar la longitud del token
+  const recibido = crypto.createHash('sha256').update(auth.replace(/^Bearer\s+/i, '').trim()).digest();
+  return crypto.timingSafeEqual(recibido, crypto.createHash('sha256').update(esperado).digest());
+}
+
+/**
+ * GET /metrics
+ *
+ * Métricas en formato de texto de Prometheus (ver metricas.js). No consulta la BD.
+ */
+router.get('/metrics', (req, res) => {
+  if (!tokenValido(req)) {
+    console.warn(`⚠️ Intento de acceso no autorizado a ${req.method} ${req.path}.`);
+    return res.status(401).json({ ok: false, error: 'No autorizado' });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(exponerMetricas());
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,204 @@
+// migraciones.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+/**
+ * Migraciones de esquema.
+ *
+ * Cada archivo de migraciones/ es "NNN_descripcion.sql" y se aplica una sola vez,
+ * en orden, dentro de su propia transacción. Lo aplicado queda en schema_migraciones
+ * con el checksum (sha256) del archivo: si alguien edita una migración ya aplicada
+ * el servicio no arranca (las correcciones van en una migración nueva).
+ *
+ * Tabla schema_migraciones:
+ *  - version (text, pk)     "001"
+ *  - nombre (text)          "001_tyc_solicitudes.sql"
+ *  - checksum (text)
+ *  - aplicada_en (timestamptz), duracion_ms (int)
+ */
+
+const DIR_MIGRACIONES = path.join(__dirname, 'migraciones');
+const ARCHIVO_RE = /^(\d+)_[\w-]+\.sql$/;
+// Un solo proceso aplica migraciones a la vez (pg_advisory_lock)
+const LOCK_MIGRACIONES = 7710001;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migraciones en disco, ordenadas por versión.
+ */
+function listarMigraciones(dir = DIR_MIGRACIONES) {
+  const migraciones = fs.readdirSync(dir)
+    .filter((nombre) => ARCHIVO_RE.test(nombre))
+    .map((nombre) => {
+      const sql = fs.readFileSync(path.join(dir, nombre), 'utf8');
+      return {
+        version: nombre.match(ARCHIVO_RE)[1],
+        nombre,
+        sql,
+        checksum: checksum(sql)
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migraciones.length; i++) {
+    if (Number(migraciones[i].version) === Number(migraciones[i - 1].version)) {
+      throw new Error(`Versión de migración repetida: ${migraciones[i - 1].nombre} y ${migraciones[i].nombre}`);
+    }
+  }
+
+  return migraciones;
+}
+
+async function asegurarTablaMigraciones(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migraciones (
+       version      TEXT PRIMARY KEY,
+       nombre       TEXT NOT NULL,
+       checksum     TEXT NOT NULL,
+       aplicada_en  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+       duracion_ms  INT
+     )`
+  );
+}
+
+async function leerAplicadas(db) {
+  const existe = await db.query(`SELECT to_regclass('schema_migraciones') IS NOT NULL AS existe`);
+  if (!existe.rows[0].existe) return [];
+
+  const r = await db.query(
+    `SELECT version, nombre, checksum, aplicada_en, duracion_ms
+     FROM schema_migraciones
+     ORDER BY version ASC`
+  );
+  return r.rows;
+}
+
+/**
+ * Compara lo que hay en disco contra lo aplicado en BD.
+ *
+ * Regresa { aplicadas, pendientes, alteradas, desconocidas, alDia }:
+ *  - alteradas: aplicadas cuyo archivo cambió después (checksum distinto)
+ *  - desconocidas: aplicadas en BD que ya no están en disco (BD más nueva que el código)
+ */
+async function estadoMigraciones(db = pool, dir = DIR_MIGRACIONES) {
+  const enDisco = listarMigraciones(dir);
+  const aplicadas = await leerAplicadas(db);
+  const porVersion = new Map(aplicadas.map((a) => [a.version, a]));
+  const versionesEnDisco = new Set(enDisco.map((m) => m.version));
+
+  const pendientes = enDisco.filter((m) => !porVersion.has(m.version));
+  const alteradas = enDisco
+    .filter((m) => porVersion.has(m.version) && porVersion.get(m.version).checksum !== m.checksum)
+    .map((m) => m.nombre);
+  const desconocidas = aplicadas
+    .filter((a) => !versionesEnDisco.has(a.version))
+    .map((a) => a.nombre);
+
+  return {
+    aplicadas: aplicadas.map((a) => ({
+      version: a.version,
+      nombre: a.nombre,
+      aplicadaEn: a.aplicada_en?.toISOString?.() ?? String(a.aplicada_en),
+      duracionMs: a.duracion_ms
+    })),
+    pendientes: pendientes.map((m) => m.nombre),
+    alteradas,
+    desconocidas,
+    alDia: pendientes.length === 0 && alteradas.length === 0
+  };
+}
+
+/**
+ * Aplica las migraciones pendientes, en orden, cada una en su transacción.
+ * Si una falla se detiene ahí (las anteriores quedan aplicadas).
+ * Regresa los nombres de las que aplicó.
+ */
+async function aplicarMigraciones(dir = DIR_MIGRACIONES) {
+  const enDisco = listarMigraciones(dir);
+  const client = await pool.connect();
+  const aplicadasAhora = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_MIGRACIONES]);
+    await asegurarTablaMigraciones(client);
+
+    const yaAplicadas = new Map((await leerAplicadas(client)).map((a) => [a.version, a]));
+
+    for (const m of enDisco) {
+      const previa = yaAplicadas.get(m.version);
+
+      if (previa) {
+        if (previa.checksum !== m.checksum) {
+          throw new Error(`La migración ${m.nombre} cambió después de aplicarse (checksum distinto)`);
+        }
+        continue;
+      }
+
+      const inicio = Date.now();
+      try {
+        await client.query('BEGIN');
+        await client.query(m.sql);
+        await client.query(
+          `INSERT INTO schema_migraciones (version, nombre, checksum, aplicada_en, duracion_ms)
+           VALUES ($1, $2, $3, NOW(), $4)`,
+          [m.version, m.nombre, m.checksum, Date.now() - inicio]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        err.message = `Migración ${m.nombre}: ${err.message}`;
+        throw err;
+      }
+
+      console.log(`✅ [Migraciones] ${m.nombre} aplicada (${Date.now() - inicio} ms).`);
+      aplicadasAhora.push(m.nombre);
+    }
+
+    return aplicadasAhora;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_MIGRACIONES]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Se llama al arrancar: lanza error si el esquema está atrasado o alguna migración
+ * aplicada fue editada. Con MIGRAR_AL_ARRANCAR=true aplica las pendientes en lugar de fallar.
+ */
+async function verificarEsquema() {
+  if (process.env.MIGRAR_AL_ARRANCAR === 'true') {
+    await aplicarMigraciones();
+  }
+
+  const estado = await estadoMigraciones();
+
+  if (estado.alteradas.length > 0) {
+    throw new Error(`Migraciones editadas después de aplicarse: ${estado.alteradas.join(', ')}`);
+  }
+
+  if (estado.pendientes.length > 0) {
+    throw new Error(
+      `El esquema está atrasado, faltan ${estado.pendientes.length} migración(es): ${estado.pendientes.join(', ')}. ` +
+      'Corre "npm run db:migrate".'
+    );
+  }
+
+  if (estado.desconocidas.length > 0) {
+    console.warn(`⚠️ [Migraciones] La BD tiene migraciones que este código no conoce: ${estado.desconocidas.join(', ')}`);
+  }
+
+  return estado;
+}
+
+module.exports = {
+  DIR_MIGRACIONES,
+  listarMigraciones,
+  estadoMigraciones,
+  aplicarMigraciones,
+  verificarEsquema
+};
@@ -0,0 +1,25 @@
+-- 001: tabla base de solicitudes de TyC (la que ya existía antes de las migraciones).
+-- IF NOT EXISTS para poder correr sobre bases creadas a mano.
+
+CREATE TABLE IF NOT EXISTS tyc_solicitudes (
+  tyc_solicitud_id  TEXT PRIMARY KEY,
+  precliente_id     TEXT NOT NULL,
+  token             TEXT,
+  token_hash        TEXT,
+  canal             TEXT NOT NULL DEFAULT 'WHATSAPP',
+  webhook_url       TEXT,
+  metadata          JSONB NOT NULL DEFAULT '{}'::jsonb,
+  estado            TEXT NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at        TIMESTAMPTZ NOT NULL,
+  opened_at         TIMESTAMPTZ,
+  accepted_at       TIMESTAMPTZ,
+  accepted_ip       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_precliente_idx
+  ON tyc_solicitudes (precliente_id, created_at DESC);
+
+-- Barrido de expiradas (cron)
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_estado_expires_idx
+  ON tyc_solicitudes (estado, expires_at);
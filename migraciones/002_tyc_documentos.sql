@@ -0,0 +1,20 @@
+-- 002: catálogo versionado de documentos de TyC y la versión amarrada a cada solicitud.
+
+CREATE TABLE IF NOT EXISTS tyc_documentos (
+  documento_id   TEXT NOT NULL,
+  version        INT NOT NULL,
+  titulo         TEXT NOT NULL,
+  contenido      TEXT NOT NULL,
+  content_hash   TEXT NOT NULL,
+  vigente_desde  TIMESTAMPTZ NOT NULL,
+  publicado_por  TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (documento_id, version)
+);
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS documento_id TEXT,
+  ADD COLUMN IF NOT EXISTS documento_version INT,
+  ADD COLUMN IF NOT EXISTS documento_hash TEXT,
+  ADD COLUMN IF NOT EXISTS accepted_documento_hash TEXT,
+  ADD COLUMN IF NOT EXISTS accepted_user_agent TEXT;
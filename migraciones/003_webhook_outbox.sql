@@ -0,0 +1,40 @@
+-- 003: outbox de webhooks hacia n8n y bitácora de intentos de entrega (ver webhookOutbox.js).
+
+CREATE TABLE IF NOT EXISTS tyc_webhook_outbox (
+  id                BIGSERIAL PRIMARY KEY,
+  event_id          UUID NOT NULL UNIQUE,
+  tyc_solicitud_id  TEXT,
+  evento            TEXT NOT NULL,
+  webhook_url       TEXT NOT NULL,
+  payload           JSONB NOT NULL,
+  estado            TEXT NOT NULL,
+  intentos          INT NOT NULL DEFAULT 0,
+  max_intentos      INT NOT NULL,
+  next_attempt_at   TIMESTAMPTZ NOT NULL,
+  last_status_code  INT,
+  last_error        TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at      TIMESTAMPTZ
+);
+
+-- Lo que toma el worker
+CREATE INDEX IF NOT EXISTS tyc_webhook_outbox_pendientes_idx
+  ON tyc_webhook_outbox (estado, next_attempt_at, id);
+
+CREATE INDEX IF NOT EXISTS tyc_webhook_outbox_solicitud_idx
+  ON tyc_webhook_outbox (tyc_solicitud_id);
+
+CREATE TABLE IF NOT EXISTS tyc_webhook_intentos (
+  id            BIGSERIAL PRIMARY KEY,
+  outbox_id     BIGINT NOT NULL REFERENCES tyc_webhook_outbox (id) ON DELETE CASCADE,
+  intento       INT NOT NULL,
+  status_code   INT,
+  response_body TEXT,
+  error         TEXT,
+  duracion_ms   INT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tyc_webhook_intentos_outbox_idx
+  ON tyc_webhook_intentos (outbox_id, intento);
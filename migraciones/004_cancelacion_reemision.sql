@@ -0,0 +1,12 @@
+-- 004: cancelación de enlaces y cadena de reemisiones.
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by TEXT,
+  ADD COLUMN IF NOT EXISTS cancel_reason TEXT,
+  ADD COLUMN IF NOT EXISTS parent_tyc_solicitud_id TEXT,
+  ADD COLUMN IF NOT EXISTS superseded_by TEXT,
+  ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_parent_idx
+  ON tyc_solicitudes (parent_tyc_solicitud_id);
@@ -0,0 +1,8 @@
+-- 005: rechazo explícito ("No acepto").
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_ip TEXT,
+  ADD COLUMN IF NOT EXISTS rejected_user_agent TEXT,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS rejection_comment TEXT;
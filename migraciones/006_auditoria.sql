@@ -0,0 +1,49 @@
+-- 006: bitácora de auditoría encadenada por hash (ver tycAuditoria.js).
+
+CREATE TABLE IF NOT EXISTS tyc_auditoria (
+  id                BIGSERIAL PRIMARY KEY,
+  tyc_solicitud_id  TEXT NOT NULL,
+  seq               INT NOT NULL,
+  tipo              TEXT NOT NULL,
+  estado_anterior   TEXT,
+  estado            TEXT,
+  actor             TEXT NOT NULL,
+  ip                TEXT,
+  user_agent        TEXT,
+  sal_datos         TEXT,
+  ip_hash           TEXT,
+  user_agent_hash   TEXT,
+  detalle           JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at        TIMESTAMPTZ NOT NULL,
+  prev_hash         TEXT NOT NULL,
+  hash              TEXT NOT NULL,
+  UNIQUE (tyc_solicitud_id, seq)
+);
+
+-- Solo INSERT. El único UPDATE permitido es anonimizar (ip, user_agent y sal_datos a NULL)
+-- sin tocar nada más; eso no rompe la cadena porque el hash cubre ip_hash/user_agent_hash.
+CREATE OR REPLACE FUNCTION tyc_auditoria_solo_insert() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.ip IS NULL
+     AND NEW.user_agent IS NULL
+     AND NEW.sal_datos IS NULL
+     AND (NEW.id, NEW.tyc_solicitud_id, NEW.seq, NEW.tipo, NEW.estado_anterior, NEW.estado,
+          NEW.actor, NEW.ip_hash, NEW.user_agent_hash, NEW.detalle, NEW.created_at,
+          NEW.prev_hash, NEW.hash)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.tyc_solicitud_id, OLD.seq, OLD.tipo, OLD.estado_anterior, OLD.estado,
+          OLD.actor, OLD.ip_hash, OLD.user_agent_hash, OLD.detalle, OLD.created_at,
+          OLD.prev_hash, OLD.hash)
+  THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'tyc_auditoria es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tyc_auditoria_solo_insert ON tyc_auditoria;
+CREATE TRIGGER tyc_auditoria_solo_insert
+  BEFORE UPDATE OR DELETE ON tyc_auditoria
+  FOR EACH ROW EXECUTE FUNCTION tyc_auditoria_solo_insert();
@@ -0,0 +1,16 @@
+-- 007: las búsquedas son solo por token_hash; se borran los tokens guardados en claro.
+
+ALTER TABLE tyc_solicitudes ALTER COLUMN token DROP NOT NULL;
+
+-- sha256 hex del token, igual que tycTokens.hashToken
+UPDATE tyc_solicitudes
+SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex')
+WHERE token IS NOT NULL
+  AND token_hash IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tyc_solicitudes_token_hash_idx
+  ON tyc_solicitudes (token_hash);
+
+UPDATE tyc_solicitudes
+SET token = NULL
+WHERE token IS NOT NULL;
@@ -0,0 +1,19 @@
+-- 008: idioma y zona horaria por solicitud, idioma aceptado y traducciones de los documentos.
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS idioma TEXT,
+  ADD COLUMN IF NOT EXISTS zona_horaria TEXT,
+  ADD COLUMN IF NOT EXISTS accepted_idioma TEXT;
+
+CREATE TABLE IF NOT EXISTS tyc_documento_traducciones (
+  documento_id   TEXT NOT NULL,
+  version        INT NOT NULL,
+  idioma         TEXT NOT NULL,
+  titulo         TEXT NOT NULL,
+  contenido      TEXT NOT NULL,
+  content_hash   TEXT NOT NULL,
+  publicado_por  TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (documento_id, version, idioma),
+  FOREIGN KEY (documento_id, version) REFERENCES tyc_documentos (documento_id, version)
+);
@@ -0,0 +1,4 @@
+-- 009: producto de la solicitud (define la marca de la página, ver marcas.js).
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS producto TEXT;
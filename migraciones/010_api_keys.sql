@@ -0,0 +1,21 @@
+-- 010: API keys por cliente (n8n, CRM...) con permisos, y qué cliente creó cada solicitud.
+
+CREATE TABLE IF NOT EXISTS tyc_api_keys (
+  key_id        TEXT PRIMARY KEY,
+  cliente       TEXT NOT NULL,
+  descripcion   TEXT,
+  key_hash      TEXT NOT NULL,
+  scopes        TEXT[] NOT NULL,
+  expires_at    TIMESTAMPTZ,
+  revoked_at    TIMESTAMPTZ,
+  revoked_by    TEXT,
+  last_used_at  TIMESTAMPTZ,
+  last_used_ip  TEXT,
+  created_by    TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tyc_api_keys_cliente_idx ON tyc_api_keys (cliente);
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS created_by_client TEXT;
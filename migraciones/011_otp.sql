@@ -0,0 +1,22 @@
+-- 011: verificación por código de un solo uso (OTP) antes de aceptar, opcional por solicitud.
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS requiere_otp BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS otp_telefono TEXT,
+  ADD COLUMN IF NOT EXISTS otp_verified_at TIMESTAMPTZ;
+
+-- Un renglón por código enviado; el vigente es el más reciente de la solicitud
+CREATE TABLE IF NOT EXISTS tyc_otp_codigos (
+  id                BIGSERIAL PRIMARY KEY,
+  tyc_solicitud_id  TEXT NOT NULL,
+  telefono          TEXT NOT NULL,
+  sal               TEXT NOT NULL,
+  codigo_hash       TEXT NOT NULL,
+  enviador          TEXT NOT NULL,
+  intentos          INTEGER NOT NULL DEFAULT 0,
+  expires_at        TIMESTAMPTZ NOT NULL,
+  verified_at       TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tyc_otp_codigos_solicitud_idx ON tyc_otp_codigos (tyc_solicitud_id, created_at DESC);
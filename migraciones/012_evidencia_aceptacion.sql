@@ -0,0 +1,7 @@
+-- 012: evidencia completa de la aceptación: cadena de IPs (X-Forwarded-For), Accept-Language
+-- del navegador y telemetría de lectura que manda la página (ver evidencia.js).
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS accepted_ip_cadena TEXT[],
+  ADD COLUMN IF NOT EXISTS accepted_accept_language TEXT,
+  ADD COLUMN IF NOT EXISTS accepted_telemetria JSONB;
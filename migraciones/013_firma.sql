@@ -0,0 +1,18 @@
+-- 013: firma del cliente (nombre + firma dibujada) antes de aceptar, opcional por solicitud.
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS requiere_firma BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS firma_nombre TEXT,
+  ADD COLUMN IF NOT EXISTS firma_hash TEXT;
+
+CREATE TABLE IF NOT EXISTS tyc_firmas (
+  tyc_solicitud_id  TEXT PRIMARY KEY,
+  nombre            TEXT NOT NULL,
+  imagen            BYTEA NOT NULL,
+  mime              TEXT NOT NULL,
+  bytes             INTEGER NOT NULL,
+  ancho             INTEGER NOT NULL,
+  alto              INTEGER NOT NULL,
+  hash              TEXT NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,27 @@
+-- 014: varios documentos en una misma solicitud y consentimientos por separado
+-- (obligatorios u opcionales), cada uno con su respuesta.
+
+-- Documentos que se muestran después del principal (el de tyc_solicitudes.documento_id)
+CREATE TABLE IF NOT EXISTS tyc_solicitud_documentos (
+  tyc_solicitud_id         TEXT NOT NULL,
+  orden                    INTEGER NOT NULL,
+  documento_id             TEXT NOT NULL,
+  documento_version        INTEGER NOT NULL,
+  documento_hash           TEXT NOT NULL,
+  accepted_documento_hash  TEXT,
+  accepted_idioma          TEXT,
+  PRIMARY KEY (tyc_solicitud_id, documento_id)
+);
+
+-- otorgado queda NULL hasta que el cliente acepta; etiqueta/idioma son el texto que vio
+CREATE TABLE IF NOT EXISTS tyc_solicitud_consentimientos (
+  tyc_solicitud_id  TEXT NOT NULL,
+  orden             INTEGER NOT NULL,
+  codigo            TEXT NOT NULL,
+  obligatorio       BOOLEAN NOT NULL,
+  otorgado          BOOLEAN,
+  etiqueta          TEXT,
+  idioma            TEXT,
+  respondido_at     TIMESTAMPTZ,
+  PRIMARY KEY (tyc_solicitud_id, codigo)
+);
@@ -0,0 +1,23 @@
+-- 015: derechos ARCO del precliente (acceso, revocación del consentimiento, cancelación/anonimización).
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS revocation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS codigo_constancia TEXT;
+
+ALTER TABLE tyc_solicitud_consentimientos
+  ADD COLUMN IF NOT EXISTS revocado_at TIMESTAMPTZ;
+
+-- Registro de cada derecho atendido (ACCESO, REVOCACION, CANCELACION)
+CREATE TABLE IF NOT EXISTS tyc_derechos_arco (
+  id             BIGSERIAL PRIMARY KEY,
+  precliente_id  TEXT NOT NULL,
+  tipo           TEXT NOT NULL,
+  actor          TEXT NOT NULL,
+  cliente        TEXT,
+  detalle        JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tyc_derechos_arco_precliente_idx ON tyc_derechos_arco (precliente_id, created_at);
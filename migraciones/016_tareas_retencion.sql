@@ -0,0 +1,55 @@
+-- 016: tareas programadas dentro del servicio (expiración y retención, ver tareas.js)
+-- y archivo de las solicitudes que se sacan por antigüedad (ver retencion.js).
+
+-- Última corrida de cada tarea; con esto solo una instancia la corre en cada intervalo
+CREATE TABLE IF NOT EXISTS tyc_tareas (
+  nombre            TEXT PRIMARY KEY,
+  ultimo_inicio     TIMESTAMPTZ,
+  ultimo_fin        TIMESTAMPTZ,
+  ultima_instancia  TEXT,
+  ultimo_resultado  JSONB,
+  ultimo_error      TEXT
+);
+
+-- Solicitud archivada con todo lo que tenía (fila, bitácora, documentos, consentimientos, ...)
+CREATE TABLE IF NOT EXISTS tyc_solicitudes_archivo (
+  tyc_solicitud_id  TEXT PRIMARY KEY,
+  precliente_id     TEXT NOT NULL,
+  estado            TEXT NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL,
+  archivada_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  datos             JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_archivo_precliente_idx ON tyc_solicitudes_archivo (precliente_id);
+
+-- Para buscar rápido lo que ya cumplió su plazo de retención
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_estado_created_idx ON tyc_solicitudes (estado, created_at);
+
+-- La bitácora sigue siendo de solo inserción. Además de anonimizar, ahora se permite
+-- borrar, pero solo dentro de la transacción de la tarea de retención
+-- (SET LOCAL tyc.retencion = 'on'), que borra la cadena completa de la solicitud.
+CREATE OR REPLACE FUNCTION tyc_auditoria_solo_insert() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('tyc.retencion', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+     AND NEW.ip IS NULL
+     AND NEW.user_agent IS NULL
+     AND NEW.sal_datos IS NULL
+     AND (NEW.id, NEW.tyc_solicitud_id, NEW.seq, NEW.tipo, NEW.estado_anterior, NEW.estado,
+          NEW.actor, NEW.ip_hash, NEW.user_agent_hash, NEW.detalle, NEW.created_at,
+          NEW.prev_hash, NEW.hash)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.tyc_solicitud_id, OLD.seq, OLD.tipo, OLD.estado_anterior, OLD.estado,
+          OLD.actor, OLD.ip_hash, OLD.user_agent_hash, OLD.detalle, OLD.created_at,
+          OLD.prev_hash, OLD.hash)
+  THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'tyc_auditoria es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
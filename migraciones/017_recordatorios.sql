@@ -0,0 +1,14 @@
+-- 017: recordatorios antes de que venza la liga (TYC_POR_EXPIRAR, ver expiracion.js).
+-- Uno por solicitud y umbral: la llave primaria garantiza que cada uno sale una sola vez.
+
+CREATE TABLE IF NOT EXISTS tyc_recordatorios (
+  tyc_solicitud_id  TEXT NOT NULL,
+  umbral_minutos    INTEGER NOT NULL,
+  enviado_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tyc_solicitud_id, umbral_minutos)
+);
+
+-- Las vigentes que vencen pronto
+CREATE INDEX IF NOT EXISTS tyc_solicitudes_vigentes_expires_idx
+  ON tyc_solicitudes (expires_at)
+  WHERE estado IN ('CREADA', 'ABIERTA');
@@ -0,0 +1,5 @@
+-- 018: eventos de webhook a los que se suscribe cada solicitud (ver webhookEventos.js).
+-- NULL = los de siempre (TYC_ACEPTADA y TYC_EXPIRADA) al webhook_url de la solicitud.
+
+ALTER TABLE tyc_solicitudes
+  ADD COLUMN IF NOT EXISTS webhook_eventos JSONB;
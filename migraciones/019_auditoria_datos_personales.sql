@@ -0,0 +1,39 @@
+-- 019: texto libre personal de la bitácora (nombre de la firma, comentario del rechazo) en su
+-- propia columna, como ip / user_agent: en claro en datos_personales y con sha256 con sal en
+-- detalle.datosPersonales (lo que cubre el hash). Así se puede anonimizar sin romper la cadena.
+-- Los eventos anteriores a esta migración conservan esos datos dentro de detalle
+-- (detalle.firma.nombre en ACEPTADA, detalle.comentario en RECHAZADA) y NO se pueden anonimizar:
+-- el hash los cubre y el trigger no deja tocar detalle. anonimizarPrecliente los cuenta
+-- (eventosNoAnonimizables, ver arco.js); para borrarlos hay que borrar la cadena completa de la
+-- solicitud, como la retención (TYC_RETENCION_MODO=PURGAR, o un DELETE dentro de una
+-- transacción con SET LOCAL tyc.retencion = 'on'), y con ella su prueba de la aceptación.
+
+ALTER TABLE tyc_auditoria
+  ADD COLUMN IF NOT EXISTS datos_personales JSONB;
+
+-- Anonimizar ahora también pone datos_personales en NULL
+CREATE OR REPLACE FUNCTION tyc_auditoria_solo_insert() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('tyc.retencion', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+     AND NEW.ip IS NULL
+     AND NEW.user_agent IS NULL
+     AND NEW.sal_datos IS NULL
+     AND NEW.datos_personales IS NULL
+     AND (NEW.id, NEW.tyc_solicitud_id, NEW.seq, NEW.tipo, NEW.estado_anterior, NEW.estado,
+          NEW.actor, NEW.ip_hash, NEW.user_agent_hash, NEW.detalle, NEW.created_at,
+          NEW.prev_hash, NEW.hash)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.tyc_solicitud_id, OLD.seq, OLD.tipo, OLD.estado_anterior, OLD.estado,
+          OLD.actor, OLD.ip_hash, OLD.user_agent_hash, OLD.detalle, OLD.created_at,
+          OLD.prev_hash, OLD.hash)
+  THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'tyc_auditoria es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
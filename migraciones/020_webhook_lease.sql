@@ -0,0 +1,6 @@
+-- 020: dueño del lease de cada evento del outbox (ver tomarEvento en webhookOutbox.js).
+-- Quien lo toma escribe su token y sólo él puede cerrar el intento: si el lease vence y otro
+-- worker toma el evento, el resultado del primero ya no pisa el del segundo.
+
+ALTER TABLE tyc_webhook_outbox
+  ADD COLUMN IF NOT EXISTS lease_token TEXT;
@@ -0,0 +1,55 @@
+// migrar.js
+require('dotenv').config();
+const { pool } = require('./db');
+const { estadoMigraciones, aplicarMigraciones } = require('./migraciones');
+
+/**
+ * CLI de migraciones:
+ *
+ *   npm run db:migrate   -> aplica las pendientes (en una BD vacía crea todo el esquema)
+ *   npm run db:status    -> muestra aplicadas / pendientes sin cambiar nada
+ *
+ * Sale con código 1 si algo falla, o (en status) si el esquema no está al día.
+ */
+async function main() {
+  const comando = process.argv[2] || 'estado';
+
+  if (comando === 'aplicar') {
+    const aplicadas = await aplicarMigraciones();
+    console.log(aplicadas.length > 0
+      ? `[Migraciones] ${aplicadas.length} migración(es) aplicadas.`
+      : '[Migraciones] El esquema ya estaba al día.');
+    return;
+  }
+
+  if (comando === 'estado') {
+    const estado = await estadoMigraciones();
+
+    for (const a of estado.aplicadas) {
+      console.log(`  ✔ ${a.nombre}  (${a.aplicadaEn})`);
+    }
+    for (const nombre of estado.pendientes) {
+      console.log(`  … ${nombre}  (pendiente)`);
+    }
+    for (const nombre of estado.alteradas) {
+      console.log(`  ✖ ${nombre}  (editada después de aplicarse)`);
+    }
+    for (const nombre of estado.desconocidas) {
+      console.log(`  ? ${nombre}  (aplicada en BD, no está en disco)`);
+    }
+
+    console.log(estado.alDia ? '[Migraciones] Al día.' : '[Migraciones] El esquema NO está al día.');
+    if (!estado.alDia) process.exitCode = 1;
+    return;
+  }
+
+  console.error(`Comando desconocido "${comando}". Usa: node migrar.js [estado|aplicar]`);
+  process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ [Migraciones]', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
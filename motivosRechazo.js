@@ -0,0 +1,60 @@
+// motivosRechazo.js
+
+/**
+ * Motivos que el cliente puede elegir al dar clic en "No acepto".
+ *
+ * Se configuran con TYC_MOTIVOS_RECHAZO como "CODIGO:Etiqueta" separados por ";"
+ * (ej. "PRECIO:El precio es muy alto;OTRO:Otro motivo"). Si no está definida
+ * se usan los de DEFAULT_MOTIVOS. El código es lo que se guarda en BD y viaja en el webhook.
+ */
+
+const DEFAULT_MOTIVOS = [
+  { codigo: 'PRECIO', etiqueta: 'El precio no me convence' },
+  { codigo: 'CLAUSULAS', etiqueta: 'No estoy de acuerdo con alguna cláusula' },
+  { codigo: 'DATOS_PERSONALES', etiqueta: 'No estoy de acuerdo con el uso de mis datos' },
+  { codigo: 'NO_LO_SOLICITE', etiqueta: 'Yo no solicité este servicio' },
+  { codigo: 'OTRO', etiqueta: 'Otro motivo' }
+];
+
+// Longitud máxima del comentario libre
+const MAX_COMENTARIO = 1000;
+
+/**
+ * Convierte "CODIGO:Etiqueta;..." a [{ codigo, etiqueta }].
+ */
+function parseMotivos(valor) {
+  if (!valor) return [];
+
+  return String(valor)
+    .split(';')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const idx = item.indexOf(':');
+      if (idx <= 0) return null;
+      return {
+        codigo: item.slice(0, idx).trim().toUpperCase(),
+        etiqueta: item.slice(idx + 1).trim()
+      };
+    })
+    .filter((item) => item && item.codigo && item.etiqueta);
+}
+
+const configurados = parseMotivos(process.env.TYC_MOTIVOS_RECHAZO);
+const MOTIVOS_RECHAZO = configurados.length > 0 ? configurados : DEFAULT_MOTIVOS;
+
+/**
+ * Busca un motivo por código. Regresa null si no está en la lista.
+ */
+function getMotivoRechazo(codigo) {
+  if (!codigo) return null;
+  const buscado = String(codigo).trim().toUpperCase();
+  return MOTIVOS_RECHAZO.find((m) => m.codigo === buscado) || null;
+}
+
+module.exports = {
+  MOTIVOS_RECHAZO,
+  MAX_COMENTARIO,
+  parseMotivos,
+  getMotivoRechazo
+};
@@ -0,0 +1,338 @@
+// otp.js
+const crypto = require('crypto');
+const axios = require('axios');
+const { pool, withTransaction } = require('./db');
+const { TIPOS_EVENTO, ACTORES, registrarEvento } = require('./tycAuditoria');
+const { signWebhook, getSigningKey } = require('./webhookSignature');
+
+/**
+ * Verificación con código de un solo uso (OTP) antes de aceptar.
+ *
+ * Opcional por solicitud (requiereOtp). El código (6 dígitos) se manda al teléfono
+ * que ya viene en la metadata de la solicitud (whatsappNumero o telefono) y la
+ * aceptación solo se registra si trae el código correcto. El teléfono verificado y
+ * la hora de verificación quedan en la solicitud (otp_telefono, otp_verified_at).
+ *
+ * Límites (variables de entorno):
+ *  - TYC_OTP_VIGENCIA_MIN   minutos que vale un código (default 10)
+ *  - TYC_OTP_MAX_INTENTOS   intentos por código; después hay que pedir otro (default 5)
+ *  - TYC_OTP_REENVIO_SEG    segundos mínimos entre envíos (default 60)
+ *  - TYC_OTP_MAX_ENVIOS     códigos por solicitud (default 5)
+ *
+ * Envío: un "enviador" es un objeto { nombre, enviar({ telefono, codigo, solicitud, idioma, expiresAt }) }
+ * que lanza error si no pudo mandar el código. TYC_OTP_ENVIADOR elige uno de ENVIADORES:
+ *  - log      solo lo escribe en consola (desarrollo). Con NODE_ENV=production no arranca
+ *             salvo que TYC_OTP_LOG_EN_PRODUCCION=true (ej. nadie usa requiereOtp)
+ *  - webhook  POST firmado (igual que los webhooks, ver webhookSignature.js) a
+ *             TYC_OTP_WEBHOOK_URL, para que n8n lo mande por WhatsApp/SMS
+ * Otro servicio puede conectar el suyo con setEnviadorOtp().
+ *
+ * Tabla tyc_otp_codigos (un renglón por código enviado, el vigente es el más reciente):
+ *  - id, tyc_solicitud_id, telefono
+ *  - sal, codigo_hash                sha256(sal.codigo), el código en claro no se guarda
+ *  - enviador, intentos
+ *  - expires_at, verified_at, created_at
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const DIGITOS = 6;
+const VIGENCIA_MIN = envInt('TYC_OTP_VIGENCIA_MIN', 10);
+const MAX_INTENTOS = envInt('TYC_OTP_MAX_INTENTOS', 5);
+const REENVIO_SEG = envInt('TYC_OTP_REENVIO_SEG', 60);
+const MAX_ENVIOS = envInt('TYC_OTP_MAX_ENVIOS', 5);
+const TIMEOUT_MS = envInt('WEBHOOK_TIMEOUT_MS', 5000);
+
+const CODIGO_RE = new RegExp(`^\\d{${DIGITOS}}$`);
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+function hashCodigo(sal, codigo) {
+  return crypto.createHash('sha256').update(`${sal}.${codigo}`).digest('hex');
+}
+
+/**
+ * Teléfono al que se manda el código (metadata.whatsappNumero o metadata.telefono),
+ * solo dígitos y "+". null si no hay uno válido.
+ */
+function telefonoDeSolicitud(solicitud) {
+  const metadata = solicitud.metadata || {};
+  const valor = metadata.whatsappNumero || metadata.telefono;
+  if (valor == null) return null;
+
+  const telefono = String(valor).replace(/[^\d+]/g, '');
+  return /^\+?\d{8,15}$/.test(telefono) ? telefono : null;
+}
+
+/**
+ * "+5215512345678" -> "•••5678" (lo que se ve en la página y en la bitácora)
+ */
+function enmascararTelefono(telefono) {
+  if (!telefono) return null;
+  return `•••${telefono.slice(-4)}`;
+}
+
+const ENVIADORES = {
+  log: {
+    nombre: 'log',
+    async enviar({ telefono, codigo, solicitud }) {
+      console.log(`📲 [OTP] Código ${codigo} para ${telefono} (${solicitud.tycSolicitudId})`);
+    }
+  },
+
+  webhook: {
+    nombre: 'webhook',
+    async enviar({ telefono, codigo, solicitud, idioma, expiresAt }) {
+      const eventId = crypto.randomUUID();
+      const body = JSON.stringify({
+        eventId,
+        evento: 'TYC_OTP',
+        tycSolicitudId: solicitud.tycSolicitudId,
+        preclienteId: solicitud.preclienteId,
+        canal: solicitud.canal,
+        producto: solicitud.producto || null,
+        idioma,
+        telefono,
+        codigo,
+        expiresAt
+      });
+      const { keyId, secret } = getSigningKey();
+
+      await axios.post(process.env.TYC_OTP_WEBHOOK_URL, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-AMA-Event': 'TYC_OTP',
+          ...signWebhook({ body, eventId, keyId, secret })
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0
+      });
+    }
+  }
+};
+
+let enviador = null;
+
+/**
+ * Cambia el enviador de códigos (ej. uno propio de SMS). Debe tener nombre y enviar().
+ */
+function setEnviadorOtp(nuevo) {
+  if (!nuevo || typeof nuevo.enviar !== 'function' || !nuevo.nombre) {
+    throw new Error('El enviador de OTP debe tener nombre y una función enviar()');
+  }
+  enviador = nuevo;
+}
+
+function getEnviadorOtp() {
+  if (!enviador) enviador = ENVIADORES[process.env.TYC_OTP_ENVIADOR || 'log'];
+  return enviador;
+}
+
+/**
+ * Pide un código nuevo para la solicitud y lo manda. El envío va fuera de la transacción
+ * (no detenemos una conexión del pool mientras responde el enviador): primero se guarda el
+ * código, después se manda y al final se registra OTP_ENVIADO en la bitácora. Si el enviador
+ * falla se borra el código, así no cuenta para el límite.
+ *
+ * Regresa { ok: true, telefono (enmascarado), expiresAt, reenvioSeg } o
+ * { ok: false, motivo } con motivo: "sinTelefono", "reenvioPronto" (trae segundos) o "limiteEnvios".
+ * Lanza error si no se pudo enviar.
+ */
+async function solicitarCodigo(solicitud, { idioma, ip, userAgent } = {}) {
+  const telefono = telefonoDeSolicitud(solicitud);
+  if (!telefono) return { ok: false, motivo: 'sinTelefono' };
+
+  const enviadorActual = getEnviadorOtp();
+
+  const nuevo = await withTransaction(async (client) => {
+    // Un envío a la vez por solicitud
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`tyc_otp:${solicitud.tycSolicitudId}`]);
+
+    const previos = await client.query(
+      `SELECT COUNT(*)::int AS envios,
+              EXTRACT(EPOCH FROM (NOW() - MAX(created_at)))::int AS segundos
+       FROM tyc_otp_codigos
+       WHERE tyc_solicitud_id = $1`,
+      [solicitud.tycSolicitudId]
+    );
+    const { envios, segundos } = previos.rows[0];
+
+    if (envios >= MAX_ENVIOS) {
+      return { ok: false, motivo: 'limiteEnvios' };
+    }
+    if (envios > 0 && segundos < REENVIO_SEG) {
+      return { ok: false, motivo: 'reenvioPronto', segundos: REENVIO_SEG - segundos };
+    }
+
+    const codigo = String(crypto.randomInt(0, 10 ** DIGITOS)).padStart(DIGITOS, '0');
+    const sal = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + VIGENCIA_MIN * 60 * 1000).toISOString();
+
+    const ins = await client.query(
+      `INSERT INTO tyc_otp_codigos (
+         tyc_solicitud_id, telefono, sal, codigo_hash, enviador, intentos, expires_at, created_at
+       ) VALUES ($1, $2, $3, $4, $5, 0, $6, NOW())
+       RETURNING id`,
+      [solicitud.tycSolicitudId, telefono, sal, hashCodigo(sal, codigo), enviadorActual.nombre, expiresAt]
+    );
+
+    return { ok: true, id: ins.rows[0].id, codigo, expiresAt };
+  });
+
+  if (!nuevo.ok) return nuevo;
+  const { codigo, expiresAt } = nuevo;
+
+  try {
+    await enviadorActual.enviar({ telefono, codigo, solicitud, idioma, expiresAt });
+  } catch (err) {
+    await pool.query('DELETE FROM tyc_otp_codigos WHERE id = $1', [nuevo.id]).catch((e) => {
+      console.error('[OTP] Error borrando el código que no se pudo enviar:', e.message);
+    });
+    throw err;
+  }
+
+  await withTransaction(async (client) => {
+    await registrarEvento(client, {
+      tycSolicitudId: solicitud.tycSolicitudId,
+      tipo: TIPOS_EVENTO.OTP_ENVIADO,
+      estado: solicitud.estado,
+      actor: ACTORES.CLIENTE,
+      ip,
+      userAgent,
+      detalle: {
+        telefono: enmascararTelefono(telefono),
+        enviador: enviadorActual.nombre,
+        expiresAt
+      }
+    });
+  });
+
+  return { ok: true, telefono: enmascararTelefono(telefono), expiresAt, reenvioSeg: REENVIO_SEG };
+}
+
+/**
+ * Revisa el código contra el último enviado a la solicitud. Cada intento fallido cuenta.
+ * Un código correcto NO se marca aquí: lo marca usarCodigo dentro de la transacción de
+ * la aceptación, así si la aceptación falla el cliente no pierde su código.
+ *
+ * Regresa { ok: true, otpId, telefono } o { ok: false, motivo } con motivo:
+ * "sinCodigo", "expirado", "bloqueado" o "incorrecto" (trae restantes).
+ */
+async function verificarCodigo(solicitud, codigo) {
+  return withTransaction(async (client) => {
+    const r = await client.query(
+      `SELECT id, telefono, sal, codigo_hash, intentos, expires_at, verified_at
+       FROM tyc_otp_codigos
+       WHERE tyc_solicitud_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [solicitud.tycSolicitudId]
+    );
+
+    const otp = r.rows[0];
+    if (!otp || otp.verified_at) return { ok: false, motivo: 'sinCodigo' };
+    if (otp.intentos >= MAX_INTENTOS) return { ok: false, motivo: 'bloqueado' };
+    if (new Date(otp.expires_at) <= new Date()) return { ok: false, motivo: 'expirado' };
+
+    const esperado = Buffer.from(otp.codigo_hash, 'hex');
+    const recibido = Buffer.from(hashCodigo(otp.sal, String(codigo)), 'hex');
+    const correcto = CODIGO_RE.test(String(codigo)) && crypto.timingSafeEqual(esperado, recibido);
+
+    if (!correcto) {
+      await client.query('UPDATE tyc_otp_codigos SET intentos = intentos + 1 WHERE id = $1', [otp.id]);
+      const restantes = MAX_INTENTOS - otp.intentos - 1;
+      return restantes > 0
+        ? { ok: false, motivo: 'incorrecto', restantes }
+        : { ok: false, motivo: 'bloqueado' };
+    }
+
+    return { ok: true, otpId: otp.id, telefono: otp.telefono };
+  });
+}
+
+/**
+ * Marca como usado un código que ya pasó verificarCodigo (no sirve dos veces).
+ * `client` es el de la transacción de la aceptación.
+ *
+ * Regresa verifiedAt, o null si otra aceptación ya lo usó.
+ */
+async function usarCodigo(client, otpId) {
+  const upd = await client.query(
+    `UPDATE tyc_otp_codigos
+     SET intentos = intentos + 1, verified_at = NOW()
+     WHERE id = $1
+       AND verified_at IS NULL
+     RETURNING verified_at`,
+    [otpId]
+  );
+
+  return upd.rowCount > 0 ? toIso(upd.rows[0].verified_at) : null;
+}
+
+/**
+ * Resumen de los códigos enviados a una solicitud (para soporte), sin hashes.
+ */
+async function listarCodigos(tycSolicitudId, db = pool) {
+  const r = await db.query(
+    `SELECT telefono, enviador, intentos, expires_at, verified_at, created_at
+     FROM tyc_otp_codigos
+     WHERE tyc_solicitud_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [tycSolicitudId]
+  );
+
+  return r.rows.map((row) => ({
+    telefono: enmascararTelefono(row.telefono),
+    enviador: row.enviador,
+    intentos: row.intentos,
+    expiresAt: toIso(row.expires_at),
+    verifiedAt: toIso(row.verified_at),
+    createdAt: toIso(row.created_at)
+  }));
+}
+
+/**
+ * Valida la configuración al arrancar.
+ */
+function assertOtpConfig(env = process.env) {
+  const nombre = env.TYC_OTP_ENVIADOR || 'log';
+
+  if (!ENVIADORES[nombre]) {
+    throw new Error(`TYC_OTP_ENVIADOR debe ser uno de: ${Object.keys(ENVIADORES).join(', ')}`);
+  }
+
+  if (nombre === 'webhook' && !/^https?:\/\//i.test(env.TYC_OTP_WEBHOOK_URL || '')) {
+    throw new Error('TYC_OTP_WEBHOOK_URL es obligatoria con TYC_OTP_ENVIADOR=webhook');
+  }
+
+  if (nombre === 'log' && env.NODE_ENV === 'production') {
+    // El código quedaría en los logs y al cliente nunca le llega
+    if (env.TYC_OTP_LOG_EN_PRODUCCION !== 'true') {
+      throw new Error(
+        'TYC_OTP_ENVIADOR=log no se permite con NODE_ENV=production: usa TYC_OTP_ENVIADOR=webhook ' +
+        'o, si de verdad lo quieres así, TYC_OTP_LOG_EN_PRODUCCION=true'
+      );
+    }
+    console.warn('⚠️ TYC_OTP_ENVIADOR=log: los códigos OTP solo se escriben en consola, no le llegan al cliente.');
+  }
+}
+
+module.exports = {
+  ENVIADORES,
+  telefonoDeSolicitud,
+  enmascararTelefono,
+  setEnviadorOtp,
+  getEnviadorOtp,
+  solicitarCodigo,
+  verificarCodigo,
+  usarCodigo,
+  listarCodigos,
+  assertOtpConfig
+};
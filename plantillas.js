@@ -0,0 +1,240 @@
+// plantillas.js
+const fs = require('fs');
+const path = require('path');
+const { IDIOMA_DEFAULT, t, catalogo, mensajesCliente } = require('./i18n');
+const { textoDeMarca } = require('./marcas');
+
+/**
+ * Páginas HTML del cliente (/tyc/:token y sus páginas de error).
+ *
+ * Las plantillas viven en plantillas/ y se leen una vez al cargar el módulo:
+ *  - layout.html      estructura común (colores de la marca, logo, soporte, pie)
+ *  - tyc.html         página del contrato
+ *  - error.html       enlace inválido / expirado / cancelado / error interno
+ *  - estilos.css      CSS común (los colores son variables de la marca)
+ *  - tyc-cliente.js   script de la página del contrato
+ *
+ * Sintaxis: {{ruta.a.valor}} se escapa para HTML, {{{ruta.a.valor}}} va tal cual
+ * (solo para HTML que armamos aquí o que viene del catálogo de documentos, que se limpia
+ * al publicarlo, ver htmlSeguro.js).
+ *
+ * Las páginas se mandan con politicaSeguridad (Content-Security-Policy): el único script
+ * que corre es tyc-cliente.js, con el nonce de la respuesta.
+ */
+
+const DIR_PLANTILLAS = path.join(__dirname, 'plantillas');
+
+function leer(nombre) {
+  return fs.readFileSync(path.join(DIR_PLANTILLAS, nombre), 'utf8');
+}
+
+const PLANTILLAS = {
+  layout: leer('layout.html'),
+  tyc: leer('tyc.html'),
+  error: leer('error.html')
+};
+const ESTILOS = leer('estilos.css');
+const SCRIPT_CLIENTE = leer('tyc-cliente.js');
+
+/**
+ * Content-Security-Policy de las páginas del cliente. Con nonce solo corre el <script> que
+ * lo lleva (el de tyc-cliente.js); un <script> o un onclick que se cuele en un documento no.
+ * Sin nonce (páginas de error) no corre ningún script. Los estilos van en línea (layout).
+ */
+function politicaSeguridad(nonce = null) {
+  return [
+    "default-src 'none'",
+    nonce ? `script-src 'nonce-${nonce}'` : "script-src 'none'",
+    "style-src 'unsafe-inline'",
+    "img-src 'self' https: data:",
+    "connect-src 'self'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
+
+/**
+ * Escapa texto para meterlo en el HTML de la página
+ */
+function escapeHtml(texto) {
+  return String(texto)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * JSON para un <script>: "<" escapado para que el contenido no pueda cerrar la etiqueta.
+ */
+function jsonParaScript(valor) {
+  return JSON.stringify(valor).replace(/</g, '\\u003c');
+}
+
+function buscar(datos, ruta) {
+  return ruta.split('.').reduce((nodo, parte) => (nodo == null ? undefined : nodo[parte]), datos);
+}
+
+/**
+ * Sustituye {{...}} / {{{...}}} de una plantilla. Los valores que no existen quedan vacíos.
+ */
+function renderizar(nombre, datos) {
+  return PLANTILLAS[nombre].replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (m, crudo, escapado) => {
+    const valor = buscar(datos, crudo || escapado);
+    if (valor == null) return '';
+    return crudo ? String(valor) : escapeHtml(valor);
+  });
+}
+
+function logoHtml(marca) {
+  if (!marca.logoUrl) return '';
+  return `<img class="logo" src="${escapeHtml(marca.logoUrl)}" alt="${escapeHtml(marca.nombre)}" />`;
+}
+
+function soporteHtml(marca, idioma) {
+  const soporte = marca.soporte || {};
+  const contactos = [];
+
+  if (soporte.telefono) {
+    const tel = String(soporte.telefono).replace(/[^\d+]/g, '');
+    contactos.push(`<a href="tel:${escapeHtml(tel)}">${escapeHtml(soporte.telefono)}</a>`);
+  }
+  if (soporte.whatsapp) {
+    const numero = String(soporte.whatsapp).replace(/\D/g, '');
+    contactos.push(`<a href="https://wa.me/${escapeHtml(numero)}">WhatsApp ${escapeHtml(soporte.whatsapp)}</a>`);
+  }
+  if (soporte.email) {
+    contactos.push(`<a href="mailto:${escapeHtml(soporte.email)}">${escapeHtml(soporte.email)}</a>`);
+  }
+
+  if (contactos.length === 0) return '';
+  return `<div class="soporte">${escapeHtml(t(idioma, 'pagina.soporte'))}: ${contactos.join(' · ')}</div>`;
+}
+
+function pieHtml(marca, idioma) {
+  const texto = textoDeMarca(marca.textoPie, idioma, IDIOMA_DEFAULT);
+  return texto ? `<div class="footer-text">${escapeHtml(texto)}</div>` : '';
+}
+
+/**
+ * Envuelve el contenido de una página en el layout con la marca del producto.
+ */
+function renderLayout({ idioma, marca, titulo, contenido }) {
+  return renderizar('layout', {
+    idioma,
+    titulo,
+    marca,
+    estilos: ESTILOS,
+    logo: logoHtml(marca),
+    soporte: soporteHtml(marca, idioma),
+    pie: pieHtml(marca, idioma),
+    contenido
+  });
+}
+
+/**
+ * Página del contrato.
+ *
+ * datos:
+ *  - idioma, marca (marcas.getMarca)
+ *  - solicitud, documento (el que se muestra: original o traducción), token
+ *  - documentosAdicionales: los demás documentos, igual que documento, en orden
+ *  - consentimientos: [{ codigo, obligatorio, etiqueta, otorgado }] en el idioma de la página
+ *  - fechaExpira (ya formateada en la zona horaria de la solicitud)
+ *  - motivos: [{ codigo, etiqueta }] ya en el idioma de la página
+ *  - maxComentario
+ *  - aceptada, rechazada
+ *  - otp: { telefono (enmascarado) } si la solicitud pide código antes de aceptar, si no null
+ *  - firma: true si la solicitud pide nombre y firma dibujada antes de aceptar
+ *  - nonce: el de politicaSeguridad en la cabecera de la respuesta
+ */
+function renderPaginaTyc({
+  idioma, marca, solicitud, documento, token, fechaExpira, motivos, maxComentario, aceptada, rechazada,
+  documentosAdicionales = [], consentimientos = [], otp = null, firma = false, nonce
+}) {
+  const opcionesMotivo = motivos
+    .map((m) => `<option value="${escapeHtml(m.codigo)}">${escapeHtml(m.etiqueta)}</option>`)
+    .join('');
+
+  // Van en la misma caja que el principal: llegar al final es haberlos recorrido todos
+  const htmlAdicionales = documentosAdicionales
+    .map((d) => `<section class="documento-adicional"><h2>${escapeHtml(d.titulo)}</h2>${d.contenido}</section>`)
+    .join('');
+
+  const resumenDocumentos = [documento, ...documentosAdicionales]
+    .map((d) => `${d.documentoId} v${d.version}`)
+    .join(' · ');
+
+  const casillasConsentimiento = consentimientos
+    .map((c) => {
+      const marcado = c.otorgado ? ' checked' : '';
+      const obligatorio = c.obligatorio ? ` <em>(${escapeHtml(t(idioma, 'pagina.obligatorio'))})</em>` : '';
+      return `<label class="consentimiento"><input type="checkbox" value="${escapeHtml(c.codigo)}"` +
+        `${c.obligatorio ? ' data-obligatorio="true"' : ''}${marcado} /> <span>${escapeHtml(c.etiqueta)}</span>${obligatorio}</label>`;
+    })
+    .join('');
+
+  const datosCliente = {
+    token,
+    aceptada,
+    rechazada,
+    documentoHash: documento.hash,
+    documentosHash: Object.fromEntries(documentosAdicionales.map((d) => [d.documentoId, d.hash])),
+    hayConsentimientos: consentimientos.length > 0,
+    idioma,
+    requiereOtp: Boolean(otp),
+    requiereFirma: Boolean(firma),
+    mensajes: mensajesCliente(idioma)
+  };
+
+  const contenido = renderizar('tyc', {
+    t: catalogo(idioma),
+    preclienteId: solicitud.preclienteId,
+    fechaExpira,
+    documento,
+    htmlAdicionales,
+    etiquetaDocumentos: t(idioma, documentosAdicionales.length > 0 ? 'pagina.documentos' : 'pagina.documento'),
+    resumenDocumentos,
+    casillasConsentimiento,
+    opcionesMotivo,
+    maxComentario,
+    otpInstrucciones: otp ? t(idioma, 'pagina.otpInstrucciones', { telefono: otp.telefono }) : null,
+    datosJson: jsonParaScript(datosCliente),
+    nonce,
+    script: SCRIPT_CLIENTE
+  });
+
+  return renderLayout({
+    idioma,
+    marca,
+    titulo: t(idioma, 'pagina.titulo', { producto: marca.nombre }),
+    contenido
+  });
+}
+
+/**
+ * Página de error (clave de paginasError en i18n/, ej. "expirado").
+ */
+function renderPaginaError({ idioma, marca, clave }) {
+  const titulo = t(idioma, `paginasError.${clave}.titulo`);
+
+  return renderLayout({
+    idioma,
+    marca,
+    titulo: `${titulo} · ${marca.nombre}`,
+    contenido: renderizar('error', {
+      titulo,
+      texto: t(idioma, `paginasError.${clave}.texto`)
+    })
+  });
+}
+
+module.exports = {
+  politicaSeguridad,
+  escapeHtml,
+  renderizar,
+  renderPaginaTyc,
+  renderPaginaError
+};
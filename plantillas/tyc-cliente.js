@@ -0,0 +1,332 @@
+// Script de la página /tyc/:token. Los datos de la solicitud y los textos en el
+// idioma de la página los inyecta el backend como JSON en el elemento #tycDatos.
+const DATOS = JSON.parse(document.getElementById('tycDatos').textContent);
+const TOKEN = DATOS.token;
+const ALREADY_ACCEPTED = DATOS.aceptada;
+const ALREADY_REJECTED = DATOS.rechazada;
+// Hash del documento mostrado; el backend valida que sea el que tiene amarrado la solicitud
+const DOCUMENTO_HASH = DATOS.documentoHash;
+// Igual para los documentos adicionales: { documentoId: hash }
+const DOCUMENTOS_HASH = DATOS.documentosHash;
+// La solicitud pide consentimientos por separado (casillas de #consentimientosPanel)
+const HAY_CONSENTIMIENTOS = DATOS.hayConsentimientos;
+// Idioma de la página (el backend registra la aceptación con la traducción de este idioma)
+const IDIOMA = DATOS.idioma;
+// La solicitud pide un código enviado al teléfono del cliente antes de aceptar
+const REQUIERE_OTP = DATOS.requiereOtp;
+// La solicitud pide nombre completo y firma dibujada antes de aceptar
+const REQUIERE_FIRMA = DATOS.requiereFirma;
+const MENSAJES = DATOS.mensajes;
+
+const tycBox = document.getElementById('tycBox');
+const btnAceptar = document.getElementById('btnAceptar');
+const btnDescargar = document.getElementById('btnDescargar');
+const btnImprimir = document.getElementById('btnImprimir');
+const btnRechazar = document.getElementById('btnRechazar');
+const rechazoPanel = document.getElementById('rechazoPanel');
+const motivoRechazo = document.getElementById('motivoRechazo');
+const comentarioRechazo = document.getElementById('comentarioRechazo');
+const btnConfirmarRechazo = document.getElementById('btnConfirmarRechazo');
+const otpPanel = document.getElementById('otpPanel');
+const btnEnviarOtp = document.getElementById('btnEnviarOtp');
+const codigoOtp = document.getElementById('codigoOtp');
+const consentimientosPanel = document.getElementById('consentimientosPanel');
+const casillasConsentimiento = consentimientosPanel.querySelectorAll('input[type="checkbox"]');
+const firmaPanel = document.getElementById('firmaPanel');
+const firmaNombre = document.getElementById('firmaNombre');
+const firmaCanvas = document.getElementById('firmaCanvas');
+const btnBorrarFirma = document.getElementById('btnBorrarFirma');
+const msg = document.getElementById('msg');
+
+let tycAceptados = false;
+let tycRechazados = false;
+
+// Telemetría de lectura que se manda con la aceptación (evidencia de que llegó al final del texto)
+const CARGADA_EN = performance.now();
+let scrollCompletoMs = null;
+let scrollCompletoAt = null;
+
+function telemetriaLectura() {
+  return {
+    tiempoEnPaginaMs: Math.round(performance.now() - CARGADA_EN),
+    scrollCompletoMs,
+    scrollCompletoAt,
+    viewport: { ancho: window.innerWidth, alto: window.innerHeight, pixelRatio: window.devicePixelRatio },
+    cajaTexto: { alto: tycBox.clientHeight, altoTotal: tycBox.scrollHeight },
+    zonaHoraria: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
+    idiomaNavegador: navigator.language || null
+  };
+}
+
+// { CODIGO: true/false } con lo que marcó el cliente
+function consentimientosMarcados() {
+  const marcados = {};
+  casillasConsentimiento.forEach((casilla) => {
+    marcados[casilla.value] = casilla.checked;
+  });
+  return marcados;
+}
+
+function marcarComoAceptadoUI() {
+  tycAceptados = true;
+  btnAceptar.disabled = true;
+  btnAceptar.textContent = MENSAJES.aceptados;
+  btnAceptar.classList.add('btn-accepted');
+  btnDescargar.disabled = false;
+  btnDescargar.removeAttribute('title');
+  btnRechazar.hidden = true;
+  rechazoPanel.hidden = true;
+  otpPanel.hidden = true;
+  firmaPanel.hidden = true;
+  consentimientosPanel.hidden = !HAY_CONSENTIMIENTOS;
+  casillasConsentimiento.forEach((casilla) => {
+    casilla.disabled = true;
+  });
+  msg.textContent = MENSAJES.aceptadosMensaje;
+}
+
+function marcarComoRechazadoUI() {
+  tycRechazados = true;
+  btnAceptar.disabled = true;
+  btnAceptar.textContent = MENSAJES.rechazados;
+  btnAceptar.classList.add('btn-rejected');
+  btnRechazar.hidden = true;
+  rechazoPanel.hidden = true;
+  otpPanel.hidden = true;
+  firmaPanel.hidden = true;
+  consentimientosPanel.hidden = true;
+  msg.textContent = MENSAJES.rechazadosMensaje;
+}
+
+function checkScroll() {
+  if (tycAceptados || tycRechazados) {
+    btnAceptar.disabled = true;
+    return;
+  }
+  const scrollTop = tycBox.scrollTop;
+  const scrollHeight = tycBox.scrollHeight;
+  const clientHeight = tycBox.clientHeight;
+
+  if (scrollTop + clientHeight >= scrollHeight - 5) {
+    if (scrollCompletoMs === null) {
+      scrollCompletoMs = Math.round(performance.now() - CARGADA_EN);
+      scrollCompletoAt = new Date().toISOString();
+    }
+    btnAceptar.disabled = false;
+    msg.textContent = MENSAJES.puedesAceptar;
+  } else {
+    btnAceptar.disabled = true;
+    msg.textContent = MENSAJES.desplazate;
+  }
+}
+
+// Inicializa estado al cargar
+if (ALREADY_ACCEPTED) {
+  marcarComoAceptadoUI();
+} else if (ALREADY_REJECTED) {
+  marcarComoRechazadoUI();
+} else {
+  otpPanel.hidden = !REQUIERE_OTP;
+  firmaPanel.hidden = !REQUIERE_FIRMA;
+  consentimientosPanel.hidden = !HAY_CONSENTIMIENTOS;
+  if (REQUIERE_FIRMA) prepararFirma();
+  tycBox.addEventListener('scroll', checkScroll);
+  checkScroll();
+}
+
+// Firma dibujada: pointer events para que funcione igual con dedo, pluma o mouse
+// (también en el navegador interno de WhatsApp). El canvas queda transparente
+// fuera del trazo; el backend rechaza una firma sin trazo.
+let firmaCtx = null;
+let firmaPuntos = 0;
+let dibujando = false;
+
+function prepararFirma() {
+  const escala = Math.min(window.devicePixelRatio || 1, 2);
+  firmaCanvas.width = Math.round(firmaCanvas.clientWidth * escala);
+  firmaCanvas.height = Math.round(firmaCanvas.clientHeight * escala);
+
+  firmaCtx = firmaCanvas.getContext('2d');
+  firmaCtx.scale(escala, escala);
+  firmaCtx.lineWidth = 2.5;
+  firmaCtx.lineCap = 'round';
+  firmaCtx.lineJoin = 'round';
+  firmaCtx.strokeStyle = '#111111';
+
+  firmaCanvas.addEventListener('pointerdown', (event) => {
+    if (tycAceptados || tycRechazados) return;
+    dibujando = true;
+    firmaCanvas.setPointerCapture(event.pointerId);
+    firmaCtx.beginPath();
+    firmaCtx.moveTo(event.offsetX, event.offsetY);
+  });
+
+  firmaCanvas.addEventListener('pointermove', (event) => {
+    if (!dibujando) return;
+    firmaCtx.lineTo(event.offsetX, event.offsetY);
+    firmaCtx.stroke();
+    firmaPuntos++;
+  });
+
+  const terminarTrazo = () => {
+    dibujando = false;
+  };
+  firmaCanvas.addEventListener('pointerup', terminarTrazo);
+  firmaCanvas.addEventListener('pointercancel', terminarTrazo);
+}
+
+btnBorrarFirma.addEventListener('click', () => {
+  if (!firmaCtx) return;
+  firmaCtx.clearRect(0, 0, firmaCanvas.width, firmaCanvas.height);
+  firmaPuntos = 0;
+});
+
+// Pide el código OTP; el botón queda deshabilitado el tiempo de espera entre envíos
+btnEnviarOtp.addEventListener('click', async () => {
+  if (tycAceptados || tycRechazados) return;
+
+  btnEnviarOtp.disabled = true;
+  msg.textContent = MENSAJES.otpEnviando;
+
+  let esperaSeg = 0;
+  try {
+    const response = await fetch('/api/tyc/' + encodeURIComponent(TOKEN) + '/otp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ idioma: IDIOMA })
+    });
+
+    const data = await response.json();
+
+    if (!data.ok) {
+      msg.textContent = MENSAJES.errorOtp + (data.error || MENSAJES.intentaMasTarde);
+      esperaSeg = data.reintentarEnSeg || 0;
+    } else {
+      msg.textContent = MENSAJES.otpEnviado;
+      esperaSeg = data.reenvioSeg || 0;
+      codigoOtp.focus();
+    }
+  } catch (error) {
+    console.error(error);
+    msg.textContent = MENSAJES.errorRedOtp;
+  }
+
+  setTimeout(() => {
+    btnEnviarOtp.disabled = false;
+    btnEnviarOtp.textContent = MENSAJES.otpReenviar;
+  }, esperaSeg * 1000);
+});
+
+btnAceptar.addEventListener('click', async () => {
+  if (tycAceptados || tycRechazados) return;
+
+  const faltaConsentimiento = Array.from(casillasConsentimiento)
+    .some((casilla) => casilla.dataset.obligatorio === 'true' && !casilla.checked);
+  if (faltaConsentimiento) {
+    msg.textContent = MENSAJES.consentimientoFalta;
+    return;
+  }
+
+  const nombre = firmaNombre.value.trim();
+  if (REQUIERE_FIRMA && nombre.length < 3) {
+    msg.textContent = MENSAJES.firmaFaltaNombre;
+    firmaNombre.focus();
+    return;
+  }
+  if (REQUIERE_FIRMA && firmaPuntos < 10) {
+    msg.textContent = MENSAJES.firmaFaltaTrazo;
+    return;
+  }
+
+  const codigo = codigoOtp.value.trim();
+  if (REQUIERE_OTP && !/^\d{6}$/.test(codigo)) {
+    msg.textContent = MENSAJES.otpFaltaCodigo;
+    codigoOtp.focus();
+    return;
+  }
+
+  btnAceptar.disabled = true;
+  msg.textContent = MENSAJES.registrandoAceptacion;
+
+  try {
+    const response = await fetch('/api/tyc/' + encodeURIComponent(TOKEN) + '/aceptar', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        documentoHash: DOCUMENTO_HASH,
+        documentosHash: DOCUMENTOS_HASH,
+        consentimientos: consentimientosMarcados(),
+        idioma: IDIOMA,
+        codigoOtp: REQUIERE_OTP ? codigo : undefined,
+        firma: REQUIERE_FIRMA ? { nombre, imagen: firmaCanvas.toDataURL('image/png') } : undefined,
+        telemetria: telemetriaLectura()
+      })
+    });
+
+    const data = await response.json();
+
+    if (!data.ok) {
+      msg.textContent = MENSAJES.errorAceptacion + (data.error || MENSAJES.intentaMasTarde);
+      tycAceptados = false;
+      checkScroll();
+      return;
+    }
+
+    marcarComoAceptadoUI();
+  } catch (error) {
+    console.error(error);
+    msg.textContent = MENSAJES.errorRedAceptacion;
+    tycAceptados = false;
+    checkScroll();
+  }
+});
+
+// "No acepto": muestra el motivo/comentario antes de confirmar
+btnRechazar.addEventListener('click', () => {
+  if (tycAceptados || tycRechazados) return;
+  rechazoPanel.hidden = !rechazoPanel.hidden;
+});
+
+btnConfirmarRechazo.addEventListener('click', async () => {
+  if (tycAceptados || tycRechazados) return;
+
+  btnConfirmarRechazo.disabled = true;
+  msg.textContent = MENSAJES.registrandoRespuesta;
+
+  try {
+    const response = await fetch('/api/tyc/' + encodeURIComponent(TOKEN) + '/rechazar', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        motivo: motivoRechazo.value || null,
+        comentario: comentarioRechazo.value || null,
+        idioma: IDIOMA
+      })
+    });
+
+    const data = await response.json();
+
+    if (!data.ok) {
+      msg.textContent = MENSAJES.errorRespuesta + (data.error || MENSAJES.intentaMasTarde);
+      btnConfirmarRechazo.disabled = false;
+      return;
+    }
+
+    marcarComoRechazadoUI();
+  } catch (error) {
+    console.error(error);
+    msg.textContent = MENSAJES.errorRedRespuesta;
+    btnConfirmarRechazo.disabled = false;
+  }
+});
+
+// Descargar la constancia de aceptación (PDF generado en el servidor)
+btnDescargar?.addEventListener('click', () => {
+  if (!tycAceptados) return;
+  window.location.href = '/tyc/' + encodeURIComponent(TOKEN) + '/constancia.pdf';
+});
+
+// Imprimir
+btnImprimir?.addEventListener('click', () => {
+  window.print();
+});
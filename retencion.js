@@ -0,0 +1,210 @@
+// retencion.js
+const { withTransaction } = require('./db');
+const { STATES, notificarCambio } = require('./tycSolicitudes');
+const { solicitudesRepo } = require('./solicitudesRepo');
+
+/**
+ * Retención de datos: las solicitudes que ya terminaron y tienen más de N días
+ * (contados desde created_at, N por estado) se archivan o se borran.
+ *
+ * Configuración:
+ *  - TYC_RETENCION           días por estado, "ESTADO:dias;..." ej. "EXPIRADA:90;CANCELADA:90;ACEPTADA:1825".
+ *                            Sin definir no se saca nada. Solo estados finales (CREADA/ABIERTA nunca).
+ *  - TYC_RETENCION_MODO      ARCHIVAR (default): copia todo a tyc_solicitudes_archivo y lo borra de las tablas vivas.
+ *                            PURGAR: lo borra sin copia.
+ *  - TYC_RETENCION_CADA_SEG  intervalo de la tarea (default 3600)
+ *
+ * Se borra la solicitud con su bitácora, documentos, consentimientos, códigos OTP, firma,
+ * recordatorios y webhooks. Las que tienen webhooks PENDIENTE esperan a que se entreguen o fallen.
+ * Los derechos ARCO (tyc_derechos_arco) van por precliente y no se tocan; lo archivado sigue
+ * entrando en la exportación y la anonimización del precliente (ver arco.js).
+ *
+ * Tabla tyc_solicitudes_archivo:
+ *  - tyc_solicitud_id (pk), precliente_id, estado, created_at
+ *  - archivada_at (timestamptz)
+ *  - datos (jsonb)   { solicitud, auditoria, documentos, consentimientos, otpCodigos, firma, recordatorios, webhooks }
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const MODOS = {
+  ARCHIVAR: 'ARCHIVAR',
+  PURGAR: 'PURGAR'
+};
+
+const ESTADOS_FINALES = [
+  STATES.ACEPTADA,
+  STATES.RECHAZADA,
+  STATES.EXPIRADA,
+  STATES.CANCELADA,
+  STATES.REEMPLAZADA
+];
+
+const RETENCION_CADA_SEG = envInt('TYC_RETENCION_CADA_SEG', 3600);
+// Solicitudes por transacción y lotes por corrida
+const LOTE = 100;
+const MAX_LOTES = 20;
+
+/**
+ * "EXPIRADA:90;ACEPTADA:1825" -> [{ estado: 'EXPIRADA', dias: 90 }, ...]
+ * Lanza error si algún estado o número de días no es válido, o si un estado se repite.
+ */
+function parseRetencion(valor) {
+  if (!valor || !valor.trim()) return [];
+
+  const reglas = valor.split(';').map((s) => s.trim()).filter(Boolean).map((item) => {
+    const partes = item.split(':').map((s) => s.trim());
+    const [estado, dias] = partes;
+    const n = Number(dias);
+
+    if (!ESTADOS_FINALES.includes(estado.toUpperCase())) {
+      throw new Error(`TYC_RETENCION: estado inválido "${estado}"; debe ser uno de: ${ESTADOS_FINALES.join(', ')}`);
+    }
+    if (partes.length !== 2 || !Number.isInteger(n) || n <= 0) {
+      throw new Error(`TYC_RETENCION: días inválidos para ${estado} ("${partes.slice(1).join(':')}")`);
+    }
+
+    return { estado: estado.toUpperCase(), dias: n };
+  });
+
+  // Con dos reglas para un estado, retenerLote tomaría sus solicitudes dos veces
+  const repetido = reglas.find((r, i) => reglas.findIndex((otra) => otra.estado === r.estado) !== i);
+  if (repetido) {
+    throw new Error(`TYC_RETENCION: el estado ${repetido.estado} aparece más de una vez`);
+  }
+
+  return reglas;
+}
+
+function modoRetencion(env = process.env) {
+  return (env.TYC_RETENCION_MODO || MODOS.ARCHIVAR).toUpperCase();
+}
+
+/**
+ * Valida la configuración al arrancar.
+ */
+function assertRetencionConfig(env = process.env) {
+  parseRetencion(env.TYC_RETENCION);
+
+  if (!MODOS[modoRetencion(env)]) {
+    throw new Error(`TYC_RETENCION_MODO debe ser uno de: ${Object.keys(MODOS).join(', ')}`);
+  }
+}
+
+/**
+ * Archiva (o purga) un lote de solicitudes vencidas. Regresa sus ids.
+ */
+async function retenerLote(reglas, modo) {
+  const ids = await withTransaction(async (client) => {
+    const r = await client.query(
+      `SELECT s.tyc_solicitud_id
+       FROM tyc_solicitudes s
+       JOIN unnest($1::text[], $2::int[]) AS regla (estado, dias)
+         ON s.estado = regla.estado
+       WHERE s.created_at < NOW() - make_interval(days => regla.dias)
+         AND NOT EXISTS (
+           SELECT 1
+           FROM tyc_webhook_outbox o
+           WHERE o.tyc_solicitud_id = s.tyc_solicitud_id
+             AND o.estado = 'PENDIENTE'
+         )
+       ORDER BY s.created_at ASC
+       LIMIT $3
+       FOR UPDATE OF s SKIP LOCKED`,
+      [reglas.map((r) => r.estado), reglas.map((r) => r.dias), LOTE]
+    );
+    const seleccion = r.rows.map((row) => row.tyc_solicitud_id);
+    if (seleccion.length === 0) return [];
+
+    if (modo === MODOS.ARCHIVAR) {
+      await client.query(
+        `INSERT INTO tyc_solicitudes_archivo (tyc_solicitud_id, precliente_id, estado, created_at, datos)
+         SELECT s.tyc_solicitud_id, s.precliente_id, s.estado, s.created_at,
+                jsonb_build_object(
+                  'solicitud', to_jsonb(s),
+                  'auditoria', (SELECT COALESCE(jsonb_agg(to_jsonb(a) ORDER BY a.seq), '[]'::jsonb)
+                                FROM tyc_auditoria a WHERE a.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'documentos', (SELECT COALESCE(jsonb_agg(to_jsonb(d) ORDER BY d.orden), '[]'::jsonb)
+                                 FROM tyc_solicitud_documentos d WHERE d.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'consentimientos', (SELECT COALESCE(jsonb_agg(to_jsonb(c) ORDER BY c.orden), '[]'::jsonb)
+                                      FROM tyc_solicitud_consentimientos c WHERE c.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'otpCodigos', (SELECT COALESCE(jsonb_agg(to_jsonb(o) ORDER BY o.id), '[]'::jsonb)
+                                 FROM tyc_otp_codigos o WHERE o.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'firma', (SELECT to_jsonb(f) FROM tyc_firmas f WHERE f.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'recordatorios', (SELECT COALESCE(jsonb_agg(to_jsonb(r) ORDER BY r.umbral_minutos), '[]'::jsonb)
+                                    FROM tyc_recordatorios r WHERE r.tyc_solicitud_id = s.tyc_solicitud_id),
+                  'webhooks', (SELECT COALESCE(jsonb_agg(to_jsonb(w) ORDER BY w.id), '[]'::jsonb)
+                               FROM tyc_webhook_outbox w WHERE w.tyc_solicitud_id = s.tyc_solicitud_id)
+                )
+         FROM tyc_solicitudes s
+         WHERE s.tyc_solicitud_id = ANY($1)
+         ON CONFLICT (tyc_solicitud_id) DO NOTHING`,
+        [seleccion]
+      );
+    }
+
+    // Lo único que puede borrar la bitácora (ver migraciones/016_tareas_retencion.sql)
+    await client.query(`SET LOCAL tyc.retencion = 'on'`);
+
+    for (const tabla of [
+      'tyc_auditoria',
+      'tyc_solicitud_documentos',
+      'tyc_solicitud_consentimientos',
+      'tyc_otp_codigos',
+      'tyc_firmas',
+      'tyc_recordatorios',
+      'tyc_webhook_outbox',
+      'tyc_solicitudes'
+    ]) {
+      await client.query(`DELETE FROM ${tabla} WHERE tyc_solicitud_id = ANY($1)`, [seleccion]);
+    }
+
+    for (const id of seleccion) {
+      await notificarCambio(client, id);
+    }
+
+    return seleccion;
+  });
+
+  for (const id of ids) {
+    solicitudesRepo.invalidar(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Tarea de retención. Regresa { resumen } con cuántas se archivaron o purgaron.
+ */
+async function tareaRetencion() {
+  const reglas = parseRetencion(process.env.TYC_RETENCION);
+  const modo = modoRetencion();
+
+  if (reglas.length === 0) {
+    return { resumen: { modo, solicitudes: 0, reglas: [] } };
+  }
+
+  let total = 0;
+  for (let i = 0; i < MAX_LOTES; i++) {
+    const ids = await retenerLote(reglas, modo);
+    total += ids.length;
+    if (ids.length < LOTE) break;
+  }
+
+  if (total > 0) {
+    console.log(`🗄️ [Retención] ${total} solicitud(es) ${modo === MODOS.ARCHIVAR ? 'archivadas' : 'purgadas'}`);
+  }
+
+  return { resumen: { modo, solicitudes: total, reglas } };
+}
+
+module.exports = {
+  MODOS,
+  RETENCION_CADA_SEG,
+  parseRetencion,
+  assertRetencionConfig,
+  tareaRetencion
+};
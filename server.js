@@ -4,15 +4,63 @@ const express = require('express');
 const morgan = require('morgan');
 const cors = require('cors');
 const { router: tycRouter } = require('./tycRoutes');
+const { router: documentosRouter } = require('./documentosRoutes');
+const { router: constanciaRouter } = require('./constanciaRoutes');
+const { router: webhookRouter } = require('./webhookRoutes');
+const { router: solicitudesRouter } = require('./solicitudesRoutes');
+const { router: apiKeysRouter } = require('./apiKeysRoutes');
+const { router: evidenciaRouter } = require('./evidenciaRoutes');
+const { router: arcoRouter } = require('./arcoRoutes');
+const { router: metricasRouter } = require('./metricasRoutes');
+const { middlewareMetricas } = require('./metricas');
+const { startWebhookWorker } = require('./webhookOutbox');
+const { iniciarInvalidacion } = require('./solicitudesRepo');
+const { verificarEsquema } = require('./migraciones');
+const { assertWebhookSigningConfig } = require('./webhookSignature');
+const { assertTokenConfig } = require('./tycTokens');
+const { assertConstanciaConfig } = require('./constancia');
+const { assertMarcasConfig } = require('./marcas');
+const { assertWebhookDestinosConfig } = require('./webhookDestinos');
+const { assertOtpConfig } = require('./otp');
+const { assertRetencionConfig } = require('./retencion');
+const { iniciarTareas } = require('./tareas');
+
+// Sin secretos reales (webhooks, tokens de las ligas y constancias) no arrancamos en producción,
+// y tampoco con una configuración de marcas, de destinos de webhooks, de OTP o de retención inválida
+try {
+  const { keyId } = assertWebhookSigningConfig();
+  console.log(`[Webhooks] Firmando con key id "${keyId}".`);
+  assertTokenConfig();
+  assertConstanciaConfig();
+  assertMarcasConfig();
+  assertWebhookDestinosConfig();
+  assertOtpConfig();
+  assertRetencionConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+const { asegurarDocumentoInicial } = require('./tycDocumentos');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Middlewares
-app.use(morgan('dev'));
+// Los scrapes de Prometheus (cada 15 s) no llenan el log
+app.use(morgan('dev', { skip: (req) => req.path === '/metrics' }));
+app.use(middlewareMetricas);
 app.use(cors());
-app.use(express.json());
+// La firma dibujada viaja como PNG en base64 dentro del JSON de la aceptación
+app.use(express.json({ limit: '512kb' }));
 app.use(tycRouter);
+app.use(documentosRouter);
+app.use(constanciaRouter);
+app.use(webhookRouter);
+app.use(solicitudesRouter);
+app.use(apiKeysRouter);
+app.use(evidenciaRouter);
+app.use(arcoRouter);
+app.use(metricasRouter);
 
 // Endpoint simple de salud
 app.get('/api/health', (req, res) => {
@@ -25,6 +73,27 @@ app.get('/api/health', (req, res) => {
 
 app.use(tycRouter);
 
-app.listen(PORT, () => {
-  console.log(`AMA TyC Service escuchando en puerto ${PORT}`);
-});
+// No atendemos peticiones con el esquema atrasado (npm run db:migrate,
+// o MIGRAR_AL_ARRANCAR=true para aplicarlas aquí mismo)
+verificarEsquema()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`AMA TyC Service escuchando en puerto ${PORT}`);
+    });
+
+    // Si el catálogo de documentos está vacío, publica el texto inicial del contrato
+    asegurarDocumentoInicial();
+
+    // Entrega en segundo plano de los webhooks encolados en el outbox
+    startWebhookWorker();
+
+    // Invalidación del caché de solicitudes cuando otra instancia las cambia
+    iniciarInvalidacion();
+
+    // Expiración y retención programadas (una sola instancia corre cada tarea a la vez)
+    iniciarTareas();
+  })
+  .catch((err) => {
+    console.error(`❌ [Migraciones] ${err.message}`);
+    process.exit(1);
+  });
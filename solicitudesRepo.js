@@ -0,0 +1,248 @@
+// solicitudesRepo.js
+const { pool } = require('./db');
+const {
+  CANAL_CAMBIOS,
+  getSolicitudPorTokenHash,
+  getSolicitudPorId
+} = require('./tycSolicitudes');
+
+/**
+ * Acceso a las solicitudes desde las rutas públicas (/tyc/:token y compañía).
+ *
+ * Postgres es la autoridad. Delante puede ir un caché por instancia, acotado
+ * (LRU con TTL), para no consultar BD en cada visita a la página. Cuando una
+ * solicitud cambia, quien la cambia hace NOTIFY (tycSolicitudes.notificarCambio)
+ * y todas las instancias la sacan de su caché.
+ *
+ * Un store es un objeto con:
+ *  - porTokenHash(tokenHash, { fresco })  fresco=true se salta el caché (antes de escribir)
+ *  - porId(tycSolicitudId)
+ *  - guardarNueva(tokenHash, solicitud)   recién creada: la deja lista en caché
+ *  - invalidar(tycSolicitudId)            la saca del caché de esta instancia
+ *  - limpiar()                            vacía el caché de esta instancia
+ *
+ * Configuración:
+ *  - TYC_CACHE_MAX     máximo de solicitudes en caché (default 1000; 0 = sin caché)
+ *  - TYC_CACHE_TTL_MS  vida máxima de cada entrada (default 30000)
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+/**
+ * Store que siempre va a Postgres.
+ */
+function crearStorePostgres(db = pool) {
+  return {
+    porTokenHash: (tokenHash) => getSolicitudPorTokenHash(tokenHash, db),
+    porId: (tycSolicitudId) => getSolicitudPorId(tycSolicitudId, db),
+    guardarNueva: () => {},
+    invalidar: () => {},
+    limpiar: () => {}
+  };
+}
+
+/**
+ * Caché LRU con TTL. Map conserva el orden de inserción: la primera llave es la
+ * menos usada (cada get la vuelve a insertar al final).
+ */
+function crearCacheLRU({ max, ttlMs, now = Date.now }) {
+  const entradas = new Map();
+
+  return {
+    get(key) {
+      const entrada = entradas.get(key);
+      if (!entrada) return undefined;
+
+      entradas.delete(key);
+      if (entrada.expira <= now()) return undefined;
+
+      entradas.set(key, entrada);
+      return entrada.valor;
+    },
+    set(key, valor) {
+      entradas.delete(key);
+      entradas.set(key, { valor, expira: now() + ttlMs });
+
+      while (entradas.size > max) {
+        entradas.delete(entradas.keys().next().value);
+      }
+    },
+    deleteWhere(fn) {
+      for (const [key, entrada] of entradas) {
+        if (fn(entrada.valor)) entradas.delete(key);
+      }
+    },
+    clear() {
+      entradas.clear();
+    },
+    get size() {
+      return entradas.size;
+    }
+  };
+}
+
+/**
+ * Envuelve un store con un caché LRU/TTL. Se guardan y regresan copias, así que
+ * quien modifique la solicitud que recibió no altera lo que ven los demás.
+ */
+function conCache(store, { max, ttlMs }) {
+  const cache = crearCacheLRU({ max, ttlMs });
+
+  return {
+    async porTokenHash(tokenHash, { fresco = false } = {}) {
+      if (!fresco) {
+        const enCache = cache.get(tokenHash);
+        if (enCache) return structuredClone(enCache);
+      }
+
+      const solicitud = await store.porTokenHash(tokenHash);
+      if (solicitud) cache.set(tokenHash, structuredClone(solicitud));
+      return solicitud;
+    },
+    porId: (tycSolicitudId) => store.porId(tycSolicitudId),
+    guardarNueva(tokenHash, solicitud) {
+      const { token, ...datos } = solicitud;
+      cache.set(tokenHash, structuredClone(datos));
+    },
+    invalidar(tycSolicitudId) {
+      cache.deleteWhere((s) => s.tycSolicitudId === tycSolicitudId);
+      store.invalidar(tycSolicitudId);
+    },
+    limpiar() {
+      cache.clear();
+      store.limpiar();
+    }
+  };
+}
+
+function crearStoreDesdeEnv() {
+  const base = crearStorePostgres();
+  const max = envInt('TYC_CACHE_MAX', 1000);
+  const ttlMs = envInt('TYC_CACHE_TTL_MS', 30000);
+
+  return max > 0 && ttlMs > 0 ? conCache(base, { max, ttlMs }) : base;
+}
+
+let store = crearStoreDesdeEnv();
+
+/**
+ * Cambia el store (ej. otro backend, o uno sin caché en pruebas).
+ */
+function configurarStore(nuevo) {
+  store = nuevo;
+}
+
+/**
+ * API que usan las rutas; delega en el store configurado.
+ */
+const solicitudesRepo = {
+  porTokenHash: (tokenHash, opciones) => store.porTokenHash(tokenHash, opciones),
+  porId: (tycSolicitudId) => store.porId(tycSolicitudId),
+  guardarNueva: (tokenHash, solicitud) => store.guardarNueva(tokenHash, solicitud),
+  invalidar: (tycSolicitudId) => store.invalidar(tycSolicitudId),
+  limpiar: () => store.limpiar()
+};
+
+// ----------------------------------------------------------------------------
+// Invalidación entre instancias (LISTEN)
+// ----------------------------------------------------------------------------
+
+const REINTENTO_LISTEN_MS = 5000;
+
+let listenClient = null;
+let reintentoTimer = null;
+let detenido = true;
+
+// Manejador de 'error' de cada cliente del LISTEN. Un cliente que ya no está aquí ya se soltó:
+// una conexión caída avisa dos veces (evento 'error' y la query rechazada) y pg-pool
+// lanza error si se le regresa el mismo cliente dos veces.
+const alErrorDe = new WeakMap();
+
+function soltar(client, destruir) {
+  const alError = alErrorDe.get(client);
+  if (!alError) return;
+
+  alErrorDe.delete(client);
+  client.removeListener('error', alError);
+  client.removeAllListeners('notification');
+  client.release(destruir);
+}
+
+async function escuchar() {
+  reintentoTimer = null;
+  if (detenido) return;
+
+  let client;
+  try {
+    client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel === CANAL_CAMBIOS && msg.payload) {
+        solicitudesRepo.invalidar(msg.payload);
+      }
+    });
+    const alError = (err) => reconectar(client, err);
+    alErrorDe.set(client, alError);
+    client.on('error', alError);
+
+    await client.query(`LISTEN ${CANAL_CAMBIOS}`);
+    listenClient = client;
+
+    // Mientras no escuchábamos pudimos perder avisos
+    solicitudesRepo.limpiar();
+    console.log('[Solicitudes] Escuchando cambios para invalidar el caché.');
+  } catch (err) {
+    reconectar(client, err);
+  }
+}
+
+function reconectar(client, err) {
+  // Ya se atendió la caída de este cliente (o se soltó al detener)
+  if (client && !alErrorDe.has(client)) return;
+
+  console.error('[Solicitudes] Se perdió el LISTEN de cambios, se reintenta:', err.message);
+
+  if (client) soltar(client, true);
+  if (listenClient === client) listenClient = null;
+
+  // Sin avisos no podemos confiar en lo que hay en caché
+  solicitudesRepo.limpiar();
+
+  if (!detenido && !reintentoTimer) {
+    reintentoTimer = setTimeout(escuchar, REINTENTO_LISTEN_MS);
+  }
+}
+
+/**
+ * Arranca el LISTEN que invalida el caché cuando otra instancia cambia una solicitud.
+ */
+function iniciarInvalidacion() {
+  if (!detenido) return;
+  detenido = false;
+  escuchar();
+}
+
+function detenerInvalidacion() {
+  detenido = true;
+  if (reintentoTimer) clearTimeout(reintentoTimer);
+  reintentoTimer = null;
+
+  if (listenClient) {
+    const client = listenClient;
+    listenClient = null;
+    client.removeAllListeners('notification');
+    client.query(`UNLISTEN ${CANAL_CAMBIOS}`).catch(() => {}).finally(() => soltar(client));
+  }
+}
+
+module.exports = {
+  solicitudesRepo,
+  configurarStore,
+  crearStorePostgres,
+  crearCacheLRU,
+  conCache,
+  iniciarInvalidacion,
+  detenerInvalidacion
+};
@@ -0,0 +1,265 @@
+// solicitudesRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const {
+  solicitudParaApi,
+  getSolicitudPorId,
+  getSolicitudPorToken,
+  getCadena,
+  buscarSolicitudes,
+  resumenPrecliente
+} = require('./tycSolicitudes');
+const { verificarToken } = require('./tycTokens');
+const { getLineaDeTiempo, verificarCadena, eventoParaApi } = require('./tycAuditoria');
+const { listarCodigos } = require('./otp');
+
+const router = express.Router();
+
+/**
+ * "a,b" o ["a", "b"] -> ["A", "B"]
+ */
+function listaQuery(valor) {
+  if (!valor) return [];
+  const items = Array.isArray(valor) ? valor : String(valor).split(',');
+  return items.map((v) => String(v).trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Extrae los filtros de búsqueda del query string.
+ * Los filtros de metadata llegan como metadata.<campo>=<valor>.
+ */
+function filtrosDesdeQuery(query) {
+  const metadata = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith('metadata.')) {
+      metadata[key.slice('metadata.'.length)] = Array.isArray(value) ? value[0] : value;
+    }
+  }
+
+  return {
+    estados: listaQuery(query.estado),
+    canales: listaQuery(query.canal),
+    createdDesde: query.createdDesde,
+    createdHasta: query.createdHasta,
+    expiresDesde: query.expiresDesde,
+    expiresHasta: query.expiresHasta,
+    acceptedDesde: query.acceptedDesde,
+    acceptedHasta: query.acceptedHasta,
+    metadata,
+    orden: query.orden,
+    dir: query.dir,
+    limit: query.limit,
+    cursor: query.cursor
+  };
+}
+
+/**
+ * GET /api/tyc/solicitudes
+ *
+ * Búsqueda de solicitudes (para soporte y flujos de n8n).
+ * Query (todos opcionales):
+ *  - preclienteId
+ *  - estado, canal (uno o varios separados por coma)
+ *  - createdDesde / createdHasta, expiresDesde / expiresHasta, acceptedDesde / acceptedHasta (ISO)
+ *  - metadata.<campo>=<valor> (ej. metadata.whatsappNumero=5215512345678)
+ *  - orden (created_at | expires_at, default created_at), dir (asc | desc, default desc)
+ *  - limit (default 50, máx 200)
+ *  - cursor (el nextCursor de la página anterior)
+ */
+router.get('/api/tyc/solicitudes', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const { solicitudes, nextCursor } = await buscarSolicitudes({
+      ...filtrosDesdeQuery(req.query),
+      preclienteId: req.query.preclienteId
+    });
+
+    return res.json({
+      ok: true,
+      total: solicitudes.length,
+      solicitudes: solicitudes.map(solicitudParaApi),
+      nextCursor
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    console.error('[TyC] Error buscando solicitudes:', err);
+    return res.status(500).json({ ok: false, error: 'Error buscando solicitudes' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/por-token/:token
+ *
+ * Busca la solicitud a la que pertenece una URL (lo que el cliente nos reenvía).
+ * La búsqueda es por token_hash; un token con firma inválida ni siquiera se busca.
+ */
+router.get('/api/tyc/solicitudes/por-token/:token', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  if (!verificarToken(req.params.token).ok) {
+    return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+  }
+
+  try {
+    const solicitud = await getSolicitudPorToken(req.params.token);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    return res.json({ ok: true, solicitud: solicitudParaApi(solicitud) });
+  } catch (err) {
+    console.error('[TyC] Error consultando solicitud por token:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando la solicitud' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const solicitud = await getSolicitudPorId(req.params.tycSolicitudId);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    return res.json({ ok: true, solicitud: solicitudParaApi(solicitud) });
+  } catch (err) {
+    console.error('[TyC] Error consultando solicitud:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando la solicitud' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/cadena
+ *
+ * Historial de reemisiones al que pertenece la solicitud: de la original
+ * (sin parentTycSolicitudId) a la más reciente (sin supersededBy).
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/cadena', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  try {
+    const cadena = await getCadena(req.params.tycSolicitudId);
+
+    if (cadena.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    return res.json({
+      ok: true,
+      total: cadena.length,
+      vigente: cadena[cadena.length - 1].tycSolicitudId,
+      cadena: cadena.map(solicitudParaApi)
+    });
+  } catch (err) {
+    console.error('[TyC] Error consultando cadena de reemisiones:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando la cadena' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/auditoria
+ *
+ * Línea de tiempo completa de la solicitud (cambios de estado y visitas a la página,
+ * con fecha, actor, IP y user-agent) y el resultado de verificar la cadena de hashes.
+ * integridad.ok = false indica que algún evento fue alterado, borrado o intercalado.
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/auditoria', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  const { tycSolicitudId } = req.params;
+
+  try {
+    const solicitud = await getSolicitudPorId(tycSolicitudId);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    const eventos = await getLineaDeTiempo(tycSolicitudId);
+    const integridad = verificarCadena(eventos, { estadoActual: solicitud.estado });
+
+    if (!integridad.ok) {
+      console.warn(`⚠️ La cadena de auditoría de ${tycSolicitudId} no es íntegra:`, integridad.errores);
+    }
+
+    return res.json({
+      ok: true,
+      tycSolicitudId,
+      estado: solicitud.estado,
+      integridad,
+      total: eventos.length,
+      eventos: eventos.map(eventoParaApi)
+    });
+  } catch (err) {
+    console.error('[TyC] Error consultando auditoría de la solicitud:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando la auditoría' });
+  }
+});
+
+/**
+ * GET /api/tyc/solicitudes/:tycSolicitudId/otp
+ *
+ * Códigos OTP enviados a la solicitud (para soporte): teléfono enmascarado, enviador,
+ * intentos, vencimiento y si se verificó. Nunca incluye el código.
+ */
+router.get('/api/tyc/solicitudes/:tycSolicitudId/otp', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  const { tycSolicitudId } = req.params;
+
+  try {
+    const solicitud = await getSolicitudPorId(tycSolicitudId);
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    const codigos = await listarCodigos(tycSolicitudId);
+
+    return res.json({
+      ok: true,
+      tycSolicitudId,
+      requiereOtp: solicitud.requiereOtp,
+      otpVerifiedAt: solicitud.otpVerifiedAt,
+      total: codigos.length,
+      codigos
+    });
+  } catch (err) {
+    console.error('[TyC] Error consultando códigos OTP de la solicitud:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando los códigos OTP' });
+  }
+});
+
+/**
+ * GET /api/tyc/preclientes/:preclienteId/solicitudes
+ *
+ * Todas las solicitudes de un precliente (más recientes primero, paginado con cursor)
+ * y un resumen: total, si alguna fue aceptada y cuándo.
+ * Acepta los mismos filtros que GET /api/tyc/solicitudes.
+ */
+router.get('/api/tyc/preclientes/:preclienteId/solicitudes', requireScope(SCOPES.SOLICITUDES_READ), async (req, res) => {
+  const { preclienteId } = req.params;
+
+  try {
+    const [{ solicitudes, nextCursor }, resumen] = await Promise.all([
+      buscarSolicitudes({ ...filtrosDesdeQuery(req.query), preclienteId }),
+      resumenPrecliente(preclienteId)
+    ]);
+
+    return res.json({
+      ok: true,
+      preclienteId,
+      resumen,
+      solicitudes: solicitudes.map(solicitudParaApi),
+      nextCursor
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    console.error('[TyC] Error consultando solicitudes del precliente:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando solicitudes' });
+  }
+});
+
+module.exports = {
+  router
+};
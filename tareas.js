@@ -0,0 +1,210 @@
+// tareas.js
+const os = require('os');
+const { pool } = require('./db');
+const { EXPIRACION_CADA_SEG, tareaExpiracion } = require('./expiracion');
+const { RETENCION_CADA_SEG, tareaRetencion } = require('./retencion');
+
+/**
+ * Tareas programadas dentro del servicio (ya no dependemos de que n8n llame al cron).
+ *
+ * Cada tarea tiene un nombre, un intervalo y una función (ver TAREAS). Cada instancia revisa
+ * sus tareas cada TAREAS_TICK_MS; para correr una toma un advisory lock de Postgres
+ * con el nombre de la tarea (pg_try_advisory_lock, si otra instancia la tiene, se
+ * la salta) y revisa en tyc_tareas cuándo fue la última corrida: si fue hace menos
+ * del intervalo no hace nada. Así, con varias instancias, cada tarea corre una
+ * sola vez por intervalo y nunca dos al mismo tiempo.
+ *
+ * Las corridas manuales (ejecutarTarea con manual=true, ej. el endpoint del cron)
+ * usan el mismo lock pero no esperan al intervalo.
+ *
+ * Tabla tyc_tareas (una fila por tarea):
+ *  - nombre (pk)
+ *  - ultimo_inicio, ultimo_fin (timestamptz), ultima_instancia (text)
+ *  - ultimo_resultado (jsonb), ultimo_error (text)
+ *
+ * Configuración:
+ *  - TAREAS_ENABLED=false   no corre tareas en esta instancia (el endpoint manual sigue)
+ *  - TAREAS_TICK_MS         cada cuánto revisa si toca correr alguna (default 15000)
+ */
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const TICK_MS = envInt('TAREAS_TICK_MS', 15000);
+const INSTANCIA = `${os.hostname()}:${process.pid}`;
+
+const TAREAS = {
+  EXPIRACION: 'expiracion',   // expiracion.js
+  RETENCION: 'retencion'      // retencion.js
+};
+
+const tareas = new Map();
+
+/**
+ * Registra una tarea: { nombre, cadaSeg, fn }. fn(opciones) regresa { resumen, ... };
+ * el resumen es lo que se guarda en tyc_tareas.ultimo_resultado (cada tarea loguea lo que hizo).
+ */
+function registrarTarea({ nombre, cadaSeg, fn }) {
+  tareas.set(nombre, { nombre, cadaSeg, fn, corriendo: false });
+}
+
+registrarTarea({ nombre: TAREAS.EXPIRACION, cadaSeg: EXPIRACION_CADA_SEG, fn: tareaExpiracion });
+registrarTarea({ nombre: TAREAS.RETENCION, cadaSeg: RETENCION_CADA_SEG, fn: tareaRetencion });
+
+/**
+ * Corre una tarea si nadie más la está corriendo.
+ *
+ * Regresa { ejecutada: true, resultado }, o { ejecutada: false, motivo } con motivo
+ * OCUPADA (otra instancia la tiene) o RECIENTE (ya corrió en este intervalo).
+ * Si la tarea lanza error se guarda en tyc_tareas y se propaga.
+ */
+async function ejecutarTarea(nombre, { manual = false, ...opciones } = {}) {
+  const tarea = tareas.get(nombre);
+  if (!tarea) throw new Error(`Tarea desconocida: ${nombre}`);
+
+  const client = await pool.connect();
+  let bloqueada = false;
+
+  try {
+    const lock = await client.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) AS ok',
+      [`tyc_tarea:${nombre}`]
+    );
+    bloqueada = lock.rows[0].ok;
+    if (!bloqueada) return { ejecutada: false, motivo: 'OCUPADA' };
+
+    if (!manual) {
+      const r = await client.query(
+        `SELECT 1
+         FROM tyc_tareas
+         WHERE nombre = $1
+           AND ultimo_inicio > NOW() - make_interval(secs => $2)`,
+        [nombre, tarea.cadaSeg]
+      );
+      if (r.rowCount > 0) return { ejecutada: false, motivo: 'RECIENTE' };
+    }
+
+    await client.query(
+      `INSERT INTO tyc_tareas (nombre, ultimo_inicio, ultima_instancia)
+       VALUES ($1, NOW(), $2)
+       ON CONFLICT (nombre) DO UPDATE
+       SET ultimo_inicio = NOW(),
+           ultima_instancia = $2`,
+      [nombre, INSTANCIA]
+    );
+
+    try {
+      const resultado = await tarea.fn({ manual, ...opciones });
+      await client.query(
+        `UPDATE tyc_tareas
+         SET ultimo_fin = NOW(),
+             ultimo_resultado = $2,
+             ultimo_error = NULL
+         WHERE nombre = $1`,
+        [nombre, JSON.stringify(resultado?.resumen ?? null)]
+      );
+      return { ejecutada: true, resultado };
+    } catch (err) {
+      await client.query(
+        `UPDATE tyc_tareas
+         SET ultimo_fin = NOW(),
+             ultimo_resultado = NULL,
+             ultimo_error = $2
+         WHERE nombre = $1`,
+        [nombre, String(err.message || err)]
+      ).catch(() => {});
+      throw err;
+    }
+  } finally {
+    let descartar = false;
+    if (bloqueada) {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`tyc_tarea:${nombre}`]).catch((err) => {
+        // El lock es de la sesión: si la conexión regresa al pool con él, la tarea
+        // queda bloqueada en todas las instancias hasta que esa conexión se cierre
+        console.warn(`⚠️ No se pudo soltar el lock de la tarea ${nombre}, se cierra la conexión:`, err.message);
+        descartar = true;
+      });
+    }
+    client.release(descartar);
+  }
+}
+
+/**
+ * Estado de las tareas registradas (última corrida de cada una).
+ */
+async function estadoTareas() {
+  const r = await pool.query(
+    `SELECT nombre, ultimo_inicio, ultimo_fin, ultima_instancia, ultimo_resultado, ultimo_error
+     FROM tyc_tareas
+     WHERE nombre = ANY($1)`,
+    [[...tareas.keys()]]
+  );
+  const porNombre = new Map(r.rows.map((row) => [row.nombre, row]));
+
+  return [...tareas.values()].map((tarea) => {
+    const row = porNombre.get(tarea.nombre);
+    return {
+      nombre: tarea.nombre,
+      cadaSeg: tarea.cadaSeg,
+      ultimoInicio: row?.ultimo_inicio?.toISOString() ?? null,
+      ultimoFin: row?.ultimo_fin?.toISOString() ?? null,
+      ultimaInstancia: row?.ultima_instancia ?? null,
+      ultimoResultado: row?.ultimo_resultado ?? null,
+      ultimoError: row?.ultimo_error ?? null
+    };
+  });
+}
+
+let timer = null;
+
+async function correr(tarea) {
+  tarea.corriendo = true;
+
+  try {
+    await ejecutarTarea(tarea.nombre);
+  } catch (err) {
+    console.error(`❌ [Tareas] Error en la tarea ${tarea.nombre}:`, err.message);
+  } finally {
+    tarea.corriendo = false;
+  }
+}
+
+// Cada tarea por su lado: una retención larga no detiene a la expiración
+function tick() {
+  for (const tarea of tareas.values()) {
+    if (!tarea.corriendo) correr(tarea);
+  }
+}
+
+/**
+ * Arranca el programador de tareas. Se puede apagar en una instancia con TAREAS_ENABLED=false.
+ */
+function iniciarTareas() {
+  if (process.env.TAREAS_ENABLED === 'false') {
+    console.log('[Tareas] Programador deshabilitado (TAREAS_ENABLED=false).');
+    return;
+  }
+  if (timer) return;
+
+  timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  setImmediate(tick);
+
+  const lista = [...tareas.values()].map((t) => `${t.nombre} cada ${t.cadaSeg} s`).join(', ');
+  console.log(`[Tareas] Programador activo (${lista || 'sin tareas'}).`);
+}
+
+function detenerTareas() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  TAREAS,
+  ejecutarTarea,
+  estadoTareas,
+  iniciarTareas,
+  detenerTareas
+};
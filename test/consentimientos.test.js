@@ -0,0 +1,114 @@
+// test/consentimientos.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// El catálogo se lee al cargar el módulo: estas pruebas usan el default
+delete process.env.TYC_CONSENTIMIENTOS;
+const {
+  MAX_CONSENTIMIENTOS,
+  getConsentimiento,
+  conEtiquetas,
+  validarConsentimientosSolicitud,
+  respuestasDeAceptacion
+} = require('../consentimientos');
+
+test('sin consentimientos la solicitud no pide ninguno', () => {
+  assert.deepEqual(validarConsentimientosSolicitud(undefined), { ok: true, consentimientos: [] });
+  assert.deepEqual(validarConsentimientosSolicitud(null), { ok: true, consentimientos: [] });
+  assert.deepEqual(validarConsentimientosSolicitud([]), { ok: true, consentimientos: [] });
+});
+
+test('acepta códigos sueltos u objetos, normaliza el código y respeta el orden', () => {
+  const r = validarConsentimientosSolicitud([
+    'marketing',
+    { codigo: ' datos_personales ', obligatorio: true },
+    { codigo: 'UBICACION_ASEGURADORAS' }
+  ]);
+
+  assert.deepEqual(r, {
+    ok: true,
+    consentimientos: [
+      { codigo: 'MARKETING', obligatorio: false },
+      { codigo: 'DATOS_PERSONALES', obligatorio: true },
+      { codigo: 'UBICACION_ASEGURADORAS', obligatorio: false }
+    ]
+  });
+});
+
+test('rechaza lo que no es una lista o tiene demasiados elementos', () => {
+  for (const valor of ['MARKETING', { codigo: 'MARKETING' }, 5, Array(MAX_CONSENTIMIENTOS + 1).fill('MARKETING')]) {
+    const r = validarConsentimientosSolicitud(valor);
+    assert.equal(r.ok, false);
+    assert.match(r.error, /debe ser una lista de máximo/);
+  }
+});
+
+test('rechaza códigos desconocidos o vacíos', () => {
+  for (const item of ['NO_EXISTE', '', null, 7, {}, { codigo: 'NO_EXISTE', obligatorio: true }]) {
+    const r = validarConsentimientosSolicitud([item]);
+    assert.equal(r.ok, false, JSON.stringify(item));
+    assert.match(r.error, /consentimiento desconocido/);
+  }
+});
+
+test('rechaza obligatorio que no es booleano', () => {
+  const r = validarConsentimientosSolicitud([{ codigo: 'MARKETING', obligatorio: 'true' }]);
+
+  assert.deepEqual(r, { ok: false, error: 'consentimientos: obligatorio de MARKETING debe ser true o false' });
+});
+
+test('rechaza consentimientos repetidos aunque cambie la forma', () => {
+  const r = validarConsentimientosSolicitud(['MARKETING', { codigo: 'marketing', obligatorio: true }]);
+
+  assert.deepEqual(r, { ok: false, error: 'consentimiento repetido MARKETING' });
+});
+
+test('al aceptar, solo true cuenta como otorgado', () => {
+  const solicitud = {
+    consentimientos: [
+      { codigo: 'DATOS_PERSONALES', obligatorio: true },
+      { codigo: 'MARKETING', obligatorio: false },
+      { codigo: 'UBICACION_ASEGURADORAS', obligatorio: false }
+    ]
+  };
+
+  const r = respuestasDeAceptacion(solicitud, { DATOS_PERSONALES: true, MARKETING: 'true', OTRO: true });
+  assert.deepEqual(r, {
+    ok: true,
+    respuestas: [
+      { codigo: 'DATOS_PERSONALES', obligatorio: true, otorgado: true },
+      { codigo: 'MARKETING', obligatorio: false, otorgado: false },
+      { codigo: 'UBICACION_ASEGURADORAS', obligatorio: false, otorgado: false }
+    ]
+  });
+});
+
+test('al aceptar, un obligatorio sin marcar lo impide', () => {
+  const solicitud = {
+    consentimientos: [
+      { codigo: 'MARKETING', obligatorio: false },
+      { codigo: 'DATOS_PERSONALES', obligatorio: true }
+    ]
+  };
+
+  for (const marcados of [undefined, null, [], 'DATOS_PERSONALES', { DATOS_PERSONALES: false }, { MARKETING: true }]) {
+    assert.deepEqual(
+      respuestasDeAceptacion(solicitud, marcados),
+      { ok: false, faltante: { codigo: 'DATOS_PERSONALES', obligatorio: true, otorgado: false } },
+      JSON.stringify(marcados)
+    );
+  }
+});
+
+test('una solicitud sin consentimientos se acepta sin respuestas', () => {
+  assert.deepEqual(respuestasDeAceptacion({ consentimientos: [] }, undefined), { ok: true, respuestas: [] });
+  assert.deepEqual(respuestasDeAceptacion({}, { MARKETING: true }), { ok: true, respuestas: [] });
+});
+
+test('etiquetas en el idioma de la página; el código si ya no está en el catálogo', () => {
+  const lista = conEtiquetas([{ codigo: 'MARKETING' }, { codigo: 'RETIRADO' }], 'en');
+
+  assert.equal(lista[0].etiqueta, 'I agree to receive promotions and news via WhatsApp, SMS or email');
+  assert.equal(lista[1].etiqueta, 'RETIRADO');
+  assert.equal(conEtiquetas([{ codigo: 'MARKETING' }], 'es')[0].etiqueta, getConsentimiento('MARKETING').etiqueta);
+});
@@ -0,0 +1,35 @@
+// test/expiracion.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db');
+const { parseUmbrales, contactoDeSolicitud } = require('../expiracion');
+
+test.after(() => pool.end());
+
+test('sin TYC_RECORDATORIOS_MIN no hay recordatorios', () => {
+  assert.deepEqual(parseUmbrales(undefined), []);
+  assert.deepEqual(parseUmbrales(''), []);
+});
+
+test('umbrales de menor a mayor y sin repetidos', () => {
+  assert.deepEqual(parseUmbrales('30,10'), [10, 30]);
+  assert.deepEqual(parseUmbrales(' 60 , 10,30,10 '), [10, 30, 60]);
+  assert.deepEqual(parseUmbrales(15), [15]);
+});
+
+test('ignora lo que no es un entero positivo', () => {
+  assert.deepEqual(parseUmbrales('30,,abc,0,-5,1.5,10'), [10, 30]);
+  assert.deepEqual(parseUmbrales('abc'), []);
+});
+
+test('el teléfono sale del primer campo de la metadata que venga', () => {
+  assert.deepEqual(contactoDeSolicitud({ metadata: { whatsapp: '+52 (55) 1234-5678', telefono: '999' } }), {
+    telefono: '+52 (55) 1234-5678',
+    telefonoDigits: '525512345678'
+  });
+  assert.deepEqual(contactoDeSolicitud({ metadata: { whatsappNumero: '', phone: 5512345678 } }), {
+    telefono: '5512345678',
+    telefonoDigits: '5512345678'
+  });
+  assert.deepEqual(contactoDeSolicitud({ metadata: null }), { telefono: null, telefonoDigits: null });
+});
@@ -0,0 +1,148 @@
+// test/firma.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pool } = require('../db');
+const { MAX_BYTES, validarFirma } = require('../firma');
+
+test.after(() => pool.end());
+
+const TABLA_CRC = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = TABLA_CRC[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(tipo, datos) {
+  const largo = Buffer.alloc(4);
+  largo.writeUInt32BE(datos.length);
+  const cuerpo = Buffer.concat([Buffer.from(tipo, 'ascii'), datos]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(cuerpo));
+  return Buffer.concat([largo, cuerpo, crc]);
+}
+
+function ihdr(ancho, alto, profundidad = 8, tipoColor = 6) {
+  const datos = Buffer.alloc(13);
+  datos.writeUInt32BE(ancho, 0);
+  datos.writeUInt32BE(alto, 4);
+  datos[8] = profundidad;
+  datos[9] = tipoColor;
+  return chunk('IHDR', datos);
+}
+
+/**
+ * PNG RGBA de ancho x alto; los primeros `trazo` pixeles son negros opacos, el resto transparente.
+ */
+function png({ ancho = 40, alto = 20, trazo = 40, cabecera = ihdr(ancho, alto), idat } = {}) {
+  const crudo = Buffer.alloc(alto * (ancho * 4 + 1));
+  for (let p = 0; p < trazo; p++) {
+    const renglon = Math.floor(p / ancho);
+    crudo[renglon * (ancho * 4 + 1) + 1 + (p % ancho) * 4 + 3] = 255;
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    cabecera,
+    chunk('IDAT', idat ?? zlib.deflateSync(crudo)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function dataUrl(buffer) {
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+function validar(imagen, nombre = 'Juan Pérez') {
+  return validarFirma({ nombre, imagen: Buffer.isBuffer(imagen) ? dataUrl(imagen) : imagen });
+}
+
+test('acepta una firma dibujada y normaliza el nombre', () => {
+  const imagen = png({ trazo: 100 });
+  const r = validarFirma({ nombre: '  Juan   Pérez ', imagen: dataUrl(imagen) });
+
+  assert.equal(r.ok, true);
+  assert.deepEqual({ ...r.firma, imagen: undefined }, {
+    nombre: 'Juan Pérez',
+    imagen: undefined,
+    mime: 'image/png',
+    bytes: imagen.length,
+    ancho: 40,
+    alto: 20,
+    hash: crypto.createHash('sha256').update(imagen).digest('hex')
+  });
+  assert.ok(r.firma.imagen.equals(imagen));
+});
+
+test('rechaza nombre vacío, corto, largo o que no es texto', () => {
+  const imagen = png();
+  for (const nombre of [null, 42, '', '  a ', 'x'.repeat(121)]) {
+    assert.deepEqual(validar(imagen, nombre), { ok: false, motivo: 'nombre' }, String(nombre));
+  }
+});
+
+test('rechaza lo que no es un data URL de PNG', () => {
+  for (const imagen of [
+    undefined,
+    '',
+    `data:image/jpeg;base64,${png().toString('base64')}`,
+    `data:image/png,${png().toString('base64')}`,
+    'data:image/png;base64,no es base64!',
+    'https://ama.mx/firma.png'
+  ]) {
+    assert.deepEqual(validar(imagen), { ok: false, motivo: 'imagen' }, String(imagen));
+  }
+  assert.deepEqual(validarFirma(null), { ok: false, motivo: 'imagen' });
+});
+
+test('rechaza una imagen más grande que TYC_FIRMA_MAX_BYTES antes de decodificarla', () => {
+  assert.deepEqual(validar(Buffer.alloc(MAX_BYTES + 1, 1)), { ok: false, motivo: 'grande' });
+});
+
+test('rechaza bytes que no son un PNG', () => {
+  const casos = {
+    'sin la firma PNG': Buffer.concat([Buffer.from('GIF89a'), png().subarray(6)]),
+    'muy corto': png().subarray(0, 20),
+    'chunk truncado': png().subarray(0, png().length - 30),
+    'sin IHDR': Buffer.concat([png().subarray(0, 8), png().subarray(33)]),
+    'sin IDAT': Buffer.concat([png().subarray(0, 33), chunk('IEND', Buffer.alloc(0))])
+  };
+
+  for (const [caso, imagen] of Object.entries(casos)) {
+    assert.deepEqual(validar(imagen), { ok: false, motivo: 'imagen' }, caso);
+  }
+});
+
+test('rechaza PNG que no son RGBA de 8 bits o con dimensiones fuera de rango', () => {
+  const casos = {
+    'RGB sin alfa': png({ cabecera: ihdr(40, 20, 8, 2) }),
+    '16 bits': png({ cabecera: ihdr(40, 20, 16, 6) }),
+    'ancho cero': png({ cabecera: ihdr(0, 20) }),
+    'demasiado ancho': png({ cabecera: ihdr(2401, 20) }),
+    'demasiado alto': png({ cabecera: ihdr(40, 1201) })
+  };
+
+  for (const [caso, imagen] of Object.entries(casos)) {
+    assert.deepEqual(validar(imagen), { ok: false, motivo: 'imagen' }, caso);
+  }
+});
+
+test('rechaza IDAT corrupto o que se infla más de lo que dice IHDR', () => {
+  const bomba = zlib.deflateSync(Buffer.alloc(2 * 1024 * 1024, 1));
+
+  assert.deepEqual(validar(png({ idat: Buffer.from('no es zlib') })), { ok: false, motivo: 'imagen' });
+  assert.deepEqual(validar(png({ ancho: 10, alto: 10, idat: bomba })), { ok: false, motivo: 'imagen' });
+});
+
+test('una firma sin trazo (o casi) cuenta como vacía', () => {
+  assert.deepEqual(validar(png({ trazo: 0 })), { ok: false, motivo: 'vacia' });
+  assert.deepEqual(validar(png({ trazo: 10 })), { ok: false, motivo: 'vacia' });
+  assert.equal(validar(png({ trazo: 64 })).ok, true);
+});
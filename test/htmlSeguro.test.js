@@ -0,0 +1,62 @@
+// test/htmlSeguro.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizarHtml } = require('../htmlSeguro');
+
+test('un documento limpio sale igual (su hash no cambia)', () => {
+  const html = '<p><strong>1. Objeto</strong><br/>\nAMA Track & Safe &amp; a > b</p>\n' +
+    '<ul class="lista"><li>uno</li></ul><a href="https://ama.mx/aviso?a=1&amp;b=2">aviso</a>';
+
+  assert.equal(sanitizarHtml(html), html);
+});
+
+test('quita script, style, iframe y svg con su contenido', () => {
+  const html = '<p>a</p><script>alert(1)</script><style>p{}</style><iframe src="x"></iframe>' +
+    '<svg><script>alert(2)</script></svg><SCRIPT >alert(3)</SCRIPT ><p>b</p>';
+
+  assert.equal(sanitizarHtml(html), '<p>a</p><p>b</p>');
+});
+
+test('un script sin cerrar se lleva el resto', () => {
+  assert.equal(sanitizarHtml('<p>a</p><script>alert(1)'), '<p>a</p>');
+});
+
+test('quita etiquetas no permitidas y deja su texto', () => {
+  assert.equal(sanitizarHtml('<img src=x onerror=alert(1)>texto<font color="red">rojo</font>'), 'textorojo');
+});
+
+test('quita atributos de eventos, style e id', () => {
+  assert.equal(
+    sanitizarHtml('<p onclick="x()" style="position:fixed" id="btnAceptar" class="c" title=\'t\'>p</p>'),
+    '<p class="c" title="t">p</p>'
+  );
+});
+
+test('href solo http(s), mailto, tel o relativo', () => {
+  const casos = [
+    ['<a href="javascript:alert(1)">a</a>', '<a>a</a>'],
+    ['<a href=" JaVa&#x53;cript:alert(1)">a</a>', '<a>a</a>'],
+    ['<a href="java\tscript:alert(1)">a</a>', '<a>a</a>'],
+    ['<a href="data:text/html,x">a</a>', '<a>a</a>'],
+    ['<a href="mailto:a@b.mx">a</a>', '<a href="mailto:a@b.mx">a</a>'],
+    ['<a href="tel:+525512345678">a</a>', '<a href="tel:+525512345678">a</a>'],
+    ['<a href="/aviso#datos">a</a>', '<a href="/aviso#datos">a</a>']
+  ];
+
+  for (const [html, esperado] of casos) {
+    assert.equal(sanitizarHtml(html), esperado, html);
+  }
+});
+
+test('escapa "<" sueltos y quita comentarios y doctype', () => {
+  assert.equal(sanitizarHtml('<!DOCTYPE html><!-- <script>x</script> -->a < b <3'), 'a &lt; b &lt;3');
+});
+
+test('cierra etiquetas abiertas e ignora cierres sin apertura', () => {
+  assert.equal(sanitizarHtml('</div><div><p>abierto'), '<div><p>abierto</p></div>');
+  assert.equal(sanitizarHtml('<div><p>a</div>b'), '<div><p>a</p></div>b');
+});
+
+test('escapa comillas y "<" en los valores de atributos', () => {
+  assert.equal(sanitizarHtml('<p title=\'a"b<c\'>x</p>'), '<p title="a&quot;b&lt;c">x</p>');
+});
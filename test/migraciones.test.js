@@ -0,0 +1,121 @@
+// test/migraciones.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pool } = require('../db');
+const { DIR_MIGRACIONES, listarMigraciones, estadoMigraciones } = require('../migraciones');
+
+test.after(() => pool.end());
+
+function sha256(texto) {
+  return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+/**
+ * Directorio temporal con los archivos dados; se borra al terminar la prueba.
+ */
+function dirConArchivos(t, archivos) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migraciones-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [nombre, contenido] of Object.entries(archivos)) {
+    fs.writeFileSync(path.join(dir, nombre), contenido);
+  }
+  return dir;
+}
+
+/**
+ * Lo mínimo de un client de pg para estadoMigraciones: schema_migraciones en memoria.
+ */
+function bdConAplicadas(aplicadas) {
+  return {
+    async query(sql) {
+      if (sql.includes('to_regclass')) return { rows: [{ existe: aplicadas !== null }] };
+      return { rows: aplicadas };
+    }
+  };
+}
+
+test('lista en orden numérico e ignora lo que no es NNN_nombre.sql', (t) => {
+  const dir = dirConArchivos(t, {
+    '010_diez.sql': 'SELECT 10;',
+    '002_dos.sql': 'SELECT 2;',
+    '001_uno.sql': 'SELECT 1;',
+    'LEEME.md': 'no',
+    '003_sin_extension': 'no',
+    'tres_003.sql': 'no'
+  });
+
+  const migraciones = listarMigraciones(dir);
+  assert.deepEqual(migraciones.map((m) => [m.version, m.nombre]), [
+    ['001', '001_uno.sql'],
+    ['002', '002_dos.sql'],
+    ['010', '010_diez.sql']
+  ]);
+  assert.equal(migraciones[0].sql, 'SELECT 1;');
+});
+
+test('el checksum es el sha256 del archivo y no depende de los fines de línea', (t) => {
+  const dir = dirConArchivos(t, {
+    '001_unix.sql': 'SELECT 1;\nSELECT 2;\n',
+    '002_windows.sql': 'SELECT 1;\r\nSELECT 2;\r\n',
+    '003_otro.sql': 'SELECT 1;\nSELECT 3;\n'
+  });
+
+  const [unix, windows, otro] = listarMigraciones(dir);
+  assert.equal(unix.checksum, sha256('SELECT 1;\nSELECT 2;\n'));
+  assert.equal(windows.checksum, unix.checksum);
+  assert.notEqual(otro.checksum, unix.checksum);
+});
+
+test('rechaza dos archivos con la misma versión', (t) => {
+  const dir = dirConArchivos(t, { '002_a.sql': 'SELECT 1;', '2_b.sql': 'SELECT 2;' });
+
+  assert.throws(() => listarMigraciones(dir), /Versión de migración repetida/);
+});
+
+test('las migraciones del repo tienen versiones únicas y consecutivas', () => {
+  const migraciones = listarMigraciones(DIR_MIGRACIONES);
+
+  assert.ok(migraciones.length > 0);
+  migraciones.forEach((m, i) => assert.equal(Number(m.version), i + 1, m.nombre));
+});
+
+test('estadoMigraciones detecta pendientes, alteradas y desconocidas', async (t) => {
+  const dir = dirConArchivos(t, {
+    '001_uno.sql': 'SELECT 1;',
+    '002_dos.sql': 'SELECT 2; -- editada',
+    '003_tres.sql': 'SELECT 3;'
+  });
+  const aplicada = (version, nombre, sql) => ({
+    version, nombre, checksum: sha256(sql), aplicada_en: new Date('2026-01-01T00:00:00Z'), duracion_ms: 5
+  });
+
+  const estado = await estadoMigraciones(bdConAplicadas([
+    aplicada('001', '001_uno.sql', 'SELECT 1;'),
+    aplicada('002', '002_dos.sql', 'SELECT 2;'),
+    aplicada('009', '009_futura.sql', 'SELECT 9;')
+  ]), dir);
+
+  assert.deepEqual(estado.pendientes, ['003_tres.sql']);
+  assert.deepEqual(estado.alteradas, ['002_dos.sql']);
+  assert.deepEqual(estado.desconocidas, ['009_futura.sql']);
+  assert.equal(estado.alDia, false);
+  assert.equal(estado.aplicadas[0].aplicadaEn, '2026-01-01T00:00:00.000Z');
+});
+
+test('estadoMigraciones sin schema_migraciones deja todo pendiente', async (t) => {
+  const dir = dirConArchivos(t, { '001_uno.sql': 'SELECT 1;' });
+
+  const estado = await estadoMigraciones(bdConAplicadas(null), dir);
+  assert.deepEqual(estado.pendientes, ['001_uno.sql']);
+  assert.deepEqual(estado.aplicadas, []);
+  assert.equal(estado.alDia, false);
+
+  const alDia = await estadoMigraciones(bdConAplicadas([
+    { version: '001', nombre: '001_uno.sql', checksum: sha256('SELECT 1;'), aplicada_en: new Date(), duracion_ms: 1 }
+  ]), dir);
+  assert.equal(alDia.alDia, true);
+});
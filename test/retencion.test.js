@@ -0,0 +1,44 @@
+// test/retencion.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db');
+const { parseRetencion, assertRetencionConfig } = require('../retencion');
+
+test.after(() => pool.end());
+
+test('sin TYC_RETENCION no hay reglas', () => {
+  assert.deepEqual(parseRetencion(undefined), []);
+  assert.deepEqual(parseRetencion(''), []);
+  assert.deepEqual(parseRetencion('  '), []);
+});
+
+test('lee días por estado, sin importar espacios ni mayúsculas', () => {
+  assert.deepEqual(parseRetencion(' expirada : 90 ; ACEPTADA:1825;; Cancelada:30 '), [
+    { estado: 'EXPIRADA', dias: 90 },
+    { estado: 'ACEPTADA', dias: 1825 },
+    { estado: 'CANCELADA', dias: 30 }
+  ]);
+});
+
+test('solo acepta estados finales', () => {
+  for (const valor of ['CREADA:30', 'ABIERTA:30', 'OTRO:30', ':30']) {
+    assert.throws(() => parseRetencion(valor), /TYC_RETENCION: estado inválido/, valor);
+  }
+});
+
+test('rechaza días que no son un entero positivo', () => {
+  for (const valor of ['EXPIRADA', 'EXPIRADA:', 'EXPIRADA:0', 'EXPIRADA:-5', 'EXPIRADA:1.5', 'EXPIRADA:noventa', 'EXPIRADA:90:5']) {
+    assert.throws(() => parseRetencion(valor), /TYC_RETENCION: días inválidos para EXPIRADA/, valor);
+  }
+});
+
+test('rechaza un estado repetido', () => {
+  assert.throws(() => parseRetencion('EXPIRADA:90;expirada:30'), /el estado EXPIRADA aparece más de una vez/);
+});
+
+test('assertRetencionConfig valida reglas y modo', () => {
+  assert.doesNotThrow(() => assertRetencionConfig({}));
+  assert.doesNotThrow(() => assertRetencionConfig({ TYC_RETENCION: 'EXPIRADA:90', TYC_RETENCION_MODO: 'purgar' }));
+  assert.throws(() => assertRetencionConfig({ TYC_RETENCION_MODO: 'BORRAR' }), /TYC_RETENCION_MODO debe ser uno de: ARCHIVAR, PURGAR/);
+  assert.throws(() => assertRetencionConfig({ TYC_RETENCION: 'CREADA:1' }), /estado inválido/);
+});
@@ -0,0 +1,125 @@
+// test/solicitudesRepo.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db');
+const { crearCacheLRU, conCache } = require('../solicitudesRepo');
+
+test.after(() => pool.end());
+
+function reloj() {
+  let t = 1000;
+  return { now: () => t, avanzar: (ms) => { t += ms; } };
+}
+
+/**
+ * Store en memoria que cuenta las consultas.
+ */
+function storeFalso(solicitudes) {
+  const store = {
+    consultas: 0,
+    invalidadas: [],
+    async porTokenHash(tokenHash) {
+      store.consultas++;
+      return solicitudes[tokenHash] ? structuredClone(solicitudes[tokenHash]) : null;
+    },
+    async porId() {
+      return null;
+    },
+    invalidar(tycSolicitudId) {
+      store.invalidadas.push(tycSolicitudId);
+    },
+    limpiar() {}
+  };
+  return store;
+}
+
+test('regresa lo guardado mientras no venza el TTL', () => {
+  const r = reloj();
+  const cache = crearCacheLRU({ max: 10, ttlMs: 100, now: r.now });
+
+  cache.set('a', 1);
+  r.avanzar(99);
+  assert.equal(cache.get('a'), 1);
+
+  r.avanzar(1);
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.size, 0);
+  assert.equal(cache.get('no-existe'), undefined);
+});
+
+test('volver a guardar una llave renueva su TTL', () => {
+  const r = reloj();
+  const cache = crearCacheLRU({ max: 10, ttlMs: 100, now: r.now });
+
+  cache.set('a', 1);
+  r.avanzar(80);
+  cache.set('a', 2);
+  r.avanzar(80);
+  assert.equal(cache.get('a'), 2);
+});
+
+test('al pasar de max saca la menos usada', () => {
+  const cache = crearCacheLRU({ max: 2, ttlMs: 1000 });
+
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+});
+
+test('deleteWhere y clear', () => {
+  const cache = crearCacheLRU({ max: 10, ttlMs: 1000 });
+  cache.set('a', { id: 1 });
+  cache.set('b', { id: 2 });
+  cache.set('c', { id: 1 });
+
+  cache.deleteWhere((v) => v.id === 1);
+  assert.equal(cache.size, 1);
+  assert.deepEqual(cache.get('b'), { id: 2 });
+
+  cache.clear();
+  assert.equal(cache.size, 0);
+});
+
+test('conCache consulta una vez y regresa copias', async () => {
+  const store = storeFalso({ h1: { tycSolicitudId: 'TYC-1', estado: 'CREADA', metadata: { a: 1 } } });
+  const repo = conCache(store, { max: 10, ttlMs: 1000 });
+
+  const primera = await repo.porTokenHash('h1');
+  primera.metadata.a = 99;
+  const segunda = await repo.porTokenHash('h1');
+
+  assert.equal(store.consultas, 1);
+  assert.equal(segunda.metadata.a, 1);
+
+  await repo.porTokenHash('h1', { fresco: true });
+  assert.equal(store.consultas, 2);
+});
+
+test('conCache no guarda los que no existen', async () => {
+  const store = storeFalso({});
+  const repo = conCache(store, { max: 10, ttlMs: 1000 });
+
+  assert.equal(await repo.porTokenHash('h1'), null);
+  assert.equal(await repo.porTokenHash('h1'), null);
+  assert.equal(store.consultas, 2);
+});
+
+test('conCache invalida por tycSolicitudId y no guarda el token en claro', async () => {
+  const store = storeFalso({ h1: { tycSolicitudId: 'TYC-1', estado: 'ABIERTA' } });
+  const repo = conCache(store, { max: 10, ttlMs: 1000 });
+
+  repo.guardarNueva('h1', { tycSolicitudId: 'TYC-1', estado: 'CREADA', token: 'secreto' });
+  assert.deepEqual(await repo.porTokenHash('h1'), { tycSolicitudId: 'TYC-1', estado: 'CREADA' });
+  assert.equal(store.consultas, 0);
+
+  repo.invalidar('TYC-1');
+  assert.deepEqual(store.invalidadas, ['TYC-1']);
+  assert.equal((await repo.porTokenHash('h1')).estado, 'ABIERTA');
+  assert.equal(store.consultas, 1);
+});
@@ -0,0 +1,114 @@
+// test/tycAuditoria.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../db');
+const { TIPOS_EVENTO, ACTORES, HASH_INICIAL, registrarEvento, verificarCadena } = require('../tycAuditoria');
+
+test.after(() => pool.end());
+
+/**
+ * Lo mínimo de un client de pg para registrarEvento: guarda los eventos en memoria.
+ */
+function bitacoraEnMemoria() {
+  const renglones = [];
+  return {
+    renglones,
+    async query(sql, params) {
+      if (sql.includes('pg_advisory_xact_lock')) return { rows: [] };
+      if (sql.includes('SELECT seq, estado, hash')) {
+        return { rows: renglones.length > 0 ? [renglones[renglones.length - 1]] : [] };
+      }
+      const [, seq, , , estado, , , , , , , , , , , hash] = params;
+      renglones.push({ seq, estado, hash });
+      return { rows: [] };
+    }
+  };
+}
+
+async function cadena() {
+  const db = bitacoraEnMemoria();
+  const base = { tycSolicitudId: 'TYC-1', actor: ACTORES.CLIENTE, ip: '201.1.2.3', userAgent: 'Navegador/1' };
+
+  return [
+    await registrarEvento(db, { ...base, tipo: TIPOS_EVENTO.CREADA, estado: 'CREADA', actor: ACTORES.API, ip: null, userAgent: null }),
+    await registrarEvento(db, { ...base, tipo: TIPOS_EVENTO.VISTA, estado: 'ABIERTA' }),
+    await registrarEvento(db, {
+      ...base,
+      tipo: TIPOS_EVENTO.RECHAZADA,
+      estado: 'RECHAZADA',
+      detalle: { motivo: 'PRECIO' },
+      datosPersonales: { comentario: 'Soy Juan, muy caro' }
+    })
+  ];
+}
+
+test('una cadena recién escrita es válida', async () => {
+  const eventos = await cadena();
+
+  assert.equal(eventos[0].prevHash, HASH_INICIAL);
+  assert.deepEqual(verificarCadena(eventos, { estadoActual: 'RECHAZADA' }), { ok: true, eventos: 3, errores: [] });
+});
+
+test('detecta un detalle alterado', async () => {
+  const eventos = await cadena();
+  eventos[2].detalle = { ...eventos[2].detalle, motivo: 'OTRO' };
+
+  const r = verificarCadena(eventos);
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.errores, [{ seq: 3, error: 'El hash no corresponde al contenido del evento' }]);
+});
+
+test('detecta un evento borrado en medio', async () => {
+  const eventos = await cadena();
+  const r = verificarCadena([eventos[0], eventos[2]]);
+
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.errores.map((e) => e.error), [
+    'Se esperaba seq 2',
+    'prev_hash no coincide con el evento anterior'
+  ]);
+});
+
+test('detecta eventos borrados del final con estadoActual', async () => {
+  const eventos = await cadena();
+  const r = verificarCadena(eventos.slice(0, 2), { estadoActual: 'RECHAZADA' });
+
+  assert.equal(r.ok, false);
+  assert.match(r.errores[0].error, /deja la solicitud en ABIERTA/);
+});
+
+test('detecta un hash recalculado sin rehacer la cadena', async () => {
+  const eventos = await cadena();
+  eventos[1] = { ...eventos[1], hash: 'f'.repeat(64) };
+
+  const r = verificarCadena(eventos);
+  assert.deepEqual(r.errores.map((e) => e.seq), [2, 3]);
+});
+
+test('detecta IP, user-agent o datos personales cambiados', async () => {
+  const eventos = await cadena();
+  eventos[1].ip = '10.0.0.1';
+  eventos[2].userAgent = 'Otro/2';
+  eventos[2].datosPersonales = { comentario: 'otro texto' };
+
+  assert.deepEqual(verificarCadena(eventos).errores, [
+    { seq: 2, error: 'La IP no corresponde a ip_hash' },
+    { seq: 3, error: 'El dato personal comentario no corresponde a su hash' },
+    { seq: 3, error: 'El user-agent no corresponde a user_agent_hash' }
+  ]);
+});
+
+test('datos personales sin sal no se pueden verificar', async () => {
+  const eventos = await cadena();
+  eventos[1].salDatos = null;
+
+  assert.deepEqual(verificarCadena(eventos).errores, [
+    { seq: 2, error: 'IP / user-agent / datos personales sin sal_datos (no se pueden verificar)' }
+  ]);
+});
+
+test('una cadena anonimizada sigue siendo válida', async () => {
+  const eventos = (await cadena()).map((e) => ({ ...e, ip: null, userAgent: null, datosPersonales: null, salDatos: null }));
+
+  assert.equal(verificarCadena(eventos, { estadoActual: 'RECHAZADA' }).ok, true);
+});
@@ -0,0 +1,105 @@
+// test/tycTokens.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashToken, generarToken, verificarToken, assertTokenConfig } = require('../tycTokens');
+
+const SECRETO = 'secreto-de-prueba-de-32-caracteres!';
+const EN_UNA_HORA = new Date(Date.now() + 3600 * 1000);
+
+// Cada prueba pone sus variables; las de tycTokens se leen en cada llamada
+function conEnv(vars, fn) {
+  const nombres = ['TYC_TOKEN_SECRET', 'TYC_TOKEN_SECRET_ANTERIOR', 'TYC_TOKENS_LEGACY', 'INTERNAL_API_SECRET'];
+  const antes = Object.fromEntries(nombres.map((n) => [n, process.env[n]]));
+  for (const n of nombres) delete process.env[n];
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const n of nombres) {
+      if (antes[n] === undefined) delete process.env[n];
+      else process.env[n] = antes[n];
+    }
+  }
+}
+
+test('genera un token firmado que se verifica con su expiración', () => {
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    const token = generarToken(EN_UNA_HORA);
+    const r = verificarToken(token);
+
+    assert.match(token, /^[\w-]{22}\.[0-9a-z]+\.[\w-]{22}$/);
+    assert.equal(r.ok, true);
+    assert.equal(r.legacy, false);
+    assert.equal(r.expirado, false);
+    assert.equal(r.tokenHash, hashToken(token));
+    assert.equal(r.expiresAt, new Date(Math.ceil(EN_UNA_HORA.getTime() / 1000) * 1000).toISOString());
+  });
+});
+
+test('un token vencido es válido pero expirado', () => {
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    const token = generarToken(EN_UNA_HORA);
+    const r = verificarToken(token, { now: EN_UNA_HORA.getTime() + 1000 });
+
+    assert.equal(r.ok, true);
+    assert.equal(r.expirado, true);
+  });
+});
+
+test('rechaza firma alterada, expiración alterada y otro secreto', () => {
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    const token = generarToken(EN_UNA_HORA);
+    const [aleatorio, exp, firma] = token.split('.');
+    const otraFirma = `${firma.slice(0, -1)}${firma.endsWith('A') ? 'B' : 'A'}`;
+    const otraExp = (parseInt(exp, 36) + 86400).toString(36);
+
+    assert.equal(verificarToken(`${aleatorio}.${exp}.${otraFirma}`).ok, false);
+    assert.equal(verificarToken(`${aleatorio}.${otraExp}.${firma}`).ok, false);
+    conEnv({ TYC_TOKEN_SECRET: 'otro-secreto-de-prueba-de-32-caracteres' }, () => {
+      assert.equal(verificarToken(token).ok, false);
+    });
+  });
+});
+
+test('rechaza lo que no tiene formato de token', () => {
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    for (const token of [undefined, 123, '', 'a.b', 'a.b.c.d', 'x'.repeat(201)]) {
+      assert.equal(verificarToken(token).ok, false, String(token));
+    }
+  });
+});
+
+test('sigue aceptando tokens firmados con TYC_TOKEN_SECRET_ANTERIOR', () => {
+  const token = conEnv({ TYC_TOKEN_SECRET: 'secreto-anterior-de-prueba-de-32-caracteres' }, () => generarToken(EN_UNA_HORA));
+
+  conEnv({ TYC_TOKEN_SECRET: SECRETO, TYC_TOKEN_SECRET_ANTERIOR: 'secreto-anterior-de-prueba-de-32-caracteres' }, () => {
+    assert.equal(verificarToken(token).ok, true);
+  });
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    assert.equal(verificarToken(token).ok, false);
+  });
+});
+
+test('tokens legacy (32 hex) sin expiración, salvo con TYC_TOKENS_LEGACY=false', () => {
+  const legacy = '0123456789abcdef0123456789abcdef';
+
+  conEnv({ TYC_TOKEN_SECRET: SECRETO }, () => {
+    assert.deepEqual(verificarToken(legacy), {
+      ok: true,
+      tokenHash: hashToken(legacy),
+      legacy: true,
+      expiresAt: null,
+      expirado: false
+    });
+    assert.equal(verificarToken(legacy.toUpperCase()).ok, false);
+  });
+  conEnv({ TYC_TOKEN_SECRET: SECRETO, TYC_TOKENS_LEGACY: 'false' }, () => {
+    assert.equal(verificarToken(legacy).ok, false);
+  });
+});
+
+test('en producción exige un TYC_TOKEN_SECRET de al menos 32 caracteres', () => {
+  assert.throws(() => assertTokenConfig({ NODE_ENV: 'production' }), /TYC_TOKEN_SECRET es obligatorio/);
+  assert.throws(() => assertTokenConfig({ NODE_ENV: 'production', TYC_TOKEN_SECRET: 'corto' }), /demasiado corto/);
+  assert.doesNotThrow(() => assertTokenConfig({ NODE_ENV: 'production', TYC_TOKEN_SECRET: SECRETO }));
+});
@@ -0,0 +1,146 @@
+// test/webhookOutbox.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Se leen al cargar los módulos
+process.env.WEBHOOK_SECRETS = 'k1:secreto-de-prueba';
+process.env.WEBHOOK_MAX_RESPUESTA_BYTES = '1024';
+delete process.env.TYC_MOTIVOS_RECHAZO;
+
+const { pool } = require('../db');
+const { verifyWebhookSignature } = require('../webhookSignature');
+const { assertWebhookDestinosConfig } = require('../webhookDestinos');
+const { buildWebhookPayload, sendWebhook } = require('../webhookOutbox');
+
+const EVENT_ID = '0f8e9c1a-2b3c-4d5e-8f90-123456789abc';
+
+const SOLICITUD = {
+  preclienteId: 'PC-1',
+  tycSolicitudId: 'TYC-1',
+  estado: 'RECHAZADA',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  expiresAt: '2026-01-02T00:00:00.000Z',
+  documentoId: 'tyc-general',
+  documentoVersion: 3,
+  documentoHash: 'abc',
+  rejectedAt: '2026-01-01T01:00:00.000Z',
+  rejectionReason: 'PRECIO',
+  rejectionComment: 'muy caro'
+};
+
+// Receptor local: cada ruta responde distinto y guarda lo que recibió
+let servidor;
+let base;
+const recibidos = [];
+
+test.before(async () => {
+  test.mock.method(console, 'warn', () => {});
+  assertWebhookDestinosConfig({ WEBHOOK_REDES_PERMITIDAS: '127.0.0.0/8' });
+  test.mock.restoreAll();
+
+  servidor = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      recibidos.push({ url: req.url, headers: req.headers, body });
+      if (req.url === '/ok') return res.writeHead(200).end('recibido');
+      if (req.url === '/error') return res.writeHead(500).end('se cayó');
+      if (req.url === '/redirige') return res.writeHead(302, { Location: `${base}/ok` }).end();
+      if (req.url === '/grande') return res.writeHead(200).end('x'.repeat(4096));
+      return res.writeHead(404).end();
+    });
+  });
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => servidor.close(resolve));
+  await pool.end();
+});
+
+test.beforeEach(() => {
+  recibidos.length = 0;
+});
+
+function evento(ruta) {
+  return {
+    eventId: EVENT_ID,
+    evento: 'TYC_RECHAZADA',
+    webhookUrl: `${base}${ruta}`,
+    payload: buildWebhookPayload(SOLICITUD, 'TYC_RECHAZADA', EVENT_ID)
+  };
+}
+
+test('el payload lleva la solicitud, el rechazo con su etiqueta y los extras al final', () => {
+  const payload = buildWebhookPayload(SOLICITUD, 'TYC_RECHAZADA', EVENT_ID, { recordatorio: { minutos: 10 } });
+
+  assert.equal(payload.eventId, EVENT_ID);
+  assert.equal(payload.evento, 'TYC_RECHAZADA');
+  assert.deepEqual(payload.documento, { id: 'tyc-general', version: 3, hash: 'abc' });
+  assert.deepEqual(payload.rechazo, {
+    rejectedAt: '2026-01-01T01:00:00.000Z',
+    motivo: 'PRECIO',
+    motivoEtiqueta: 'El precio no me convence',
+    comentario: 'muy caro'
+  });
+  assert.equal(payload.firma, undefined);
+  assert.equal(payload.requiereOtp, false);
+  assert.equal(Object.keys(payload).at(-1), 'recordatorio');
+});
+
+test('al aceptar el documento dice qué texto se aceptó', () => {
+  const payload = buildWebhookPayload(
+    { ...SOLICITUD, estado: 'ACEPTADA', acceptedAt: '2026-01-01T01:00:00.000Z', acceptedIdioma: 'en', acceptedDocumentoHash: 'def' },
+    'TYC_ACEPTADA',
+    EVENT_ID
+  );
+
+  assert.deepEqual(payload.documento, { id: 'tyc-general', version: 3, hash: 'abc', idiomaAceptado: 'en', hashAceptado: 'def' });
+});
+
+test('entrega el body firmado con los headers v1', async () => {
+  const r = await sendWebhook(evento('/ok'));
+
+  assert.deepEqual(r, { statusCode: 200, body: 'recibido' });
+  assert.equal(recibidos.length, 1);
+
+  const { headers, body } = recibidos[0];
+  assert.equal(headers['x-ama-event'], 'TYC_RECHAZADA');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(body), evento('/ok').payload);
+  assert.deepEqual(
+    verifyWebhookSignature({ body, headers, secrets: 'k1:secreto-de-prueba' }),
+    { ok: true, keyId: 'k1', eventId: EVENT_ID, timestamp: Number(headers['x-ama-timestamp']) }
+  );
+});
+
+test('una respuesta que no es 2xx lanza error con statusCode y body', async () => {
+  await assert.rejects(sendWebhook(evento('/error')), (err) => {
+    assert.equal(err.statusCode, 500);
+    assert.equal(err.body, 'se cayó');
+    assert.equal(err.definitivo, undefined);
+    return true;
+  });
+});
+
+test('no sigue redirecciones', async () => {
+  await assert.rejects(sendWebhook(evento('/redirige')), (err) => err.statusCode === 302);
+  assert.deepEqual(recibidos.map((r) => r.url), ['/redirige']);
+});
+
+test('una respuesta más grande que WEBHOOK_MAX_RESPUESTA_BYTES cuenta como fallida', async () => {
+  await assert.rejects(sendWebhook(evento('/grande')), /maxContentLength/);
+});
+
+test('un destino no permitido falla como definitivo sin hacer la petición', async () => {
+  for (const webhookUrl of ['http://10.0.0.1/webhook', 'http://[::ffff:169.254.169.254]/latest', 'no es url']) {
+    await assert.rejects(
+      sendWebhook({ ...evento('/ok'), webhookUrl }),
+      (err) => err.definitivo === true && err.statusCode === null,
+      webhookUrl
+    );
+  }
+  assert.equal(recibidos.length, 0);
+});
@@ -0,0 +1,142 @@
+// test/webhookSignature.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSecrets,
+  computeSignature,
+  signWebhook,
+  verifyWebhookSignature,
+  getSigningKey,
+  assertWebhookSigningConfig
+} = require('../webhookSignature');
+
+const AHORA = 1760000000;
+const EVENT_ID = '0f8e9c1a-2b3c-4d5e-8f90-123456789abc';
+const BODY = JSON.stringify({ eventId: EVENT_ID, evento: 'TYC_ACEPTADA', preclienteId: 'PC-1' });
+
+function firmado({ body = BODY, keyId = 'k1', secret = 'secreto-k1', timestamp = AHORA } = {}) {
+  return signWebhook({ body, eventId: EVENT_ID, keyId, secret, timestamp });
+}
+
+test('firma y verifica el mismo body', () => {
+  const headers = firmado();
+  const r = verifyWebhookSignature({ body: BODY, headers, secrets: 'k1:secreto-k1', now: AHORA });
+
+  assert.deepEqual(r, { ok: true, keyId: 'k1', eventId: EVENT_ID, timestamp: AHORA });
+  assert.equal(headers['X-AMA-Signature'], `v1=${computeSignature('secreto-k1', AHORA, EVENT_ID, BODY)}`);
+});
+
+test('acepta el body como Buffer y headers en minúsculas', () => {
+  const headers = Object.fromEntries(Object.entries(firmado()).map(([k, v]) => [k.toLowerCase(), v]));
+  const r = verifyWebhookSignature({ body: Buffer.from(BODY), headers, secrets: 'k1:secreto-k1', now: AHORA });
+
+  assert.equal(r.ok, true);
+});
+
+test('rechaza un body alterado', () => {
+  const headers = firmado();
+  const alterado = BODY.replace('PC-1', 'PC-2');
+  const r = verifyWebhookSignature({ body: alterado, headers, secrets: 'k1:secreto-k1', now: AHORA });
+
+  assert.deepEqual(r, { ok: false, error: 'Firma inválida' });
+});
+
+test('rechaza una firma alterada o de otra versión', () => {
+  const headers = firmado();
+  const otraFirma = { ...headers, 'X-AMA-Signature': headers['X-AMA-Signature'].replace(/.$/, (c) => (c === '0' ? '1' : '0')) };
+  const otraVersion = { ...headers, 'X-AMA-Signature': headers['X-AMA-Signature'].replace('v1=', 'v2=') };
+
+  assert.equal(verifyWebhookSignature({ body: BODY, headers: otraFirma, secrets: 'k1:secreto-k1', now: AHORA }).ok, false);
+  assert.deepEqual(
+    verifyWebhookSignature({ body: BODY, headers: otraVersion, secrets: 'k1:secreto-k1', now: AHORA }),
+    { ok: false, error: 'Versión de firma no soportada' }
+  );
+});
+
+test('rechaza si falta algún header de firma', () => {
+  const { 'X-AMA-Event-Id': _, ...sinEventId } = firmado();
+  const r = verifyWebhookSignature({ body: BODY, headers: sinEventId, secrets: 'k1:secreto-k1', now: AHORA });
+
+  assert.deepEqual(r, { ok: false, error: 'Faltan headers de firma' });
+});
+
+test('tolerancia del timestamp', () => {
+  const headers = firmado();
+  const verificar = (now, toleranceSeconds) =>
+    verifyWebhookSignature({ body: BODY, headers, secrets: 'k1:secreto-k1', now, toleranceSeconds });
+
+  assert.equal(verificar(AHORA + 300).ok, true);
+  assert.equal(verificar(AHORA - 300).ok, true);
+  assert.deepEqual(verificar(AHORA + 301), { ok: false, error: 'Timestamp fuera de tolerancia' });
+  assert.deepEqual(verificar(AHORA - 301), { ok: false, error: 'Timestamp fuera de tolerancia' });
+  assert.equal(verificar(AHORA + 60, 30).ok, false);
+});
+
+test('el timestamp está dentro de lo firmado', () => {
+  const headers = { ...firmado(), 'X-AMA-Timestamp': String(AHORA + 1) };
+  const r = verifyWebhookSignature({ body: BODY, headers, secrets: 'k1:secreto-k1', now: AHORA });
+
+  assert.deepEqual(r, { ok: false, error: 'Firma inválida' });
+});
+
+test('rotación: verifica con el secreto del kid recibido', () => {
+  const secrets = 'k2:secreto-nuevo,k1:secreto-k1';
+
+  const conAnterior = verifyWebhookSignature({ body: BODY, headers: firmado(), secrets, now: AHORA });
+  const conNuevo = verifyWebhookSignature({
+    body: BODY,
+    headers: firmado({ keyId: 'k2', secret: 'secreto-nuevo' }),
+    secrets,
+    now: AHORA
+  });
+
+  assert.equal(conAnterior.keyId, 'k1');
+  assert.equal(conNuevo.keyId, 'k2');
+});
+
+test('rotación: un kid conocido con el secreto de otro no pasa', () => {
+  // Firmado con el secreto de k1 pero diciendo que es k2
+  const headers = firmado({ keyId: 'k2', secret: 'secreto-k1' });
+  const r = verifyWebhookSignature({ body: BODY, headers, secrets: 'k2:secreto-nuevo,k1:secreto-k1', now: AHORA });
+
+  assert.deepEqual(r, { ok: false, error: 'Firma inválida' });
+});
+
+test('rotación: un kid desconocido prueba todos los secretos', () => {
+  const headers = firmado({ keyId: 'viejo', secret: 'secreto-k1' });
+  const r = verifyWebhookSignature({ body: BODY, headers, secrets: { k2: 'secreto-nuevo', k1: 'secreto-k1' }, now: AHORA });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.keyId, 'k1');
+});
+
+test('sin secretos no verifica nada', () => {
+  const r = verifyWebhookSignature({ body: BODY, headers: firmado(), secrets: '', now: AHORA });
+
+  assert.deepEqual(r, { ok: false, error: 'No hay secretos configurados para verificar' });
+});
+
+test('parseSecrets ignora entradas sin kid o sin secreto', () => {
+  assert.deepEqual(parseSecrets(' k2:a:b , :x, k3:, k1:uno '), [
+    { keyId: 'k2', secret: 'a:b' },
+    { keyId: 'k1', secret: 'uno' }
+  ]);
+});
+
+test('getSigningKey firma con el primero o con WEBHOOK_SIGNING_KEY_ID', () => {
+  assert.deepEqual(getSigningKey({ WEBHOOK_SECRETS: 'k2:nuevo,k1:anterior' }), { keyId: 'k2', secret: 'nuevo' });
+  assert.deepEqual(
+    getSigningKey({ WEBHOOK_SECRETS: 'k2:nuevo,k1:anterior', WEBHOOK_SIGNING_KEY_ID: 'k1' }),
+    { keyId: 'k1', secret: 'anterior' }
+  );
+  assert.throws(() => getSigningKey({ WEBHOOK_SECRETS: 'k1:anterior', WEBHOOK_SIGNING_KEY_ID: 'k9' }));
+});
+
+test('en producción no arranca sin un secreto real', () => {
+  assert.throws(() => assertWebhookSigningConfig({ NODE_ENV: 'production' }), /obligatorio/);
+  assert.throws(() => assertWebhookSigningConfig({ NODE_ENV: 'production', WEBHOOK_SECRETS: 'k1:corto' }), /demasiado corto/);
+  assert.equal(
+    assertWebhookSigningConfig({ NODE_ENV: 'production', WEBHOOK_SECRETS: `k1:${'x'.repeat(32)}` }).keyId,
+    'k1'
+  );
+});
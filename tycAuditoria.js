@@ -0,0 +1,287 @@
+// tycAuditoria.js
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+/**
+ * Bitácora de auditoría de las solicitudes (evidencia ante disputas).
+ *
+ * Cada cambio de estado y cada visita a la página queda como un renglón NUEVO
+ * en tyc_auditoria (nunca se hace UPDATE/DELETE desde la app). Los eventos de
+ * una solicitud forman una cadena: cada uno guarda el hash del anterior, así
+ * que modificar, borrar o intercalar un evento rompe la verificación.
+ *
+ * Tabla tyc_auditoria:
+ *  - id (bigserial)
+ *  - tyc_solicitud_id (text), seq (int)      único por solicitud, empieza en 1
+ *  - tipo (text)                             ver TIPOS_EVENTO
+ *  - estado_anterior, estado (text)          estado de la solicitud antes / después del evento
+ *  - actor (text)                            CLIENTE, SISTEMA, API o quién hizo el cambio (asesor)
+ *  - ip, user_agent (text)
+ *  - sal_datos, ip_hash, user_agent_hash (text)
+ *  - datos_personales (jsonb)                texto libre personal en claro, ej. { firmaNombre, comentario }
+ *  - detalle (jsonb)
+ *  - created_at (timestamptz)
+ *  - prev_hash, hash (text)
+ *
+ * El hash cubre ip_hash/user_agent_hash (sha256 con sal), no la IP ni el user-agent
+ * en claro: se pueden anonimizar (poner en NULL ip, user_agent y sal_datos) sin romper la cadena.
+ * Lo mismo con el texto libre personal (datosPersonales): en claro en datos_personales y en
+ * detalle.datosPersonales solo su sha256 con la misma sal.
+ * La tarea de retención (retencion.js) es lo único que borra, y siempre la cadena completa.
+ */
+
+const TIPOS_EVENTO = {
+  CREADA: 'CREADA',
+  VISTA: 'VISTA',
+  ACEPTADA: 'ACEPTADA',
+  RECHAZADA: 'RECHAZADA',
+  EXPIRADA: 'EXPIRADA',
+  POR_EXPIRAR: 'POR_EXPIRAR',
+  CANCELADA: 'CANCELADA',
+  REEMPLAZADA: 'REEMPLAZADA',
+  OTP_ENVIADO: 'OTP_ENVIADO',
+  CONSENTIMIENTO_REVOCADO: 'CONSENTIMIENTO_REVOCADO',
+  ANONIMIZADA: 'ANONIMIZADA'
+};
+
+const ACTORES = {
+  CLIENTE: 'CLIENTE',   // la persona que abrió el enlace
+  SISTEMA: 'SISTEMA',   // este servicio (ej. expiración)
+  API: 'API'            // llamada a la API interna sin un actor explícito
+};
+
+// prev_hash del primer evento de cada solicitud
+const HASH_INICIAL = '0'.repeat(64);
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+function sha256(texto) {
+  return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+function hashDato(sal, valor) {
+  if (valor == null) return null;
+  return sha256(`${sal}.${valor}`);
+}
+
+/**
+ * JSON con llaves ordenadas (jsonb no conserva el orden original).
+ */
+function jsonCanonico(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(jsonCanonico).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    const llaves = Object.keys(valor).filter((k) => valor[k] !== undefined).sort();
+    return `{${llaves.map((k) => `${JSON.stringify(k)}:${jsonCanonico(valor[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(valor ?? null);
+}
+
+/**
+ * Hash de un evento (formato de API, ver rowToEvento).
+ */
+function hashEvento(evento) {
+  return sha256(jsonCanonico([
+    evento.tycSolicitudId,
+    evento.seq,
+    evento.tipo,
+    evento.estadoAnterior,
+    evento.estado,
+    evento.actor,
+    evento.ipHash,
+    evento.userAgentHash,
+    evento.detalle,
+    evento.createdAt,
+    evento.prevHash
+  ]));
+}
+
+function rowToEvento(row) {
+  return {
+    tycSolicitudId: row.tyc_solicitud_id,
+    seq: row.seq,
+    tipo: row.tipo,
+    estadoAnterior: row.estado_anterior || null,
+    estado: row.estado || null,
+    actor: row.actor,
+    ip: row.ip || null,
+    userAgent: row.user_agent || null,
+    salDatos: row.sal_datos || null,
+    ipHash: row.ip_hash || null,
+    userAgentHash: row.user_agent_hash || null,
+    datosPersonales: row.datos_personales || null,
+    detalle: row.detalle || {},
+    createdAt: toIso(row.created_at),
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+/**
+ * Agrega un evento a la cadena de la solicitud.
+ *
+ * `db` TIENE que ser el client de una transacción abierta (la del cambio de estado):
+ * el lock por solicitud se libera al hacer COMMIT/ROLLBACK.
+ *
+ * datos: tycSolicitudId, tipo, estado (el estado después del evento),
+ *        actor, ip, userAgent, detalle (objeto, opcional),
+ *        datosPersonales (objeto de textos, opcional: lo que escribió la persona, ej. el
+ *        nombre de la firma; nunca en detalle, que no se puede anonimizar)
+ */
+async function registrarEvento(db, { tycSolicitudId, tipo, estado, actor, ip, userAgent, detalle, datosPersonales }) {
+  // Serializa a los que escriben en la cadena de esta solicitud
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`tyc_auditoria:${tycSolicitudId}`]);
+
+  const ultimo = await db.query(
+    `SELECT seq, estado, hash
+     FROM tyc_auditoria
+     WHERE tyc_solicitud_id = $1
+     ORDER BY seq DESC
+     LIMIT 1`,
+    [tycSolicitudId]
+  );
+
+  const anterior = ultimo.rows[0];
+  const salDatos = crypto.randomBytes(16).toString('hex');
+
+  const personales = Object.entries(datosPersonales || {}).filter(([, valor]) => valor != null && valor !== '');
+  const detalleFinal = { ...detalle };
+  if (personales.length > 0) {
+    detalleFinal.datosPersonales = Object.fromEntries(
+      personales.map(([campo, valor]) => [campo, hashDato(salDatos, valor)])
+    );
+  }
+
+  const evento = {
+    tycSolicitudId,
+    seq: anterior ? anterior.seq + 1 : 1,
+    tipo,
+    estadoAnterior: anterior ? anterior.estado : null,
+    estado: estado || null,
+    actor: actor || ACTORES.SISTEMA,
+    ip: ip || null,
+    userAgent: userAgent || null,
+    salDatos,
+    ipHash: hashDato(salDatos, ip || null),
+    userAgentHash: hashDato(salDatos, userAgent || null),
+    datosPersonales: personales.length > 0 ? Object.fromEntries(personales) : null,
+    // Ida y vuelta por JSON para hashear exactamente lo que queda en jsonb
+    detalle: JSON.parse(JSON.stringify(detalleFinal)),
+    createdAt: new Date().toISOString(),
+    prevHash: anterior ? anterior.hash : HASH_INICIAL
+  };
+  evento.hash = hashEvento(evento);
+
+  await db.query(
+    `INSERT INTO tyc_auditoria (
+       tyc_solicitud_id, seq, tipo, estado_anterior, estado, actor,
+       ip, user_agent, sal_datos, ip_hash, user_agent_hash, datos_personales,
+       detalle, created_at, prev_hash, hash
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+    [
+      evento.tycSolicitudId, evento.seq, evento.tipo, evento.estadoAnterior, evento.estado, evento.actor,
+      evento.ip, evento.userAgent, evento.salDatos, evento.ipHash, evento.userAgentHash,
+      evento.datosPersonales && JSON.stringify(evento.datosPersonales),
+      evento.detalle, evento.createdAt, evento.prevHash, evento.hash
+    ]
+  );
+
+  return evento;
+}
+
+/**
+ * Todos los eventos de una solicitud, en orden.
+ */
+async function getLineaDeTiempo(tycSolicitudId, db = pool) {
+  const r = await db.query(
+    `SELECT *
+     FROM tyc_auditoria
+     WHERE tyc_solicitud_id = $1
+     ORDER BY seq ASC`,
+    [tycSolicitudId]
+  );
+
+  return r.rows.map(rowToEvento);
+}
+
+/**
+ * Verifica la cadena de eventos de una solicitud:
+ *  - seq consecutivos desde 1
+ *  - cada prev_hash apunta al hash del evento anterior
+ *  - cada hash corresponde al contenido del evento
+ *  - si la IP / user-agent / datos personales siguen en claro, corresponden a su hash
+ *  - (si se pasa estadoActual) el último evento deja a la solicitud en su estado actual;
+ *    detecta que se hayan borrado eventos del final
+ *
+ * Regresa { ok, eventos, errores: [{ seq, error }] }.
+ */
+function verificarCadena(eventos, { estadoActual } = {}) {
+  const errores = [];
+  let prevHash = HASH_INICIAL;
+
+  eventos.forEach((evento, i) => {
+    if (evento.seq !== i + 1) {
+      errores.push({ seq: evento.seq, error: `Se esperaba seq ${i + 1}` });
+    }
+
+    if (evento.prevHash !== prevHash) {
+      errores.push({ seq: evento.seq, error: 'prev_hash no coincide con el evento anterior' });
+    }
+
+    if (hashEvento(evento) !== evento.hash) {
+      errores.push({ seq: evento.seq, error: 'El hash no corresponde al contenido del evento' });
+    }
+
+    if (!evento.salDatos && (evento.ip || evento.userAgent || evento.datosPersonales)) {
+      errores.push({ seq: evento.seq, error: 'IP / user-agent / datos personales sin sal_datos (no se pueden verificar)' });
+    } else if (evento.salDatos) {
+      for (const [campo, valor] of Object.entries(evento.datosPersonales || {})) {
+        if (hashDato(evento.salDatos, valor) !== evento.detalle.datosPersonales?.[campo]) {
+          errores.push({ seq: evento.seq, error: `El dato personal ${campo} no corresponde a su hash` });
+        }
+      }
+      if (evento.ip && hashDato(evento.salDatos, evento.ip) !== evento.ipHash) {
+        errores.push({ seq: evento.seq, error: 'La IP no corresponde a ip_hash' });
+      }
+      if (evento.userAgent && hashDato(evento.salDatos, evento.userAgent) !== evento.userAgentHash) {
+        errores.push({ seq: evento.seq, error: 'El user-agent no corresponde a user_agent_hash' });
+      }
+    }
+
+    prevHash = evento.hash;
+  });
+
+  const ultimo = eventos[eventos.length - 1];
+  if (estadoActual && ultimo && ultimo.estado !== estadoActual) {
+    errores.push({
+      seq: ultimo.seq,
+      error: `El último evento deja la solicitud en ${ultimo.estado} pero su estado actual es ${estadoActual}`
+    });
+  }
+
+  return { ok: errores.length === 0, eventos: eventos.length, errores };
+}
+
+/**
+ * Evento tal como lo regresamos en los endpoints internos (sin la sal).
+ */
+function eventoParaApi(evento) {
+  const { salDatos, ...resto } = evento;
+  return resto;
+}
+
+module.exports = {
+  TIPOS_EVENTO,
+  ACTORES,
+  HASH_INICIAL,
+  jsonCanonico,
+  hashEvento,
+  registrarEvento,
+  getLineaDeTiempo,
+  verificarCadena,
+  eventoParaApi
+};
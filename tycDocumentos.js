@@ -0,0 +1,366 @@
+// tycDocumentos.js
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { IDIOMA_DEFAULT } = require('./i18n');
+const { sanitizarHtml } = require('./htmlSeguro');
+
+/**
+ * Catálogo de documentos contractuales versionados (tabla tyc_documentos).
+ *
+ * Cada fila es una versión inmutable de un documento:
+ *  - documento_id (text)          ej. "TYC_AMA_TRACK_SAFE"
+ *  - version (int)                1, 2, 3... (PK junto con documento_id)
+ *  - titulo (text)
+ *  - contenido (text)             HTML que se muestra al cliente (limpio, ver htmlSeguro.js)
+ *  - content_hash (text)          sha256 (hex) del contenido
+ *  - vigente_desde (timestamptz)  a partir de cuándo se usa en solicitudes nuevas
+ *  - publicado_por (text)
+ *  - created_at (timestamptz)
+ *
+ * Cada solicitud queda "amarrada" a documento_id + documento_version + documento_hash
+ * al momento de crearse, así sabemos exactamente qué texto aceptó el cliente.
+ *
+ * Los documentos se redactan en IDIOMA_DEFAULT. Cada versión puede tener traducciones
+ * (tabla tyc_documento_traducciones, también inmutables):
+ *  - documento_id, version, idioma (PK)
+ *  - titulo, contenido, content_hash (sha256 del contenido traducido)
+ *  - publicado_por, created_at
+ *
+ * Al cliente se le muestra la traducción a su idioma si existe; si no, el original.
+ * En accepted_documento_hash / accepted_idioma queda cuál de los dos aceptó.
+ *
+ * Una solicitud puede mostrar más documentos después del principal (ej. aviso de
+ * privacidad, contrato de servicio): quedan amarrados igual, uno por renglón en
+ * tyc_solicitud_documentos, y la solicitud los trae en documentosAdicionales.
+ */
+
+const DOCUMENTO_DEFAULT = process.env.TYC_DOCUMENTO_DEFAULT || 'TYC_AMA_TRACK_SAFE';
+
+// Máximo de documentos (principal + adicionales) en una solicitud
+const MAX_DOCUMENTOS_POR_SOLICITUD = 5;
+
+// Texto que vivía fijo en GET /tyc/:token. Se publica como versión 1 si el catálogo está vacío.
+const TITULO_INICIAL = 'Contrato de Servicio AMA Track & Safe';
+const CONTENIDO_INICIAL = `<p><strong>1. Objeto del servicio</strong><br/>
+AMA Track & Safe ofrece un servicio de localización y corte de corriente del vehículo del contratante por medio de un dispositivo GPS y un agente digital de atención. El objetivo es brindar mayor tranquilidad al usuario y su familia al contar con soporte para situaciones de riesgo o siniestro.</p>
+
+<p><strong>2. Alcance y limitaciones</strong><br/>
+El servicio se limita a la operación remota del dispositivo instalado en el vehículo y a la gestión de eventos reportados por el contratante o su contacto autorizado. AMA Track & Safe no se hace responsable por fallas mecánicas o eléctricas del vehículo, anteriores o posteriores a la instalación del dispositivo.</p>
+
+<p><strong>3. Costos del servicio</strong><br/>
+El servicio contempla un costo de instalación y un costo mensual de suscripción. Los montos, forma de pago y consecuencias por falta de pago se especifican en el contrato que se comparte al usuario como parte de este documento.</p>
+
+<p><strong>4. Mecánica de atención de siniestros</strong><br/>
+Para la atención de siniestros se podrá solicitar el NIP de seguridad y la validación de la identidad del contratante. AMA Track & Safe ejecutará las acciones razonables dentro de su alcance tecnológico y operativo, sin garantizar la recuperación del vehículo.</p>
+
+<p><strong>5. Tratamiento de datos personales</strong><br/>
+Los datos del contratante, del vehículo y de geolocalización se utilizarán exclusivamente para la prestación del servicio y para el cumplimiento de obligaciones legales. El detalle del aviso de privacidad forma parte integral de estos términos.</p>
+
+<p>Al aceptar estos términos y condiciones, reconoces que has leído, entendido y aceptado el contenido.</p>`;
+
+/**
+ * Las versiones son inmutables, así que las podemos cachear sin invalidación.
+ * Key: `${documentoId}@${version}`
+ */
+const versionesCache = new Map();
+
+/**
+ * sha256 (hex) del contenido tal cual se guarda y se muestra.
+ */
+function hashContenido(contenido) {
+  return crypto.createHash('sha256').update(String(contenido), 'utf8').digest('hex');
+}
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+function rowToVersion(row) {
+  return {
+    documentoId: row.documento_id,
+    version: row.version,
+    titulo: row.titulo,
+    contenido: row.contenido,
+    idioma: IDIOMA_DEFAULT,
+    hash: row.content_hash,
+    vigenteDesde: toIso(row.vigente_desde),
+    publicadoPor: row.publicado_por || null,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+/**
+ * Versión vigente (la más reciente con vigente_desde <= ahora) de un documento.
+ * Regresa null si no hay ninguna.
+ */
+async function getVersionVigente(documentoId = DOCUMENTO_DEFAULT, db = pool) {
+  const r = await db.query(
+    `SELECT documento_id, version, titulo, contenido, content_hash,
+            vigente_desde, publicado_por, created_at
+     FROM tyc_documentos
+     WHERE documento_id = $1
+       AND vigente_desde <= NOW()
+     ORDER BY version DESC
+     LIMIT 1`,
+    [documentoId]
+  );
+
+  return r.rowCount > 0 ? rowToVersion(r.rows[0]) : null;
+}
+
+/**
+ * Versión exacta de un documento. Valida que el hash guardado corresponda
+ * al contenido (si no, alguien modificó la fila a mano y no la mostramos).
+ */
+async function getVersion(documentoId, version, db = pool) {
+  const key = `${documentoId}@${version}`;
+  if (versionesCache.has(key)) return versionesCache.get(key);
+
+  const r = await db.query(
+    `SELECT documento_id, version, titulo, contenido, content_hash,
+            vigente_desde, publicado_por, created_at
+     FROM tyc_documentos
+     WHERE documento_id = $1
+       AND version = $2
+     LIMIT 1`,
+    [documentoId, version]
+  );
+
+  if (r.rowCount === 0) return null;
+
+  const doc = rowToVersion(r.rows[0]);
+  if (hashContenido(doc.contenido) !== doc.hash) {
+    throw new Error(`El contenido de ${documentoId} v${version} no corresponde a su hash`);
+  }
+
+  versionesCache.set(key, doc);
+  return doc;
+}
+
+function rowToTraduccion(row) {
+  return {
+    documentoId: row.documento_id,
+    version: row.version,
+    idioma: row.idioma,
+    titulo: row.titulo,
+    contenido: row.contenido,
+    hash: row.content_hash,
+    publicadoPor: row.publicado_por || null,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+/**
+ * Traducción de una versión a un idioma (mismo formato que una versión, con su
+ * propio hash). Regresa null si no hay. Igual que getVersion, valida el hash.
+ * Solo se cachean las que existen: una traducción se puede publicar después.
+ */
+async function getTraduccion(documentoId, version, idioma, db = pool) {
+  const key = `${documentoId}@${version}/${idioma}`;
+  if (versionesCache.has(key)) return versionesCache.get(key);
+
+  const r = await db.query(
+    `SELECT documento_id, version, idioma, titulo, contenido, content_hash,
+            publicado_por, created_at
+     FROM tyc_documento_traducciones
+     WHERE documento_id = $1
+       AND version = $2
+       AND idioma = $3
+     LIMIT 1`,
+    [documentoId, version, idioma]
+  );
+
+  if (r.rowCount === 0) return null;
+
+  const traduccion = rowToTraduccion(r.rows[0]);
+  if (hashContenido(traduccion.contenido) !== traduccion.hash) {
+    throw new Error(`El contenido de ${documentoId} v${version} (${idioma}) no corresponde a su hash`);
+  }
+
+  versionesCache.set(key, traduccion);
+  return traduccion;
+}
+
+/**
+ * Documento que se le mostró (o se le mostrará) a una solicitud.
+ * Las solicitudes anteriores al catálogo no traen documento_id: vieron el texto
+ * que estaba fijo en el código, que es la versión 1 del documento default.
+ *
+ * Con idioma: la traducción de esa versión si existe, si no el original.
+ * El resultado trae `idioma` con el idioma del texto que se regresó.
+ */
+async function getDocumentoDeSolicitud(solicitud, { idioma } = {}, db = pool) {
+  return getVersionEnIdioma(solicitud.documentoId || DOCUMENTO_DEFAULT, solicitud.documentoVersion || 1, idioma, db);
+}
+
+/**
+ * Documentos adicionales de una solicitud (documentosAdicionales), en orden, con el
+ * mismo criterio de idioma que getDocumentoDeSolicitud. Un documento que no existe
+ * queda como null.
+ */
+async function getDocumentosAdicionales(solicitud, { idioma } = {}, db = pool) {
+  const documentos = [];
+  for (const d of solicitud.documentosAdicionales || []) {
+    documentos.push(await getVersionEnIdioma(d.documentoId, d.version, idioma, db));
+  }
+  return documentos;
+}
+
+/**
+ * La traducción de una versión si existe (y se pidió un idioma distinto al default),
+ * si no el original.
+ */
+async function getVersionEnIdioma(documentoId, version, idioma, db = pool) {
+  if (idioma && idioma !== IDIOMA_DEFAULT) {
+    const traduccion = await getTraduccion(documentoId, version, idioma, db);
+    if (traduccion) return traduccion;
+  }
+
+  return getVersion(documentoId, version, db);
+}
+
+/**
+ * Lista de documentos con su última versión y la vigente.
+ */
+async function listarDocumentos(db = pool) {
+  const r = await db.query(
+    `SELECT
+       documento_id,
+       MAX(version) AS ultima_version,
+       MAX(version) FILTER (WHERE vigente_desde <= NOW()) AS version_vigente,
+       COUNT(*)::int AS total_versiones
+     FROM tyc_documentos
+     GROUP BY documento_id
+     ORDER BY documento_id`
+  );
+
+  return r.rows.map((row) => ({
+    documentoId: row.documento_id,
+    ultimaVersion: row.ultima_version,
+    versionVigente: row.version_vigente,
+    totalVersiones: row.total_versiones
+  }));
+}
+
+/**
+ * Historial de versiones de un documento (sin el contenido).
+ */
+async function listarVersiones(documentoId, db = pool) {
+  const r = await db.query(
+    `SELECT documento_id, version, titulo, content_hash,
+            vigente_desde, publicado_por, created_at
+     FROM tyc_documentos
+     WHERE documento_id = $1
+     ORDER BY version DESC`,
+    [documentoId]
+  );
+
+  return r.rows.map((row) => {
+    const { contenido, ...resto } = rowToVersion(row);
+    return resto;
+  });
+}
+
+/**
+ * Publica una nueva versión (version = última + 1). El contenido se guarda (y se hashea)
+ * ya limpio: solo las etiquetas y atributos que permite htmlSeguro.js.
+ * Si dos publicaciones chocan, la segunda falla por la PK (documento_id, version).
+ */
+async function publicarVersion({ documentoId, titulo, contenido, vigenteDesde, publicadoPor }, db = pool) {
+  const limpio = sanitizarHtml(contenido);
+  const r = await db.query(
+    `INSERT INTO tyc_documentos (
+       documento_id, version, titulo, contenido, content_hash,
+       vigente_desde, publicado_por, created_at
+     )
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), $6, NOW()
+     FROM tyc_documentos
+     WHERE documento_id = $1
+     RETURNING documento_id, version, titulo, contenido, content_hash,
+               vigente_desde, publicado_por, created_at`,
+    [documentoId, titulo, limpio, hashContenido(limpio), vigenteDesde || null, publicadoPor || null]
+  );
+
+  return rowToVersion(r.rows[0]);
+}
+
+/**
+ * Traducciones publicadas de una versión (sin el contenido).
+ */
+async function listarTraducciones(documentoId, version, db = pool) {
+  const r = await db.query(
+    `SELECT documento_id, version, idioma, titulo, content_hash, publicado_por, created_at
+     FROM tyc_documento_traducciones
+     WHERE documento_id = $1
+       AND version = $2
+     ORDER BY idioma`,
+    [documentoId, version]
+  );
+
+  return r.rows.map((row) => {
+    const { contenido, ...resto } = rowToTraduccion(row);
+    return resto;
+  });
+}
+
+/**
+ * Publica la traducción de una versión a un idioma, con el contenido limpio como en
+ * publicarVersion. Es inmutable: si ya existe, falla por la PK (documento_id, version,
+ * idioma); si la versión no existe, por la FK.
+ */
+async function publicarTraduccion({ documentoId, version, idioma, titulo, contenido, publicadoPor }, db = pool) {
+  const limpio = sanitizarHtml(contenido);
+  const r = await db.query(
+    `INSERT INTO tyc_documento_traducciones (
+       documento_id, version, idioma, titulo, contenido, content_hash, publicado_por, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     RETURNING documento_id, version, idioma, titulo, contenido, content_hash,
+               publicado_por, created_at`,
+    [documentoId, version, idioma, titulo, limpio, hashContenido(limpio), publicadoPor || null]
+  );
+
+  return rowToTraduccion(r.rows[0]);
+}
+
+/**
+ * Al arrancar: si el documento default no tiene versiones, publica el texto
+ * histórico como versión 1 (vigente desde siempre).
+ */
+async function asegurarDocumentoInicial() {
+  try {
+    const r = await pool.query(
+      'SELECT 1 FROM tyc_documentos WHERE documento_id = $1 LIMIT 1',
+      [DOCUMENTO_DEFAULT]
+    );
+    if (r.rowCount > 0) return;
+
+    await publicarVersion({
+      documentoId: DOCUMENTO_DEFAULT,
+      titulo: TITULO_INICIAL,
+      contenido: CONTENIDO_INICIAL,
+      vigenteDesde: new Date(0).toISOString(),
+      publicadoPor: 'sistema'
+    });
+    console.log(`[TyC] Documento ${DOCUMENTO_DEFAULT} v1 publicado con el texto inicial.`);
+  } catch (err) {
+    console.error('[TyC] Error asegurando el documento inicial:', err.message);
+  }
+}
+
+module.exports = {
+  DOCUMENTO_DEFAULT,
+  MAX_DOCUMENTOS_POR_SOLICITUD,
+  hashContenido,
+  getVersionVigente,
+  getVersion,
+  getTraduccion,
+  getDocumentoDeSolicitud,
+  getDocumentosAdicionales,
+  listarDocumentos,
+  listarVersiones,
+  listarTraducciones,
+  publicarVersion,
+  publicarTraduccion,
+  asegurarDocumentoInicial
+};
@@ -1,27 +1,61 @@
 // tycRoutes.js
-const express = require('express');
 const crypto = require('crypto');
-const axios = require('axios');
-const { pool } = require('./db');
-const { requireInternalSecret } = require('./internalAuth');
+const express = require('express');
+const { withTransaction } = require('./db');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const {
+  DOCUMENTO_DEFAULT,
+  MAX_DOCUMENTOS_POR_SOLICITUD,
+  getVersionVigente,
+  getDocumentoDeSolicitud,
+  getDocumentosAdicionales
+} = require('./tycDocumentos');
+const {
+  STATES,
+  notificarCambio,
+  urlDeSolicitud,
+  crearSolicitud,
+  reemitirSolicitud,
+  cancelarSolicitud,
+  rechazarSolicitud,
+  registrarVista,
+  solicitudParaApi
+} = require('./tycSolicitudes');
+const { TIPOS_EVENTO, ACTORES, registrarEvento } = require('./tycAuditoria');
+const { hashToken, verificarToken } = require('./tycTokens');
+const { MOTIVOS_RECHAZO, MAX_COMENTARIO, getMotivoRechazo } = require('./motivosRechazo');
+const {
+  IDIOMAS,
+  normalizarIdioma,
+  esZonaHorariaValida,
+  idiomaDePeticion,
+  t,
+  etiquetaMotivo,
+  formatearFecha
+} = require('./i18n');
+const { PRODUCTO_DEFAULT, listarProductos, esProductoValido, getMarca } = require('./marcas');
+const { politicaSeguridad, renderPaginaTyc, renderPaginaError } = require('./plantillas');
+const { enviarConstanciaPdf } = require('./constancia');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { validarWebhookUrl } = require('./webhookDestinos');
+const { validarEventosSolicitud, eventosDeSolicitud } = require('./webhookEventos');
+const { telefonoDeSolicitud, enmascararTelefono, solicitarCodigo, verificarCodigo, usarCodigo } = require('./otp');
+const { normalizarTelemetria, cadenaDeIps } = require('./evidencia');
+const { MAX_BYTES: FIRMA_MAX_BYTES, validarFirma, guardarFirma } = require('./firma');
+const {
+  conEtiquetas,
+  validarConsentimientosSolicitud,
+  respuestasDeAceptacion,
+  registrarRespuestas
+} = require('./consentimientos');
+const { solicitudesRepo } = require('./solicitudesRepo');
+const { TAREAS, ejecutarTarea, estadoTareas } = require('./tareas');
+const { simularExpiracion } = require('./expiracion');
+const { metricaCreada, metricaAceptada, metricaExpirada } = require('./metricas');
 
 const router = express.Router();
 
-/**
- * "Mini-DB" en memoria
- * Key: token
- * Value: objeto con datos de la solicitud TyC
- */
-const solicitudesTyC = new Map();
-
-// Estados posibles
-const STATES = {
-  CREADA: 'CREADA',
-  ABIERTA: 'ABIERTA',
-  ACEPTADA: 'ACEPTADA',
-  EXPIRADA: 'EXPIRADA'
-};
-
 /**
  * Helper para obtener fecha ISO actual
  */
@@ -30,61 +64,119 @@ function nowIso() {
 }
 
 /**
- * Envía un webhook a n8n cuando cambia el estado de la solicitud.
- * Usa webhookUrl que llegó en la creación de la solicitud.
- * Firma el payload con WEBHOOK_SECRET usando HMAC-SHA256.
+ * IP del cliente (primera de X-Forwarded-For si venimos detrás de proxy)
  */
-async function sendWebhook(solicitud, evento) {
-  const webhookUrl = solicitud.webhookUrl;
-  if (!webhookUrl) {
-    console.warn('⚠️ No hay webhookUrl configurado en la solicitud, no se envía nada.');
-    return;
-  }
+function getClientIp(req) {
+  const xf = req.headers['x-forwarded-for'];
+  let ip = Array.isArray(xf) ? xf[0] : (xf ? String(xf).split(',')[0].trim() : null);
+  ip = ip || req.ip || req.socket?.remoteAddress || null;
+  if (ip && ip.startsWith('::ffff:')) ip = ip.replace('::ffff:', '');
+  return ip;
+}
 
-  const payload = {
-    evento,                              // "TYC_ACEPTADA" o "TYC_EXPIRADA"
-    preclienteId: solicitud.preclienteId,
-    tycSolicitudId: solicitud.tycSolicitudId,
-    estado: solicitud.estado,
-    createdAt: solicitud.createdAt,
-    expiresAt: solicitud.expiresAt,
-    openedAt: solicitud.openedAt || null,
-    acceptedAt: solicitud.acceptedAt || null
-  };
-
-  const secret = process.env.WEBHOOK_SECRET || 'default_secret';
-  const bodyStr = JSON.stringify(payload);
-  const signature = crypto
-    .createHmac('sha256', secret)
-    .update(bodyStr)
-    .digest('hex');
+/**
+ * Página de error para el cliente, en su idioma (clave de paginasError en i18n/) y
+ * con la marca del producto de la solicitud (la default si no la conocemos).
+ */
+function enviarPaginaError(res, status, idioma, clave, producto = null) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Security-Policy', politicaSeguridad());
+  return res
+    .status(status)
+    .send(renderPaginaError({ idioma, marca: getMarca(producto), clave }));
+}
 
+/**
+ * Estados en los que el cliente ya respondió (aceptó o no aceptó); no expiran.
+ */
+function yaRespondida(solicitud) {
+  return solicitud.estado === STATES.ACEPTADA || solicitud.estado === STATES.RECHAZADA;
+}
+
+/**
+ * Registra la visita en la bitácora de auditoría. Si falla solo se loguea:
+ * no le bloqueamos la página al cliente por eso.
+ */
+async function registrarVistaPagina(solicitud, req, resultado, abrir = false) {
   try {
-    await axios.post(webhookUrl, payload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'X-AMA-Signature': signature,
-        'X-AMA-Event': evento
-      },
-      timeout: 5000
+    await registrarVista(solicitud.tycSolicitudId, {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      abrir,
+      resultado
     });
-
-    console.log(`🔔 Webhook enviado a n8n (${evento}) para preclienteId=${solicitud.preclienteId}`);
   } catch (err) {
-    console.error('❌ Error enviando webhook TyC:', err.message);
+    console.error('[TyC] Error registrando visita en auditoría:', err);
   }
 }
 
+/**
+ * Marca la solicitud como EXPIRADA en BD y encola TYC_EXPIRADA en la misma
+ * transacción (junto con su evento de auditoría). El UPDATE es condicional
+ * (solo CREADA/ABIERTA): si otra instancia (o el cron) ya la marcó, o fue
+ * aceptada/cancelada, no se encola nada.
+ */
+async function marcarExpirada(solicitud) {
+  const expirada = await withTransaction(async (client) => {
+    const upd = await client.query(
+      `UPDATE tyc_solicitudes
+       SET estado = $2
+       WHERE tyc_solicitud_id = $1
+         AND estado IN ($3, $4)`,
+      [solicitud.tycSolicitudId, STATES.EXPIRADA, STATES.CREADA, STATES.ABIERTA]
+    );
+
+    solicitud.estado = STATES.EXPIRADA;
+
+    if (upd.rowCount > 0) {
+      await registrarEvento(client, {
+        tycSolicitudId: solicitud.tycSolicitudId,
+        tipo: TIPOS_EVENTO.EXPIRADA,
+        estado: STATES.EXPIRADA,
+        actor: ACTORES.SISTEMA,
+        detalle: { origen: 'enlace' }
+      });
+      await notificarCambio(client, solicitud.tycSolicitudId);
+      await enqueueWebhook(client, solicitud, 'TYC_EXPIRADA');
+    }
+
+    return upd.rowCount > 0;
+  });
+
+  solicitudesRepo.invalidar(solicitud.tycSolicitudId);
+  if (expirada) metricaExpirada(solicitud);
+}
+
 /**
  * POST /api/tyc/solicitudes
  *
- * Lo va a llamar n8n.
+ * Lo va a llamar n8n (API key con solicitudes:create).
+ * Queda registrado qué cliente de la API la creó (createdByClient).
  * Recibe:
  *  - preclienteId (string, obligatorio)
  *  - canal (string, opcional, default "WHATSAPP")
  *  - ttlMinutos (number, opcional, default 60)
- *  - webhookUrl (string, obligatorio)
+ *  - webhookUrl (string, obligatorio) debe ser un destino permitido (ver webhookDestinos.js)
  *  - metadata (objeto, opcional)
+ *  - documentoId (string, opcional, default TYC_DOCUMENTO_DEFAULT)
+ *  - documentos (array de documentoId, opcional) en lugar de documentoId, para mostrar varios
+ *    documentos en la misma liga (ej. TyC, aviso de privacidad, contrato de servicio); el primero
+ *    es el principal. Máximo MAX_DOCUMENTOS_POR_SOLICITUD
+ *  - consentimientos (array, opcional) casillas que se muestran aparte, cada una como código del
+ *    catálogo (TYC_CONSENTIMIENTOS, opcional) o { codigo, obligatorio } (ver consentimientos.js)
+ *  - producto (string, opcional, default TYC_PRODUCTO_DEFAULT) define la marca de la página (marcas.js)
+ *  - idioma (string, opcional) idioma de la página ("es", "en"); si no viene se usa el Accept-Language del navegador
+ *  - zonaHoraria (string IANA, opcional) para mostrar la expiración, ej. "America/Tijuana"
+ *  - requiereOtp (boolean, opcional, default false) pedir un código enviado al teléfono de
+ *    metadata.whatsappNumero / metadata.telefono antes de registrar la aceptación (ver otp.js)
+ *  - requiereFirma (boolean, opcional, default false) pedir nombre completo y firma dibujada
+ *    antes de registrar la aceptación (ver firma.js)
+ *  - eventos (array, opcional) eventos de webhook que quiere recibir ("creada", "abierta",
+ *    "aceptada", "expirada", ...), cada uno como nombre o { evento, webhookUrl } para mandarlo
+ *    a otra URL (ver webhookEventos.js). Sin eventos recibe los de siempre (aceptada y
+ *    expirada) en webhookUrl
+ *
+ * La solicitud queda amarrada a la versión vigente de cada documento en ese momento.
  *
  * Responde:
  *  - ok: true/false
@@ -93,10 +185,17 @@ async function sendWebhook(solicitud, evento) {
  *  - url (para mandarle al usuario por WhatsApp)
  *  - token
  *  - expiresAt
+ *  - documento: { id, version, hash }
+ *  - documentosAdicionales: [{ id, version, hash }]
+ *  - consentimientos: [{ codigo, obligatorio }]
+ *  - eventos: [{ evento, webhookUrl }] los que va a recibir y a dónde
  */
-router.post('/api/tyc/solicitudes', async (req, res) => {
+router.post('/api/tyc/solicitudes', requireScope(SCOPES.SOLICITUDES_CREATE), async (req, res) => {
   try {
-    const { preclienteId, canal, ttlMinutos, webhookUrl, metadata } = req.body || {};
+    const {
+      preclienteId, canal, ttlMinutos, webhookUrl, metadata, documentoId, documentos, producto, idioma,
+      zonaHoraria, requiereOtp, requiereFirma, consentimientos, eventos
+    } = req.body || {};
 
     // Validaciones básicas
     if (!preclienteId) {
@@ -113,65 +212,130 @@ router.post('/api/tyc/solicitudes', async (req, res) => {
       });
     }
 
-    // TTL (tiempo de vida) en minutos; default 60
-    const ttl = typeof ttlMinutos === 'number' && ttlMinutos > 0 ? ttlMinutos : 60;
+    const destino = await validarWebhookUrl(webhookUrl);
+    if (!destino.ok) {
+      console.warn(`⚠️ webhookUrl rechazado para ${req.apiCliente.cliente}: ${destino.motivo}`);
+      return res.status(400).json({
+        ok: false,
+        error: `webhookUrl no permitido: ${destino.motivo}`
+      });
+    }
 
-    const ahora = new Date();
-    const expiresAt = new Date(ahora.getTime() + ttl * 60 * 1000);
+    if (producto != null && !esProductoValido(producto)) {
+      return res.status(400).json({
+        ok: false,
+        error: `producto debe ser uno de: ${listarProductos().join(', ')}`
+      });
+    }
 
-    // Generamos un token aleatorio seguro
-    const token = crypto.randomBytes(16).toString('hex');
-    
-    // Hash del token para guardar en BD (token_hash)
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    if (idioma != null && !normalizarIdioma(idioma)) {
+      return res.status(400).json({
+        ok: false,
+        error: `idioma debe ser uno de: ${IDIOMAS.join(', ')}`
+      });
+    }
 
-    // Generamos un ID de solicitud (simple por ahora)
-    const tycSolicitudId = `TYC-${Date.now()}`;
+    if (zonaHoraria != null && !esZonaHorariaValida(zonaHoraria)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'zonaHoraria debe ser una zona horaria IANA válida (ej. "America/Mexico_City")'
+      });
+    }
 
-    // Creamos el objeto de solicitud (lo que vamos a guardar en memoria y usar para responder)
-    const solicitud = {
-      tycSolicitudId,
-      preclienteId,
-      canal: canal || 'WHATSAPP',
-      token,
-      estado: STATES.CREADA,
-      createdAt: ahora.toISOString(),
-      expiresAt: expiresAt.toISOString(),
-      webhookUrl,
-      metadata: metadata || {},
-      acceptedAt: null,
-      acceptedIp: null,
-      acceptedUserAgent: null
-    };
+    if (requiereOtp != null && typeof requiereOtp !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'requiereOtp debe ser true o false' });
+    }
+
+    if (requiereFirma != null && typeof requiereFirma !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'requiereFirma debe ser true o false' });
+    }
+
+    if (requiereOtp && !telefonoDeSolicitud({ metadata })) {
+      return res.status(400).json({
+        ok: false,
+        error: 'requiereOtp necesita un teléfono válido en metadata.whatsappNumero o metadata.telefono'
+      });
+    }
+
+    if (documentos != null && documentoId != null) {
+      return res.status(400).json({ ok: false, error: 'Manda documentoId o documentos, no ambos' });
+    }
+
+    if (documentos != null && (
+      !Array.isArray(documentos) ||
+      documentos.length === 0 ||
+      documentos.length > MAX_DOCUMENTOS_POR_SOLICITUD ||
+      documentos.some((id) => typeof id !== 'string' || !id)
+    )) {
+      return res.status(400).json({
+        ok: false,
+        error: `documentos debe ser una lista de 1 a ${MAX_DOCUMENTOS_POR_SOLICITUD} documentoId`
+      });
+    }
+
+    const documentoIds = documentos || [documentoId || DOCUMENTO_DEFAULT];
+    if (new Set(documentoIds).size !== documentoIds.length) {
+      return res.status(400).json({ ok: false, error: 'documentos no puede repetir un documento' });
+    }
+
+    const pedidos = validarConsentimientosSolicitud(consentimientos);
+    if (!pedidos.ok) {
+      return res.status(400).json({ ok: false, error: pedidos.error });
+    }
+
+    const suscripciones = await validarEventosSolicitud(eventos);
+    if (!suscripciones.ok) {
+      console.warn(`⚠️ eventos rechazados para ${req.apiCliente.cliente}: ${suscripciones.error}`);
+      return res.status(400).json({ ok: false, error: suscripciones.error });
+    }
+
+    // Versión vigente de cada documento que va a aceptar el cliente
+    const versiones = [];
+    try {
+      for (const id of documentoIds) {
+        versiones.push(await getVersionVigente(id));
+      }
+    } catch (err) {
+      console.error('[TyC] Error consultando documento vigente:', err);
+      return res.status(500).json({
+        ok: false,
+        error: 'Error consultando el documento de términos y condiciones'
+      });
+    }
+
+    const sinVigente = documentoIds.find((id, i) => !versiones[i]);
+    if (sinVigente) {
+      return res.status(400).json({
+        ok: false,
+        error: `No hay una versión vigente del documento ${sinVigente}`
+      });
+    }
+
+    const [documento, ...documentosAdicionales] = versiones;
+
+    // TTL (tiempo de vida) en minutos; default 60
+    const ttl = typeof ttlMinutos === 'number' && ttlMinutos > 0 ? ttlMinutos : 60;
 
     // Guardar en BD (tabla tyc_solicitudes)
+    let solicitud;
     try {
-      await pool.query(
-  `INSERT INTO tyc_solicitudes (
-    tyc_solicitud_id,
-    precliente_id,
-    token,
-    token_hash,
-    canal,
-    webhook_url,
-    metadata,
-    estado,
-    created_at,
-    expires_at
-  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-  [
-    solicitud.tycSolicitudId,
-    solicitud.preclienteId,
-    solicitud.token,
-    tokenHash,
-    solicitud.canal,
-    solicitud.webhookUrl,
-    solicitud.metadata,
-    solicitud.estado,
-    solicitud.createdAt,
-    solicitud.expiresAt
-  ]
-);
+      solicitud = await crearSolicitud({
+        preclienteId,
+        canal,
+        ttlMinutos: ttl,
+        webhookUrl: destino.url,
+        metadata,
+        producto: producto || PRODUCTO_DEFAULT,
+        idioma: normalizarIdioma(idioma),
+        zonaHoraria: zonaHoraria || null,
+        requiereOtp: requiereOtp === true,
+        requiereFirma: requiereFirma === true,
+        documento,
+        documentosAdicionales,
+        consentimientos: pedidos.consentimientos,
+        webhookEventos: suscripciones.eventos,
+        cliente: req.apiCliente.cliente
+      });
     } catch (err) {
       console.error('[TyC] Error guardando solicitud en BD:', err);
       return res.status(500).json({
@@ -180,12 +344,13 @@ router.post('/api/tyc/solicitudes', async (req, res) => {
       });
     }
 
-    // Guardamos en la "mini-DB" en memoria (para compatibilidad con lo que ya está hecho)
-    solicitudesTyC.set(token, solicitud);
+    const { token, tycSolicitudId } = solicitud;
+    metricaCreada(solicitud);
+
+    // Queda en caché: lo normal es que el cliente abra la liga en unos segundos
+    solicitudesRepo.guardarNueva(hashToken(token), solicitud);
 
-    // Construimos la URL base desde ENV o default en local
-    const baseUrl = process.env.TYC_BASE_URL || `http://localhost:${process.env.PORT || 3002}`;
-    const url = `${baseUrl}/tyc/${token}`;
+    const url = urlDeSolicitud(token);
 
     // Respondemos a n8n
     return res.json({
@@ -194,7 +359,24 @@ router.post('/api/tyc/solicitudes', async (req, res) => {
       preclienteId,
       url,
       token,
-      expiresAt: solicitud.expiresAt
+      expiresAt: solicitud.expiresAt,
+      producto: solicitud.producto,
+      idioma: solicitud.idioma,
+      zonaHoraria: solicitud.zonaHoraria,
+      requiereOtp: solicitud.requiereOtp,
+      requiereFirma: solicitud.requiereFirma,
+      documento: {
+        id: solicitud.documentoId,
+        version: solicitud.documentoVersion,
+        hash: solicitud.documentoHash
+      },
+      documentosAdicionales: solicitud.documentosAdicionales.map((d) => ({
+        id: d.documentoId,
+        version: d.version,
+        hash: d.hash
+      })),
+      consentimientos: solicitud.consentimientos.map((c) => ({ codigo: c.codigo, obligatorio: c.obligatorio })),
+      eventos: eventosDeSolicitud(solicitud)
     });
   } catch (err) {
     console.error('[TyC] Error inesperado en /api/tyc/solicitudes:', err);
@@ -210,503 +392,365 @@ router.post('/api/tyc/solicitudes', async (req, res) => {
  * GET /tyc/:token
  *
  * Muestra la página HTML con los Términos y Condiciones.
- * - Valida que el token exista en nuestra "mini-DB".
+ * - Idioma: el de la solicitud, si no el Accept-Language, si no español (ver i18n.js).
+ * - Valida la firma del token (sin tocar BD) y que exista en nuestra "mini-DB".
  * - Revisa si ya expiró.
  * - Si es la primera vez que se abre, cambia estado de CREADA -> ABIERTA.
  * - Renderiza un HTML con:
  *    - ID de precliente
- *    - Fecha de expiración
- *    - Caja scrollable con el texto del contrato
+ *    - Fecha de expiración (en la zona horaria de la solicitud)
+ *    - Caja scrollable con el texto del contrato (versión amarrada a la solicitud,
+ *      traducida al idioma de la página si hay traducción), seguido de los documentos adicionales
+ *    - Casillas de los consentimientos de la solicitud (las obligatorias marcadas como tales)
  *    - Botón de "Aceptar" que se habilita solo al llegar al final del texto
+ *    - Botón de "No acepto" con motivo (opcional) y comentario libre
+ *    - Si la solicitud pide OTP: botón para enviar el código y campo para escribirlo
+ *    - Si la solicitud pide firma: nombre completo y recuadro para dibujar la firma
  */
 router.get('/tyc/:token', async (req, res) => {
   const { token } = req.params;
 
-  // 1) Intentamos primero en memoria
-  let solicitud = solicitudesTyC.get(token);
+  // 0) Token con firma inválida: ni siquiera vamos a BD.
+  // Los vencidos sí se buscan para mostrarle al cliente si ya había aceptado, etc.
+  res.setHeader('Vary', 'Accept-Language');
+
+  const verificado = verificarToken(token);
+  if (!verificado.ok) {
+    return enviarPaginaError(res, 404, idiomaDePeticion(req), 'enlaceInvalido');
+  }
+  const { tokenHash } = verificado;
+
+  // 1) Caché de la instancia o BD (solicitudesRepo)
+  let solicitud;
+  try {
+    solicitud = await solicitudesRepo.porTokenHash(tokenHash);
+  } catch (err) {
+    console.error('[TyC] Error consultando BD en GET /tyc/:token:', err);
+    return enviarPaginaError(res, 500, idiomaDePeticion(req), 'interno');
+  }
 
-  // 2) Si no está en memoria (reinicio / scale), la traemos de BD
   if (!solicitud) {
-    try {
-      const r = await pool.query(
-        `SELECT
-          tyc_solicitud_id,
-          precliente_id,
-          token,
-          canal,
-          webhook_url,
-          metadata,
-          estado,
-          created_at,
-          expires_at,
-          opened_at,
-          accepted_at,
-          accepted_ip
-        FROM tyc_solicitudes
-        WHERE token = $1
-        LIMIT 1`,
-        [token]
-      );
+    return enviarPaginaError(res, 404, idiomaDePeticion(req), 'enlaceInvalido');
+  }
 
-      if (r.rowCount === 0) {
-        return res
-          .status(404)
-          .send('<h1>Enlace inválido</h1><p>Esta URL no existe o ya no es válida.</p>');
-      }
+  const idioma = idiomaDePeticion(req, solicitud.idioma);
 
-      const row = r.rows[0];
-
-      // Re-hidratamos al mismo formato que usas en memoria
-      solicitud = {
-        tycSolicitudId: row.tyc_solicitud_id,
-        preclienteId: row.precliente_id,
-        canal: row.canal,
-        token: row.token,
-        estado: row.estado,
-        createdAt: row.created_at?.toISOString?.() ?? String(row.created_at),
-        expiresAt: row.expires_at?.toISOString?.() ?? String(row.expires_at),
-        webhookUrl: row.webhook_url,
-        metadata: row.metadata || {},
-        openedAt: row.opened_at ? (row.opened_at.toISOString?.() ?? String(row.opened_at)) : null,
-        acceptedAt: row.accepted_at ? (row.accepted_at.toISOString?.() ?? String(row.accepted_at)) : null,
-        acceptedIp: row.accepted_ip || null,
-      };
-
-      // Guardamos en memoria para que lo demás siga igual
-      solicitudesTyC.set(token, solicitud);
-    } catch (err) {
-      console.error('[TyC] Error consultando BD en GET /tyc/:token:', err);
-      return res.status(500).send('<h1>Error</h1><p>Error interno.</p>');
-    }
+  // Se emitió un enlace más reciente para este precliente
+  if (solicitud.supersededBy) {
+    await registrarVistaPagina(solicitud, req, 'REEMPLAZADA');
+    return enviarPaginaError(res, 410, idioma, 'reemplazado', solicitud.producto);
+  }
+
+  // Enlace cancelado por un asesor
+  if (solicitud.estado === STATES.CANCELADA) {
+    await registrarVistaPagina(solicitud, req, 'CANCELADA');
+    return enviarPaginaError(res, 410, idioma, 'cancelado', solicitud.producto);
   }
 
   const ahora = new Date();
   const expira = new Date(solicitud.expiresAt);
 
-  // Verificar expiración
-  if (expira < ahora && solicitud.estado !== STATES.ACEPTADA) {
+  // Verificar expiración (si ya aceptó o rechazó, la página sigue mostrando su respuesta)
+  if (expira < ahora && !yaRespondida(solicitud)) {
     const yaEstabaExpirada = (solicitud.estado === STATES.EXPIRADA);
 
     // Solo si NO estaba expirada, cambiamos estado y avisamos a n8n
     if (!yaEstabaExpirada) {
-      solicitud.estado = STATES.EXPIRADA;
-      solicitudesTyC.set(token, solicitud);
-
-      // Persistimos estado EXPIRADA en BD
+      // Persistimos estado EXPIRADA en BD y encolamos el aviso a n8n
       try {
-        await pool.query(
-          `UPDATE tyc_solicitudes
-           SET estado = $2
-           WHERE token = $1`,
-          [token, STATES.EXPIRADA]
-        );
+        await marcarExpirada(solicitud);
       } catch (err) {
         console.error('[TyC] Error actualizando estado EXPIRADA en BD:', err);
       }
 
-      // Avisamos a n8n que esta solicitud expiró
-      sendWebhook(solicitud, 'TYC_EXPIRADA').catch((err) => {
-        console.error('Error en webhook TYC_EXPIRADA (GET /tyc):', err.message);
-      });
+      solicitud.estado = STATES.EXPIRADA;
     }
 
-    return res
-      .status(410)
-      .send('<h1>Enlace expirado</h1><p>Esta URL ya no está disponible. Solicita una nueva.</p>');
+    await registrarVistaPagina(solicitud, req, 'EXPIRADA');
+
+    return enviarPaginaError(res, 410, idioma, 'expirado', solicitud.producto);
   }
 
-  // Si estaba CREADA, la marcamos como ABIERTA y registramos openedAt (memoria)
-  if (solicitud.estado === STATES.CREADA) {
-    solicitud.estado = STATES.ABIERTA;
-    solicitud.openedAt = nowIso();
-    solicitudesTyC.set(token, solicitud);
+  // Persistimos opened_at (solo si es null), el cambio de estado a ABIERTA (solo si era CREADA)
+  // y la visita en la bitácora de auditoría
+  const primeraApertura = solicitud.estado === STATES.CREADA || !solicitud.openedAt;
+  await registrarVistaPagina(solicitud, req, 'MOSTRADA', true);
+
+  if (primeraApertura) {
+    solicitudesRepo.invalidar(solicitud.tycSolicitudId);
+    if (solicitud.estado === STATES.CREADA) solicitud.estado = STATES.ABIERTA;
+    solicitud.openedAt = solicitud.openedAt || nowIso();
   }
 
-  // Persistimos opened_at (solo si es null) y el cambio de estado a ABIERTA (solo si era CREADA)
+  // Documentos (versión exacta) amarrados a la solicitud; si ya aceptó, en el idioma en que aceptó
+  let documento;
+  let documentosAdicionales;
   try {
-    await pool.query(
-      `UPDATE tyc_solicitudes
-       SET
-         opened_at = COALESCE(opened_at, NOW()),
-         estado = CASE WHEN estado = $2 THEN $3 ELSE estado END
-       WHERE token = $1`,
-      [token, STATES.CREADA, STATES.ABIERTA]
-    );
+    documento = await getDocumentoDeSolicitud(solicitud, { idioma: solicitud.acceptedIdioma || idioma });
+    documentosAdicionales = await getDocumentosAdicionales(solicitud, { idioma: solicitud.acceptedIdioma || idioma });
   } catch (err) {
-    console.error('[TyC] Error actualizando opened_at/estado en BD:', err);
+    console.error('[TyC] Error cargando documento de la solicitud:', err);
+    return enviarPaginaError(res, 500, idioma, 'interno', solicitud.producto);
+  }
+
+  if (!documento || documentosAdicionales.some((d) => !d)) {
+    console.error(`[TyC] La solicitud ${solicitud.tycSolicitudId} apunta a un documento inexistente.`);
+    return enviarPaginaError(res, 500, idioma, 'interno', solicitud.producto);
   }
 
+  // Nuevo en cada respuesta: con él corre el script de la página y nada más
+  const nonce = crypto.randomBytes(16).toString('base64');
+
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Language', idioma);
+  res.setHeader('Content-Security-Policy', politicaSeguridad(nonce));
+
+  const html = renderPaginaTyc({
+    idioma,
+    marca: getMarca(solicitud.producto),
+    solicitud,
+    documento,
+    documentosAdicionales,
+    // Ya respondidos: con la etiqueta que vio al aceptar
+    consentimientos: solicitud.acceptedAt
+      ? solicitud.consentimientos.map((c) => ({ ...c, etiqueta: c.etiqueta || c.codigo }))
+      : conEtiquetas(solicitud.consentimientos, idioma),
+    token,
+    fechaExpira: formatearFecha(expira, idioma, solicitud.zonaHoraria),
+    motivos: MOTIVOS_RECHAZO.map((m) => ({ codigo: m.codigo, etiqueta: etiquetaMotivo(idioma, m) })),
+    maxComentario: MAX_COMENTARIO,
+    aceptada: solicitud.estado === STATES.ACEPTADA,
+    rechazada: solicitud.estado === STATES.RECHAZADA,
+    otp: solicitud.requiereOtp ? { telefono: enmascararTelefono(telefonoDeSolicitud(solicitud)) } : null,
+    firma: solicitud.requiereFirma,
+    nonce
+  });
 
-  const fechaExpiraStr = new Intl.DateTimeFormat('es-MX', {
-    timeZone: 'America/Mexico_City',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: true
-  }).format(expira);
-
-  const html = `
-<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="UTF-8" />
-  <title>Términos y Condiciones AMA Track & Safe</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <style>
-    body {
-      font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-      background-color: #f5f5f5;
-      margin: 0;
-      padding: 0;
-      display: flex;
-      justify-content: center;
-    }
-    .container {
-      max-width: 800px;
-      width: 100%;
-      background-color: #ffffff;
-      margin: 24px;
-      padding: 24px;
-      border-radius: 12px;
-      box-shadow: 0 4px 16px rgba(0,0,0,0.08);
-    }
-    h1 {
-      font-size: 22px;
-      margin-bottom: 8px;
-    }
-    .subtitle {
-      font-size: 14px;
-      color: #666;
-      margin-bottom: 16px;
-    }
-    .tyc-box {
-      border: 1px solid #ddd;
-      border-radius: 8px;
-      padding: 16px;
-      height: 320px;
-      overflow-y: auto;
-      background-color: #fafafa;
-      margin-bottom: 16px;
-    }
-    .status-info {
-      font-size: 13px;
-      color: #999;
-      margin-bottom: 12px;
-    }
-    button {
-      width: 100%;
-      padding: 12px 16px;
-      font-size: 16px;
-      border-radius: 8px;
-      border: none;
-      cursor: pointer;
-      font-weight: 600;
-    }
-    button:disabled {
-      background-color: #ccc;
-      color: #666;
-      cursor: not-allowed;
-    }
-    .btn-primary {
-      background-color: #E27C39;
-      color: #fff;
-    }
-
-    .btn-secondary {
-      background-color: #3C3C3C;
-      color: #fff;
-    }
-    .btn-accepted {
-      background-color: #16a34a !important;
-      color: #fff !important;
-      cursor: not-allowed !important;
-      opacity: 0.98;
-    }
-    .actions {
-      display: flex;
-      gap: 10px;
-      margin-top: 10px;
-      margin-bottom: 14px;
-    }
-    .actions .btn-secondary {
-      width: 50%;
-      padding: 10px 12px;
-      font-size: 14px;
-      border-radius: 8px;
-      border: none;
-      cursor: pointer;
-      font-weight: 600;
-    }
-    .footer-text {
-      font-size: 11px;
-      color: #999;
-      margin-top: 8px;
-      text-align: center;
-    }
-    .msg {
-      font-size: 12px;
-      color: #555;
-      margin-top: 8px;
-      text-align: center;
-      min-height: 1.2em;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Contrato de Servicio AMA Track & Safe</h1>
-    <div class="subtitle">
-      Por favor revisa cuidadosamente los términos y condiciones del servicio antes de continuar.
-    </div>
-
-    <div class="status-info">
-      ID de precliente: <strong>${solicitud.preclienteId}</strong><br/>
-      Esta liga expira el: <strong>${fechaExpiraStr}</strong>
-    </div>
-
-    <div id="tycBox" class="tyc-box">
-      <!-- Aquí va el texto completo de tu contrato -->
-      <p><strong>1. Objeto del servicio</strong><br/>
-      AMA Track & Safe ofrece un servicio de localización y corte de corriente del vehículo del contratante por medio de un dispositivo GPS y un agente digital de atención. El objetivo es brindar mayor tranquilidad al usuario y su familia al contar con soporte para situaciones de riesgo o siniestro.</p>
-
-      <p><strong>2. Alcance y limitaciones</strong><br/>
-      El servicio se limita a la operación remota del dispositivo instalado en el vehículo y a la gestión de eventos reportados por el contratante o su contacto autorizado. AMA Track & Safe no se hace responsable por fallas mecánicas o eléctricas del vehículo, anteriores o posteriores a la instalación del dispositivo.</p>
-
-      <p><strong>3. Costos del servicio</strong><br/>
-      El servicio contempla un costo de instalación y un costo mensual de suscripción. Los montos, forma de pago y consecuencias por falta de pago se especifican en el contrato que se comparte al usuario como parte de este documento.</p>
-
-      <p><strong>4. Mecánica de atención de siniestros</strong><br/>
-      Para la atención de siniestros se podrá solicitar el NIP de seguridad y la validación de la identidad del contratante. AMA Track & Safe ejecutará las acciones razonables dentro de su alcance tecnológico y operativo, sin garantizar la recuperación del vehículo.</p>
-
-      <p><strong>5. Tratamiento de datos personales</strong><br/>
-      Los datos del contratante, del vehículo y de geolocalización se utilizarán exclusivamente para la prestación del servicio y para el cumplimiento de obligaciones legales. El detalle del aviso de privacidad forma parte integral de estos términos.</p>
-
-            <p>Al aceptar estos términos y condiciones, reconoces que has leído, entendido y aceptado el contenido.</p>
-    </div>
-
-    <div id="msg" class="msg"></div>
-
-    <div class="actions">
-      <button id="btnDescargar" class="btn-secondary" type="button">Descargar TyC</button>
-      <button id="btnImprimir" class="btn-secondary" type="button">Imprimir</button>
-    </div>
-
-    <button id="btnAceptar" class="btn-primary" type="button" disabled>Acepto términos y condiciones</button>
-
-    <script>
-      // El backend inyecta aquí el token actual
-      const TOKEN = "${token}";
-      const ALREADY_ACCEPTED = ${solicitud.estado === STATES.ACEPTADA ? 'true' : 'false'};
-
-      const tycBox = document.getElementById('tycBox');
-      const btnAceptar = document.getElementById('btnAceptar');
-      const btnDescargar = document.getElementById('btnDescargar');
-      const btnImprimir = document.getElementById('btnImprimir');
-      const msg = document.getElementById('msg');
-
-      let tycAceptados = false;
-
-      function marcarComoAceptadoUI() {
-        tycAceptados = true;
-        btnAceptar.disabled = true;
-        btnAceptar.textContent = 'Términos y condiciones aceptados';
-        btnAceptar.classList.add('btn-accepted');
-        msg.textContent = '✅ Términos y condiciones aceptados. Puedes regresar a la conversación.';
-      }
+  return res.send(html);
+});
 
-      function checkScroll() {
-        if (tycAceptados) {
-          btnAceptar.disabled = true;
-          return;
-        }
-        const scrollTop = tycBox.scrollTop;
-        const scrollHeight = tycBox.scrollHeight;
-        const clientHeight = tycBox.clientHeight;
-
-        if (scrollTop + clientHeight >= scrollHeight - 5) {
-          btnAceptar.disabled = false;
-          msg.textContent = 'Ya puedes aceptar los términos y condiciones.';
-        } else {
-          btnAceptar.disabled = true;
-          msg.textContent = 'Desplázate hasta el final para habilitar el botón.';
-        }
-      }
+/**
+ * GET /tyc/:token/constancia.pdf
+ *
+ * Descarga de la constancia de aceptación (PDF) para el cliente.
+ * Solo existe cuando la solicitud ya está ACEPTADA. Siempre lee de BD
+ * (no del caché) porque es el documento que sirve como evidencia.
+ */
+router.get('/tyc/:token/constancia.pdf', async (req, res) => {
+  const { token } = req.params;
 
-      // Inicializa estado al cargar
-      if (ALREADY_ACCEPTED) {
-        marcarComoAceptadoUI();
-      } else {
-        tycBox.addEventListener('scroll', checkScroll);
-        checkScroll();
-      }
+  // La constancia se puede descargar aunque el enlace ya haya vencido
+  const verificado = verificarToken(token);
+  if (!verificado.ok) {
+    return enviarPaginaError(res, 404, idiomaDePeticion(req), 'enlaceInvalido');
+  }
+  const { tokenHash } = verificado;
 
-      btnAceptar.addEventListener('click', async () => {
-        if (tycAceptados) return;
+  let idioma = idiomaDePeticion(req);
 
-        btnAceptar.disabled = true;
-        msg.textContent = 'Registrando tu aceptación, por favor espera...';
+  try {
+    const solicitud = await solicitudesRepo.porTokenHash(tokenHash, { fresco: true });
 
-        try {
-          const response = await fetch('/api/tyc/' + encodeURIComponent(TOKEN) + '/aceptar', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({})
-          });
-
-          const data = await response.json();
-
-          if (!data.ok) {
-            msg.textContent = 'No fue posible registrar tu aceptación: ' + (data.error || 'intenta más tarde.');
-            tycAceptados = false;
-            checkScroll();
-            return;
-          }
+    if (!solicitud) {
+      return enviarPaginaError(res, 404, idioma, 'enlaceInvalido');
+    }
 
-          marcarComoAceptadoUI();
-        } catch (error) {
-          console.error(error);
-          msg.textContent = 'Ocurrió un error al registrar tu aceptación. Intenta nuevamente.';
-          tycAceptados = false;
-          checkScroll();
-        }
-      });
+    idioma = idiomaDePeticion(req, solicitud.idioma);
 
-      // Descargar como TXT (simple, sin PDF)
-      btnDescargar?.addEventListener('click', () => {
-        const contenido = tycBox?.innerText || '';
-        const blob = new Blob([contenido], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
+    if (solicitud.estado !== STATES.ACEPTADA || !solicitud.acceptedAt) {
+      return enviarPaginaError(res, 409, idioma, 'constanciaNoDisponible', solicitud.producto);
+    }
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'terminos-y-condiciones-ama-track-safe.txt';
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
+    // El texto en el idioma en que se aceptó
+    const documento = await getDocumentoDeSolicitud(solicitud, { idioma: solicitud.acceptedIdioma });
+    return await enviarConstanciaPdf(res, solicitud, documento);
+  } catch (err) {
+    console.error('[TyC] Error generando constancia en GET /tyc/:token/constancia.pdf:', err);
+    return enviarPaginaError(res, 500, idioma, 'interno');
+  }
+});
 
-        URL.revokeObjectURL(url);
-      });
+/**
+ * POST /api/tyc/:token/otp
+ *
+ * Lo llama el frontend con el botón "Enviar código" (solo si la solicitud pide OTP).
+ * Manda un código de 6 dígitos al teléfono de la solicitud, respetando la espera entre
+ * envíos y el máximo de códigos por solicitud (ver otp.js). Queda en la bitácora (OTP_ENVIADO).
+ * Recibe:
+ *  - idioma (string, opcional) idioma de la página, para el mensaje y los errores
+ *
+ * Responde: { ok, telefono (enmascarado), expiresAt, reenvioSeg }
+ */
+router.post('/api/tyc/:token/otp', async (req, res) => {
+  const { token } = req.params;
+  let idioma = idiomaDePeticion(req, req.body?.idioma);
+
+  const verificado = verificarToken(token);
+  if (!verificado.ok) {
+    return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+  }
+  if (verificado.expirado) {
+    return res.status(410).json({ ok: false, error: t(idioma, 'api.expirada') });
+  }
 
-      // Imprimir
-      btnImprimir?.addEventListener('click', () => {
-        window.print();
+  try {
+    const solicitud = await solicitudesRepo.porTokenHash(verificado.tokenHash, { fresco: true });
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+    }
+
+    idioma = idiomaDePeticion(req, req.body?.idioma || solicitud.idioma);
+
+    if (!solicitud.requiereOtp) {
+      return res.status(400).json({ ok: false, error: t(idioma, 'api.otpNoRequerido') });
+    }
+
+    // Solo mientras todavía se puede aceptar
+    if (solicitud.supersededBy) {
+      return res.status(410).json({ ok: false, estado: solicitud.estado, error: t(idioma, 'api.reemplazada') });
+    }
+    if (solicitud.estado === STATES.CANCELADA) {
+      return res.status(410).json({ ok: false, estado: STATES.CANCELADA, error: t(idioma, 'api.cancelada') });
+    }
+    if (solicitud.estado === STATES.ACEPTADA) {
+      return res.status(409).json({ ok: false, estado: STATES.ACEPTADA, error: t(idioma, 'api.yaAceptada') });
+    }
+    if (solicitud.estado === STATES.RECHAZADA) {
+      return res.status(409).json({ ok: false, estado: STATES.RECHAZADA, error: t(idioma, 'api.yaRechazada') });
+    }
+    if (solicitud.estado === STATES.EXPIRADA || new Date(solicitud.expiresAt) < new Date()) {
+      return res.status(410).json({ ok: false, error: t(idioma, 'api.expirada') });
+    }
+
+    let envio;
+    try {
+      envio = await solicitarCodigo(solicitud, {
+        idioma,
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'] || null
       });
-    </script>
-  </div>
-</body>
-</html>
-`;
+    } catch (err) {
+      console.error(`❌ Error enviando OTP de ${solicitud.tycSolicitudId}:`, err.message);
+      return res.status(502).json({ ok: false, error: t(idioma, 'api.otpErrorEnvio') });
+    }
 
-  return res.send(html);
+    if (!envio.ok) {
+      if (envio.motivo === 'sinTelefono') {
+        console.error(`[TyC] La solicitud ${solicitud.tycSolicitudId} pide OTP pero no tiene teléfono válido.`);
+        return res.status(409).json({ ok: false, error: t(idioma, 'api.otpSinTelefono') });
+      }
+      if (envio.motivo === 'reenvioPronto') {
+        res.setHeader('Retry-After', String(envio.segundos));
+        return res.status(429).json({
+          ok: false,
+          reintentarEnSeg: envio.segundos,
+          error: t(idioma, 'api.otpReenvioPronto', { segundos: envio.segundos })
+        });
+      }
+      return res.status(429).json({ ok: false, error: t(idioma, 'api.otpLimiteEnvios') });
+    }
+
+    console.log(`📲 Código OTP enviado a ${envio.telefono} para tycSolicitudId=${solicitud.tycSolicitudId}`);
+
+    return res.json({
+      ok: true,
+      telefono: envio.telefono,
+      expiresAt: envio.expiresAt,
+      reenvioSeg: envio.reenvioSeg
+    });
+  } catch (err) {
+    console.error('[TyC] Error en POST /api/tyc/:token/otp:', err);
+    return res.status(500).json({ ok: false, error: t(idioma, 'api.interno') });
+  }
 });
 
 /**
  * POST /api/tyc/:token/aceptar
  *
  * Lo llama el frontend cuando el usuario da clic en "Aceptar términos y condiciones".
+ * - Valida la firma del token y su expiración antes de ir a BD.
  * - Valida que el token exista.
  * - Verifica que no esté vencido.
  * - Marca la solicitud como ACEPTADA.
- * - Guarda fecha, IP y user-agent.
+ * - Valida que el documento mostrado (documentoHash) sea el amarrado a la solicitud,
+ *   en el idioma de la página (idioma): el original o su traducción. Igual con los
+ *   documentos adicionales (documentosHash: { documentoId: hash }).
+ * - Registra la respuesta a cada consentimiento (consentimientos: { CODIGO: true/false });
+ *   no se puede aceptar sin los obligatorios.
+ * - Si la solicitud pide firma, valida firma ({ nombre, imagen PNG en data URL }, ver firma.js)
+ *   y la guarda con su hash.
+ * - Si la solicitud pide OTP, valida codigoOtp (ver POST /api/tyc/:token/otp) y guarda
+ *   el teléfono verificado y la hora de verificación.
+ * - Guarda fecha, IP, cadena de IPs (X-Forwarded-For), user-agent, Accept-Language,
+ *   el documento aceptado (id, versión, hash, idioma) y la telemetría de lectura que
+ *   manda la página (telemetria, ver evidencia.js).
+ *
+ * Los mensajes de error vienen en el idioma de la página.
  */
 router.post('/api/tyc/:token/aceptar', async (req, res) => {
   const { token } = req.params;
+  let idioma = idiomaDePeticion(req, req.body?.idioma);
 
-  const getClientIp = (req) => {
-    const xf = req.headers['x-forwarded-for'];
-    let ip = Array.isArray(xf) ? xf[0] : (xf ? String(xf).split(',')[0].trim() : null);
-    ip = ip || req.ip || req.socket?.remoteAddress || null;
-    if (ip && ip.startsWith('::ffff:')) ip = ip.replace('::ffff:', '');
-    return ip;
-  };
+  // 0) Token inventado o vencido: se rechaza sin consultar BD
+  const verificado = verificarToken(token);
+  if (!verificado.ok) {
+    return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+  }
+  if (verificado.expirado) {
+    return res.status(410).json({ ok: false, error: t(idioma, 'api.expirada') });
+  }
+  const { tokenHash } = verificado;
 
   try {
-    // 1) Intentar memoria primero
-    let solicitud = solicitudesTyC.get(token);
+    // 1-2) Antes de escribir siempre leemos de BD (no del caché)
+    const solicitud = await solicitudesRepo.porTokenHash(tokenHash, { fresco: true });
 
-    // 2) Si no está en memoria, cargar desde BD
     if (!solicitud) {
-      const r = await pool.query(
-        `SELECT
-          tyc_solicitud_id,
-          precliente_id,
-          token,
-          canal,
-          webhook_url,
-          metadata,
-          estado,
-          created_at,
-          expires_at,
-          opened_at,
-          accepted_at,
-          accepted_ip
-        FROM tyc_solicitudes
-        WHERE token = $1
-        LIMIT 1`,
-        [token]
-      );
-
-      if (r.rowCount === 0) {
-        return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
-      }
+      return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+    }
 
-      const row = r.rows[0];
+    // Sin idioma en el body (página anterior a los catálogos): el que se le mostró
+    idioma = idiomaDePeticion(req, req.body?.idioma || solicitud.idioma);
 
-      solicitud = {
-        tycSolicitudId: row.tyc_solicitud_id,
-        preclienteId: row.precliente_id,
-        canal: row.canal,
-        token: row.token,
-        estado: row.estado,
-        createdAt: row.created_at?.toISOString?.() ?? String(row.created_at),
-        expiresAt: row.expires_at?.toISOString?.() ?? String(row.expires_at),
-        webhookUrl: row.webhook_url,
-        metadata: row.metadata || {},
-        openedAt: row.opened_at ? (row.opened_at.toISOString?.() ?? String(row.opened_at)) : null,
-        acceptedAt: row.accepted_at ? (row.accepted_at.toISOString?.() ?? String(row.accepted_at)) : null,
-        acceptedIp: row.accepted_ip || null,
-        acceptedUserAgent: null, // en BD no lo guardamos (por ahora)
-      };
+    // 3) Enlace reemplazado por uno más reciente, o cancelado por un asesor
+    if (solicitud.supersededBy) {
+      return res.status(410).json({
+        ok: false,
+        estado: solicitud.estado,
+        error: t(idioma, 'api.reemplazada')
+      });
+    }
 
-      solicitudesTyC.set(token, solicitud);
+    if (solicitud.estado === STATES.CANCELADA) {
+      return res.status(410).json({
+        ok: false,
+        estado: STATES.CANCELADA,
+        error: t(idioma, 'api.cancelada')
+      });
     }
 
     const ahora = new Date();
     const expira = new Date(solicitud.expiresAt);
 
-    // 3) Si ya expiró y no estaba aceptada, la marcamos EXPIRADA (BD + memoria)
-    if (expira < ahora && solicitud.estado !== STATES.ACEPTADA) {
+    // 3.1) Si ya expiró y no estaba aceptada/rechazada, la marcamos EXPIRADA en BD
+    if (expira < ahora && !yaRespondida(solicitud)) {
       const yaEstabaExpirada = solicitud.estado === STATES.EXPIRADA;
 
       if (!yaEstabaExpirada) {
-        solicitud.estado = STATES.EXPIRADA;
-        solicitudesTyC.set(token, solicitud);
-
-        // Persistimos EXPIRADA en BD
+        // Persistimos EXPIRADA en BD y encolamos el aviso a n8n (una vez)
         try {
-          await pool.query(
-            `UPDATE tyc_solicitudes
-             SET estado = $2
-             WHERE token = $1`,
-            [token, STATES.EXPIRADA]
-          );
+          await marcarExpirada(solicitud);
         } catch (err) {
           console.error('[TyC] Error actualizando EXPIRADA en BD (POST /aceptar):', err);
         }
 
-        // Avisamos a n8n que esta solicitud expiró (una vez)
-        sendWebhook(solicitud, 'TYC_EXPIRADA').catch((err) => {
-          console.error('Error en webhook TYC_EXPIRADA (POST /aceptar):', err.message);
-        });
+        solicitud.estado = STATES.EXPIRADA;
       }
 
       return res.status(410).json({
         ok: false,
-        error: 'La URL ya expiró. Solicita una nueva.'
+        error: t(idioma, 'api.expirada')
       });
     }
 
@@ -717,48 +761,298 @@ router.post('/api/tyc/:token/aceptar', async (req, res) => {
         mensaje: 'Esta solicitud ya había sido aceptada previamente.',
         preclienteId: solicitud.preclienteId,
         tycSolicitudId: solicitud.tycSolicitudId,
-        acceptedAt: solicitud.acceptedAt
+        acceptedAt: solicitud.acceptedAt,
+        documento: {
+          id: solicitud.documentoId,
+          version: solicitud.documentoVersion,
+          hash: solicitud.documentoHash
+        }
+      });
+    }
+
+    // 4.1) Si ya había dicho que no acepta, necesita un enlace nuevo
+    if (solicitud.estado === STATES.RECHAZADA) {
+      return res.status(409).json({
+        ok: false,
+        estado: STATES.RECHAZADA,
+        error: t(idioma, 'api.yaRechazada')
+      });
+    }
+
+    // 5) El documento que vio el cliente debe ser el amarrado a la solicitud, en el idioma
+    // de la página (su traducción si la hay). documento_hash sigue siendo el del original.
+    const original = await getDocumentoDeSolicitud(solicitud);
+    const documento = await getDocumentoDeSolicitud(solicitud, { idioma });
+    if (!original || !documento) {
+      console.error(`[TyC] La solicitud ${solicitud.tycSolicitudId} apunta a un documento inexistente.`);
+      return res.status(500).json({ ok: false, error: t(idioma, 'api.interno') });
+    }
+
+    const adicionales = await getDocumentosAdicionales(solicitud, { idioma });
+    if (adicionales.some((d) => !d)) {
+      console.error(`[TyC] La solicitud ${solicitud.tycSolicitudId} apunta a un documento adicional inexistente.`);
+      return res.status(500).json({ ok: false, error: t(idioma, 'api.interno') });
+    }
+
+    const documentoHashCliente = req.body?.documentoHash;
+    const documentosHashCliente = req.body?.documentosHash || {};
+    if (
+      (documentoHashCliente && documentoHashCliente !== documento.hash) ||
+      adicionales.some((d) => documentosHashCliente[d.documentoId] && documentosHashCliente[d.documentoId] !== d.hash)
+    ) {
+      return res.status(409).json({
+        ok: false,
+        error: t(idioma, 'api.documentoDistinto')
+      });
+    }
+
+    // 5.1) Consentimientos: los obligatorios deben venir otorgados
+    const consentimientos = respuestasDeAceptacion(solicitud, req.body?.consentimientos);
+    if (!consentimientos.ok) {
+      const [faltante] = conEtiquetas([consentimientos.faltante], idioma);
+      return res.status(400).json({
+        ok: false,
+        consentimiento: faltante.codigo,
+        error: t(idioma, 'api.consentimientoObligatorio', { consentimiento: faltante.etiqueta })
       });
     }
+    const respuestas = conEtiquetas(consentimientos.respuestas, idioma);
+
+    // 5.2) Firma, si la solicitud la pide (antes del OTP: validarla no gasta intentos)
+    let firma = null;
+    if (solicitud.requiereFirma) {
+      const validacion = validarFirma(req.body?.firma);
+      if (!validacion.ok) {
+        const claves = {
+          nombre: 'api.firmaNombreInvalido',
+          imagen: 'api.firmaRequerida',
+          grande: 'api.firmaGrande',
+          vacia: 'api.firmaVacia'
+        };
+        return res.status(validacion.motivo === 'grande' ? 413 : 400).json({
+          ok: false,
+          firma: validacion.motivo,
+          error: t(idioma, claves[validacion.motivo], { maxKb: Math.floor(FIRMA_MAX_BYTES / 1024) })
+        });
+      }
+      firma = validacion.firma;
+    }
 
-    // 5) Persistir aceptación en BD (idempotente)
+    // 5.3) Código OTP, si la solicitud lo pide. Se marca como usado en la transacción de la aceptación.
+    let otp = null;
+    if (solicitud.requiereOtp) {
+      const codigoOtp = req.body?.codigoOtp;
+      if (!codigoOtp) {
+        return res.status(400).json({ ok: false, otp: 'requerido', error: t(idioma, 'api.otpRequerido') });
+      }
+
+      otp = await verificarCodigo(solicitud, String(codigoOtp));
+      if (!otp.ok) {
+        const claves = {
+          sinCodigo: 'api.otpSinCodigo',
+          expirado: 'api.otpExpirado',
+          bloqueado: 'api.otpBloqueado',
+          incorrecto: 'api.otpIncorrecto'
+        };
+        return res.status(otp.motivo === 'bloqueado' ? 429 : 400).json({
+          ok: false,
+          otp: otp.motivo,
+          error: t(idioma, claves[otp.motivo], { restantes: otp.restantes })
+        });
+      }
+    }
+
+    // 6) Datos de la aceptación
     const ip = getClientIp(req);
     const ua = req.headers['user-agent'] || null;
+    const ipCadena = cadenaDeIps(req);
+    const acceptLanguage = req.headers['accept-language'] ? String(req.headers['accept-language']).slice(0, 200) : null;
+    const telemetria = normalizarTelemetria(req.body?.telemetria);
+
+    const documentosAceptados = solicitud.documentosAdicionales.map((d, i) => ({
+      ...d,
+      acceptedDocumentoHash: adicionales[i].hash,
+      acceptedIdioma: adicionales[i].idioma
+    }));
+    const consentimientosRespondidos = respuestas.map((r) => ({
+      ...r,
+      idioma,
+      respondidoAt: nowIso()
+    }));
+
+    // 7) En una sola transacción: aceptación + evento TYC_ACEPTADA en el outbox.
+    // Solo se acepta si en BD sigue CREADA/ABIERTA (otra instancia pudo cancelarla o aceptarla).
+    // Las solicitudes anteriores al catálogo se amarran aquí a la versión que vieron.
+    const acceptedAtIso = await withTransaction(async (client) => {
+      // El código se gasta solo si la aceptación se guarda; si otra aceptación ya lo usó, esa ganó
+      if (otp) {
+        otp.verifiedAt = await usarCodigo(client, otp.otpId);
+        if (!otp.verifiedAt) return null;
+      }
 
-    const upd = await pool.query(
-      `UPDATE tyc_solicitudes
-       SET accepted_at = NOW(),
-           accepted_ip = $2,
-           estado = $3
-       WHERE token = $1
-         AND accepted_at IS NULL
-       RETURNING accepted_at`,
-      [token, ip, STATES.ACEPTADA]
-    );
+      const upd = await client.query(
+        `UPDATE tyc_solicitudes
+         SET accepted_at = NOW(),
+             accepted_ip = $2,
+             accepted_user_agent = $7,
+             estado = $3,
+             documento_id = COALESCE(documento_id, $4),
+             documento_version = COALESCE(documento_version, $5),
+             documento_hash = COALESCE(documento_hash, $6),
+             accepted_documento_hash = $10,
+             accepted_idioma = $11,
+             otp_telefono = $12,
+             otp_verified_at = $13,
+             accepted_ip_cadena = $14,
+             accepted_accept_language = $15,
+             accepted_telemetria = $16,
+             firma_nombre = $17,
+             firma_hash = $18
+         WHERE tyc_solicitud_id = $1
+           AND accepted_at IS NULL
+           AND estado IN ($8, $9)
+         RETURNING accepted_at`,
+        [
+          solicitud.tycSolicitudId, ip, STATES.ACEPTADA, original.documentoId, original.version, original.hash, ua,
+          STATES.CREADA, STATES.ABIERTA, documento.hash, documento.idioma,
+          otp?.telefono || null, otp?.verifiedAt || null, ipCadena, acceptLanguage, telemetria,
+          firma?.nombre || null, firma?.hash || null
+        ]
+      );
+
+      if (upd.rowCount === 0) return null;
+
+      if (firma) await guardarFirma(client, solicitud.tycSolicitudId, firma);
+
+      for (const d of adicionales) {
+        await client.query(
+          `UPDATE tyc_solicitud_documentos
+           SET accepted_documento_hash = $3,
+               accepted_idioma = $4
+           WHERE tyc_solicitud_id = $1
+             AND documento_id = $2`,
+          [solicitud.tycSolicitudId, d.documentoId, d.hash, d.idioma]
+        );
+      }
+      await registrarRespuestas(client, solicitud.tycSolicitudId, respuestas, idioma);
+
+      const aceptadaEn = upd.rows[0].accepted_at?.toISOString?.() ?? String(upd.rows[0].accepted_at);
+
+      await registrarEvento(client, {
+        tycSolicitudId: solicitud.tycSolicitudId,
+        tipo: TIPOS_EVENTO.ACEPTADA,
+        estado: STATES.ACEPTADA,
+        actor: ACTORES.CLIENTE,
+        ip,
+        userAgent: ua,
+        detalle: {
+          documento: {
+            id: documento.documentoId,
+            version: documento.version,
+            hash: documento.hash,
+            idioma: documento.idioma
+          },
+          documentosAdicionales: adicionales.map((d) => ({
+            id: d.documentoId,
+            version: d.version,
+            hash: d.hash,
+            idioma: d.idioma
+          })),
+          consentimientos: respuestas.map((r) => ({ codigo: r.codigo, obligatorio: r.obligatorio, otorgado: r.otorgado })),
+          acceptLanguage,
+          telemetria,
+          ...(firma && { firma: { hash: firma.hash, bytes: firma.bytes } }),
+          ...(otp && { otp: { telefono: enmascararTelefono(otp.telefono), verifiedAt: otp.verifiedAt } })
+        },
+        datosPersonales: firma ? { firmaNombre: firma.nombre } : null
+      });
+
+      await enqueueWebhook(client, {
+        ...solicitud,
+        estado: STATES.ACEPTADA,
+        acceptedAt: aceptadaEn,
+        documentoId: original.documentoId,
+        documentoVersion: original.version,
+        documentoHash: original.hash,
+        acceptedDocumentoHash: documento.hash,
+        acceptedIdioma: documento.idioma,
+        otpTelefono: otp?.telefono || null,
+        otpVerifiedAt: otp?.verifiedAt || null,
+        firmaNombre: firma?.nombre || null,
+        firmaHash: firma?.hash || null,
+        documentosAdicionales: documentosAceptados,
+        consentimientos: consentimientosRespondidos
+      }, 'TYC_ACEPTADA');
+      await notificarCambio(client, solicitud.tycSolicitudId);
+
+      return aceptadaEn;
+    });
 
-    const acceptedAtIso =
-      upd.rowCount > 0
-        ? (upd.rows[0].accepted_at?.toISOString?.() ?? String(upd.rows[0].accepted_at))
-        : nowIso();
+    // 7.1) No se aplicó: otra petición (u otra instancia) la cambió mientras tanto, releemos de BD
+    if (!acceptedAtIso) {
+      const actual = await solicitudesRepo.porId(solicitud.tycSolicitudId);
+
+      if (actual?.acceptedAt) {
+        return res.json({
+          ok: true,
+          mensaje: 'Esta solicitud ya había sido aceptada previamente.',
+          preclienteId: actual.preclienteId,
+          tycSolicitudId: actual.tycSolicitudId,
+          acceptedAt: actual.acceptedAt,
+          documento: {
+            id: actual.documentoId,
+            version: actual.documentoVersion,
+            hash: actual.documentoHash
+          }
+        });
+      }
+
+      let error = t(idioma, 'api.noDisponible');
+      if (actual?.supersededBy) {
+        error = t(idioma, 'api.reemplazada');
+      } else if (actual?.estado === STATES.CANCELADA) {
+        error = t(idioma, 'api.cancelada');
+      } else if (actual?.estado === STATES.RECHAZADA) {
+        return res.status(409).json({
+          ok: false,
+          estado: STATES.RECHAZADA,
+          error: t(idioma, 'api.yaRechazada')
+        });
+      }
+
+      return res.status(410).json({ ok: false, estado: actual?.estado || null, error });
+    }
+
+    // 8) Fuera del caché (las demás instancias se enteran por el NOTIFY)
+    solicitudesRepo.invalidar(solicitud.tycSolicitudId);
 
-    // 6) Actualizar memoria
     solicitud.estado = STATES.ACEPTADA;
     solicitud.acceptedAt = acceptedAtIso;
     solicitud.acceptedIp = ip;
     solicitud.acceptedUserAgent = ua;
-    solicitudesTyC.set(token, solicitud);
+    solicitud.documentoId = original.documentoId;
+    solicitud.documentoVersion = original.version;
+    solicitud.documentoHash = original.hash;
+    solicitud.acceptedDocumentoHash = documento.hash;
+    solicitud.acceptedIdioma = documento.idioma;
+    solicitud.otpTelefono = otp?.telefono || null;
+    solicitud.otpVerifiedAt = otp?.verifiedAt || null;
+    solicitud.acceptedIpCadena = ipCadena;
+    solicitud.acceptedAcceptLanguage = acceptLanguage;
+    solicitud.acceptedTelemetria = telemetria;
+    solicitud.firmaNombre = firma?.nombre || null;
+    solicitud.firmaHash = firma?.hash || null;
+    solicitud.documentosAdicionales = documentosAceptados;
+    solicitud.consentimientos = consentimientosRespondidos;
+    metricaAceptada(solicitud);
 
     // Log en consola
     console.log('✅ Solicitud TyC aceptada:', {
       preclienteId: solicitud.preclienteId,
       tycSolicitudId: solicitud.tycSolicitudId,
       acceptedAt: solicitud.acceptedAt,
-      acceptedIp: solicitud.acceptedIp
-    });
-
-    // 7) Enviar webhook a n8n
-    sendWebhook(solicitud, 'TYC_ACEPTADA').catch((err) => {
-      console.error('Error en webhook TYC_ACEPTADA:', err.message);
+      acceptedIp: solicitud.acceptedIp,
+      documento: `${solicitud.documentoId} v${solicitud.documentoVersion} (${solicitud.acceptedIdioma})`
     });
 
     return res.json({
@@ -767,73 +1061,390 @@ router.post('/api/tyc/:token/aceptar', async (req, res) => {
       preclienteId: solicitud.preclienteId,
       tycSolicitudId: solicitud.tycSolicitudId,
       acceptedAt: solicitud.acceptedAt,
-      acceptedIp: solicitud.acceptedIp
+      acceptedIp: solicitud.acceptedIp,
+      acceptedIdioma: solicitud.acceptedIdioma,
+      otpVerifiedAt: solicitud.otpVerifiedAt,
+      firmaHash: solicitud.firmaHash,
+      documento: {
+        id: solicitud.documentoId,
+        version: solicitud.documentoVersion,
+        hash: solicitud.documentoHash
+      },
+      consentimientos: solicitud.consentimientos.map((c) => ({
+        codigo: c.codigo,
+        obligatorio: c.obligatorio,
+        otorgado: c.otorgado
+      }))
     });
   } catch (err) {
     console.error('[TyC] Error en POST /api/tyc/:token/aceptar:', err);
-    return res.status(500).json({ ok: false, error: 'Error interno' });
+    return res.status(500).json({ ok: false, error: t(idioma, 'api.interno') });
+  }
+});
+
+/**
+ * POST /api/tyc/:token/rechazar
+ *
+ * Lo llama el frontend cuando el usuario da clic en "No acepto".
+ * Recibe:
+ *  - motivo (string, opcional) código de la lista configurada (TYC_MOTIVOS_RECHAZO)
+ *  - comentario (string, opcional) texto libre, máx. MAX_COMENTARIO caracteres
+ *  - idioma (string, opcional) idioma de la página, para los mensajes de error
+ *
+ * - Valida la firma del token y su expiración antes de ir a BD.
+ * - Valida que el token exista y no esté vencido, cancelado o reemplazado.
+ * - Marca la solicitud como RECHAZADA y guarda fecha, IP, user-agent, motivo y comentario.
+ * - Encola TYC_RECHAZADA en la misma transacción (para que ventas dé seguimiento).
+ */
+router.post('/api/tyc/:token/rechazar', async (req, res) => {
+  const { token } = req.params;
+  const { motivo, comentario } = req.body || {};
+  let idioma = idiomaDePeticion(req, req.body?.idioma);
+
+  // Token inventado o vencido: se rechaza sin consultar BD
+  const verificado = verificarToken(token);
+  if (!verificado.ok) {
+    return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+  }
+  if (verificado.expirado) {
+    return res.status(410).json({ ok: false, error: t(idioma, 'api.expirada') });
+  }
+  const { tokenHash } = verificado;
+
+  // Validaciones básicas
+  let motivoRechazo = null;
+  if (motivo) {
+    motivoRechazo = getMotivoRechazo(motivo);
+    if (!motivoRechazo) {
+      return res.status(400).json({
+        ok: false,
+        error: t(idioma, 'api.motivoInvalido', { motivos: MOTIVOS_RECHAZO.map((m) => m.codigo).join(', ') })
+      });
+    }
+  }
+
+  if (comentario != null && typeof comentario !== 'string') {
+    return res.status(400).json({ ok: false, error: t(idioma, 'api.comentarioNoEsTexto') });
+  }
+
+  const comentarioLimpio = comentario ? comentario.trim() : '';
+  if (comentarioLimpio.length > MAX_COMENTARIO) {
+    return res.status(400).json({
+      ok: false,
+      error: t(idioma, 'api.comentarioLargo', { max: MAX_COMENTARIO })
+    });
+  }
+
+  try {
+    // 1-2) Antes de escribir siempre leemos de BD (no del caché)
+    const solicitud = await solicitudesRepo.porTokenHash(tokenHash, { fresco: true });
+
+    if (!solicitud) {
+      return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+    }
+
+    idioma = idiomaDePeticion(req, req.body?.idioma || solicitud.idioma);
+
+    // 3) Enlace reemplazado por uno más reciente, o cancelado por un asesor
+    if (solicitud.supersededBy) {
+      return res.status(410).json({
+        ok: false,
+        estado: solicitud.estado,
+        error: t(idioma, 'api.reemplazada')
+      });
+    }
+
+    if (solicitud.estado === STATES.CANCELADA) {
+      return res.status(410).json({
+        ok: false,
+        estado: STATES.CANCELADA,
+        error: t(idioma, 'api.cancelada')
+      });
+    }
+
+    // 3.1) Si ya expiró sin respuesta, la marcamos EXPIRADA en BD
+    if (new Date(solicitud.expiresAt) < new Date() && !yaRespondida(solicitud)) {
+      if (solicitud.estado !== STATES.EXPIRADA) {
+        try {
+          await marcarExpirada(solicitud);
+        } catch (err) {
+          console.error('[TyC] Error actualizando EXPIRADA en BD (POST /rechazar):', err);
+        }
+
+        solicitud.estado = STATES.EXPIRADA;
+      }
+
+      return res.status(410).json({
+        ok: false,
+        error: t(idioma, 'api.expirada')
+      });
+    }
+
+    // 4) Ya aceptada: no se puede rechazar; ya rechazada: respondemos ok
+    if (solicitud.estado === STATES.ACEPTADA || solicitud.acceptedAt) {
+      return res.status(409).json({
+        ok: false,
+        estado: STATES.ACEPTADA,
+        error: t(idioma, 'api.yaAceptada')
+      });
+    }
+
+    if (solicitud.estado === STATES.RECHAZADA) {
+      return res.json({
+        ok: true,
+        mensaje: 'Esta solicitud ya había sido rechazada previamente.',
+        preclienteId: solicitud.preclienteId,
+        tycSolicitudId: solicitud.tycSolicitudId,
+        rejectedAt: solicitud.rejectedAt
+      });
+    }
+
+    // 5) Rechazo + evento TYC_RECHAZADA en una sola transacción
+    const ip = getClientIp(req);
+    const ua = req.headers['user-agent'] || null;
+
+    const resultado = await rechazarSolicitud(solicitud.tycSolicitudId, {
+      motivo: motivoRechazo?.codigo || null,
+      comentario: comentarioLimpio || null,
+      ip,
+      userAgent: ua
+    });
+
+    solicitudesRepo.invalidar(solicitud.tycSolicitudId);
+
+    if (!resultado) {
+      return res.status(404).json({ ok: false, error: t(idioma, 'api.noEncontrada') });
+    }
+
+    const actual = resultado.solicitud;
+
+    // 5.1) No se aplicó: otra petición (u otra instancia) la cambió mientras tanto
+    if (!resultado.rechazada) {
+      if (actual.estado === STATES.RECHAZADA) {
+        return res.json({
+          ok: true,
+          mensaje: 'Esta solicitud ya había sido rechazada previamente.',
+          preclienteId: actual.preclienteId,
+          tycSolicitudId: actual.tycSolicitudId,
+          rejectedAt: actual.rejectedAt
+        });
+      }
+
+      if (actual.estado === STATES.ACEPTADA || actual.acceptedAt) {
+        return res.status(409).json({
+          ok: false,
+          estado: STATES.ACEPTADA,
+          error: t(idioma, 'api.yaAceptada')
+        });
+      }
+
+      return res.status(410).json({
+        ok: false,
+        estado: actual.estado,
+        error: t(idioma, 'api.noDisponible')
+      });
+    }
+
+    // Log en consola
+    console.log('👎 Solicitud TyC rechazada:', {
+      preclienteId: actual.preclienteId,
+      tycSolicitudId: actual.tycSolicitudId,
+      rejectedAt: actual.rejectedAt,
+      rejectedIp: actual.rejectedIp,
+      motivo: actual.rejectionReason
+    });
+
+    return res.json({
+      ok: true,
+      mensaje: 'Rechazo registrado',
+      preclienteId: actual.preclienteId,
+      tycSolicitudId: actual.tycSolicitudId,
+      rejectedAt: actual.rejectedAt,
+      motivo: actual.rejectionReason
+    });
+  } catch (err) {
+    console.error('[TyC] Error en POST /api/tyc/:token/rechazar:', err);
+    return res.status(500).json({ ok: false, error: t(idioma, 'api.interno') });
+  }
+});
+
+/**
+ * POST /api/tyc/solicitudes/:tycSolicitudId/cancelar
+ *
+ * Lo llama n8n / un asesor para matar un enlace ya emitido (ej. se mandó a otro número).
+ * Recibe:
+ *  - motivo (string, obligatorio)
+ *  - actor (string, obligatorio) quién cancela (usuario del CRM, asesor, etc.)
+ *
+ * - Solo se pueden cancelar solicitudes CREADA o ABIERTA.
+ * - Pasa a CANCELADA y encola TYC_CANCELADA en la misma transacción.
+ * - A partir de ahí la página y el endpoint de aceptar responden "enlace cancelado".
+ */
+router.post('/api/tyc/solicitudes/:tycSolicitudId/cancelar', requireScope(SCOPES.SOLICITUDES_CANCEL), async (req, res) => {
+  const { tycSolicitudId } = req.params;
+  const { motivo, actor } = req.body || {};
+
+  if (!motivo || typeof motivo !== 'string') {
+    return res.status(400).json({ ok: false, error: 'motivo es obligatorio' });
+  }
+
+  if (!actor || typeof actor !== 'string') {
+    return res.status(400).json({ ok: false, error: 'actor es obligatorio (quién cancela)' });
+  }
+
+  try {
+    const resultado = await cancelarSolicitud(tycSolicitudId, { motivo, actor });
+
+    if (!resultado) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    const { solicitud, cancelada } = resultado;
+
+    // La copia en caché de esta instancia ya no sirve (las demás se enteran por el NOTIFY)
+    solicitudesRepo.invalidar(tycSolicitudId);
+
+    if (!cancelada) {
+      return res.status(409).json({
+        ok: false,
+        estado: solicitud.estado,
+        error: `No se puede cancelar una solicitud en estado ${solicitud.estado}`
+      });
+    }
+
+    console.log(`🚫 Solicitud TyC cancelada: ${tycSolicitudId} por ${actor} (${motivo})`);
+
+    return res.json({ ok: true, solicitud: solicitudParaApi(solicitud) });
+  } catch (err) {
+    console.error('[TyC] Error cancelando solicitud:', err);
+    return res.status(500).json({ ok: false, error: 'Error cancelando la solicitud' });
+  }
+});
+
+/**
+ * POST /api/tyc/solicitudes/:tycSolicitudId/reemitir
+ *
+ * Lo llama n8n cuando hay que mandarle al cliente un enlace nuevo
+ * (expiró, se canceló o se perdió el mensaje).
+ * Recibe:
+ *  - ttlMinutos (number, opcional, default 60)
+ *  - actor (string, opcional) quién la reemite, queda en la bitácora de auditoría
+ *
+ * - Crea una solicitud nueva con el mismo preclienteId, canal, webhookUrl, eventos y metadata.
+ *   Su createdByClient es el cliente de la API que la reemite.
+ * - La anterior queda invalidada (superseded_by) y la nueva apunta a ella (parentTycSolicitudId).
+ * - Abrir la URL anterior le indica al cliente que hay un enlace más reciente.
+ *
+ * Responde igual que POST /api/tyc/solicitudes, más parentTycSolicitudId.
+ */
+router.post('/api/tyc/solicitudes/:tycSolicitudId/reemitir', requireScope(SCOPES.SOLICITUDES_CREATE), async (req, res) => {
+  const { tycSolicitudId } = req.params;
+  const { ttlMinutos, actor } = req.body || {};
+  const ttl = typeof ttlMinutos === 'number' && ttlMinutos > 0 ? ttlMinutos : 60;
+
+  try {
+    const resultado = await reemitirSolicitud(tycSolicitudId, {
+      ttlMinutos: ttl,
+      actor: typeof actor === 'string' && actor ? actor : undefined,
+      cliente: req.apiCliente.cliente
+    });
+
+    if (!resultado) {
+      return res.status(404).json({ ok: false, error: 'Solicitud no encontrada' });
+    }
+
+    if (resultado.error) {
+      return res.status(409).json({
+        ok: false,
+        estado: resultado.anterior.estado,
+        supersededBy: resultado.anterior.supersededBy,
+        error: resultado.error
+      });
+    }
+
+    const { nueva } = resultado;
+
+    const { token } = nueva;
+
+    solicitudesRepo.invalidar(tycSolicitudId);
+    solicitudesRepo.guardarNueva(hashToken(token), nueva);
+    metricaCreada(nueva);
+
+    console.log(`🔁 Solicitud TyC ${tycSolicitudId} reemitida como ${nueva.tycSolicitudId}`);
+
+    return res.json({
+      ok: true,
+      tycSolicitudId: nueva.tycSolicitudId,
+      parentTycSolicitudId: tycSolicitudId,
+      preclienteId: nueva.preclienteId,
+      url: urlDeSolicitud(token),
+      token,
+      expiresAt: nueva.expiresAt,
+      producto: nueva.producto,
+      idioma: nueva.idioma,
+      zonaHoraria: nueva.zonaHoraria,
+      documento: {
+        id: nueva.documentoId,
+        version: nueva.documentoVersion,
+        hash: nueva.documentoHash
+      },
+      documentosAdicionales: nueva.documentosAdicionales.map((d) => ({
+        id: d.documentoId,
+        version: d.version,
+        hash: d.hash
+      })),
+      consentimientos: nueva.consentimientos.map((c) => ({ codigo: c.codigo, obligatorio: c.obligatorio })),
+      eventos: eventosDeSolicitud(nueva)
+    });
+  } catch (err) {
+    console.error('[TyC] Error reemitiendo solicitud:', err);
+    return res.status(500).json({ ok: false, error: 'Error reemitiendo la solicitud' });
   }
 });
 
 /**
  * POST /api/tyc/cron/check-expired
  *
- * Lo puede llamar n8n cada X minutos.
- * - Revisa todas las solicitudes en memoria.
- * - Si están en CREADA o ABIERTA y ya expiraron, las marca como EXPIRADA.
- * - Envía webhook TYC_EXPIRADA para cada una.
+ * Disparo manual de la tarea de expiración (la corre sola el programador, ver tareas.js).
+ * - Marca como EXPIRADA las CREADA/ABIERTA que ya vencieron (un lote de `limit`, default 200, máx 1000)
+ *   y encola TYC_EXPIRADA para cada una.
+ * - Encola TYC_POR_EXPIRAR para las vigentes a las que les toca recordatorio (TYC_RECORDATORIOS_MIN).
+ * - Con simular=true (body o query) solo reporta lo que haría, sin cambiar nada.
+ *
+ * Responde { ok, simulacion, total, expiradas, recordatorios }; cada elemento trae el teléfono
+ * de la metadata (telefono, telefonoDigits), y los recordatorios umbralMinutos y minutosRestantes.
+ * Responde 409 si la tarea está corriendo en ese momento (en esta u otra instancia).
  */
-router.post('/api/tyc/cron/check-expired', requireInternalSecret, async (req, res) => {
+router.post('/api/tyc/cron/check-expired', requireScope(SCOPES.CRON_RUN), async (req, res) => {
+  const limit = Number(req.body?.limit ?? req.query?.limit ?? 200);
+  const simular = String(req.body?.simular ?? req.query?.simular ?? 'false') === 'true';
+
   try {
-    // n8n (Cron) llama este endpoint cada X minutos para marcar expiradas
-    // y obtener la lista de solicitudes recién-expiradas.
-    const limit = Number(req.body?.limit ?? req.query?.limit ?? 200);
-    const batchSize = Number.isFinite(limit) && limit > 0 ? Math.min(limit, 1000) : 200;
-
-    const result = await pool.query(
-  `WITH exp AS (
-     SELECT token
-     FROM tyc_solicitudes
-     WHERE expires_at < NOW()
-       AND estado <> $1
-       AND estado <> $2
-     ORDER BY expires_at ASC
-     LIMIT $3
-   )
-   UPDATE tyc_solicitudes t
-   SET estado = $2
-   FROM exp
-   WHERE t.token = exp.token
-   RETURNING
-     t.token,
-     t.precliente_id,
-     t.tyc_solicitud_id,
-     t.expires_at,
-     COALESCE(
-       NULLIF(t.metadata->>'whatsappNumero',''),
-       NULLIF(t.metadata->>'whatsapp',''),
-       NULLIF(t.metadata->>'telefono',''),
-       NULLIF(t.metadata->>'phone','')
-     ) AS telefono,
-     t.metadata`,
-  [STATES.ACEPTADA, STATES.EXPIRADA, batchSize]
-  );
-
-  const expiradas = (result.rows || []).map((r) => {
-    const telefonoRaw = r.telefono || null;
-    const telefonoDigits = telefonoRaw ? String(telefonoRaw).replace(/\D/g, '') : null;
-
-    return {
-    token: r.token,
-    preclienteId: r.precliente_id,
-    tycSolicitudId: r.tyc_solicitud_id,
-    expiresAt: r.expires_at?.toISOString?.() ?? String(r.expires_at),
-    telefono: telefonoRaw,
-    telefonoDigits,
-    metadata: r.metadata || {},
-    evento: 'TYC_EXPIRADA',
-    };
-  });
+    let resultado;
+
+    if (simular) {
+      resultado = await simularExpiracion({ limit });
+    } else {
+      const r = await ejecutarTarea(TAREAS.EXPIRACION, { manual: true, limit });
+
+      if (!r.ejecutada) {
+        return res.status(409).json({
+          ok: false,
+          error: 'La expiración se está ejecutando en este momento; intenta de nuevo en unos segundos'
+        });
+      }
+      resultado = r.resultado;
+    }
+
+    const { expiradas, recordatorios } = resultado;
+
+    return res.json({
+      ok: true,
+      simulacion: simular,
+      total: expiradas.length,
+      expiradas,
+      recordatorios
+    });
   } catch (err) {
     console.error('[TyC][CRON] Error marcando expiradas:', err);
     return res.status(500).json({
@@ -843,7 +1454,20 @@ router.post('/api/tyc/cron/check-expired', requireInternalSecret, async (req, re
   }
 });
 
+/**
+ * GET /api/tyc/cron/tareas
+ *
+ * Tareas programadas y su última corrida (cuándo, en qué instancia, resumen o error).
+ */
+router.get('/api/tyc/cron/tareas', requireScope(SCOPES.CRON_RUN), async (req, res) => {
+  try {
+    return res.json({ ok: true, tareas: await estadoTareas() });
+  } catch (err) {
+    console.error('[TyC][CRON] Error consultando tareas:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando las tareas' });
+  }
+});
+
 module.exports = {
-  router,
-  solicitudesTyC
+  router
 };
@@ -0,0 +1,846 @@
+// tycSolicitudes.js
+const crypto = require('crypto');
+const { pool, withTransaction } = require('./db');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { DOCUMENTO_DEFAULT, getVersionVigente } = require('./tycDocumentos');
+const { TIPOS_EVENTO, ACTORES, registrarEvento } = require('./tycAuditoria');
+const { hashToken, generarToken } = require('./tycTokens');
+const { guardarConsentimientos } = require('./consentimientos');
+const { metricaAbierta } = require('./metricas');
+
+// Estados posibles
+const STATES = {
+  CREADA: 'CREADA',
+  ABIERTA: 'ABIERTA',
+  ACEPTADA: 'ACEPTADA',
+  EXPIRADA: 'EXPIRADA',
+  CANCELADA: 'CANCELADA',
+  REEMPLAZADA: 'REEMPLAZADA',
+  RECHAZADA: 'RECHAZADA'
+};
+
+/**
+ * Columnas de tyc_solicitudes que usamos para re-hidratar una solicitud.
+ * El token en claro nunca se lee de BD (solo token_hash, ver tycTokens.js).
+ * Los documentos adicionales y los consentimientos vienen como arreglos JSON.
+ */
+const SOLICITUD_COLUMNS = `
+  tyc_solicitud_id,
+  precliente_id,
+  canal,
+  webhook_url,
+  metadata,
+  producto,
+  idioma,
+  zona_horaria,
+  estado,
+  created_at,
+  expires_at,
+  opened_at,
+  accepted_at,
+  accepted_ip,
+  accepted_user_agent,
+  documento_id,
+  documento_version,
+  documento_hash,
+  accepted_documento_hash,
+  accepted_idioma,
+  cancelled_at,
+  cancelled_by,
+  cancel_reason,
+  rejected_at,
+  rejected_ip,
+  rejected_user_agent,
+  rejection_reason,
+  rejection_comment,
+  parent_tyc_solicitud_id,
+  superseded_by,
+  superseded_at,
+  created_by_client,
+  requiere_otp,
+  otp_telefono,
+  otp_verified_at,
+  accepted_ip_cadena,
+  accepted_accept_language,
+  accepted_telemetria,
+  requiere_firma,
+  firma_nombre,
+  firma_hash,
+  revoked_at,
+  revocation_reason,
+  anonymized_at,
+  codigo_constancia,
+  webhook_eventos,
+  (SELECT COALESCE(json_agg(json_build_object(
+            'documento_id', d.documento_id,
+            'documento_version', d.documento_version,
+            'documento_hash', d.documento_hash,
+            'accepted_documento_hash', d.accepted_documento_hash,
+            'accepted_idioma', d.accepted_idioma
+          ) ORDER BY d.orden), '[]')
+   FROM tyc_solicitud_documentos d
+   WHERE d.tyc_solicitud_id = tyc_solicitudes.tyc_solicitud_id) AS documentos_adicionales,
+  (SELECT COALESCE(json_agg(json_build_object(
+            'codigo', c.codigo,
+            'obligatorio', c.obligatorio,
+            'otorgado', c.otorgado,
+            'etiqueta', c.etiqueta,
+            'idioma', c.idioma,
+            'respondido_at', c.respondido_at,
+            'revocado_at', c.revocado_at
+          ) ORDER BY c.orden), '[]')
+   FROM tyc_solicitud_consentimientos c
+   WHERE c.tyc_solicitud_id = tyc_solicitudes.tyc_solicitud_id) AS consentimientos`;
+
+// Canal de LISTEN/NOTIFY por el que se avisa a todas las instancias que cambió una solicitud
+const CANAL_CAMBIOS = 'tyc_solicitud_cambio';
+
+/**
+ * Avisa a todas las instancias (al hacer COMMIT) que la solicitud cambió, para que
+ * la saquen de su caché (ver solicitudesRepo.js). Llamar con el client de la
+ * transacción que hace el cambio: si hay ROLLBACK no se avisa nada.
+ */
+async function notificarCambio(db, tycSolicitudId) {
+  await db.query('SELECT pg_notify($1, $2)', [CANAL_CAMBIOS, tycSolicitudId]);
+}
+
+function toIso(value) {
+  if (!value) return null;
+  return value.toISOString?.() ?? String(value);
+}
+
+/**
+ * Convierte una fila de tyc_solicitudes al mismo formato que usamos en memoria.
+ */
+function rowToSolicitud(row) {
+  return {
+    tycSolicitudId: row.tyc_solicitud_id,
+    preclienteId: row.precliente_id,
+    canal: row.canal,
+    estado: row.estado,
+    createdAt: toIso(row.created_at) ?? String(row.created_at),
+    expiresAt: toIso(row.expires_at) ?? String(row.expires_at),
+    webhookUrl: row.webhook_url,
+    metadata: row.metadata || {},
+    producto: row.producto || null,
+    idioma: row.idioma || null,
+    zonaHoraria: row.zona_horaria || null,
+    openedAt: toIso(row.opened_at),
+    acceptedAt: toIso(row.accepted_at),
+    acceptedIp: row.accepted_ip || null,
+    acceptedUserAgent: row.accepted_user_agent || null,
+    documentoId: row.documento_id || null,
+    documentoVersion: row.documento_version || null,
+    documentoHash: row.documento_hash || null,
+    acceptedDocumentoHash: row.accepted_documento_hash || null,
+    acceptedIdioma: row.accepted_idioma || null,
+    cancelledAt: toIso(row.cancelled_at),
+    cancelledBy: row.cancelled_by || null,
+    cancelReason: row.cancel_reason || null,
+    rejectedAt: toIso(row.rejected_at),
+    rejectedIp: row.rejected_ip || null,
+    rejectedUserAgent: row.rejected_user_agent || null,
+    rejectionReason: row.rejection_reason || null,
+    rejectionComment: row.rejection_comment || null,
+    parentTycSolicitudId: row.parent_tyc_solicitud_id || null,
+    supersededBy: row.superseded_by || null,
+    supersededAt: toIso(row.superseded_at),
+    createdByClient: row.created_by_client || null,
+    requiereOtp: row.requiere_otp === true,
+    otpTelefono: row.otp_telefono || null,
+    otpVerifiedAt: toIso(row.otp_verified_at),
+    acceptedIpCadena: row.accepted_ip_cadena || null,
+    acceptedAcceptLanguage: row.accepted_accept_language || null,
+    acceptedTelemetria: row.accepted_telemetria || null,
+    requiereFirma: row.requiere_firma === true,
+    firmaNombre: row.firma_nombre || null,
+    firmaHash: row.firma_hash || null,
+    revokedAt: toIso(row.revoked_at),
+    revocationReason: row.revocation_reason || null,
+    anonymizedAt: toIso(row.anonymized_at),
+    codigoConstancia: row.codigo_constancia || null,
+    webhookEventos: row.webhook_eventos || null,
+    documentosAdicionales: (row.documentos_adicionales || []).map((d) => ({
+      documentoId: d.documento_id,
+      version: d.documento_version,
+      hash: d.documento_hash,
+      acceptedDocumentoHash: d.accepted_documento_hash || null,
+      acceptedIdioma: d.accepted_idioma || null
+    })),
+    consentimientos: (row.consentimientos || []).map((c) => ({
+      codigo: c.codigo,
+      obligatorio: c.obligatorio,
+      otorgado: c.otorgado,
+      etiqueta: c.etiqueta || null,
+      idioma: c.idioma || null,
+      respondidoAt: c.respondido_at ? new Date(c.respondido_at).toISOString() : null,
+      revocadoAt: c.revocado_at ? new Date(c.revocado_at).toISOString() : null
+    }))
+  };
+}
+
+/**
+ * Busca una solicitud por el hash de su token. Regresa null si no existe.
+ */
+async function getSolicitudPorTokenHash(tokenHash, db = pool) {
+  const r = await db.query(
+    `SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     WHERE token_hash = $1
+     LIMIT 1`,
+    [tokenHash]
+  );
+
+  return r.rowCount > 0 ? rowToSolicitud(r.rows[0]) : null;
+}
+
+/**
+ * Busca una solicitud por su token (se busca por token_hash). Regresa null si no existe.
+ */
+async function getSolicitudPorToken(token, db = pool) {
+  return getSolicitudPorTokenHash(hashToken(token), db);
+}
+
+/**
+ * Busca una solicitud por tycSolicitudId. Regresa null si no existe.
+ */
+async function getSolicitudPorId(tycSolicitudId, db = pool) {
+  const r = await db.query(
+    `SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     WHERE tyc_solicitud_id = $1
+     LIMIT 1`,
+    [tycSolicitudId]
+  );
+
+  return r.rowCount > 0 ? rowToSolicitud(r.rows[0]) : null;
+}
+
+/**
+ * URL pública que se le manda al cliente.
+ */
+function urlDeSolicitud(token) {
+  // Construimos la URL base desde ENV o default en local
+  const baseUrl = process.env.TYC_BASE_URL || `http://localhost:${process.env.PORT || 3002}`;
+  return `${baseUrl}/tyc/${token}`;
+}
+
+/**
+ * Crea (INSERT) una solicitud nueva en estado CREADA.
+ *
+ * datos:
+ *  - preclienteId, canal, webhookUrl, metadata
+ *  - producto: define la marca de la página (marcas.js), opcional, ya validado
+ *  - idioma, zonaHoraria: con los que se muestra la página (opcionales, ya validados)
+ *  - ttlMinutos
+ *  - documento: versión vigente (tycDocumentos.getVersionVigente) a la que queda amarrada
+ *  - documentosAdicionales: versiones vigentes de los demás documentos a mostrar, en orden (opcional)
+ *  - consentimientos: [{ codigo, obligatorio }] ya validados (consentimientos.js), opcional
+ *  - parentTycSolicitudId: solicitud que esta reemplaza (reemisión), opcional
+ *  - actor: quién la crea, para la bitácora de auditoría (default "API")
+ *  - cliente: cliente de la API (API key) que la crea, queda en created_by_client
+ *  - requiereOtp: pedir código por teléfono antes de aceptar (otp.js), ya validado
+ *  - requiereFirma: pedir nombre y firma dibujada antes de aceptar (firma.js)
+ *  - webhookEventos: [{ evento, webhookUrl }] ya validados (webhookEventos.js), opcional;
+ *    si incluye TYC_CREADA se encola en la misma transacción
+ *
+ * Regresa la solicitud en el formato de memoria, más el token en claro
+ * (única vez que existe: para armar la URL).
+ */
+async function crearSolicitud(datos, db = pool) {
+  // El INSERT y su primer evento de auditoría van juntos
+  if (db === pool) {
+    return withTransaction((client) => crearSolicitud(datos, client));
+  }
+
+  const ahora = new Date();
+  const expiresAt = new Date(ahora.getTime() + datos.ttlMinutos * 60 * 1000);
+
+  // Token firmado que lleva su propia expiración; en BD solo guardamos su hash
+  const token = generarToken(expiresAt);
+  const tokenHash = hashToken(token);
+
+  // ID de solicitud: timestamp + sufijo aleatorio (las reemisiones pueden caer en el mismo ms)
+  const tycSolicitudId = `TYC-${ahora.getTime()}-${crypto.randomBytes(2).toString('hex')}`;
+
+  const solicitud = {
+    tycSolicitudId,
+    preclienteId: datos.preclienteId,
+    canal: datos.canal || 'WHATSAPP',
+    token,
+    estado: STATES.CREADA,
+    createdAt: ahora.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    webhookUrl: datos.webhookUrl,
+    metadata: datos.metadata || {},
+    producto: datos.producto || null,
+    idioma: datos.idioma || null,
+    zonaHoraria: datos.zonaHoraria || null,
+    documentoId: datos.documento.documentoId,
+    documentoVersion: datos.documento.version,
+    documentoHash: datos.documento.hash,
+    parentTycSolicitudId: datos.parentTycSolicitudId || null,
+    createdByClient: datos.cliente || null,
+    requiereOtp: datos.requiereOtp === true,
+    requiereFirma: datos.requiereFirma === true,
+    webhookEventos: datos.webhookEventos || null,
+    documentosAdicionales: (datos.documentosAdicionales || []).map((d) => ({
+      documentoId: d.documentoId,
+      version: d.version,
+      hash: d.hash,
+      acceptedDocumentoHash: null,
+      acceptedIdioma: null
+    })),
+    consentimientos: (datos.consentimientos || []).map((c) => ({
+      codigo: c.codigo,
+      obligatorio: c.obligatorio,
+      otorgado: null,
+      etiqueta: null,
+      idioma: null,
+      respondidoAt: null,
+      revocadoAt: null
+    })),
+    acceptedAt: null,
+    acceptedIp: null,
+    acceptedUserAgent: null
+  };
+
+  await db.query(
+    `INSERT INTO tyc_solicitudes (
+      tyc_solicitud_id,
+      precliente_id,
+      token_hash,
+      canal,
+      webhook_url,
+      metadata,
+      estado,
+      created_at,
+      expires_at,
+      documento_id,
+      documento_version,
+      documento_hash,
+      parent_tyc_solicitud_id,
+      idioma,
+      zona_horaria,
+      producto,
+      created_by_client,
+      requiere_otp,
+      requiere_firma,
+      webhook_eventos
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)`,
+    [
+      solicitud.tycSolicitudId,
+      solicitud.preclienteId,
+      tokenHash,
+      solicitud.canal,
+      solicitud.webhookUrl,
+      solicitud.metadata,
+      solicitud.estado,
+      solicitud.createdAt,
+      solicitud.expiresAt,
+      solicitud.documentoId,
+      solicitud.documentoVersion,
+      solicitud.documentoHash,
+      solicitud.parentTycSolicitudId,
+      solicitud.idioma,
+      solicitud.zonaHoraria,
+      solicitud.producto,
+      solicitud.createdByClient,
+      solicitud.requiereOtp,
+      solicitud.requiereFirma,
+      solicitud.webhookEventos && JSON.stringify(solicitud.webhookEventos)
+    ]
+  );
+
+  for (const [i, d] of solicitud.documentosAdicionales.entries()) {
+    await db.query(
+      `INSERT INTO tyc_solicitud_documentos (
+         tyc_solicitud_id, orden, documento_id, documento_version, documento_hash
+       ) VALUES ($1, $2, $3, $4, $5)`,
+      [tycSolicitudId, i + 1, d.documentoId, d.version, d.hash]
+    );
+  }
+
+  await guardarConsentimientos(db, tycSolicitudId, solicitud.consentimientos);
+
+  await registrarEvento(db, {
+    tycSolicitudId,
+    tipo: TIPOS_EVENTO.CREADA,
+    estado: solicitud.estado,
+    actor: datos.actor || ACTORES.API,
+    detalle: {
+      canal: solicitud.canal,
+      expiresAt: solicitud.expiresAt,
+      producto: solicitud.producto,
+      idioma: solicitud.idioma,
+      zonaHoraria: solicitud.zonaHoraria,
+      requiereOtp: solicitud.requiereOtp,
+      requiereFirma: solicitud.requiereFirma,
+      documento: {
+        id: solicitud.documentoId,
+        version: solicitud.documentoVersion,
+        hash: solicitud.documentoHash
+      },
+      documentosAdicionales: solicitud.documentosAdicionales.map((d) => ({
+        id: d.documentoId,
+        version: d.version,
+        hash: d.hash
+      })),
+      consentimientos: solicitud.consentimientos.map((c) => ({ codigo: c.codigo, obligatorio: c.obligatorio })),
+      webhookEventos: solicitud.webhookEventos,
+      parentTycSolicitudId: solicitud.parentTycSolicitudId,
+      cliente: solicitud.createdByClient
+    }
+  });
+
+  await enqueueWebhook(db, solicitud, 'TYC_CREADA');
+
+  return solicitud;
+}
+
+/**
+ * Reemite una solicitud: crea una nueva (nuevo token y expiración) con el mismo
+ * precliente, canal, webhookUrl, eventos de webhook, metadata, producto, idioma, zona horaria,
+ * requiereOtp, requiereFirma, documentos y consentimientos, y deja la anterior invalidada con superseded_by -> nueva y la nueva con
+ * parent_tyc_solicitud_id -> anterior.
+ *
+ * Las que estaban CREADA/ABIERTA pasan a REEMPLAZADA; EXPIRADA/CANCELADA/RECHAZADA conservan su estado.
+ * La nueva queda amarrada a la versión vigente de cada documento y registrada con el
+ * cliente de la API que la reemite (cliente).
+ *
+ * Regresa null si no existe, o { anterior, nueva } / { anterior, error } si no se puede.
+ */
+async function reemitirSolicitud(tycSolicitudId, { ttlMinutos, actor, cliente }) {
+  return withTransaction(async (client) => {
+    const r = await client.query(
+      `SELECT ${SOLICITUD_COLUMNS}
+       FROM tyc_solicitudes
+       WHERE tyc_solicitud_id = $1
+       FOR UPDATE`,
+      [tycSolicitudId]
+    );
+
+    if (r.rowCount === 0) return null;
+
+    const anterior = rowToSolicitud(r.rows[0]);
+
+    if (anterior.estado === STATES.ACEPTADA) {
+      return { anterior, error: 'La solicitud ya fue aceptada, no se puede reemitir' };
+    }
+
+    if (anterior.supersededBy) {
+      return { anterior, error: `La solicitud ya fue reemitida como ${anterior.supersededBy}` };
+    }
+
+    // La nueva liga muestra la versión vigente hoy del mismo documento
+    const documentoId = anterior.documentoId || DOCUMENTO_DEFAULT;
+    const documento = await getVersionVigente(documentoId, client);
+    if (!documento) {
+      return { anterior, error: `No hay una versión vigente del documento ${documentoId}` };
+    }
+
+    const documentosAdicionales = [];
+    for (const d of anterior.documentosAdicionales) {
+      const vigente = await getVersionVigente(d.documentoId, client);
+      if (!vigente) {
+        return { anterior, error: `No hay una versión vigente del documento ${d.documentoId}` };
+      }
+      documentosAdicionales.push(vigente);
+    }
+
+    const nueva = await crearSolicitud({
+      preclienteId: anterior.preclienteId,
+      canal: anterior.canal,
+      webhookUrl: anterior.webhookUrl,
+      webhookEventos: anterior.webhookEventos,
+      metadata: anterior.metadata,
+      producto: anterior.producto,
+      idioma: anterior.idioma,
+      zonaHoraria: anterior.zonaHoraria,
+      requiereOtp: anterior.requiereOtp,
+      requiereFirma: anterior.requiereFirma,
+      ttlMinutos,
+      documento,
+      documentosAdicionales,
+      consentimientos: anterior.consentimientos.map((c) => ({ codigo: c.codigo, obligatorio: c.obligatorio })),
+      parentTycSolicitudId: anterior.tycSolicitudId,
+      actor,
+      cliente
+    }, client);
+
+    const upd = await client.query(
+      `UPDATE tyc_solicitudes
+       SET superseded_by = $2,
+           superseded_at = NOW(),
+           estado = CASE WHEN estado IN ($3, $4) THEN $5 ELSE estado END
+       WHERE tyc_solicitud_id = $1
+       RETURNING ${SOLICITUD_COLUMNS}`,
+      [anterior.tycSolicitudId, nueva.tycSolicitudId, STATES.CREADA, STATES.ABIERTA, STATES.REEMPLAZADA]
+    );
+
+    const reemplazada = rowToSolicitud(upd.rows[0]);
+
+    await registrarEvento(client, {
+      tycSolicitudId: reemplazada.tycSolicitudId,
+      tipo: TIPOS_EVENTO.REEMPLAZADA,
+      estado: reemplazada.estado,
+      actor: actor || ACTORES.API,
+      detalle: { supersededBy: nueva.tycSolicitudId }
+    });
+    await notificarCambio(client, reemplazada.tycSolicitudId);
+
+    return { anterior: reemplazada, nueva };
+  });
+}
+
+/**
+ * Todas las solicitudes de la cadena de reemisiones a la que pertenece una,
+ * de la original a la más reciente.
+ */
+async function getCadena(tycSolicitudId, db = pool) {
+  const r = await db.query(
+    `WITH RECURSIVE ancestros AS (
+       SELECT tyc_solicitud_id, parent_tyc_solicitud_id
+       FROM tyc_solicitudes
+       WHERE tyc_solicitud_id = $1
+       UNION ALL
+       SELECT p.tyc_solicitud_id, p.parent_tyc_solicitud_id
+       FROM tyc_solicitudes p
+       JOIN ancestros a ON p.tyc_solicitud_id = a.parent_tyc_solicitud_id
+     ),
+     cadena AS (
+       SELECT tyc_solicitud_id, 1 AS n
+       FROM ancestros
+       WHERE parent_tyc_solicitud_id IS NULL
+       UNION ALL
+       SELECT h.tyc_solicitud_id, c.n + 1
+       FROM tyc_solicitudes h
+       JOIN cadena c ON h.parent_tyc_solicitud_id = c.tyc_solicitud_id
+     )
+     SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     JOIN cadena USING (tyc_solicitud_id)
+     ORDER BY cadena.n ASC`,
+    [tycSolicitudId]
+  );
+
+  return r.rows.map(rowToSolicitud);
+}
+
+/**
+ * Cancela una solicitud CREADA/ABIERTA y encola TYC_CANCELADA en la misma transacción.
+ * Regresa null si no existe; { solicitud, cancelada: false } si su estado no lo permite.
+ */
+async function cancelarSolicitud(tycSolicitudId, { motivo, actor }) {
+  return withTransaction(async (client) => {
+    const upd = await client.query(
+      `UPDATE tyc_solicitudes
+       SET estado = $2,
+           cancelled_at = NOW(),
+           cancelled_by = $3,
+           cancel_reason = $4
+       WHERE tyc_solicitud_id = $1
+         AND estado IN ($5, $6)
+       RETURNING ${SOLICITUD_COLUMNS}`,
+      [tycSolicitudId, STATES.CANCELADA, actor, motivo, STATES.CREADA, STATES.ABIERTA]
+    );
+
+    if (upd.rowCount > 0) {
+      const solicitud = rowToSolicitud(upd.rows[0]);
+      await registrarEvento(client, {
+        tycSolicitudId,
+        tipo: TIPOS_EVENTO.CANCELADA,
+        estado: solicitud.estado,
+        actor,
+        detalle: { motivo }
+      });
+      await notificarCambio(client, tycSolicitudId);
+      await enqueueWebhook(client, solicitud, 'TYC_CANCELADA');
+      return { solicitud, cancelada: true };
+    }
+
+    const solicitud = await getSolicitudPorId(tycSolicitudId, client);
+    return solicitud ? { solicitud, cancelada: false } : null;
+  });
+}
+
+/**
+ * Registra que el cliente NO aceptó (botón "No acepto") y encola TYC_RECHAZADA
+ * en la misma transacción. Solo aplica a solicitudes CREADA/ABIERTA.
+ *
+ * datos: motivo (código de motivosRechazo, opcional), comentario, ip, userAgent
+ *
+ * Regresa null si no existe; { solicitud, rechazada: false } si su estado no lo permite.
+ */
+async function rechazarSolicitud(tycSolicitudId, { motivo, comentario, ip, userAgent }) {
+  return withTransaction(async (client) => {
+    const upd = await client.query(
+      `UPDATE tyc_solicitudes
+       SET estado = $2,
+           rejected_at = NOW(),
+           rejected_ip = $3,
+           rejected_user_agent = $4,
+           rejection_reason = $5,
+           rejection_comment = $6
+       WHERE tyc_solicitud_id = $1
+         AND accepted_at IS NULL
+         AND estado IN ($7, $8)
+       RETURNING ${SOLICITUD_COLUMNS}`,
+      [tycSolicitudId, STATES.RECHAZADA, ip, userAgent, motivo, comentario, STATES.CREADA, STATES.ABIERTA]
+    );
+
+    if (upd.rowCount > 0) {
+      const solicitud = rowToSolicitud(upd.rows[0]);
+      await registrarEvento(client, {
+        tycSolicitudId: solicitud.tycSolicitudId,
+        tipo: TIPOS_EVENTO.RECHAZADA,
+        estado: solicitud.estado,
+        actor: ACTORES.CLIENTE,
+        ip,
+        userAgent,
+        detalle: { motivo },
+        datosPersonales: { comentario }
+      });
+      await notificarCambio(client, tycSolicitudId);
+      await enqueueWebhook(client, solicitud, 'TYC_RECHAZADA');
+      return { solicitud, rechazada: true };
+    }
+
+    const solicitud = await getSolicitudPorId(tycSolicitudId, client);
+    return solicitud ? { solicitud, rechazada: false } : null;
+  });
+}
+
+/**
+ * Registra en la bitácora una visita del cliente a la página.
+ * Con `abrir`, además persiste opened_at (solo la primera vez) y el cambio CREADA -> ABIERTA;
+ * la primera apertura encola TYC_ABIERTA (si la solicitud se suscribió, ver webhookEventos.js).
+ * `resultado` es lo que se le mostró (MOSTRADA, EXPIRADA, CANCELADA, ...).
+ *
+ * Regresa el estado de la solicitud después de la visita, o null si no existe.
+ */
+async function registrarVista(tycSolicitudId, { ip, userAgent, abrir, resultado }) {
+  let primeraApertura = null;
+
+  const estadoFinal = await withTransaction(async (client) => {
+    const r = await client.query(
+      `SELECT estado, opened_at
+       FROM tyc_solicitudes
+       WHERE tyc_solicitud_id = $1
+       FOR UPDATE`,
+      [tycSolicitudId]
+    );
+
+    if (r.rowCount === 0) return null;
+
+    let { estado } = r.rows[0];
+
+    // Solo la primera apertura cambia la solicitud (opened_at / ABIERTA)
+    if (abrir && (!r.rows[0].opened_at || estado === STATES.CREADA)) {
+      const upd = await client.query(
+        `UPDATE tyc_solicitudes
+         SET
+           opened_at = COALESCE(opened_at, NOW()),
+           estado = CASE WHEN estado = $2 THEN $3 ELSE estado END
+         WHERE tyc_solicitud_id = $1
+         RETURNING ${SOLICITUD_COLUMNS}`,
+        [tycSolicitudId, STATES.CREADA, STATES.ABIERTA]
+      );
+      const solicitud = rowToSolicitud(upd.rows[0]);
+      estado = solicitud.estado;
+      await notificarCambio(client, tycSolicitudId);
+
+      if (!r.rows[0].opened_at) {
+        await enqueueWebhook(client, solicitud, 'TYC_ABIERTA');
+        primeraApertura = solicitud;
+      }
+    }
+
+    await registrarEvento(client, {
+      tycSolicitudId,
+      tipo: TIPOS_EVENTO.VISTA,
+      estado,
+      actor: ACTORES.CLIENTE,
+      ip,
+      userAgent,
+      detalle: { resultado }
+    });
+
+    return estado;
+  });
+
+  if (primeraApertura) metricaAbierta(primeraApertura);
+
+  return estadoFinal;
+}
+
+/**
+ * Solicitud tal como la regresamos en los endpoints internos (sin el token).
+ */
+function solicitudParaApi(solicitud) {
+  const { token, ...resto } = solicitud;
+  return resto;
+}
+
+// Columnas por las que se puede ordenar (no nulas, para que el cursor sea estable)
+const ORDENES = {
+  created_at: 'created_at',
+  expires_at: 'expires_at'
+};
+
+// Filtros de rango: query param -> columna
+const RANGOS = {
+  createdDesde: ['created_at', '>='],
+  createdHasta: ['created_at', '<'],
+  expiresDesde: ['expires_at', '>='],
+  expiresHasta: ['expires_at', '<'],
+  acceptedDesde: ['accepted_at', '>='],
+  acceptedHasta: ['accepted_at', '<']
+};
+
+function encodeCursor(valor, id) {
+  return Buffer.from(JSON.stringify([valor, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [valor, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof valor !== 'string' || typeof id !== 'string') return null;
+    return { valor, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Búsqueda paginada con cursor (keyset) y orden estable (columna + tyc_solicitud_id).
+ *
+ * filtros:
+ *  - preclienteId, estados (array), canales (array)
+ *  - createdDesde/createdHasta, expiresDesde/expiresHasta, acceptedDesde/acceptedHasta (ISO)
+ *  - metadata: { campo: valor } compara metadata->>campo = valor
+ *  - orden ('created_at' | 'expires_at'), dir ('asc' | 'desc'), limit, cursor
+ *
+ * Lanza un Error con .status = 400 si algún filtro es inválido.
+ */
+async function buscarSolicitudes(filtros = {}, db = pool) {
+  const invalido = (mensaje) => Object.assign(new Error(mensaje), { status: 400 });
+
+  const where = [];
+  const params = [];
+  const param = (valor) => {
+    params.push(valor);
+    return `$${params.length}`;
+  };
+
+  if (filtros.preclienteId) {
+    // ?preclienteId=a&preclienteId=b llega como lista
+    if (typeof filtros.preclienteId !== 'string') {
+      throw invalido('preclienteId debe ser un solo valor');
+    }
+    where.push(`precliente_id = ${param(filtros.preclienteId)}`);
+  }
+  if (filtros.estados?.length) {
+    where.push(`estado = ANY(${param(filtros.estados)}::text[])`);
+  }
+  if (filtros.canales?.length) {
+    where.push(`canal = ANY(${param(filtros.canales)}::text[])`);
+  }
+
+  for (const [nombre, [columna, operador]] of Object.entries(RANGOS)) {
+    if (!filtros[nombre]) continue;
+    const fecha = new Date(filtros[nombre]);
+    if (Number.isNaN(fecha.getTime())) {
+      throw invalido(`${nombre} no es una fecha válida`);
+    }
+    where.push(`${columna} ${operador} ${param(fecha.toISOString())}`);
+  }
+
+  for (const [campo, valor] of Object.entries(filtros.metadata || {})) {
+    if (!/^[A-Za-z0-9_]+$/.test(campo)) {
+      throw invalido(`metadata.${campo} no es un nombre de campo válido`);
+    }
+    where.push(`metadata->>${param(campo)} = ${param(String(valor))}`);
+  }
+
+  const orden = ORDENES[filtros.orden || 'created_at'];
+  if (!orden) {
+    throw invalido(`orden debe ser uno de: ${Object.keys(ORDENES).join(', ')}`);
+  }
+  const dir = String(filtros.dir || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+  if (filtros.cursor) {
+    const cursor = decodeCursor(filtros.cursor);
+    if (!cursor) throw invalido('cursor inválido');
+    const cmp = dir === 'ASC' ? '>' : '<';
+    where.push(`(${orden}, tyc_solicitud_id) ${cmp} (${param(cursor.valor)}::timestamptz, ${param(cursor.id)})`);
+  }
+
+  const limit = Math.min(Math.max(Number(filtros.limit) || 50, 1), 200);
+
+  // Pedimos uno de más para saber si hay otra página
+  const r = await db.query(
+    `SELECT ${SOLICITUD_COLUMNS}
+     FROM tyc_solicitudes
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY ${orden} ${dir}, tyc_solicitud_id ${dir}
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const rows = r.rows.slice(0, limit);
+  const ultima = rows[rows.length - 1];
+
+  return {
+    solicitudes: rows.map(rowToSolicitud),
+    nextCursor: r.rows.length > limit ? encodeCursor(toIso(ultima[orden]), ultima.tyc_solicitud_id) : null
+  };
+}
+
+/**
+ * Resumen de las solicitudes de un precliente (para contestar "¿ya aceptó?").
+ */
+async function resumenPrecliente(preclienteId, db = pool) {
+  const r = await db.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COALESCE(BOOL_OR(accepted_at IS NOT NULL), false) AS aceptada,
+       MAX(accepted_at) AS ultima_aceptacion,
+       MAX(rejected_at) AS ultimo_rechazo,
+       MAX(created_at) AS ultima_solicitud
+     FROM tyc_solicitudes
+     WHERE precliente_id = $1`,
+    [preclienteId]
+  );
+
+  const row = r.rows[0];
+  return {
+    total: row.total,
+    aceptada: row.aceptada,
+    ultimaAceptacion: toIso(row.ultima_aceptacion),
+    ultimoRechazo: toIso(row.ultimo_rechazo),
+    ultimaSolicitud: toIso(row.ultima_solicitud)
+  };
+}
+
+module.exports = {
+  STATES,
+  CANAL_CAMBIOS,
+  notificarCambio,
+  SOLICITUD_COLUMNS,
+  toIso,
+  rowToSolicitud,
+  solicitudParaApi,
+  getSolicitudPorToken,
+  getSolicitudPorTokenHash,
+  getSolicitudPorId,
+  urlDeSolicitud,
+  crearSolicitud,
+  reemitirSolicitud,
+  getCadena,
+  cancelarSolicitud,
+  rechazarSolicitud,
+  registrarVista,
+  buscarSolicitudes,
+  resumenPrecliente
+};
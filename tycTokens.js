@@ -0,0 +1,131 @@
+// tycTokens.js
+const crypto = require('crypto');
+
+/**
+ * Tokens de las URLs que se le mandan al cliente (/tyc/:token).
+ *
+ * Formato: "<aleatorio>.<expiración>.<firma>"
+ *  - aleatorio:  16 bytes en base64url
+ *  - expiración: segundos unix en base36 (igual a expires_at de la solicitud)
+ *  - firma:      HMAC-SHA256(TYC_TOKEN_SECRET, "<aleatorio>.<expiración>") en base64url, recortada a 128 bits
+ *
+ * En BD solo se guarda token_hash (sha256 hex del token completo); el token en claro
+ * solo existe en la URL. Con la firma, un token inventado o vencido se rechaza sin
+ * consultar Postgres.
+ *
+ * Rotación: TYC_TOKEN_SECRET firma; TYC_TOKEN_SECRET_ANTERIOR (opcional) se sigue
+ * aceptando para verificar hasta que venzan las ligas emitidas con él.
+ *
+ * Los tokens anteriores a este formato (32 caracteres hex, sin firma) se aceptan
+ * mientras TYC_TOKENS_LEGACY no sea "false"; para ellos no se puede saber la
+ * expiración sin ir a BD.
+ */
+
+const LEGACY_RE = /^[0-9a-f]{32}$/;
+const FIRMA_LEN = 22; // 128 bits en base64url
+const DEV_SECRET = 'dev_token_secret_no_usar_en_produccion';
+
+function getSecretos(env = process.env) {
+  const actual = env.TYC_TOKEN_SECRET || env.INTERNAL_API_SECRET || DEV_SECRET;
+  return [actual, env.TYC_TOKEN_SECRET_ANTERIOR].filter(Boolean);
+}
+
+function firmar(secret, cuerpo) {
+  return crypto.createHmac('sha256', secret).update(cuerpo).digest('base64url').slice(0, FIRMA_LEN);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a), 'utf8');
+  const bufB = Buffer.from(String(b), 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * sha256 hex del token: es lo único que guardamos y por lo que buscamos.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Genera un token nuevo que expira en expiresAt (Date o ISO).
+ */
+function generarToken(expiresAt) {
+  const aleatorio = crypto.randomBytes(16).toString('base64url');
+  const exp = Math.ceil(new Date(expiresAt).getTime() / 1000).toString(36);
+  const cuerpo = `${aleatorio}.${exp}`;
+  return `${cuerpo}.${firmar(getSecretos()[0], cuerpo)}`;
+}
+
+/**
+ * Valida un token SIN tocar BD.
+ *
+ * Regresa:
+ *  - { ok: false, error } si no tiene formato válido o la firma no corresponde
+ *  - { ok: true, tokenHash, legacy, expiresAt, expirado } si lo emitimos nosotros
+ *    (en tokens legacy expiresAt es null y expirado false: lo decide la BD)
+ */
+function verificarToken(token, { now = Date.now() } = {}) {
+  if (typeof token !== 'string' || token.length > 200) {
+    return { ok: false, error: 'Token inválido' };
+  }
+
+  if (LEGACY_RE.test(token)) {
+    if (process.env.TYC_TOKENS_LEGACY === 'false') {
+      return { ok: false, error: 'Token inválido' };
+    }
+    return { ok: true, tokenHash: hashToken(token), legacy: true, expiresAt: null, expirado: false };
+  }
+
+  const partes = token.split('.');
+  if (partes.length !== 3) {
+    return { ok: false, error: 'Token inválido' };
+  }
+
+  const [aleatorio, exp, firma] = partes;
+  const cuerpo = `${aleatorio}.${exp}`;
+
+  const valida = getSecretos().some((secret) => safeEqual(firmar(secret, cuerpo), firma));
+  if (!valida) {
+    return { ok: false, error: 'Token inválido' };
+  }
+
+  const expMs = parseInt(exp, 36) * 1000;
+  if (!Number.isFinite(expMs)) {
+    return { ok: false, error: 'Token inválido' };
+  }
+
+  return {
+    ok: true,
+    tokenHash: hashToken(token),
+    legacy: false,
+    expiresAt: new Date(expMs).toISOString(),
+    expirado: expMs < now
+  };
+}
+
+/**
+ * Se llama al arrancar. En producción no se permite arrancar sin un secreto propio para los tokens.
+ */
+function assertTokenConfig(env = process.env) {
+  const isProd = env.NODE_ENV === 'production';
+
+  if (!env.TYC_TOKEN_SECRET) {
+    if (isProd) {
+      throw new Error('TYC_TOKEN_SECRET es obligatorio en producción');
+    }
+    console.warn('⚠️ TYC_TOKEN_SECRET no está configurada, los tokens se firman con INTERNAL_API_SECRET (o un secreto de desarrollo).');
+    return;
+  }
+
+  if (isProd && env.TYC_TOKEN_SECRET.length < 32) {
+    throw new Error('TYC_TOKEN_SECRET es demasiado corto (mínimo 32 caracteres en producción)');
+  }
+}
+
+module.exports = {
+  hashToken,
+  generarToken,
+  verificarToken,
+  assertTokenConfig
+};
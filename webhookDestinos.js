@@ -0,0 +1,259 @@
+// webhookDestinos.js
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const ipaddr = require('ipaddr.js');
+
+/**
+ * A dónde podemos mandar webhooks.
+ *
+ * El webhookUrl lo manda el cliente de la API al crear la solicitud, y el POST sale
+ * desde nuestra red (donde viven Postgres y los demás servicios), así que:
+ *
+ *  - Solo http/https, sin usuario/contraseña en la URL.
+ *  - WEBHOOK_DESTINOS_PERMITIDOS: lista separada por comas de
+ *      · hosts:           "n8n.ama.mx", o "*.ama.mx" para cualquier subdominio
+ *      · prefijos de URL: "https://n8n.ama.mx/webhook/" (mismo esquema, host y puerto,
+ *                         y la ruta debe empezar con la del prefijo)
+ *    Si no está definida se acepta cualquier host público (con aviso al arrancar).
+ *  - El host se resuelve por DNS y se rechaza si alguna dirección no es pública
+ *    (loopback, privadas, link-local, CGNAT, multicast...), salvo que caiga en
+ *    WEBHOOK_REDES_PERMITIDAS (CIDRs separados por coma, ej. "172.18.0.0/16" para
+ *    el n8n de la red de docker).
+ *
+ * Al entregar se vuelve a validar, y los agentes HTTP revisan la dirección a la que
+ * realmente se conectan (así un DNS que cambia entre la validación y el envío no
+ * sirve para brincarse la regla).
+ */
+
+const MAX_URL = 2048;
+
+// IPv6 que ipaddr.js cuenta como unicast pero pueden llevar a una IPv4 privada
+const RANGOS_NO_PUBLICOS = [
+  ['64:ff9b:1::', 48], // NAT64 de uso local (RFC 8215); 64:ff9b::/96 ya es rfc6052
+  ['::', 96]           // IPv4 compatible (obsoleto), ej. ::7f00:1
+].map(([ip, bits]) => [ipaddr.parse(ip), bits]);
+
+function parseLista(valor) {
+  return String(valor || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * "https://n8n.ama.mx/webhook/" -> { tipo: 'prefijo', url }
+ * "*.ama.mx"                    -> { tipo: 'host', host: 'ama.mx', subdominios: true }
+ */
+function parseDestino(entrada) {
+  if (entrada.includes('://')) {
+    let url;
+    try {
+      url = new URL(entrada);
+    } catch (err) {
+      throw new Error(`WEBHOOK_DESTINOS_PERMITIDOS: URL inválida "${entrada}"`);
+    }
+    return { tipo: 'prefijo', url };
+  }
+
+  const host = entrada.toLowerCase();
+  if (host.startsWith('*.')) {
+    return { tipo: 'host', host: host.slice(2), subdominios: true };
+  }
+  return { tipo: 'host', host, subdominios: false };
+}
+
+function parseRed(cidr) {
+  try {
+    const [direccion, bits] = ipaddr.parseCIDR(cidr);
+    return { cidr, direccion, bits };
+  } catch (err) {
+    throw new Error(`WEBHOOK_REDES_PERMITIDAS: CIDR inválido "${cidr}"`);
+  }
+}
+
+function cargarConfig(env = process.env) {
+  return {
+    destinos: parseLista(env.WEBHOOK_DESTINOS_PERMITIDOS).map(parseDestino),
+    redes: parseLista(env.WEBHOOK_REDES_PERMITIDAS).map(parseRed)
+  };
+}
+
+let config = null;
+
+function getConfig() {
+  if (!config) config = cargarConfig();
+  return config;
+}
+
+function coincideDestino(url, destino) {
+  if (destino.tipo === 'host') {
+    const host = url.hostname.toLowerCase();
+    return host === destino.host || (destino.subdominios && host.endsWith(`.${destino.host}`));
+  }
+
+  const prefijo = destino.url;
+  if (url.protocol !== prefijo.protocol || url.host !== prefijo.host) return false;
+  if (url.pathname === prefijo.pathname) return true;
+
+  const base = prefijo.pathname.endsWith('/') ? prefijo.pathname : `${prefijo.pathname}/`;
+  return url.pathname.startsWith(base);
+}
+
+/**
+ * true si podemos conectarnos a esa IP: pública (unicast) o dentro de WEBHOOK_REDES_PERMITIDAS.
+ */
+function direccionPermitida(ip) {
+  let direccion = ipaddr.parse(ip);
+  if (direccion.kind() === 'ipv6' && direccion.isIPv4MappedAddress()) {
+    direccion = direccion.toIPv4Address();
+  }
+
+  const enRedPermitida = getConfig().redes.some(
+    (red) => red.direccion.kind() === direccion.kind() && direccion.match(red.direccion, red.bits)
+  );
+  if (enRedPermitida) return true;
+
+  if (direccion.kind() === 'ipv6' && RANGOS_NO_PUBLICOS.some(([red, bits]) => direccion.match(red, bits))) {
+    return false;
+  }
+  return direccion.range() === 'unicast';
+}
+
+function sinCorchetes(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Reglas que no dependen del DNS. Regresa el motivo del rechazo, o null.
+ */
+function motivoRechazoUrl(url) {
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'solo se permiten URLs http o https';
+  }
+  if (url.username || url.password) {
+    return 'la URL no puede traer usuario o contraseña';
+  }
+
+  const { destinos } = getConfig();
+  if (destinos.length > 0 && !destinos.some((d) => coincideDestino(url, d))) {
+    return `el destino ${url.host} no está en la lista de destinos permitidos`;
+  }
+
+  const host = sinCorchetes(url.hostname);
+  if (net.isIP(host) && !direccionPermitida(host)) {
+    return `la dirección ${host} es privada o reservada`;
+  }
+
+  return null;
+}
+
+/**
+ * Valida un webhookUrl antes de guardarlo. Resuelve el host por DNS.
+ * Regresa { ok: true, url } (normalizada) o { ok: false, motivo }.
+ */
+async function validarWebhookUrl(valor) {
+  if (typeof valor !== 'string' || valor.length > MAX_URL) {
+    return { ok: false, motivo: `debe ser una URL de máximo ${MAX_URL} caracteres` };
+  }
+
+  let url;
+  try {
+    url = new URL(valor);
+  } catch (err) {
+    return { ok: false, motivo: 'no es una URL válida' };
+  }
+
+  const motivo = motivoRechazoUrl(url);
+  if (motivo) return { ok: false, motivo };
+
+  const host = sinCorchetes(url.hostname);
+  if (!net.isIP(host)) {
+    let direcciones;
+    try {
+      direcciones = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+      return { ok: false, motivo: `no se pudo resolver el host ${host}` };
+    }
+
+    const bloqueada = direcciones.find((d) => !direccionPermitida(d.address));
+    if (bloqueada) {
+      return { ok: false, motivo: `${host} resuelve a una dirección privada o reservada (${bloqueada.address})` };
+    }
+  }
+
+  return { ok: true, url: url.href };
+}
+
+/**
+ * Para el momento de la entrega: lanza error (con definitivo = true, no tiene caso
+ * reintentar) si la URL ya no es un destino permitido. El DNS lo revisan los agentes.
+ */
+function assertDestinoPermitido(valor) {
+  let motivo;
+  try {
+    motivo = motivoRechazoUrl(new URL(valor));
+  } catch (err) {
+    motivo = 'no es una URL válida';
+  }
+
+  if (motivo) {
+    const err = new Error(`Destino de webhook no permitido: ${motivo}`);
+    err.definitivo = true;
+    throw err;
+  }
+}
+
+/**
+ * lookup para los agentes HTTP: resuelve como siempre y rechaza la conexión si
+ * alguna dirección no está permitida.
+ */
+function lookupSeguro(hostname, opciones, callback) {
+  if (typeof opciones === 'function') {
+    callback = opciones;
+    opciones = {};
+  }
+
+  dns.lookup(hostname, { ...opciones, all: true }, (err, direcciones) => {
+    if (err) return callback(err);
+
+    const bloqueada = direcciones.find((d) => !direccionPermitida(d.address));
+    if (bloqueada) {
+      const error = new Error(`Destino de webhook no permitido: ${hostname} resuelve a ${bloqueada.address}`);
+      error.code = 'EDESTINONOPERMITIDO';
+      error.definitivo = true;
+      return callback(error);
+    }
+
+    if (opciones.all) return callback(null, direcciones);
+    return callback(null, direcciones[0].address, direcciones[0].family);
+  });
+}
+
+const agentes = {
+  httpAgent: new http.Agent({ lookup: lookupSeguro }),
+  httpsAgent: new https.Agent({ lookup: lookupSeguro })
+};
+
+/**
+ * Valida la configuración al arrancar (lanza error si algo no se puede leer).
+ */
+function assertWebhookDestinosConfig(env = process.env) {
+  config = cargarConfig(env);
+
+  if (config.destinos.length === 0) {
+    console.warn('⚠️ WEBHOOK_DESTINOS_PERMITIDOS no está definida: se acepta cualquier webhookUrl con host público.');
+  }
+
+  return config;
+}
+
+module.exports = {
+  agentes,
+  motivoRechazoUrl,
+  lookupSeguro,
+  validarWebhookUrl,
+  assertDestinoPermitido,
+  assertWebhookDestinosConfig
+};
@@ -0,0 +1,96 @@
+// webhookEventos.js
+const { validarWebhookUrl } = require('./webhookDestinos');
+
+/**
+ * Eventos de webhook a los que se suscribe cada solicitud.
+ *
+ * POST /api/tyc/solicitudes puede mandar la lista de eventos que quiere recibir, cada uno
+ * por nombre ("abierta", "ABIERTA" o "TYC_ABIERTA") o con su propia URL:
+ *   eventos: ["creada", { evento: "abierta", webhookUrl: "https://bot.example.com/tyc" }, "aceptada"]
+ * Los que no traen URL van al webhookUrl de la solicitud. Si no manda la lista recibe
+ * EVENTOS_DEFAULT (TYC_ACEPTADA y TYC_EXPIRADA, lo de siempre), todos al webhookUrl;
+ * los demás eventos solo llegan a quien los pide.
+ *
+ * Se guarda en tyc_solicitudes.webhook_eventos: [{ evento, webhookUrl }] (webhookUrl null = el
+ * de la solicitud), o NULL cuando se usan los default. Las reemisiones heredan la lista.
+ */
+
+const EVENTOS = {
+  CREADA: 'TYC_CREADA',
+  ABIERTA: 'TYC_ABIERTA',                  // solo la primera vez que abre la liga
+  ACEPTADA: 'TYC_ACEPTADA',
+  RECHAZADA: 'TYC_RECHAZADA',
+  POR_EXPIRAR: 'TYC_POR_EXPIRAR',
+  EXPIRADA: 'TYC_EXPIRADA',
+  CANCELADA: 'TYC_CANCELADA',
+  CONSENTIMIENTO_REVOCADO: 'TYC_CONSENTIMIENTO_REVOCADO'
+};
+
+// Los que se mandaban antes de poder elegir; así un flujo de n8n existente no recibe
+// eventos que no sabe manejar
+const EVENTOS_DEFAULT = [EVENTOS.ACEPTADA, EVENTOS.EXPIRADA];
+
+/**
+ * "abierta" / "ABIERTA" / "TYC_ABIERTA" -> "TYC_ABIERTA". null si no es un evento conocido.
+ */
+function normalizarEvento(valor) {
+  if (typeof valor !== 'string') return null;
+  const nombre = valor.trim().toUpperCase().replace(/^TYC_/, '');
+  return EVENTOS[nombre] || null;
+}
+
+/**
+ * Valida los eventos que pide una solicitud nueva (las URLs con webhookDestinos.js).
+ * Regresa { ok: true, eventos: [{ evento, webhookUrl }] | null } o { ok: false, error }.
+ */
+async function validarEventosSolicitud(valor) {
+  if (valor == null) return { ok: true, eventos: null };
+
+  const nombres = Object.keys(EVENTOS).map((k) => k.toLowerCase()).join(', ');
+
+  if (!Array.isArray(valor) || valor.length === 0) {
+    return { ok: false, error: `eventos debe ser una lista con uno o más de: ${nombres}` };
+  }
+
+  const eventos = [];
+  for (const item of valor) {
+    const nombre = typeof item === 'string' ? item : item?.evento;
+    const evento = normalizarEvento(nombre);
+
+    if (!evento) {
+      return { ok: false, error: `evento desconocido "${nombre}"; debe ser uno de: ${nombres}` };
+    }
+    if (eventos.some((e) => e.evento === evento)) {
+      return { ok: false, error: `evento repetido ${evento}` };
+    }
+
+    let webhookUrl = null;
+    if (typeof item === 'object' && item !== null && item.webhookUrl != null) {
+      const destino = await validarWebhookUrl(item.webhookUrl);
+      if (!destino.ok) {
+        return { ok: false, error: `webhookUrl de ${evento} no permitido: ${destino.motivo}` };
+      }
+      webhookUrl = destino.url;
+    }
+
+    eventos.push({ evento, webhookUrl });
+  }
+
+  return { ok: true, eventos };
+}
+
+/**
+ * Eventos que recibe la solicitud, cada uno con la URL a la que va.
+ */
+function eventosDeSolicitud(solicitud) {
+  const eventos = solicitud.webhookEventos || EVENTOS_DEFAULT.map((evento) => ({ evento, webhookUrl: null }));
+  return eventos.map((e) => ({ evento: e.evento, webhookUrl: e.webhookUrl || solicitud.webhookUrl || null }));
+}
+
+module.exports = {
+  EVENTOS,
+  EVENTOS_DEFAULT,
+  normalizarEvento,
+  validarEventosSolicitud,
+  eventosDeSolicitud
+};
@@ -0,0 +1,554 @@
+// webhookOutbox.js
+const crypto = require('crypto');
+const os = require('os');
+const axios = require('axios');
+const { pool } = require('./db');
+const { signWebhook, getSigningKey } = require('./webhookSignature');
+const { getMotivoRechazo } = require('./motivosRechazo');
+const { agentes, assertDestinoPermitido } = require('./webhookDestinos');
+const { eventosDeSolicitud } = require('./webhookEventos');
+const { metricaWebhook } = require('./metricas');
+
+/**
+ * Outbox de webhooks hacia n8n.
+ *
+ * Los eventos (TYC_ACEPTADA, TYC_EXPIRADA, ...) se escriben en tyc_webhook_outbox
+ * dentro de la MISMA transacción que el cambio de estado, y un worker en segundo
+ * plano los entrega con reintentos (backoff exponencial). Si se agotan los
+ * intentos el evento queda FALLIDO (dead-letter) hasta que alguien lo reintente.
+ *
+ * Tabla tyc_webhook_outbox:
+ *  - id (bigserial)
+ *  - event_id (uuid, único)          viaja en el payload y en X-AMA-Event-Id
+ *  - tyc_solicitud_id, evento, webhook_url
+ *  - payload (jsonb)
+ *  - estado (text)                   PENDIENTE | ENTREGADO | FALLIDO
+ *  - intentos, max_intentos (int)
+ *  - next_attempt_at (timestamptz)   cuándo toca el siguiente intento
+ *  - lease_token (text)              quién lo está entregando (ver tomarEvento)
+ *  - last_status_code (int), last_error (text)
+ *  - created_at, updated_at, delivered_at (timestamptz)
+ *
+ * Tabla tyc_webhook_intentos (un registro por intento de entrega):
+ *  - id (bigserial), outbox_id (bigint), intento (int)
+ *  - status_code (int), response_body (text), error (text), duracion_ms (int)
+ *  - created_at (timestamptz)
+ */
+
+const OUTBOX_STATES = {
+  PENDIENTE: 'PENDIENTE',
+  ENTREGADO: 'ENTREGADO',
+  FALLIDO: 'FALLIDO'
+};
+
+function envInt(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const MAX_INTENTOS = envInt('WEBHOOK_MAX_INTENTOS', 8);
+const BACKOFF_BASE_SEG = envInt('WEBHOOK_BACKOFF_BASE_SEG', 10);
+const BACKOFF_MAX_SEG = envInt('WEBHOOK_BACKOFF_MAX_SEG', 3600);
+const POLL_MS = envInt('WEBHOOK_POLL_MS', 3000);
+// Máximo de eventos que entrega cada tick
+const LOTE = envInt('WEBHOOK_LOTE', 20);
+const TIMEOUT_MS = envInt('WEBHOOK_TIMEOUT_MS', 5000);
+// Mientras un worker entrega un evento, nadie más lo toma durante este tiempo. Cada evento
+// se toma justo antes de entregarlo, así que el lease sólo tiene que cubrir un intento
+const LEASE_SEG = Math.ceil(TIMEOUT_MS / 1000) * 4;
+// Cuánto de la respuesta guardamos por intento
+const MAX_RESPONSE_CHARS = 2000;
+// Respuestas más grandes se cortan y el intento cuenta como fallido
+const MAX_RESPONSE_BYTES = envInt('WEBHOOK_MAX_RESPUESTA_BYTES', 64 * 1024);
+const INSTANCIA = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Payload que recibe n8n. `extra` son campos propios del evento (ej. recordatorio
+ * en TYC_POR_EXPIRAR) y van al final.
+ */
+function buildWebhookPayload(solicitud, evento, eventId, extra = null) {
+  return {
+    eventId,
+    evento,                              // ver webhookEventos.EVENTOS ("TYC_ACEPTADA", "TYC_EXPIRADA", ...)
+    preclienteId: solicitud.preclienteId,
+    tycSolicitudId: solicitud.tycSolicitudId,
+    estado: solicitud.estado,
+    createdAt: solicitud.createdAt,
+    expiresAt: solicitud.expiresAt,
+    openedAt: solicitud.openedAt || null,
+    acceptedAt: solicitud.acceptedAt || null,
+    producto: solicitud.producto || null,
+    idioma: solicitud.idioma || null,
+    zonaHoraria: solicitud.zonaHoraria || null,
+    documento: {
+      id: solicitud.documentoId || null,
+      version: solicitud.documentoVersion || null,
+      hash: solicitud.documentoHash || null,
+      // Texto que aceptó el cliente (el original o su traducción)
+      ...(solicitud.acceptedAt && {
+        idiomaAceptado: solicitud.acceptedIdioma || null,
+        hashAceptado: solicitud.acceptedDocumentoHash || solicitud.documentoHash || null
+      })
+    },
+    // Documentos que se mostraron después del principal, con el mismo formato
+    documentosAdicionales: (solicitud.documentosAdicionales || []).map((d) => ({
+      id: d.documentoId,
+      version: d.version,
+      hash: d.hash,
+      ...(solicitud.acceptedAt && {
+        idiomaAceptado: d.acceptedIdioma || null,
+        hashAceptado: d.acceptedDocumentoHash || d.hash
+      })
+    })),
+    // Resultado de cada consentimiento (otorgado es null mientras no acepte)
+    consentimientos: (solicitud.consentimientos || []).map((c) => ({
+      codigo: c.codigo,
+      obligatorio: c.obligatorio,
+      otorgado: c.otorgado ?? null,
+      revocadoAt: c.revocadoAt || null
+    })),
+    // Revocación total del consentimiento (derechos ARCO, ver arco.js)
+    ...(solicitud.revokedAt && {
+      revocacion: {
+        revokedAt: solicitud.revokedAt,
+        motivo: solicitud.revocationReason
+      }
+    }),
+    requiereOtp: solicitud.requiereOtp === true,
+    // Teléfono verificado con código antes de aceptar (solo si la solicitud lo pedía)
+    ...(solicitud.otpVerifiedAt && {
+      otp: {
+        telefono: solicitud.otpTelefono,
+        verifiedAt: solicitud.otpVerifiedAt
+      }
+    }),
+    requiereFirma: solicitud.requiereFirma === true,
+    ...(solicitud.firmaHash && {
+      firma: {
+        nombre: solicitud.firmaNombre,
+        hash: solicitud.firmaHash
+      }
+    }),
+    ...(solicitud.cancelledAt && {
+      cancelacion: {
+        cancelledAt: solicitud.cancelledAt,
+        motivo: solicitud.cancelReason,
+        actor: solicitud.cancelledBy
+      }
+    }),
+    ...(solicitud.rejectedAt && {
+      rechazo: {
+        rejectedAt: solicitud.rejectedAt,
+        motivo: solicitud.rejectionReason,
+        motivoEtiqueta: getMotivoRechazo(solicitud.rejectionReason)?.etiqueta || null,
+        comentario: solicitud.rejectionComment
+      }
+    }),
+    ...extra
+  };
+}
+
+/**
+ * Encola un webhook. Pásale el client de la transacción que hace el cambio
+ * de estado para que ambos se confirmen (o se reviertan) juntos.
+ * Va a la URL del evento para esa solicitud (webhookEventos.js).
+ * Regresa el eventId, o null si la solicitud no se suscribió al evento o no tiene webhookUrl.
+ */
+async function enqueueWebhook(db, solicitud, evento, extra = null) {
+  const suscripcion = eventosDeSolicitud(solicitud).find((e) => e.evento === evento);
+  if (!suscripcion) return null;
+
+  const webhookUrl = suscripcion.webhookUrl;
+  if (!webhookUrl) {
+    console.warn('⚠️ No hay webhookUrl configurado en la solicitud, no se envía nada.');
+    return null;
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = buildWebhookPayload(solicitud, evento, eventId, extra);
+
+  await db.query(
+    `INSERT INTO tyc_webhook_outbox (
+       event_id, tyc_solicitud_id, evento, webhook_url, payload,
+       estado, intentos, max_intentos, next_attempt_at, created_at, updated_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, 0, $7, NOW(), NOW(), NOW())`,
+    [eventId, solicitud.tycSolicitudId, evento, webhookUrl, payload, OUTBOX_STATES.PENDIENTE, MAX_INTENTOS]
+  );
+
+  return eventId;
+}
+
+/**
+ * Hace el POST a n8n, firmado con el esquema v1 de webhookSignature.js
+ * (timestamp + eventId + body, con key id para rotar secretos).
+ * Regresa { statusCode, body } si hubo respuesta 2xx; lanza error en cualquier otro caso
+ * (el error trae statusCode/body cuando n8n sí respondió).
+ *
+ * El destino se revisa otra vez contra webhookDestinos.js, no se siguen redirecciones
+ * (un 3xx es un intento fallido) y no leemos más de WEBHOOK_MAX_RESPUESTA_BYTES.
+ *
+ * Cada intento queda en las métricas (resultado y duración, ver metricas.js).
+ */
+async function sendWebhook(evento) {
+  const inicio = Date.now();
+  const bodyStr = JSON.stringify(evento.payload);
+  const { keyId, secret } = getSigningKey();
+  const firma = signWebhook({ body: bodyStr, eventId: evento.eventId, keyId, secret });
+
+  try {
+    assertDestinoPermitido(evento.webhookUrl);
+
+    const resp = await axios.post(evento.webhookUrl, bodyStr, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-AMA-Event': evento.evento,
+        ...firma
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      // Sin proxies del entorno: la conexión sale directo, por los agentes que validan la IP
+      proxy: false,
+      ...agentes,
+      // Tomamos la respuesta como texto, solo para guardarla en el intento
+      responseType: 'text',
+      transformResponse: [(data) => data]
+    });
+
+    metricaWebhook({ evento: evento.evento, resultado: 'ok', duracionMs: Date.now() - inicio });
+    return { statusCode: resp.status, body: resp.data };
+  } catch (err) {
+    err.statusCode = err.response?.status ?? null;
+    err.body = err.response?.data ?? null;
+    metricaWebhook({
+      evento: evento.evento,
+      resultado: err.definitivo ? 'bloqueado' : (err.response ? 'http_error' : 'error'),
+      duracionMs: Date.now() - inicio
+    });
+    throw err;
+  }
+}
+
+function rowToEvento(row) {
+  const toIso = (v) => (v ? (v.toISOString?.() ?? String(v)) : null);
+  return {
+    id: Number(row.id),
+    eventId: row.event_id,
+    tycSolicitudId: row.tyc_solicitud_id,
+    evento: row.evento,
+    webhookUrl: row.webhook_url,
+    payload: row.payload,
+    estado: row.estado,
+    intentos: row.intentos,
+    maxIntentos: row.max_intentos,
+    nextAttemptAt: toIso(row.next_attempt_at),
+    lastStatusCode: row.last_status_code ?? null,
+    lastError: row.last_error || null,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+    deliveredAt: toIso(row.delivered_at)
+  };
+}
+
+/**
+ * Segundos de espera antes del intento número (intentos + 1).
+ * base * 2^(intentos-1), con tope y un poco de jitter para no sincronizar reintentos.
+ */
+function backoffSegundos(intentos) {
+  const exp = Math.min(BACKOFF_BASE_SEG * 2 ** Math.max(intentos - 1, 0), BACKOFF_MAX_SEG);
+  const jitter = exp * 0.2 * Math.random();
+  return Math.round(exp + jitter);
+}
+
+function recortar(texto) {
+  if (texto === null || texto === undefined) return null;
+  const str = typeof texto === 'string' ? texto : JSON.stringify(texto);
+  return str.length > MAX_RESPONSE_CHARS ? str.slice(0, MAX_RESPONSE_CHARS) : str;
+}
+
+/**
+ * Toma el siguiente evento pendiente, o null. FOR UPDATE SKIP LOCKED + "lease" en
+ * next_attempt_at para que varias instancias no entreguen el mismo evento.
+ *
+ * Uno por vez y no un lote: las entregas son secuenciales y un lote entero bajo un
+ * mismo lease vencería antes de llegar a los últimos, que otro worker tomaría de nuevo.
+ * El lease_token (instancia + evento + intento) dice quién puede cerrar el intento.
+ */
+async function tomarEvento() {
+  const r = await pool.query(
+    `WITH siguiente AS (
+       SELECT id
+       FROM tyc_webhook_outbox
+       WHERE estado = $1
+         AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE tyc_webhook_outbox o
+     SET next_attempt_at = NOW() + make_interval(secs => $2),
+         lease_token = $3 || ':' || o.id || ':' || (o.intentos + 1),
+         updated_at = NOW()
+     FROM siguiente
+     WHERE o.id = siguiente.id
+     RETURNING o.*`,
+    [OUTBOX_STATES.PENDIENTE, LEASE_SEG, INSTANCIA]
+  );
+
+  if (r.rowCount === 0) return null;
+  return { ...rowToEvento(r.rows[0]), leaseToken: r.rows[0].lease_token };
+}
+
+/**
+ * El lease venció a media entrega y el evento ya es de otro worker (o alguien lo
+ * re-encoló): el intento queda en la bitácora pero el estado lo decide el otro.
+ */
+function leasePerdido(evento) {
+  console.warn(`⚠️ Webhook ${evento.evento} (${evento.eventId}): se perdió el lease durante el intento ${evento.intentos + 1}`);
+}
+
+/**
+ * Intenta entregar un evento y registra el resultado.
+ */
+async function entregar(evento) {
+  const intento = evento.intentos + 1;
+  const inicio = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let error = null;
+  let definitivo = false;
+
+  try {
+    const resp = await sendWebhook(evento);
+    statusCode = resp.statusCode;
+    responseBody = resp.body;
+  } catch (err) {
+    statusCode = err.statusCode ?? null;
+    responseBody = err.body ?? null;
+    error = err.message;
+    definitivo = err.definitivo === true;
+  }
+
+  const duracionMs = Date.now() - inicio;
+
+  await pool.query(
+    `INSERT INTO tyc_webhook_intentos (
+       outbox_id, intento, status_code, response_body, error, duracion_ms, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [evento.id, intento, statusCode, recortar(responseBody), error, duracionMs]
+  );
+
+  if (!error) {
+    const r = await pool.query(
+      `UPDATE tyc_webhook_outbox
+       SET estado = $2,
+           intentos = $3,
+           last_status_code = $4,
+           last_error = NULL,
+           lease_token = NULL,
+           delivered_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+         AND lease_token = $5`,
+      [evento.id, OUTBOX_STATES.ENTREGADO, intento, statusCode, evento.leaseToken]
+    );
+    if (r.rowCount === 0) {
+      leasePerdido(evento);
+      return;
+    }
+
+    console.log(`🔔 Webhook enviado a n8n (${evento.evento}) para tycSolicitudId=${evento.tycSolicitudId}`);
+    return;
+  }
+
+  // Un destino que ya no está permitido no se reintenta
+  const agotado = definitivo || intento >= evento.maxIntentos;
+
+  const r = await pool.query(
+    `UPDATE tyc_webhook_outbox
+     SET estado = $2,
+         intentos = $3,
+         last_status_code = $4,
+         last_error = $5,
+         lease_token = NULL,
+         next_attempt_at = NOW() + make_interval(secs => $6),
+         updated_at = NOW()
+     WHERE id = $1
+       AND lease_token = $7`,
+    [
+      evento.id,
+      agotado ? OUTBOX_STATES.FALLIDO : OUTBOX_STATES.PENDIENTE,
+      intento,
+      statusCode,
+      error,
+      agotado ? 0 : backoffSegundos(intento),
+      evento.leaseToken
+    ]
+  );
+  if (r.rowCount === 0) {
+    leasePerdido(evento);
+    return;
+  }
+
+  if (agotado) {
+    console.error(`❌ Webhook ${evento.evento} (${evento.eventId}) agotó ${intento} intentos, queda FALLIDO:`, error);
+  } else {
+    console.error(`❌ Error enviando webhook TyC (${evento.evento}, intento ${intento}/${evento.maxIntentos}):`, error);
+  }
+}
+
+let timer = null;
+let trabajando = false;
+
+async function tick() {
+  if (trabajando) return;
+  trabajando = true;
+
+  try {
+    for (let i = 0; i < LOTE; i++) {
+      const evento = await tomarEvento();
+      if (!evento) break;
+      try {
+        await entregar(evento);
+      } catch (err) {
+        // Si falla el registro del intento, el lease vence y se reintenta después
+        console.error('[Webhooks] Error registrando intento de entrega:', err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[Webhooks] Error leyendo el outbox:', err.message);
+  } finally {
+    trabajando = false;
+  }
+}
+
+/**
+ * Arranca el worker que entrega los webhooks pendientes cada WEBHOOK_POLL_MS.
+ * Se puede apagar en una instancia con WEBHOOK_WORKER_ENABLED=false.
+ */
+function startWebhookWorker() {
+  if (process.env.WEBHOOK_WORKER_ENABLED === 'false') {
+    console.log('[Webhooks] Worker deshabilitado (WEBHOOK_WORKER_ENABLED=false).');
+    return;
+  }
+  if (timer) return;
+
+  timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  console.log(`[Webhooks] Worker de entrega activo (cada ${POLL_MS} ms, máx ${MAX_INTENTOS} intentos).`);
+}
+
+function stopWebhookWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Lista eventos del outbox, por default los FALLIDOS (dead-letter).
+ */
+async function listarEventos({ estado = OUTBOX_STATES.FALLIDO, tycSolicitudId, evento, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (estado) {
+    params.push(estado);
+    where.push(`estado = $${params.length}`);
+  }
+  if (tycSolicitudId) {
+    params.push(tycSolicitudId);
+    where.push(`tyc_solicitud_id = $${params.length}`);
+  }
+  if (evento) {
+    params.push(evento);
+    where.push(`evento = $${params.length}`);
+  }
+
+  params.push(limit);
+
+  const r = await pool.query(
+    `SELECT *
+     FROM tyc_webhook_outbox
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return r.rows.map(rowToEvento);
+}
+
+/**
+ * Un evento con el detalle de todos sus intentos. null si no existe.
+ */
+async function getEvento(eventId) {
+  const r = await pool.query('SELECT * FROM tyc_webhook_outbox WHERE event_id = $1', [eventId]);
+  if (r.rowCount === 0) return null;
+
+  const evento = rowToEvento(r.rows[0]);
+
+  const intentos = await pool.query(
+    `SELECT intento, status_code, response_body, error, duracion_ms, created_at
+     FROM tyc_webhook_intentos
+     WHERE outbox_id = $1
+     ORDER BY intento ASC`,
+    [evento.id]
+  );
+
+  evento.detalleIntentos = intentos.rows.map((row) => ({
+    intento: row.intento,
+    statusCode: row.status_code ?? null,
+    responseBody: row.response_body ?? null,
+    error: row.error || null,
+    duracionMs: row.duracion_ms,
+    createdAt: row.created_at?.toISOString?.() ?? String(row.created_at)
+  }));
+
+  return evento;
+}
+
+/**
+ * Vuelve a poner en PENDIENTE eventos FALLIDOS, o PENDIENTES que ya tocaba intentar,
+ * con MAX_INTENTOS intentos adicionales. Regresa los eventIds re-encolados.
+ *
+ * Un PENDIENTE con next_attempt_at en el futuro no se toca: o espera su backoff, o
+ * un worker lo tomó (lease de tomarEvento) y lo está entregando; adelantarlo haría
+ * que otro worker lo tomara y n8n lo recibiera dos veces.
+ */
+async function reintentarEventos(eventIds) {
+  const r = await pool.query(
+    `UPDATE tyc_webhook_outbox
+     SET estado = $2,
+         max_intentos = intentos + $3,
+         lease_token = NULL,
+         next_attempt_at = NOW(),
+         updated_at = NOW()
+     WHERE event_id = ANY($1::uuid[])
+       AND (estado = $4 OR (estado = $2 AND next_attempt_at <= NOW()))
+     RETURNING event_id`,
+    [eventIds, OUTBOX_STATES.PENDIENTE, MAX_INTENTOS, OUTBOX_STATES.FALLIDO]
+  );
+
+  return r.rows.map((row) => row.event_id);
+}
+
+/**
+ * Re-encola todos los FALLIDOS (opcionalmente filtrados). Regresa los eventIds.
+ */
+async function reintentarFallidos({ tycSolicitudId, evento, limit = 500 } = {}) {
+  const fallidos = await listarEventos({ estado: OUTBOX_STATES.FALLIDO, tycSolicitudId, evento, limit });
+  if (fallidos.length === 0) return [];
+  return reintentarEventos(fallidos.map((e) => e.eventId));
+}
+
+module.exports = {
+  OUTBOX_STATES,
+  buildWebhookPayload,
+  enqueueWebhook,
+  sendWebhook,
+  startWebhookWorker,
+  stopWebhookWorker,
+  listarEventos,
+  getEvento,
+  reintentarEventos,
+  reintentarFallidos
+};
@@ -0,0 +1,148 @@
+// webhookRoutes.js
+const express = require('express');
+const { requireScope } = require('./internalAuth');
+const { SCOPES } = require('./apiKeys');
+const {
+  OUTBOX_STATES,
+  listarEventos,
+  getEvento,
+  reintentarEventos,
+  reintentarFallidos
+} = require('./webhookOutbox');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/tyc/webhooks/eventos
+ *
+ * Lista eventos del outbox. Por default los FALLIDOS (dead-letter).
+ * Query:
+ *  - estado (PENDIENTE | ENTREGADO | FALLIDO, opcional, default FALLIDO)
+ *  - tycSolicitudId (opcional)
+ *  - evento (opcional, ej. TYC_ACEPTADA)
+ *  - limit (opcional, default 100, máx 500)
+ */
+router.get('/api/tyc/webhooks/eventos', requireScope(SCOPES.WEBHOOKS_READ), async (req, res) => {
+  const estado = req.query.estado ? String(req.query.estado).toUpperCase() : OUTBOX_STATES.FALLIDO;
+
+  if (!OUTBOX_STATES[estado]) {
+    return res.status(400).json({
+      ok: false,
+      error: `estado debe ser uno de: ${Object.keys(OUTBOX_STATES).join(', ')}`
+    });
+  }
+
+  const limit = Number(req.query.limit ?? 100);
+  const batchSize = Number.isFinite(limit) && limit > 0 ? Math.min(limit, 500) : 100;
+
+  try {
+    const eventos = await listarEventos({
+      estado,
+      tycSolicitudId: req.query.tycSolicitudId,
+      evento: req.query.evento,
+      limit: batchSize
+    });
+
+    return res.json({ ok: true, total: eventos.length, eventos });
+  } catch (err) {
+    console.error('[Webhooks] Error listando eventos del outbox:', err);
+    return res.status(500).json({ ok: false, error: 'Error listando eventos' });
+  }
+});
+
+/**
+ * GET /api/tyc/webhooks/eventos/:eventId
+ *
+ * Detalle de un evento con cada intento (status code, respuesta, error, duración).
+ */
+router.get('/api/tyc/webhooks/eventos/:eventId', requireScope(SCOPES.WEBHOOKS_READ), async (req, res) => {
+  if (!UUID_RE.test(req.params.eventId)) {
+    return res.status(400).json({ ok: false, error: 'eventId inválido' });
+  }
+
+  try {
+    const evento = await getEvento(req.params.eventId);
+
+    if (!evento) {
+      return res.status(404).json({ ok: false, error: 'Evento no encontrado' });
+    }
+
+    return res.json({ ok: true, evento });
+  } catch (err) {
+    console.error('[Webhooks] Error consultando evento del outbox:', err);
+    return res.status(500).json({ ok: false, error: 'Error consultando el evento' });
+  }
+});
+
+/**
+ * POST /api/tyc/webhooks/eventos/:eventId/reintentar
+ *
+ * Re-encola un evento FALLIDO, o PENDIENTE que ya tocaba intentar (con más intentos).
+ * Uno que un worker está entregando o que espera su backoff no se toca (409).
+ */
+router.post('/api/tyc/webhooks/eventos/:eventId/reintentar', requireScope(SCOPES.WEBHOOKS_WRITE), async (req, res) => {
+  if (!UUID_RE.test(req.params.eventId)) {
+    return res.status(400).json({ ok: false, error: 'eventId inválido' });
+  }
+
+  try {
+    const reencolados = await reintentarEventos([req.params.eventId]);
+
+    if (reencolados.length === 0) {
+      return res.status(409).json({
+        ok: false,
+        error: 'El evento no existe, ya fue entregado o se está entregando'
+      });
+    }
+
+    return res.json({ ok: true, reencolados });
+  } catch (err) {
+    console.error('[Webhooks] Error re-encolando evento:', err);
+    return res.status(500).json({ ok: false, error: 'Error re-encolando el evento' });
+  }
+});
+
+/**
+ * POST /api/tyc/webhooks/eventos/reintentar
+ *
+ * Re-encola varios eventos.
+ * Recibe:
+ *  - eventIds (array de uuid, opcional): re-encola esos (los FALLIDOS o PENDIENTES que ya
+ *    tocaba intentar; los que se están entregando se saltan)
+ *  - o, si no vienen eventIds, todos los FALLIDOS filtrando por
+ *    tycSolicitudId / evento (opcionales), hasta limit (default 500)
+ */
+router.post('/api/tyc/webhooks/eventos/reintentar', requireScope(SCOPES.WEBHOOKS_WRITE), async (req, res) => {
+  const { eventIds, tycSolicitudId, evento, limit } = req.body || {};
+
+  try {
+    let reencolados;
+
+    if (eventIds !== undefined) {
+      if (!Array.isArray(eventIds) || eventIds.length === 0 || !eventIds.every((id) => UUID_RE.test(id))) {
+        return res.status(400).json({ ok: false, error: 'eventIds debe ser un arreglo de uuid' });
+      }
+      reencolados = await reintentarEventos(eventIds);
+    } else {
+      const n = Number(limit ?? 500);
+      reencolados = await reintentarFallidos({
+        tycSolicitudId,
+        evento,
+        limit: Number.isFinite(n) && n > 0 ? Math.min(n, 1000) : 500
+      });
+    }
+
+    console.log(`[Webhooks] ${reencolados.length} evento(s) re-encolados manualmente.`);
+
+    return res.json({ ok: true, total: reencolados.length, reencolados });
+  } catch (err) {
+    console.error('[Webhooks] Error re-encolando eventos:', err);
+    return res.status(500).json({ ok: false, error: 'Error re-encolando eventos' });
+  }
+});
+
+module.exports = {
+  router
+};
@@ -0,0 +1,224 @@
+// webhookSignature.js
+const crypto = require('crypto');
+
+/**
+ * Firma de los webhooks que mandamos a n8n (esquema v1).
+ *
+ * Headers que acompañan cada POST:
+ *  - X-AMA-Timestamp: segundos unix en que se firmó
+ *  - X-AMA-Event-Id:  id único del evento (el mismo que viene en el payload)
+ *  - X-AMA-Key-Id:    id del secreto con el que se firmó
+ *  - X-AMA-Signature: "v1=" + HMAC-SHA256(secreto, `${timestamp}.${eventId}.${body}`) en hex
+ *
+ * El receptor debe: verificar la firma sobre el body CRUDO (tal cual llegó),
+ * rechazar timestamps fuera de tolerancia (default 5 min) y descartar eventIds repetidos.
+ *
+ * Rotación sin downtime: WEBHOOK_SECRETS admite varios secretos "kid:secreto" separados
+ * por coma. Se firma con el primero (o con WEBHOOK_SIGNING_KEY_ID); los receptores
+ * aceptan cualquiera de los que tengan configurados.
+ *
+ * Este archivo solo depende de `crypto`, así que se puede copiar tal cual a un
+ * Code node de n8n o hacer require desde otro servicio Node:
+ *
+ *   const { verifyWebhookSignature } = require('ama-tyc-service/webhookSignature');
+ *   const r = verifyWebhookSignature({
+ *     body: rawBody,                      // string o Buffer, sin re-serializar
+ *     headers: req.headers,
+ *     secrets: process.env.AMA_WEBHOOK_SECRETS  // "k2:nuevo,k1:anterior"
+ *   });
+ *   if (!r.ok) throw new Error(r.error);
+ */
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEV_KEY_ID = 'dev';
+const DEV_SECRET = 'dev_secret_no_usar_en_produccion';
+
+/**
+ * Convierte "k2:secreto2,k1:secreto1" (o un objeto { k2: 'secreto2' }) a
+ * una lista ordenada de { keyId, secret }.
+ */
+function parseSecrets(secrets) {
+  if (!secrets) return [];
+
+  if (typeof secrets === 'object' && !Array.isArray(secrets)) {
+    return Object.entries(secrets)
+      .filter(([, secret]) => secret)
+      .map(([keyId, secret]) => ({ keyId, secret: String(secret) }));
+  }
+
+  return String(secrets)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const idx = item.indexOf(':');
+      if (idx <= 0) return null;
+      return { keyId: item.slice(0, idx).trim(), secret: item.slice(idx + 1).trim() };
+    })
+    .filter((item) => item && item.keyId && item.secret);
+}
+
+/**
+ * Firma en hex de `${timestamp}.${eventId}.${body}`.
+ */
+function computeSignature(secret, timestamp, eventId, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${eventId}.`)
+    .update(Buffer.isBuffer(body) ? body : String(body))
+    .digest('hex');
+}
+
+/**
+ * Headers de firma para un body ya serializado.
+ */
+function signWebhook({ body, eventId, keyId, secret, timestamp = Math.floor(Date.now() / 1000) }) {
+  const signature = computeSignature(secret, timestamp, eventId, body);
+
+  return {
+    'X-AMA-Timestamp': String(timestamp),
+    'X-AMA-Event-Id': eventId,
+    'X-AMA-Key-Id': keyId,
+    'X-AMA-Signature': `${SIGNATURE_VERSION}=${signature}`
+  };
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+
+  const lower = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === lower);
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(String(a), 'utf8');
+  const bufB = Buffer.from(String(b), 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verifica un webhook recibido.
+ *
+ * @param {object} params
+ * @param {string|Buffer} params.body - body crudo
+ * @param {object} params.headers - headers de la petición (objeto plano o Headers)
+ * @param {string|object} params.secrets - "kid:secreto,..." o { kid: secreto }
+ * @param {number} [params.toleranceSeconds=300] - desfase máximo permitido del timestamp
+ * @param {number} [params.now] - segundos unix "actuales" (para pruebas)
+ * @returns {{ ok: true, keyId: string, eventId: string, timestamp: number } | { ok: false, error: string }}
+ */
+function verifyWebhookSignature({
+  body,
+  headers,
+  secrets,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const signatureHeader = getHeader(headers, 'X-AMA-Signature');
+  const timestampHeader = getHeader(headers, 'X-AMA-Timestamp');
+  const eventId = getHeader(headers, 'X-AMA-Event-Id');
+  const keyId = getHeader(headers, 'X-AMA-Key-Id');
+
+  if (!signatureHeader || !timestampHeader || !eventId) {
+    return { ok: false, error: 'Faltan headers de firma' };
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isInteger(timestamp)) {
+    return { ok: false, error: 'X-AMA-Timestamp inválido' };
+  }
+
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return { ok: false, error: 'Timestamp fuera de tolerancia' };
+  }
+
+  const prefix = `${SIGNATURE_VERSION}=`;
+  if (!String(signatureHeader).startsWith(prefix)) {
+    return { ok: false, error: 'Versión de firma no soportada' };
+  }
+  const received = String(signatureHeader).slice(prefix.length);
+
+  const candidates = parseSecrets(secrets);
+  if (candidates.length === 0) {
+    return { ok: false, error: 'No hay secretos configurados para verificar' };
+  }
+
+  // Si viene el kid y lo conocemos, solo probamos ese; si no, probamos todos
+  const byKeyId = keyId ? candidates.filter((c) => c.keyId === keyId) : [];
+  const toTry = byKeyId.length > 0 ? byKeyId : candidates;
+
+  for (const { keyId: kid, secret } of toTry) {
+    const expected = computeSignature(secret, timestamp, eventId, body);
+    if (safeEqualHex(expected, received)) {
+      return { ok: true, keyId: kid, eventId, timestamp };
+    }
+  }
+
+  return { ok: false, error: 'Firma inválida' };
+}
+
+/**
+ * Secretos con los que firma ESTE servicio, leídos del entorno:
+ *  - WEBHOOK_SECRETS="k2:nuevo,k1:anterior" (preferido)
+ *  - o WEBHOOK_SECRET (+ WEBHOOK_KEY_ID, default "default")
+ * WEBHOOK_SIGNING_KEY_ID elige cuál de WEBHOOK_SECRETS firma (default el primero).
+ *
+ * Fuera de producción, si no hay nada configurado se usa un secreto de desarrollo.
+ */
+function getSigningKey(env = process.env) {
+  let keys = parseSecrets(env.WEBHOOK_SECRETS);
+
+  if (keys.length === 0 && env.WEBHOOK_SECRET) {
+    keys = [{ keyId: env.WEBHOOK_KEY_ID || 'default', secret: env.WEBHOOK_SECRET }];
+  }
+
+  if (keys.length === 0) {
+    return { keyId: DEV_KEY_ID, secret: DEV_SECRET, dev: true };
+  }
+
+  if (env.WEBHOOK_SIGNING_KEY_ID) {
+    const selected = keys.find((k) => k.keyId === env.WEBHOOK_SIGNING_KEY_ID);
+    if (!selected) {
+      throw new Error(`WEBHOOK_SIGNING_KEY_ID=${env.WEBHOOK_SIGNING_KEY_ID} no está en WEBHOOK_SECRETS`);
+    }
+    return selected;
+  }
+
+  return keys[0];
+}
+
+/**
+ * Se llama al arrancar. En producción no se permite arrancar sin un secreto real.
+ */
+function assertWebhookSigningConfig(env = process.env) {
+  const key = getSigningKey(env);
+  const isProd = env.NODE_ENV === 'production';
+
+  if (key.dev || key.secret === 'default_secret') {
+    if (isProd) {
+      throw new Error('WEBHOOK_SECRETS (o WEBHOOK_SECRET) es obligatorio en producción');
+    }
+    console.warn('⚠️ No hay secreto de webhooks configurado, se firma con un secreto de desarrollo.');
+    return key;
+  }
+
+  if (isProd && key.secret.length < 32) {
+    throw new Error(`El secreto de webhooks "${key.keyId}" es demasiado corto (mínimo 32 caracteres en producción)`);
+  }
+
+  return key;
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  parseSecrets,
+  computeSignature,
+  signWebhook,
+  verifyWebhookSignature,
+  getSigningKey,
+  assertWebhookSigningConfig
+};